@@ -0,0 +1,166 @@
+"use client"
+import { useState, useEffect, useCallback, memo } from "react"
+import PropTypes from 'prop-types'
+import { Mail, RefreshCw, RotateCcw, Send } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+
+const formatTime = (value) => value ? new Date(value).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+}) : ''
+
+const OutboxEntry = memo(({ entry, onRetry, isRetrying }) => (
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 py-2 border-b last:border-b-0">
+        <div className="min-w-0 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium text-gray-900 break-all">{entry.to}</span>
+                {entry.status === 'dead'
+                    ? <Badge variant="destructive">Failed</Badge>
+                    : <Badge variant="outline" className="border-amber-300 text-amber-700">Retrying</Badge>}
+                {entry.kind && <Badge variant="secondary">{entry.kind}</Badge>}
+            </div>
+            <p className="text-gray-600 truncate">{entry.subject}</p>
+            <p className="text-xs text-gray-500">
+                {entry.attempts} {entry.attempts === 1 ? 'attempt' : 'attempts'}
+                {entry.status === 'pending' && entry.nextAttemptAt && ` · next ${formatTime(entry.nextAttemptAt)}`}
+                {entry.lastError && ` · ${entry.lastError}`}
+            </p>
+        </div>
+        {entry.status !== 'sending' && (
+            <Button variant="outline" size="sm" disabled={isRetrying} onClick={() => onRetry(entry)} className="shrink-0">
+                <RotateCcw size={14} className="mr-1" />
+                Retry
+            </Button>
+        )}
+    </div>
+))
+
+OutboxEntry.displayName = 'OutboxEntry'
+
+OutboxEntry.propTypes = {
+    entry: PropTypes.object.isRequired,
+    onRetry: PropTypes.func.isRequired,
+    isRetrying: PropTypes.bool
+}
+
+// Emails that have not gone out yet: waiting for a retry or given up on
+const EmailOutbox = () => {
+    const [counts, setCounts] = useState(null)
+    const [entries, setEntries] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [isSending, setIsSending] = useState(false)
+    const [retryingId, setRetryingId] = useState(null)
+
+    const loadOutbox = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const response = await fetch('/api/admin/outbox')
+            const result = await response.json()
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to load the email outbox')
+                return
+            }
+
+            setCounts(result.counts)
+            setEntries(result.entries)
+        } catch (error) {
+            console.error('Failed to load the email outbox:', error)
+        } finally {
+            setIsLoading(false)
+        }
+    }, [])
+
+    useEffect(() => {
+        loadOutbox()
+    }, [loadOutbox])
+
+    const handleSendDue = async () => {
+        setIsSending(true)
+        try {
+            const response = await fetch('/api/admin/outbox', { method: 'POST' })
+            const result = await response.json()
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to send emails')
+                return
+            }
+
+            toast.success(result.attempted
+                ? `Sent ${result.sent} of ${result.attempted} due emails`
+                : 'No emails are due')
+            await loadOutbox()
+        } catch (error) {
+            console.error('Failed to send emails:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsSending(false)
+        }
+    }
+
+    const handleRetry = useCallback(async (entry) => {
+        setRetryingId(entry.id)
+        try {
+            const response = await fetch(`/api/admin/outbox/${encodeURIComponent(entry.id)}`, { method: 'POST' })
+            const result = await response.json()
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to retry the email')
+            } else if (result.success) {
+                toast.success(`Email sent to ${entry.to}`)
+            } else {
+                toast.error(`Still failing: ${result.error || 'unknown error'}`)
+            }
+            await loadOutbox()
+        } catch (error) {
+            console.error('Failed to retry the email:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setRetryingId(null)
+        }
+    }, [loadOutbox])
+
+    return (
+        <section className="bg-white rounded-lg border p-4">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div className="flex items-center gap-2">
+                    <Mail size={18} className="text-indigo-600" />
+                    <h2 className="font-semibold text-gray-900">Email outbox</h2>
+                    {counts && (
+                        <span className="text-sm text-gray-500">
+                            {counts.pending} retrying · {counts.dead} failed · {counts.sent} sent
+                        </span>
+                    )}
+                </div>
+                <div className="flex gap-2">
+                    <Button variant="outline" size="sm" onClick={loadOutbox} disabled={isLoading}>
+                        <RefreshCw size={14} className={`mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                        Refresh
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={handleSendDue} disabled={isSending}>
+                        <Send size={14} className="mr-1" />
+                        Send due emails
+                    </Button>
+                </div>
+            </div>
+
+            {entries.length > 0 ? (
+                <div className="mt-3">
+                    {entries.map(entry => (
+                        <OutboxEntry
+                            key={entry.id}
+                            entry={entry}
+                            onRetry={handleRetry}
+                            isRetrying={retryingId === entry.id}
+                        />
+                    ))}
+                </div>
+            ) : (
+                !isLoading && <p className="mt-3 text-sm text-gray-500">Every email has been sent.</p>
+            )}
+        </section>
+    )
+}
+
+export default EmailOutbox
@@ -0,0 +1,50 @@
+"use client"
+import { useState, memo } from "react"
+import PropTypes from 'prop-types'
+import { Download } from "lucide-react"
+import { Button } from "@/components/ui/button"
+
+const FORMATS = [
+    { value: 'csv', label: 'CSV' },
+    { value: 'xlsx', label: 'Excel' }
+]
+
+// Builds the export URL; the browser sends the admin cookie with the download
+const getExportUrl = (eventId, format, flatten) => {
+    const params = new URLSearchParams({ format })
+    if (eventId) params.set('eventId', eventId)
+    if (flatten) params.set('flatten', '1')
+    return `/api/admin/export?${params}`
+}
+
+const ExportControls = ({ eventId }) => {
+    const [flatten, setFlatten] = useState(false)
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-2 text-sm text-gray-600 mr-1 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={flatten}
+                    onChange={(e) => setFlatten(e.target.checked)}
+                    className="h-4 w-4 accent-indigo-600"
+                />
+                One row per participant
+            </label>
+            {FORMATS.map(format => (
+                <Button key={format.value} variant="outline" size="sm" asChild>
+                    <a href={getExportUrl(eventId, format.value, flatten)} download>
+                        <Download size={14} className="mr-1" />
+                        {format.label}
+                    </a>
+                </Button>
+            ))}
+        </div>
+    )
+}
+
+ExportControls.propTypes = {
+    eventId: PropTypes.string
+}
+
+export default memo(ExportControls)
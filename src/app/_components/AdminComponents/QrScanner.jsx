@@ -0,0 +1,111 @@
+"use client"
+import { useEffect, useRef, useState, memo } from "react"
+import PropTypes from 'prop-types'
+import jsQR from "jsqr"
+import { CameraOff } from "lucide-react"
+
+// How often a frame is decoded, and how long the same code is ignored after a scan
+const SCAN_INTERVAL_MS = 250
+const REPEAT_SCAN_DELAY_MS = 4000
+
+// Reads QR codes from the device camera and reports each new code once
+const QrScanner = ({ onScan, paused = false }) => {
+    const videoRef = useRef(null)
+    const canvasRef = useRef(null)
+    const lastScanRef = useRef({ code: null, at: 0 })
+    const onScanRef = useRef(onScan)
+    const pausedRef = useRef(paused)
+    const [cameraError, setCameraError] = useState(null)
+
+    // Keep the latest props without restarting the camera
+    useEffect(() => {
+        onScanRef.current = onScan
+        pausedRef.current = paused
+    }, [onScan, paused])
+
+    useEffect(() => {
+        let stream = null
+        let timer = null
+        let stopped = false
+
+        const scanFrame = () => {
+            const video = videoRef.current
+            const canvas = canvasRef.current
+            if (!stopped && video && canvas && video.readyState === video.HAVE_ENOUGH_DATA && !pausedRef.current) {
+                canvas.width = video.videoWidth
+                canvas.height = video.videoHeight
+                const context = canvas.getContext('2d', { willReadFrequently: true })
+                context.drawImage(video, 0, 0, canvas.width, canvas.height)
+                const image = context.getImageData(0, 0, canvas.width, canvas.height)
+                const result = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' })
+
+                const now = Date.now()
+                const last = lastScanRef.current
+                if (result?.data && (result.data !== last.code || now - last.at > REPEAT_SCAN_DELAY_MS)) {
+                    lastScanRef.current = { code: result.data, at: now }
+                    onScanRef.current(result.data)
+                }
+            }
+            if (!stopped) {
+                timer = setTimeout(scanFrame, SCAN_INTERVAL_MS)
+            }
+        }
+
+        const startCamera = async () => {
+            if (!navigator.mediaDevices?.getUserMedia) {
+                setCameraError('Camera is not available in this browser. Enter pass IDs manually below.')
+                return
+            }
+
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: 'environment' },
+                    audio: false
+                })
+                if (stopped) {
+                    stream.getTracks().forEach(track => track.stop())
+                    return
+                }
+                videoRef.current.srcObject = stream
+                await videoRef.current.play()
+                scanFrame()
+            } catch (error) {
+                console.error('Camera error:', error)
+                setCameraError('Could not open the camera. Allow camera access or enter pass IDs manually below.')
+            }
+        }
+
+        startCamera()
+
+        return () => {
+            stopped = true
+            clearTimeout(timer)
+            stream?.getTracks().forEach(track => track.stop())
+        }
+    }, [])
+
+    if (cameraError) {
+        return (
+            <div className="aspect-square w-full bg-gray-100 rounded-xl flex flex-col items-center justify-center text-center p-6 text-gray-500">
+                <CameraOff className="h-10 w-10 mb-3" />
+                <p className="text-sm">{cameraError}</p>
+            </div>
+        )
+    }
+
+    return (
+        <div className="relative aspect-square w-full bg-black rounded-xl overflow-hidden">
+            <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+            <canvas ref={canvasRef} className="hidden" />
+            <div className="absolute inset-10 border-4 border-white/70 rounded-xl pointer-events-none" />
+            {paused && <div className="absolute inset-0 bg-black/40" />}
+        </div>
+    )
+}
+
+QrScanner.propTypes = {
+    onScan: PropTypes.func.isRequired,
+    paused: PropTypes.bool
+}
+
+export default memo(QrScanner)
@@ -0,0 +1,184 @@
+"use client"
+import { useState, memo } from "react"
+import PropTypes from 'prop-types'
+import { ChevronDown, ChevronUp, FileText, Mail, Phone, Users, XCircle, RotateCcw, CheckCircle2 } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+
+const formatTimestamp = (timestamp) => {
+    const date = new Date(timestamp)
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString('en-IN')
+}
+
+const CollegeIdLink = memo(({ url }) => {
+    if (!url) return <span className="text-xs text-gray-400">No ID uploaded</span>
+
+    return (
+        <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center text-xs text-indigo-600 hover:underline"
+        >
+            <FileText size={14} className="mr-1" />
+            College ID
+        </a>
+    )
+})
+
+CollegeIdLink.displayName = 'CollegeIdLink'
+
+CollegeIdLink.propTypes = {
+    url: PropTypes.string
+}
+
+const TeamMemberRow = memo(({ member, position }) => (
+    <div className="grid grid-cols-1 sm:grid-cols-5 gap-1 sm:gap-3 py-2 border-t border-gray-100 text-sm">
+        <span className="font-medium text-gray-800">{position}. {member.name}</span>
+        <span className="text-gray-600 break-all">{member.email}</span>
+        <span className="text-gray-600">{member.phone}</span>
+        <span className="text-gray-600">{member.rollNo} · {member.college}</span>
+        <CollegeIdLink url={member.collegeIdUrl} />
+    </div>
+))
+
+TeamMemberRow.displayName = 'TeamMemberRow'
+
+TeamMemberRow.propTypes = {
+    member: PropTypes.object.isRequired,
+    position: PropTypes.number.isRequired
+}
+
+const RegistrationCard = memo(({ registration, eventName, onStatusChange, isUpdating, actions }) => {
+    const [isExpanded, setIsExpanded] = useState(false)
+    const isCancelled = registration.status === 'cancelled'
+    const isWaitlisted = registration.status === 'waitlisted'
+    const teamMembers = registration.teamMembers || []
+
+    return (
+        <div className={`bg-white rounded-lg border p-4 shadow-sm ${isCancelled ? 'opacity-60' : ''}`}>
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                        <h3 className="font-semibold text-gray-900">{registration.name}</h3>
+                        {isCancelled && <Badge variant="destructive">Cancelled</Badge>}
+                        {isWaitlisted && <Badge variant="outline" className="border-amber-300 text-amber-700">Waitlisted</Badge>}
+                        {teamMembers.length > 0 && (
+                            <Badge variant="secondary">Team of {teamMembers.length + 1}</Badge>
+                        )}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-2">{eventName} · {formatTimestamp(registration.timestamp)}</p>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600">
+                        <span className="inline-flex items-center break-all"><Mail size={14} className="mr-1 shrink-0" />{registration.email}</span>
+                        <span className="inline-flex items-center"><Phone size={14} className="mr-1" />{registration.phone}</span>
+                        <span>{registration.rollNo} · {registration.course} · {registration.year}</span>
+                        <span>{registration.college}</span>
+                    </div>
+                    {registration.query && (
+                        <p className="text-sm text-gray-500 mt-2 italic">&ldquo;{registration.query}&rdquo;</p>
+                    )}
+                    <div className="mt-2">
+                        <CollegeIdLink url={registration.collegeIdUrl} />
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2 shrink-0">
+                    {actions}
+                    {teamMembers.length > 0 && (
+                        <Button variant="outline" size="sm" onClick={() => setIsExpanded(!isExpanded)}>
+                            <Users size={14} className="mr-1" />
+                            Team
+                            {isExpanded ? <ChevronUp size={14} className="ml-1" /> : <ChevronDown size={14} className="ml-1" />}
+                        </Button>
+                    )}
+                    {isWaitlisted && (
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={isUpdating}
+                            onClick={() => onStatusChange(registration, 'registered')}
+                        >
+                            <CheckCircle2 size={14} className="mr-1" />
+                            Confirm
+                        </Button>
+                    )}
+                    {isCancelled ? (
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={isUpdating}
+                            onClick={() => onStatusChange(registration, 'registered')}
+                        >
+                            <RotateCcw size={14} className="mr-1" />
+                            Restore
+                        </Button>
+                    ) : (
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={isUpdating}
+                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                            onClick={() => onStatusChange(registration, 'cancelled')}
+                        >
+                            <XCircle size={14} className="mr-1" />
+                            Cancel
+                        </Button>
+                    )}
+                </div>
+            </div>
+
+            {isExpanded && teamMembers.length > 0 && (
+                <div className="mt-3 bg-gray-50 rounded-md px-3">
+                    {teamMembers.map((member, index) => (
+                        <TeamMemberRow key={`${member.email}-${index}`} member={member} position={index + 2} />
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+})
+
+RegistrationCard.displayName = 'RegistrationCard'
+
+RegistrationCard.propTypes = {
+    registration: PropTypes.object.isRequired,
+    eventName: PropTypes.string.isRequired,
+    onStatusChange: PropTypes.func.isRequired,
+    isUpdating: PropTypes.bool,
+    actions: PropTypes.node
+}
+
+const RegistrationList = ({ registrations, getEventName, onStatusChange, updatingId, renderActions }) => {
+    if (registrations.length === 0) {
+        return (
+            <div className="text-center text-gray-500 py-12 bg-white rounded-lg border">
+                No registrations found.
+            </div>
+        )
+    }
+
+    return (
+        <div className="space-y-3">
+            {registrations.map(registration => (
+                <RegistrationCard
+                    key={registration.id || `${registration.email}-${registration.timestamp}`}
+                    registration={registration}
+                    eventName={getEventName(registration.eventId)}
+                    onStatusChange={onStatusChange}
+                    isUpdating={updatingId === registration.id}
+                    actions={renderActions?.(registration)}
+                />
+            ))}
+        </div>
+    )
+}
+
+RegistrationList.propTypes = {
+    registrations: PropTypes.array.isRequired,
+    getEventName: PropTypes.func.isRequired,
+    onStatusChange: PropTypes.func.isRequired,
+    updatingId: PropTypes.string,
+    renderActions: PropTypes.func
+}
+
+export default RegistrationList
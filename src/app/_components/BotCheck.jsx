@@ -0,0 +1,121 @@
+"use client"
+import { useState, useEffect, useCallback, useRef } from "react"
+import PropTypes from 'prop-types'
+import { Loader2, ShieldAlert, ShieldCheck } from "lucide-react"
+import { HONEYPOT_FIELD, CHALLENGE_FIELDS, solveChallenge } from "@/app/_utils/botCheck"
+
+export const BOT_CHECK_STATUS = Object.freeze({
+    SOLVING: 'solving',
+    READY: 'ready',
+    FAILED: 'failed'
+})
+
+// Fetch a challenge and solve it
+const fetchSolution = async (signal) => {
+    const response = await fetch('/api/registrationchallenge', { cache: 'no-store', signal })
+    if (!response.ok) throw new Error(`Challenge request failed with status ${response.status}`)
+
+    const { token, difficulty } = await response.json()
+    const nonce = await solveChallenge(token, difficulty, { signal })
+    return { token, nonce }
+}
+
+/**
+ * Fetches and solves a proof-of-work challenge in the background while the
+ * registration form is being filled in. A challenge can only be used once,
+ * so call refresh after every submission, and use getFreshFields for an
+ * automatic retry of a submission that may have used it up.
+ * @returns {Object} - { status, ready, refresh, getFields, getFreshFields, honeypotRef }
+ */
+export const useBotCheck = () => {
+    const [status, setStatus] = useState(BOT_CHECK_STATUS.SOLVING)
+    const [solution, setSolution] = useState(null)
+    const [attempt, setAttempt] = useState(0)
+    const honeypotRef = useRef(null)
+
+    useEffect(() => {
+        const controller = new AbortController()
+        setStatus(BOT_CHECK_STATUS.SOLVING)
+        setSolution(null)
+
+        const solve = async () => {
+            try {
+                setSolution(await fetchSolution(controller.signal))
+                setStatus(BOT_CHECK_STATUS.READY)
+            } catch (error) {
+                if (error.name === 'AbortError') return
+                console.error('Browser check failed:', error)
+                setStatus(BOT_CHECK_STATUS.FAILED)
+            }
+        }
+
+        solve()
+        return () => controller.abort()
+    }, [attempt])
+
+    const refresh = useCallback(() => setAttempt(current => current + 1), [])
+
+    // Fields to send along with the registration
+    const getFields = useCallback(() => ({
+        [HONEYPOT_FIELD]: honeypotRef.current?.value || '',
+        [CHALLENGE_FIELDS.TOKEN]: solution?.token || '',
+        [CHALLENGE_FIELDS.NONCE]: solution?.nonce || ''
+    }), [solution])
+
+    // The same fields with a newly solved challenge, without waiting for a re-render
+    const getFreshFields = useCallback(async () => {
+        const { token, nonce } = await fetchSolution()
+        return {
+            [HONEYPOT_FIELD]: honeypotRef.current?.value || '',
+            [CHALLENGE_FIELDS.TOKEN]: token,
+            [CHALLENGE_FIELDS.NONCE]: nonce
+        }
+    }, [])
+
+    return { status, ready: status === BOT_CHECK_STATUS.READY, refresh, getFields, getFreshFields, honeypotRef }
+}
+
+// The hidden honeypot field and a one line status of the browser check
+const BotCheck = ({ botCheck }) => {
+    const { status, refresh, honeypotRef } = botCheck
+
+    return (
+        <div>
+            {/* Hidden from people and screen readers, but bots filling every field will find it */}
+            <div aria-hidden="true" className="absolute -left-[10000px] h-px w-px overflow-hidden">
+                <label htmlFor={HONEYPOT_FIELD}>Website</label>
+                <input id={HONEYPOT_FIELD} name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" ref={honeypotRef} />
+            </div>
+
+            {status === BOT_CHECK_STATUS.SOLVING && (
+                <p className="flex items-center gap-2 text-xs text-gray-500">
+                    <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                    Verifying your browser...
+                </p>
+            )}
+            {status === BOT_CHECK_STATUS.READY && (
+                <p className="flex items-center gap-2 text-xs text-green-600">
+                    <ShieldCheck className="h-3.5 w-3.5" />
+                    Browser verified
+                </p>
+            )}
+            {status === BOT_CHECK_STATUS.FAILED && (
+                <p className="flex items-center gap-2 text-xs text-red-600">
+                    <ShieldAlert className="h-3.5 w-3.5" />
+                    We couldn&apos;t verify your browser.
+                    <button type="button" onClick={refresh} className="underline font-medium">Try again</button>
+                </p>
+            )}
+        </div>
+    )
+}
+
+BotCheck.propTypes = {
+    botCheck: PropTypes.shape({
+        status: PropTypes.oneOf(Object.values(BOT_CHECK_STATUS)).isRequired,
+        refresh: PropTypes.func.isRequired,
+        honeypotRef: PropTypes.object.isRequired
+    }).isRequired
+}
+
+export default BotCheck
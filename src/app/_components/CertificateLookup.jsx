@@ -0,0 +1,43 @@
+"use client"
+import { useState } from "react"
+import PropTypes from 'prop-types'
+import { useRouter } from "next/navigation"
+import { Search } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+
+// Form to look up a certificate code, on the verification pages
+const CertificateLookup = ({ initialCode = "" }) => {
+    const router = useRouter()
+    const [code, setCode] = useState(initialCode)
+
+    const handleSubmit = (event) => {
+        event.preventDefault()
+        const value = code.trim().toUpperCase()
+        if (value) router.push(`/verify/${encodeURIComponent(value)}`)
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="flex gap-2">
+            <Input
+                value={code}
+                onChange={(event) => setCode(event.target.value)}
+                placeholder="WSC-XXXX-XXXX"
+                aria-label="Certificate ID"
+                autoCapitalize="characters"
+                spellCheck={false}
+                className="font-mono uppercase bg-white"
+            />
+            <Button type="submit" disabled={!code.trim()}>
+                <Search className="h-4 w-4 mr-2" />
+                Verify
+            </Button>
+        </form>
+    )
+}
+
+CertificateLookup.propTypes = {
+    initialCode: PropTypes.string
+}
+
+export default CertificateLookup
@@ -0,0 +1,152 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import PropTypes from 'prop-types'
+import { Loader2, MailCheck } from "lucide-react"
+import { Input } from "@/components/ui/input"
+import { Button } from "@/components/ui/button"
+import {
+    EMAIL_VERIFICATION_REQUIRED,
+    EMAIL_CODE_LENGTH,
+    EMAIL_CODE_RESEND_SECONDS,
+    EMAIL_VERIFICATION_FIELDS,
+    normalizeEmailCode
+} from "@/app/_utils/emailCode"
+
+export const EMAIL_VERIFICATION_STATUS = Object.freeze({
+    IDLE: 'idle',
+    SENDING: 'sending',
+    SENT: 'sent'
+})
+
+/**
+ * State for the email code step of a registration form. A code is tied to
+ * the address it was sent to, so changing the email starts over.
+ * @param {Object} options - Hook options
+ * @param {string} options.email - The email currently in the form
+ * @param {string} [options.eventId] - The event being registered for, named in the email
+ * @returns {Object} - { required, status, code, setCode, error, setError, cooldown, sendCode, missingCode, getFields }
+ */
+export const useEmailVerification = ({ email, eventId }) => {
+    const [status, setStatus] = useState(EMAIL_VERIFICATION_STATUS.IDLE)
+    const [sent, setSent] = useState(null)
+    const [code, setCode] = useState('')
+    const [error, setError] = useState(null)
+    const [cooldown, setCooldown] = useState(0)
+
+    useEffect(() => {
+        if (sent && sent.email !== email?.trim().toLowerCase()) {
+            setSent(null)
+            setCode('')
+            setError(null)
+            setStatus(EMAIL_VERIFICATION_STATUS.IDLE)
+        }
+    }, [email, sent])
+
+    useEffect(() => {
+        if (cooldown <= 0) return
+        const timer = setTimeout(() => setCooldown(current => current - 1), 1000)
+        return () => clearTimeout(timer)
+    }, [cooldown])
+
+    const sendCode = useCallback(async () => {
+        setError(null)
+        setStatus(EMAIL_VERIFICATION_STATUS.SENDING)
+
+        try {
+            const response = await fetch('/api/emailverification', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, eventId })
+            })
+            const result = await response.json()
+            if (!response.ok) throw new Error(result.error || 'Could not send a code')
+
+            setSent({ email: email.trim().toLowerCase(), token: result.token })
+            setCode('')
+            setStatus(EMAIL_VERIFICATION_STATUS.SENT)
+            setCooldown(EMAIL_CODE_RESEND_SECONDS)
+        } catch (sendError) {
+            setError(sendError.message)
+            setStatus(sent ? EMAIL_VERIFICATION_STATUS.SENT : EMAIL_VERIFICATION_STATUS.IDLE)
+        }
+    }, [email, eventId, sent])
+
+    // Fields to send along with the registration
+    const getFields = useCallback(() => sent ? {
+        [EMAIL_VERIFICATION_FIELDS.TOKEN]: sent.token,
+        [EMAIL_VERIFICATION_FIELDS.CODE]: normalizeEmailCode(code)
+    } : {}, [sent, code])
+
+    return {
+        required: EMAIL_VERIFICATION_REQUIRED,
+        status,
+        code,
+        setCode,
+        error,
+        setError,
+        cooldown,
+        sendCode,
+        missingCode: EMAIL_VERIFICATION_REQUIRED && (!sent || normalizeEmailCode(code).length !== EMAIL_CODE_LENGTH),
+        getFields
+    }
+}
+
+// "Send code" and the code input, shown under the email field when verification is on
+const EmailVerification = ({ verification, email, disabled }) => {
+    const { required, status, code, setCode, error, setError, cooldown, sendCode } = verification
+    if (!required) return null
+
+    const canSend = !!email && email.includes('@') && status !== EMAIL_VERIFICATION_STATUS.SENDING && cooldown === 0 && !disabled
+    const sendLabel = status === EMAIL_VERIFICATION_STATUS.IDLE ? 'Send code' : 'Resend code'
+
+    return (
+        <div className="space-y-2 rounded-md border border-gray-200 bg-gray-50 p-3">
+            <p className="flex items-center gap-2 text-xs sm:text-sm text-gray-600">
+                <MailCheck className="h-4 w-4" />
+                {status === EMAIL_VERIFICATION_STATUS.SENT
+                    ? `Enter the ${EMAIL_CODE_LENGTH}-digit code we sent to ${email}.`
+                    : 'We need to verify your email before you can register.'}
+            </p>
+            <div className="flex gap-2">
+                {status !== EMAIL_VERIFICATION_STATUS.IDLE && (
+                    <Input
+                        name={EMAIL_VERIFICATION_FIELDS.CODE}
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        placeholder="Verification code"
+                        maxLength={EMAIL_CODE_LENGTH + 2}
+                        value={code}
+                        onChange={(e) => {
+                            setCode(e.target.value)
+                            setError(null)
+                        }}
+                        disabled={disabled}
+                        className="flex-1"
+                    />
+                )}
+                <Button type="button" variant="outline" onClick={sendCode} disabled={!canSend}>
+                    {status === EMAIL_VERIFICATION_STATUS.SENDING && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    {cooldown > 0 ? `${sendLabel} (${cooldown}s)` : sendLabel}
+                </Button>
+            </div>
+            {error && <p className="text-xs sm:text-sm text-red-600" role="alert">{error}</p>}
+        </div>
+    )
+}
+
+EmailVerification.propTypes = {
+    verification: PropTypes.shape({
+        required: PropTypes.bool.isRequired,
+        status: PropTypes.oneOf(Object.values(EMAIL_VERIFICATION_STATUS)).isRequired,
+        code: PropTypes.string.isRequired,
+        setCode: PropTypes.func.isRequired,
+        error: PropTypes.string,
+        setError: PropTypes.func.isRequired,
+        cooldown: PropTypes.number.isRequired,
+        sendCode: PropTypes.func.isRequired
+    }).isRequired,
+    email: PropTypes.string,
+    disabled: PropTypes.bool
+}
+
+export default EmailVerification
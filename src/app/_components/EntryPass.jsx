@@ -0,0 +1,88 @@
+"use client"
+import { useState, useEffect, memo } from "react"
+import PropTypes from 'prop-types'
+import { Download, Hourglass, Ticket } from "lucide-react"
+import { motion } from "framer-motion"
+
+// Shows the participant's QR entry pass on the form submitted pages
+const EntryPass = ({ token, variants }) => {
+    const [pass, setPass] = useState(null)
+
+    useEffect(() => {
+        if (!token) return
+
+        let cancelled = false
+        const loadPass = async () => {
+            try {
+                const response = await fetch(`/api/entrypass?token=${encodeURIComponent(token)}`)
+                if (!response.ok && response.status !== 409) return
+                const result = await response.json()
+                if (!cancelled) setPass(result)
+            } catch (error) {
+                // The pass is also in the confirmation email, so the page works without it
+                console.error('Failed to load entry pass:', error)
+            }
+        }
+
+        loadPass()
+        return () => { cancelled = true }
+    }, [token])
+
+    if (!pass) return null
+
+    if (pass.waitlisted) {
+        return (
+            <motion.div
+                variants={variants}
+                initial="hidden"
+                animate="visible"
+                className="bg-amber-50 border border-amber-100 p-4 rounded-lg sm:rounded-xl mb-4 sm:mb-5 md:mb-6"
+            >
+                <p className="flex items-center justify-center text-sm sm:text-base font-semibold text-gray-800 mb-2">
+                    <Hourglass className="h-4 w-4 mr-2 text-amber-600" />
+                    You&apos;re on the Waitlist{pass.position ? ` (#${pass.position})` : ''}
+                </p>
+                <p className="text-xs sm:text-sm text-gray-600">
+                    {pass.event?.name || 'This event'} is full right now. If a spot opens up we will confirm your
+                    registration and email you your entry pass.
+                </p>
+            </motion.div>
+        )
+    }
+
+    return (
+        <motion.div
+            variants={variants}
+            initial="hidden"
+            animate="visible"
+            className="bg-indigo-50 border border-indigo-100 p-4 rounded-lg sm:rounded-xl mb-4 sm:mb-5 md:mb-6"
+        >
+            <p className="flex items-center justify-center text-sm sm:text-base font-semibold text-gray-800 mb-2">
+                <Ticket className="h-4 w-4 mr-2 text-indigo-600" />
+                Your Entry Pass
+            </p>
+            <img
+                src={pass.qrCode}
+                alt={`Entry pass QR code ${pass.passId}`}
+                className="w-40 h-40 sm:w-48 sm:h-48 mx-auto rounded-md bg-white p-2"
+            />
+            <p className="font-mono text-base sm:text-lg font-bold text-indigo-600 tracking-wider mt-2">{pass.passId}</p>
+            <p className="text-xs sm:text-sm text-gray-500 mb-3">Show this at the entrance along with your college ID.</p>
+            <a
+                href={`/api/entrypass?token=${encodeURIComponent(token)}&format=pdf`}
+                download
+                className="inline-flex items-center text-xs sm:text-sm font-medium text-indigo-600 hover:text-indigo-700"
+            >
+                <Download className="h-4 w-4 mr-1" />
+                Download PDF
+            </a>
+        </motion.div>
+    )
+}
+
+EntryPass.propTypes = {
+    token: PropTypes.string,
+    variants: PropTypes.object
+}
+
+export default memo(EntryPass)
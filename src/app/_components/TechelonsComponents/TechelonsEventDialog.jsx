@@ -5,6 +5,7 @@ import PropTypes from 'prop-types'
 import {
   BookOpen,
   Calendar,
+  CalendarPlus,
   CheckCircle,
   Clock,
   Code,
@@ -41,7 +42,9 @@ import {
   EVENT_IMAGES,
   getEffectiveRegistrationStatus,
   FEST_DAYS,
+  REGISTRATION_STATUS,
 } from "@/app/_data/techelonsEventsData"
+import { usePublishedResults, WinnerList } from "@/app/_components/TechelonsComponents/TechelonsWinners"
 
 // Constants
 const SHARE_SUCCESS_TIMEOUT = 2000;
@@ -292,6 +295,9 @@ const EventModal = memo(({ event, isOpen, onClose }) => {
   const imagePath = useMemo(() => (event ? getImagePath(event.image) : null), [event?.image]);
   const categoryStyle = useMemo(() => (event ? getCategoryStyle(event.category) : null), [event?.category]);
   const formattedEventDateTime = useMemo(() => (event ? formatEventDateTime(event) : null), [event]);
+  const registrationStatus = getEffectiveRegistrationStatus(event);
+  const publishedResults = usePublishedResults(event?.id, isOpen && !!event?.id);
+  const eventResults = publishedResults?.find(result => result.eventId === event?.id);
 
   const { formattedDate, formattedTime, dayOfWeek } = formattedEventDateTime || {
     formattedDate: null,
@@ -519,7 +525,7 @@ const EventModal = memo(({ event, isOpen, onClose }) => {
                       <div>
                         <div className="font-medium">Registration</div>
                         <div className="flex items-center">
-                          <RegistrationStatus status={event.registrationStatus} />
+                          <RegistrationStatus status={registrationStatus} />
                         </div>
                       </div>
                     </div>
@@ -546,6 +552,18 @@ const EventModal = memo(({ event, isOpen, onClose }) => {
               {/* Team size */}
               {renderTeamSize}
 
+              {/* Results, once published */}
+              {eventResults && (
+                <div>
+                  <SectionHeading icon={<Trophy className={ICON_SIZE} />}>Results</SectionHeading>
+                  <Card className="border-amber-200/80 dark:border-amber-800/80 shadow-sm bg-gradient-to-br from-amber-50/90 via-yellow-50/90 to-orange-50/90 dark:from-amber-950/40 dark:via-yellow-950/40 dark:to-orange-950/40">
+                    <CardContent className="p-3 sm:p-4">
+                      <WinnerList winners={eventResults.winners} />
+                    </CardContent>
+                  </Card>
+                </div>
+              )}
+
               {/* Prizes */}
               {event.prizes && (
                 <div>
@@ -625,15 +643,27 @@ const EventModal = memo(({ event, isOpen, onClose }) => {
 
               {/* Action buttons */}
               <div className="flex flex-col sm:flex-row gap-3 pt-2 sticky bottom-0 bg-background/95 backdrop-blur-sm py-3 -mx-4 -mb-4 sm:-mx-6 sm:-mb-6 px-4 sm:px-6 border-t">
-                {event.registrationStatus !== "closed" && (
+                {registrationStatus !== REGISTRATION_STATUS.CLOSED && (
                   <Button
                     onClick={handleRegister}
                     className="flex-1 bg-primary hover:bg-primary/90 h-10 sm:h-11 touch-manipulation"
                   >
-                    {event.registrationStatus === "open" ? "Register Now" : "Notify Me"}
+                    {registrationStatus === REGISTRATION_STATUS.OPEN ? "Register Now" : "Notify Me"}
                     <ArrowRight className="ml-2 h-4 w-4" />
                   </Button>
                 )}
+                {event.time && (
+                  <Button
+                    asChild
+                    variant="outline"
+                    className="flex-1 h-10 sm:h-11 touch-manipulation"
+                  >
+                    <a href={`/api/calendar/${encodeURIComponent(event.id)}`} download>
+                      <CalendarPlus className="mr-2 h-4 w-4" />
+                      Add to Calendar
+                    </a>
+                  </Button>
+                )}
                 <Button
                   onClick={handleShare}
                   variant="outline"
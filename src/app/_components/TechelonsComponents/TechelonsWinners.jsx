@@ -0,0 +1,128 @@
+"use client";
+
+import { useState, useEffect, memo } from "react";
+import Link from "next/link";
+import PropTypes from 'prop-types';
+import { ArrowRight, Trophy } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+
+// Trophy colours for the first three places, in prize order
+const PLACE_COLORS = ["text-amber-500", "text-slate-400", "text-orange-600"];
+
+/**
+ * Load published results from /api/results
+ * @param {string} [eventId] - Only this event's results
+ * @param {boolean} [enabled] - Set to false to wait, e.g. until a dialog opens
+ * @returns {Object[]|null} - Published events with their winners, or null while loading
+ */
+export const usePublishedResults = (eventId, enabled = true) => {
+    const [events, setEvents] = useState(null);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        let cancelled = false;
+        const loadResults = async () => {
+            try {
+                const query = eventId ? `?eventId=${encodeURIComponent(eventId)}` : "";
+                const response = await fetch(`/api/results${query}`);
+                const result = response.ok ? await response.json() : { events: [] };
+                if (!cancelled) setEvents(result.events);
+            } catch (error) {
+                // Results are extra information, so the page works without them
+                console.error('Failed to load results:', error);
+                if (!cancelled) setEvents([]);
+            }
+        };
+
+        loadResults();
+        return () => { cancelled = true; };
+    }, [eventId, enabled]);
+
+    return events;
+};
+
+// The winners of one event, in prize order
+export const WinnerList = memo(({ winners }) => {
+    const places = [...new Set(winners.map(winner => winner.position))];
+
+    return (
+        <ul className="space-y-3">
+            {winners.map((winner, index) => (
+                <li key={index} className="flex items-start gap-3">
+                    <Trophy className={`h-5 w-5 mt-0.5 flex-shrink-0 ${PLACE_COLORS[places.indexOf(winner.position)] || "text-indigo-500"}`} />
+                    <div className="min-w-0">
+                        <p className="font-semibold text-gray-900 text-sm sm:text-base">
+                            {winner.position}
+                            {winner.reward && <span className="font-normal text-gray-500 text-xs sm:text-sm"> · {winner.reward}</span>}
+                        </p>
+                        <p className="text-gray-700 text-sm break-words">{winner.names.join(", ")}</p>
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+});
+WinnerList.displayName = "WinnerList";
+
+WinnerList.propTypes = {
+    winners: PropTypes.arrayOf(PropTypes.shape({
+        position: PropTypes.string.isRequired,
+        reward: PropTypes.string,
+        names: PropTypes.arrayOf(PropTypes.string).isRequired
+    })).isRequired
+};
+
+// Winners of every event whose results are published. Renders nothing, title
+// included, until there are some, unless emptyMessage is given.
+const TechelonsWinners = ({ title, limit, emptyMessage }) => {
+    const events = usePublishedResults();
+
+    if (!events) return null;
+    if (events.length === 0) {
+        return emptyMessage ? <p className="text-center text-gray-600 py-12">{emptyMessage}</p> : null;
+    }
+
+    const shown = limit ? events.slice(0, limit) : events;
+
+    return (
+        <div className="max-w-6xl mx-auto px-4 py-8">
+            {title && (
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl sm:text-4xl md:text-5xl font-black tracking-wide text-gray-900">{title}</h2>
+                    <div className="h-1.5 w-20 sm:w-24 bg-gradient-to-r from-amber-400 to-orange-500 mx-auto mt-2 md:mt-3 rounded-full"></div>
+                </div>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+                {shown.map(event => (
+                    <Card key={event.eventId} className="border-amber-200/80 shadow-sm bg-gradient-to-br from-amber-50/90 via-yellow-50/60 to-white">
+                        <CardContent className="p-4 sm:p-6">
+                            <h3 className="text-lg font-bold text-gray-900 mb-4">{event.eventName}</h3>
+                            <WinnerList winners={event.winners} />
+                        </CardContent>
+                    </Card>
+                ))}
+            </div>
+
+            {limit && (
+                <div className="text-center mt-6">
+                    <Link
+                        href="/techelons/winners"
+                        className="inline-flex items-center font-medium text-indigo-600 hover:text-indigo-700"
+                    >
+                        {events.length > shown.length ? `See all ${events.length} events' winners` : "See the winners page"}
+                        <ArrowRight className="h-4 w-4 ml-1" />
+                    </Link>
+                </div>
+            )}
+        </div>
+    );
+};
+
+TechelonsWinners.propTypes = {
+    title: PropTypes.string,
+    limit: PropTypes.number,
+    emptyMessage: PropTypes.string
+};
+
+export default memo(TechelonsWinners);
@@ -8,16 +8,28 @@
 
 import { MemoryCache, memoizeWithTTL } from '@/app/_utils/performanceUtils';
 
-// MASTER SWITCH: Set to false to force close all registrations regardless of other settings
-export const REGISTRATION_ENABLED = false;
+// MASTER SWITCH: Registrations stay closed regardless of their registration
+// windows unless NEXT_PUBLIC_REGISTRATION_ENABLED is set to "true"
+export const REGISTRATION_ENABLED = process.env.NEXT_PUBLIC_REGISTRATION_ENABLED === 'true';
 
 // Techelons Fest Dates - EDIT THESE FOR FUTURE EVENTS
 export const FEST_DATES = {
   DAY_1: "April 10, 2025",
-  DAY_2: "April 11, 2025",
-  REGISTRATION_DEADLINE: "April 8, 2025"
+  DAY_2: "April 11, 2025"
 };
 
+// Timezone the fest runs in, used to display registration windows
+export const FEST_TIMEZONE = "Asia/Kolkata";
+// UTC offset of FEST_TIMEZONE, used to turn event dates and times into instants
+export const FEST_UTC_OFFSET = "+05:30";
+
+// Default registration window for every event. Timestamps are ISO 8601 with
+// an explicit offset so they mean the same instant on the server and in any browser.
+export const REGISTRATION_WINDOW = Object.freeze({
+  OPENS_AT: "2025-03-15T00:00:00+05:30",
+  CLOSES_AT: "2025-04-08T23:59:59+05:30"
+});
+
 // Date utilities for consistent date handling
 export const DATE_UTILS = {
   // Parse a date string into a Date object
@@ -99,6 +111,21 @@ export const DATE_UTILS = {
     }
   },
 
+  // Format a timestamp in the fest timezone (e.g., "8 April 2025, 11:59 pm IST")
+  formatDateTime: (value) => {
+    const date = value instanceof Date ? value : DATE_UTILS.parseDate(value);
+    if (!date) return "To be announced";
+
+    return `${date.toLocaleString('en-IN', {
+      timeZone: FEST_TIMEZONE,
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })} IST`;
+  },
+
   // Get days remaining until a date
   getDaysRemaining: (dateString) => {
     try {
@@ -182,6 +209,19 @@ export const REGISTRATION_STATUS = Object.freeze({
   COMING_SOON: 'coming-soon'
 });
 
+// Why the registration routes refused a registration, so the pages can explain it
+export const REGISTRATION_ERROR_TYPES = Object.freeze({
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+  REGISTRATION_NOT_OPEN: 'REGISTRATION_NOT_OPEN',
+  REGISTRATION_CLOSED: 'REGISTRATION_CLOSED'
+});
+
+// What an event's capacity counts: whole teams or individual participants
+export const CAPACITY_UNITS = Object.freeze({
+  TEAMS: 'teams',
+  SEATS: 'seats'
+});
+
 // Techelons Fest Days
 export const FEST_DAYS = Object.freeze({
   DAY_1: 'day1',
@@ -200,12 +240,19 @@ export const FEST_DAYS = Object.freeze({
  * - difficulty: Difficulty level from EVENT_DIFFICULTY
  * - teamSize: Min and max team size (including the main participant)
  * - venue: Event venue (string or "TBA")
+ * - capacity: { max, unit } with unit from CAPACITY_UNITS, or null for no limit.
+ *   Registrations beyond it go on a waitlist.
  * - festDay: Day of the Techelons fest (day1 = April 10, day2 = April 11)
  * - date: Specific date of the event (if different from festDay date)
  * - time: Start time of the event (e.g., "09:00 AM")
  * - duration: Duration of the event (e.g., "2 hours")
- * - registrationStatus: Status from REGISTRATION_STATUS
- * - prizes: Array of prize information
+ * - opensAt / closesAt: Registration window as ISO 8601 timestamps with an offset.
+ *   The registration status is computed from these and the clock, see
+ *   getEffectiveRegistrationStatus.
+ * - prizes: Array of prize information. Positions other than "Participation"
+ *   are the places that can be given in the results.
+ * - certificate: Optional changes to the certificate template, e.g. its
+ *   titles, body text or signatories (see src/app/_utils/certificates.js)
  * - coordinators: Array of coordinator contact information
  * - rules: Array of event rules
  * - instructions: Special instructions for participants
@@ -222,11 +269,13 @@ export const TECHELONS_EVENTS = [
     speaker: "Dr. Amit Kumar, University of Delhi",
     teamSize: { min: 1, max: 1 },
     venue: "Main Auditorium",
+    capacity: { max: 200, unit: CAPACITY_UNITS.SEATS },
     festDay: FEST_DAYS.DAY_1,
     date: FEST_DATES.DAY_1,
     time: "10:00 AM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "Participation", reward: "Certificate of Participation" }
     ],
@@ -250,11 +299,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.TECHNICAL,
     teamSize: { min: 1, max: 1 },
     venue: "Computer Lab 1",
+    capacity: { max: 40, unit: CAPACITY_UNITS.SEATS },
     festDay: FEST_DAYS.DAY_1,
     date: FEST_DATES.DAY_1,
     time: "02:00 PM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹5,000 + Certificate" },
       { position: "2nd", reward: "₹3,000 + Certificate" },
@@ -281,11 +332,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.CREATIVE,
     teamSize: { min: 2, max: 2 },
     venue: "CS Lab 3",
+    capacity: { max: 20, unit: CAPACITY_UNITS.TEAMS },
     festDay: FEST_DAYS.DAY_2,
     date: FEST_DATES.DAY_2,
     time: "10:00 AM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹6,000 + Certificate" },
       { position: "2nd", reward: "₹4,000 + Certificate" },
@@ -312,11 +365,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.GAMING,
     teamSize: { min: 1, max: 4 },
     venue: "Gaming Arena",
+    capacity: { max: 16, unit: CAPACITY_UNITS.TEAMS },
     festDay: FEST_DAYS.DAY_2,
     date: FEST_DATES.DAY_2,
     time: "02:00 PM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹8,000 + Gaming Peripherals + Certificate" },
       { position: "2nd", reward: "₹5,000 + Certificate" },
@@ -343,11 +398,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.TECHNICAL,
     teamSize: { min: 1, max: 1 },
     venue: "Computer Lab 2",
+    capacity: { max: 40, unit: CAPACITY_UNITS.SEATS },
     festDay: FEST_DAYS.DAY_1,
     date: FEST_DATES.DAY_1,
     time: "10:00 AM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹7,000 + Certificate" },
       { position: "2nd", reward: "₹4,000 + Certificate" },
@@ -374,11 +431,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.CREATIVE,
     teamSize: { min: 1, max: 1 },
     venue: "Design Lab",
+    capacity: { max: 30, unit: CAPACITY_UNITS.SEATS },
     festDay: FEST_DAYS.DAY_2,
     date: FEST_DATES.DAY_2,
     time: "10:00 AM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹4,000 + Certificate" },
       { position: "2nd", reward: "₹2,500 + Certificate" },
@@ -406,11 +465,13 @@ export const TECHELONS_EVENTS = [
     category: EVENT_CATEGORIES.CREATIVE,
     teamSize: { min: 1, max: 1 },
     venue: "Virtual",
+    capacity: null,
     festDay: FEST_DAYS.DAY_1,
     date: FEST_DATES.DAY_1,
     time: "10:00 AM",
     duration: "2 hours",
-    registrationStatus: REGISTRATION_STATUS.OPEN,
+    opensAt: REGISTRATION_WINDOW.OPENS_AT,
+    closesAt: REGISTRATION_WINDOW.CLOSES_AT,
     prizes: [
       { position: "1st", reward: "₹5,000 + Certificate" },
       { position: "2nd", reward: "₹3,000 + Certificate" },
@@ -451,7 +512,7 @@ export const WHATSAPP_GROUP_LINKS = {
 // Required fields for a complete event
 const REQUIRED_EVENT_FIELDS = Object.freeze([
   'id', 'name', 'shortDescription', 'description', 'category',
-  'teamSize', 'venue', 'festDay', 'registrationStatus',
+  'teamSize', 'venue', 'festDay', 'opensAt', 'closesAt',
   'prizes', 'coordinators', 'rules', 'instructions'
 ]);
 
@@ -533,18 +594,8 @@ export const getEventsByCategory = (category) => {
  * @returns {Array} - Array of events with the specified registration status
  */
 export const getEventsByStatus = (status) => {
-  // If master switch is off and we're looking for open events, return empty array
-  if (!REGISTRATION_ENABLED && status === REGISTRATION_STATUS.OPEN) {
-    return [];
-  }
-
-  // If master switch is off and we're looking for closed events, return all events
-  if (!REGISTRATION_ENABLED && status === REGISTRATION_STATUS.CLOSED) {
-    return [...TECHELONS_EVENTS];
-  }
-
-  // Otherwise, filter by the registration status
-  return filterEventsByProperty('registrationStatus', status);
+  // Statuses depend on the clock, so they are not cached
+  return TECHELONS_EVENTS.filter(event => getEffectiveRegistrationStatus(event) === status);
 };
 
 /**
@@ -557,28 +608,23 @@ export const getTeamSizeRequirements = (eventId) => {
   return event ? event.teamSize : null;
 };
 
+/**
+ * Get the capacity of an event
+ * @param {string} eventId - The event ID to look up
+ * @returns {Object|null} - { max, unit } or null if the event has no limit
+ */
+export const getEventCapacity = (eventId) => {
+  const event = getEventById(eventId);
+  return event?.capacity || null;
+};
+
 /**
  * Get all events with open registration
  * @returns {Array} - Array of events with open registration
  */
-export const getOpenRegistrationEvents = memoizeWithTTL(() => {
-  const cacheKey = 'open_registration_events';
-  const cachedEvents = eventCache.get(cacheKey);
-  if (cachedEvents) return cachedEvents;
-
-  // Master switch check
-  if (!REGISTRATION_ENABLED) {
-    eventCache.set(cacheKey, []);
-    return [];
-  }
-
-  const openEvents = TECHELONS_EVENTS.filter(event =>
-    event.registrationStatus === REGISTRATION_STATUS.OPEN
-  );
-
-  eventCache.set(cacheKey, openEvents);
-  return openEvents;
-}, { ttlMs: 3600000 }); // 1 hour TTL
+export const getOpenRegistrationEvents = () => {
+  return getEventsByStatus(REGISTRATION_STATUS.OPEN);
+};
 
 /**
  * Get coordinators for an event
@@ -657,28 +703,14 @@ export const getWhatsAppGroupLink = (eventId) => {
  * Get events formatted for form selection
  * @returns {Array} - Array of events formatted for form selection
  */
-export const getEventsForForm = memoizeWithTTL(() => {
-  // If master switch is off, return empty array as no events are open for registration
-  if (!REGISTRATION_ENABLED) {
-    return [];
-  }
-
-  const cacheKey = 'events_for_form';
-  const cachedEvents = eventCache.get(cacheKey);
-  if (cachedEvents) return cachedEvents;
-
-  const formattedEvents = TECHELONS_EVENTS
-    .filter(event => event.registrationStatus === REGISTRATION_STATUS.OPEN)
-    .map(event => ({
-      id: event.id,
-      name: event.name,
-      category: event.category,
-      teamSize: event.teamSize
-    }));
-
-  eventCache.set(cacheKey, formattedEvents);
-  return formattedEvents;
-}, { ttlMs: 3600000 }); // 1 hour TTL
+export const getEventsForForm = () => {
+  return getOpenRegistrationEvents().map(event => ({
+    id: event.id,
+    name: event.name,
+    category: event.category,
+    teamSize: event.teamSize
+  }));
+};
 
 /**
  * Clear all cached data
@@ -688,26 +720,21 @@ export const clearCache = () => {
 };
 
 /**
- * Check if global registration is open based on master switch and deadline
+ * Check if Techelons registration is open, i.e. at least one event is
+ * taking registrations right now
+ * @param {Date} [now] - The current time
  * @returns {boolean} - Whether global registration is open
  */
-export const isRegistrationOpen = memoizeWithTTL(() => {
-  // Check master switch - if it's off, all registrations are closed
-  if (!REGISTRATION_ENABLED) return false;
-
-  // Check registration deadline
-  const deadline = DATE_UTILS.parseDate(FEST_DATES.REGISTRATION_DEADLINE);
-  if (!deadline) return true; // If no deadline is set, registration is open
-
-  const now = new Date();
-  return now <= deadline;
-}, { ttlMs: 60000 }); // 1 minute TTL
+export const isRegistrationOpen = (now = new Date()) => {
+  return TECHELONS_EVENTS.some(event => getEffectiveRegistrationStatus(event, now) === REGISTRATION_STATUS.OPEN);
+};
 
 /**
  * Get global registration status message
+ * @param {Date} [now] - The current time
  * @returns {Object} - Registration status message
  */
-export const getRegistrationStatusMessage = memoizeWithTTL(() => {
+export const getRegistrationStatusMessage = (now = new Date()) => {
   // If master switch is off, all registrations are closed
   if (!REGISTRATION_ENABLED) {
     return {
@@ -716,28 +743,41 @@ export const getRegistrationStatusMessage = memoizeWithTTL(() => {
     };
   }
 
-  const deadline = DATE_UTILS.parseDate(FEST_DATES.REGISTRATION_DEADLINE);
-  if (!deadline) {
-    return {
-      open: true,
-      message: "Registration is open."
-    };
-  }
+  const windows = TECHELONS_EVENTS.map(getRegistrationWindow);
+  const openWindows = windows.filter(eventWindow => getRegistrationWindowStatus(eventWindow, now) === REGISTRATION_STATUS.OPEN);
+
+  if (openWindows.length > 0) {
+    // The last event to close decides when Techelons registration ends
+    const closesAt = openWindows
+      .map(eventWindow => DATE_UTILS.parseDate(eventWindow.closesAt))
+      .reduce((latest, date) => (!latest || (date && date > latest) ? date : latest), null);
+    if (!closesAt) {
+      return { open: true, message: "Registration is open." };
+    }
 
-  const now = new Date();
-  if (now <= deadline) {
-    const daysRemaining = DATE_UTILS.getDaysRemaining(FEST_DATES.REGISTRATION_DEADLINE);
+    const daysRemaining = Math.max(0, Math.ceil((closesAt - now) / (1000 * 60 * 60 * 24)));
     return {
       open: true,
       message: `Registration is open. Closes in ${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}.`
     };
-  } else {
+  }
+
+  const opensAt = windows
+    .map(eventWindow => DATE_UTILS.parseDate(eventWindow.opensAt))
+    .filter(date => date && date > now)
+    .sort((a, b) => a - b)[0];
+  if (opensAt) {
     return {
       open: false,
-      message: "Registration is closed. The deadline has passed."
+      message: `Registration opens on ${DATE_UTILS.formatDateTime(opensAt)}.`
     };
   }
-}, { ttlMs: 60000 }); // 1 minute TTL
+
+  return {
+    open: false,
+    message: "Registration is closed. The deadline has passed."
+  };
+};
 
 /**
  * Get events by fest day
@@ -760,21 +800,57 @@ export const getEventsByFestDay = memoizeWithTTL((day) => {
 }, { ttlMs: 3600000 }); // 1 hour TTL
 
 /**
- * Get the effective registration status for an event, taking into account the master switch
- * @param {Object} event - The event object or event registration status
- * @returns {string} - The effective registration status (OPEN, CLOSED, or COMING_SOON)
+ * Get the registration window of an event, falling back to REGISTRATION_WINDOW
+ * @param {Object} event - The event object
+ * @returns {Object} - { opensAt, closesAt } as ISO 8601 timestamps
  */
-export const getEffectiveRegistrationStatus = memoizeWithTTL((event) => {
-  // If master switch is off, all registrations are closed regardless of individual event status
+export const getRegistrationWindow = (event) => ({
+  opensAt: event?.opensAt || REGISTRATION_WINDOW.OPENS_AT,
+  closesAt: event?.closesAt || REGISTRATION_WINDOW.CLOSES_AT
+});
+
+/**
+ * Get the registration status of a window at a point in time. Shared with
+ * the workshop, which has its own window.
+ * @param {Object} window - { opensAt, closesAt }; either may be missing for no limit
+ * @param {Date} [now] - The current time
+ * @returns {string} - OPEN, CLOSED or COMING_SOON from REGISTRATION_STATUS
+ */
+export const getRegistrationWindowStatus = ({ opensAt, closesAt } = {}, now = new Date()) => {
+  // If master switch is off, all registrations are closed regardless of their windows
   if (!REGISTRATION_ENABLED) {
     return REGISTRATION_STATUS.CLOSED;
   }
 
-  // If event is a string (status), return it directly
+  const opens = DATE_UTILS.parseDate(opensAt);
+  if (opens && now < opens) {
+    return REGISTRATION_STATUS.COMING_SOON;
+  }
+
+  const closes = DATE_UTILS.parseDate(closesAt);
+  if (closes && now > closes) {
+    return REGISTRATION_STATUS.CLOSED;
+  }
+
+  return REGISTRATION_STATUS.OPEN;
+};
+
+/**
+ * Get the effective registration status for an event from its registration
+ * window and the clock, taking into account the master switch
+ * @param {Object|string} event - The event object, or a registration status to pass through
+ * @param {Date} [now] - The current time
+ * @returns {string} - The effective registration status (OPEN, CLOSED, or COMING_SOON)
+ */
+export const getEffectiveRegistrationStatus = (event, now = new Date()) => {
+  // If event is a string (status), return it directly unless the master switch is off
   if (typeof event === 'string') {
-    return event;
+    return REGISTRATION_ENABLED ? event : REGISTRATION_STATUS.CLOSED;
+  }
+
+  if (!event) {
+    return REGISTRATION_STATUS.CLOSED;
   }
 
-  // Otherwise, return the event's registration status
-  return event?.registrationStatus || REGISTRATION_STATUS.CLOSED;
-}, { ttlMs: 60000 }); // 1 minute TTL
\ No newline at end of file
+  return getRegistrationWindowStatus(getRegistrationWindow(event), now);
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { sendEmail } from '@/app/_utils/mail';
+import { ANNOUNCEMENT_STATUS, listAnnouncements, retryAnnouncement, sendAnnouncement } from '@/app/_utils/announcements';
+import { EmailOutbox, OUTBOX_STATUS } from '@/app/_utils/emailOutbox';
+import { FileStorage } from '@/app/_utils/storage/FileStorage';
+import { REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage/RegistrationStorage';
+
+vi.mock('@/app/_utils/mail', () => ({ sendEmail: vi.fn() }));
+
+const EVENT_ID = 'ai-artistry';
+const ANNOUNCEMENT = { eventId: EVENT_ID, subject: 'Venue moved', message: 'We are in Lab 2 now.' };
+
+describe('sendAnnouncement', () => {
+    let baseDir;
+    let storage;
+
+    beforeEach(async () => {
+        baseDir = await mkdtemp(path.join(os.tmpdir(), 'announcements-'));
+        storage = new FileStorage(baseDir);
+        sendEmail.mockReset();
+
+        await storage.appendRegistration({
+            eventId: EVENT_ID,
+            name: 'Lead',
+            email: 'lead@example.com',
+            status: REGISTRATION_RECORD_STATUS.REGISTERED,
+            teamMembers: [{ name: 'Member', email: 'member@example.com' }]
+        });
+    });
+
+    afterEach(async () => {
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('queues one email per person without sending any', async () => {
+        const announcement = await sendAnnouncement(storage, ANNOUNCEMENT);
+
+        expect(sendEmail).not.toHaveBeenCalled();
+        expect(announcement).toMatchObject({ status: ANNOUNCEMENT_STATUS.SENDING, total: 2, sent: 0 });
+
+        const emails = await new EmailOutbox(storage).load();
+        expect(emails.map(email => email.to).sort()).toEqual(['lead@example.com', 'member@example.com']);
+        expect(emails.every(email => email.announcementId === announcement.id && email.status === OUTBOX_STATUS.PENDING)).toBe(true);
+    });
+
+    it('reports progress from the outbox and retries failed emails', async () => {
+        const { id } = await sendAnnouncement(storage, ANNOUNCEMENT);
+        const outbox = new EmailOutbox(storage);
+
+        sendEmail.mockResolvedValue({ success: true });
+        await outbox.processDue();
+        await outbox.update(emails => {
+            // As if the member's email had failed every retry
+            const member = emails.find(email => email.to === 'member@example.com');
+            Object.assign(member, { status: OUTBOX_STATUS.DEAD, lastError: 'Mailbox full' });
+        });
+
+        const [partial] = await listAnnouncements(storage);
+        expect(partial).toMatchObject({
+            id,
+            status: ANNOUNCEMENT_STATUS.PARTIAL,
+            sent: 1,
+            failures: [{ email: 'member@example.com', error: 'Mailbox full' }]
+        });
+
+        expect(await retryAnnouncement(storage, id)).toMatchObject({ status: ANNOUNCEMENT_STATUS.SENDING, failures: [] });
+        await expect(retryAnnouncement(storage, id)).rejects.toMatchObject({ status: 400 });
+    });
+});
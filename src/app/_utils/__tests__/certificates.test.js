@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CertificateRegistry, CERTIFICATE_STATUS, CERTIFICATE_TYPES, issueCertificates, verifyCertificate } from '@/app/_utils/certificates';
+import { ResultsStore, getPublishedResults, publishEventResults, saveEventResults } from '@/app/_utils/eventResults';
+import { FileStorage } from '@/app/_utils/storage/FileStorage';
+import { REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage/RegistrationStorage';
+
+// ai-artistry awards 1st, 2nd and 3rd
+const EVENT_ID = 'ai-artistry';
+
+describe('results and certificates in registration storage', () => {
+    let baseDir;
+    let storage;
+    let registration;
+
+    beforeEach(async () => {
+        baseDir = await mkdtemp(path.join(os.tmpdir(), 'certificates-'));
+        storage = new FileStorage(baseDir);
+        registration = await storage.appendRegistration({
+            eventId: EVENT_ID,
+            name: 'Lead',
+            email: 'lead@example.com',
+            status: REGISTRATION_RECORD_STATUS.REGISTERED,
+            teamMembers: [{ name: 'Member', email: 'member@example.com' }]
+        });
+    });
+
+    afterEach(async () => {
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('issues winner certificates from saved results', async () => {
+        await saveEventResults(storage, EVENT_ID, [{ registrationId: registration.id, position: '1st' }]);
+        expect(await issueCertificates(storage, EVENT_ID)).toEqual({ issued: 2, replaced: 0, unchanged: 0 });
+
+        const certificates = await new CertificateRegistry(storage).list({ eventId: EVENT_ID });
+        expect(certificates.map(certificate => certificate.name).sort()).toEqual(['Lead', 'Member']);
+        expect(certificates.every(certificate => certificate.type === CERTIFICATE_TYPES.WINNER)).toBe(true);
+
+        const found = await new CertificateRegistry(storage).find(certificates[0].code.toLowerCase());
+        expect(found?.code).toBe(certificates[0].code);
+    });
+
+    it('verifies codes from the registration storage and reports storage errors', async () => {
+        await saveEventResults(storage, EVENT_ID, [{ registrationId: registration.id, position: '1st' }]);
+        await issueCertificates(storage, EVENT_ID);
+        const [certificate] = await new CertificateRegistry(storage).load();
+
+        expect(await verifyCertificate(storage, certificate.code)).toMatchObject({ status: CERTIFICATE_STATUS.VALID });
+        expect(await verifyCertificate(storage, 'WSC-AAAA-AAAA')).toBeNull();
+
+        storage.listCollection = async () => {
+            throw Object.assign(new Error('Sheets is down'), { type: 'STORAGE_ERROR' });
+        };
+        await expect(verifyCertificate(storage, certificate.code)).rejects.toMatchObject({ type: 'STORAGE_ERROR' });
+    });
+
+    it('shows results on the public pages once published', async () => {
+        await saveEventResults(storage, EVENT_ID, [{ registrationId: registration.id, position: '1st' }]);
+        expect(await getPublishedResults(storage)).toEqual([]);
+
+        await publishEventResults(storage, EVENT_ID, true);
+        const [event] = await getPublishedResults(storage);
+        expect(event).toMatchObject({ eventId: EVENT_ID, winners: [{ position: '1st', names: ['Lead', 'Member'] }] });
+    });
+
+    it('reads results saved before they were a collection', async () => {
+        await writeFile(path.join(baseDir, 'results.json'), JSON.stringify({
+            events: {
+                [EVENT_ID]: {
+                    results: [{ registrationId: registration.id, position: '1st' }],
+                    updatedAt: '2025-03-20T10:00:00.000Z',
+                    publishedAt: null
+                }
+            }
+        }));
+
+        expect((await new ResultsStore(storage).get(EVENT_ID)).results).toHaveLength(1);
+    });
+});
@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { sendEmail } from '@/app/_utils/mail';
+import { EmailOutbox, OUTBOX_STATUS } from '@/app/_utils/emailOutbox';
+import { FileStorage } from '@/app/_utils/storage/FileStorage';
+
+vi.mock('@/app/_utils/mail', () => ({ sendEmail: vi.fn() }));
+
+const MESSAGE = { to: 'a@example.com', subject: 'Registration confirmed', html: '<p>Hi</p>', text: 'Hi' };
+
+describe('EmailOutbox', () => {
+    let baseDir;
+    let outbox;
+
+    beforeEach(async () => {
+        baseDir = await mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+        outbox = new EmailOutbox(new FileStorage(baseDir));
+        sendEmail.mockReset();
+    });
+
+    afterEach(async () => {
+        vi.useRealTimers();
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('keeps a failed email in the registration storage for a retry', async () => {
+        sendEmail.mockResolvedValue({ success: false, error: 'Rejected' });
+        const entry = await outbox.add(MESSAGE);
+        await outbox.deliver(entry);
+
+        // A fresh storage on the same directory sees it, as another instance would
+        const [stored] = await new EmailOutbox(new FileStorage(baseDir)).load();
+        expect(stored).toMatchObject({ id: entry.id, status: OUTBOX_STATUS.PENDING, attempts: 1, lastError: 'Rejected' });
+    });
+
+    it('sends due emails and drops their content once sent', async () => {
+        sendEmail.mockResolvedValueOnce({ success: false, error: 'Rejected' });
+        await outbox.deliver(await outbox.add(MESSAGE));
+
+        // Not due until the first retry delay has passed
+        sendEmail.mockResolvedValue({ success: true });
+        expect(await outbox.processDue()).toEqual({ attempted: 0, sent: 0 });
+
+        vi.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, toFake: ['Date'] });
+        expect(await outbox.processDue()).toEqual({ attempted: 1, sent: 1 });
+
+        const [stored] = await outbox.load();
+        expect(stored.status).toBe(OUTBOX_STATUS.SENT);
+        expect(stored.html).toBeUndefined();
+        expect(sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({ html: '<p>Hi</p>' }));
+    });
+
+    it('leaves emails that are being sent alone', async () => {
+        const entry = await outbox.add(MESSAGE);
+        await outbox.processDue();
+
+        expect(sendEmail).not.toHaveBeenCalled();
+        expect((await outbox.load())[0]).toMatchObject({ id: entry.id, status: OUTBOX_STATUS.SENDING });
+    });
+
+    it('puts emails back in line when the time limit runs out', async () => {
+        sendEmail.mockResolvedValue({ success: false, error: 'Rejected' });
+        for (let i = 0; i < 6; i++) await outbox.deliver(await outbox.add(MESSAGE));
+
+        vi.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, toFake: ['Date'] });
+        sendEmail.mockImplementation(async () => {
+            vi.setSystemTime(Date.now() + 1000);
+            return { success: true };
+        });
+
+        expect(await outbox.processDue({ timeLimitMs: 500 })).toEqual({ attempted: 5, sent: 5 });
+        const waiting = (await outbox.load()).filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+        expect(waiting).toHaveLength(1);
+        expect(new Date(waiting[0].nextAttemptAt).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+});
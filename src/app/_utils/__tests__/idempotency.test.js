@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { NextResponse } from 'next/server';
+import {
+    withIdempotency,
+    skipReplay,
+    setIdempotencyStore,
+    MemoryIdempotencyStore,
+    IDEMPOTENCY_HEADER,
+    IDEMPOTENCY_REPLAYED_HEADER,
+    IDEMPOTENCY_ERROR_TYPES
+} from '@/app/_utils/idempotency';
+
+const createRequest = (key, body = { email: 'a@example.com', challengeToken: 'first' }) => new Request('http://localhost/api/techelonsregistration', {
+    method: 'POST',
+    headers: {
+        'content-type': 'application/json',
+        ...(key === undefined ? {} : { [IDEMPOTENCY_HEADER]: key })
+    },
+    body: JSON.stringify(body)
+});
+
+const createFormRequest = (key, fields) => {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+    return new Request('http://localhost/api/techelonsregistration', {
+        method: 'POST',
+        headers: { [IDEMPOTENCY_HEADER]: key },
+        body: formData
+    });
+};
+
+describe('withIdempotency', () => {
+    let handler;
+
+    beforeEach(() => {
+        setIdempotencyStore(new MemoryIdempotencyStore());
+        let calls = 0;
+        handler = vi.fn(async () => NextResponse.json({ registration: ++calls }));
+    });
+
+    it('replays the first response for a repeated key', async () => {
+        const first = await withIdempotency(createRequest('key-1'), 'techelons', handler);
+        const repeat = await withIdempotency(createRequest('key-1'), 'techelons', handler);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(await first.json()).toEqual({ registration: 1 });
+        expect(await repeat.json()).toEqual({ registration: 1 });
+        expect(repeat.headers.get(IDEMPOTENCY_REPLAYED_HEADER)).toBe('true');
+    });
+
+    it('runs the handler once for repeats that arrive together', async () => {
+        const responses = await Promise.all([1, 2, 3].map(() => withIdempotency(createRequest('key-1'), 'techelons', handler)));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        for (const response of responses) {
+            expect(await response.json()).toEqual({ registration: 1 });
+        }
+    });
+
+    it('keeps keys for different scopes and requests without a key apart', async () => {
+        await withIdempotency(createRequest('key-1'), 'techelons', handler);
+        await withIdempotency(createRequest('key-1'), 'workshop', handler);
+        await withIdempotency(createRequest(), 'techelons', handler);
+        await withIdempotency(createRequest(), 'techelons', handler);
+
+        expect(handler).toHaveBeenCalledTimes(4);
+    });
+
+    it('does not keep server errors and rate limits, so they can be retried', async () => {
+        handler
+            .mockResolvedValueOnce(NextResponse.json({ error: 'Registration failed' }, { status: 500 }))
+            .mockResolvedValueOnce(NextResponse.json({ error: 'Too many attempts' }, { status: 429 }));
+
+        expect((await withIdempotency(createRequest('key-1'), 'techelons', handler)).status).toBe(500);
+        expect((await withIdempotency(createRequest('key-1'), 'techelons', handler)).status).toBe(429);
+        expect((await withIdempotency(createRequest('key-1'), 'techelons', handler)).status).toBe(200);
+        expect(handler).toHaveBeenCalledTimes(3);
+    });
+
+    it('refuses a key reused for a different submission', async () => {
+        await withIdempotency(createRequest('key-1'), 'techelons', handler);
+        const response = await withIdempotency(createRequest('key-1', { email: 'b@example.com' }), 'techelons', handler);
+
+        expect(response.status).toBe(422);
+        expect(await response.json()).toMatchObject({ type: IDEMPOTENCY_ERROR_TYPES.KEY_REUSED });
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores the given fields and the order of the rest when comparing submissions', async () => {
+        const options = { ignoreFields: ['challengeToken'] };
+        await withIdempotency(createRequest('key-1'), 'techelons', handler, options);
+        const repeat = await withIdempotency(
+            createRequest('key-1', { challengeToken: 'second', email: 'a@example.com' }),
+            'techelons',
+            handler,
+            options
+        );
+
+        expect(repeat.headers.get(IDEMPOTENCY_REPLAYED_HEADER)).toBe('true');
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('compares form submissions by their fields and file contents', async () => {
+        const file = (contents) => new File([contents], 'id.png', { type: 'image/png' });
+        await withIdempotency(createFormRequest('key-1', { email: 'a@example.com', collegeId: file('one') }), 'techelons', handler);
+
+        const repeat = await withIdempotency(createFormRequest('key-1', { email: 'a@example.com', collegeId: file('one') }), 'techelons', handler);
+        const changed = await withIdempotency(createFormRequest('key-1', { email: 'a@example.com', collegeId: file('two') }), 'techelons', handler);
+
+        expect(repeat.headers.get(IDEMPOTENCY_REPLAYED_HEADER)).toBe('true');
+        expect(changed.status).toBe(422);
+    });
+
+    it('does not keep responses the handler skips', async () => {
+        handler.mockResolvedValueOnce(skipReplay(NextResponse.json({ error: 'Challenge already used' }, { status: 400 })));
+
+        expect((await withIdempotency(createRequest('key-1'), 'techelons', handler)).status).toBe(400);
+        expect((await withIdempotency(createRequest('key-1'), 'techelons', handler)).status).toBe(200);
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects keys that are not printable characters', async () => {
+        const response = await withIdempotency(createRequest('has spaces'), 'techelons', handler);
+
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ type: IDEMPOTENCY_ERROR_TYPES.INVALID_IDEMPOTENCY_KEY });
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
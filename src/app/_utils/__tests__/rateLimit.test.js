@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { getClientIp } from '@/app/_utils/rateLimit';
+
+const createRequest = (headers) => new Request('http://localhost/api/techelonsregistration', { headers });
+
+describe('getClientIp', () => {
+    it('trusts the proxy hop rather than what the client put in X-Forwarded-For', () => {
+        expect(getClientIp(createRequest({ 'x-forwarded-for': '1.1.1.1, 203.0.113.7' }))).toBe('203.0.113.7');
+        expect(getClientIp(createRequest({ 'x-forwarded-for': '203.0.113.7' }))).toBe('203.0.113.7');
+    });
+
+    it('falls back to X-Real-IP and then "unknown"', () => {
+        expect(getClientIp(createRequest({ 'x-real-ip': '203.0.113.7' }))).toBe('203.0.113.7');
+        expect(getClientIp(createRequest({}))).toBe('unknown');
+    });
+
+    it('prefers the address the platform provides', () => {
+        const req = createRequest({ 'x-forwarded-for': '1.1.1.1' });
+        req.ip = '203.0.113.7';
+        expect(getClientIp(req)).toBe('203.0.113.7');
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import {
+    createRecord,
+    splitRecord,
+    joinRecord,
+    joinRecords,
+    matchesCriteria,
+    normalizePassId,
+    PARTICIPANT_ROLES,
+    REGISTRATION_RECORD_STATUS
+} from '@/app/_utils/storage/RegistrationStorage';
+
+const createTeamRecord = () => createRecord({
+    eventId: 'ai-artistry',
+    name: 'Lead',
+    email: 'lead@example.com',
+    phone: '9876543210',
+    rollNo: 'R1',
+    course: 'B.Sc. (H) Computer Science',
+    year: '2',
+    college: 'Shivaji College',
+    query: 'Can we bring our own tablets?',
+    teamMembers: [
+        { name: 'Member One', email: 'one@example.com', phone: '9876543211', rollNo: 'R2', college: 'Shivaji College' },
+        { name: 'Member Two', email: 'two@example.com', phone: '9876543212', rollNo: 'R3', college: 'Shivaji College' }
+    ]
+});
+
+describe('splitRecord and joinRecord', () => {
+    it('splits a record into its team and one participant per person', () => {
+        const record = createTeamRecord();
+        const { team, participants } = splitRecord(record);
+
+        expect(team).toMatchObject({ id: record.id, eventId: 'ai-artistry', query: 'Can we bring our own tablets?' });
+        expect(team).not.toHaveProperty('email');
+        expect(team).not.toHaveProperty('teamMembers');
+        expect(participants.map(participant => participant.role))
+            .toEqual([PARTICIPANT_ROLES.LEAD, PARTICIPANT_ROLES.MEMBER, PARTICIPANT_ROLES.MEMBER]);
+        expect(participants.every(participant => participant.teamId === record.id)).toBe(true);
+    });
+
+    it('joins a split record back into the same record', () => {
+        const record = createTeamRecord();
+        const { team, participants } = splitRecord(record);
+
+        expect(joinRecord(team, participants)).toEqual(record);
+    });
+
+    it('joins stored teams with their participants and leaves out teams without a lead', () => {
+        const first = splitRecord(createTeamRecord());
+        const second = splitRecord(createTeamRecord());
+        const leadless = second.participants.filter(participant => participant.role !== PARTICIPANT_ROLES.LEAD);
+
+        const records = joinRecords([first.team, second.team], [...leadless, ...first.participants]);
+
+        expect(records).toHaveLength(1);
+        expect(records[0].id).toBe(first.team.id);
+        expect(records[0].teamMembers.map(member => member.email)).toEqual(['one@example.com', 'two@example.com']);
+    });
+});
+
+describe('createRecord', () => {
+    it('gives the registrant and every team member their own pass', () => {
+        const record = createTeamRecord();
+        const passIds = [record.passId, ...record.teamMembers.map(member => member.passId)];
+
+        expect(record.status).toBe(REGISTRATION_RECORD_STATUS.REGISTERED);
+        expect(new Set(passIds).size).toBe(3);
+        passIds.forEach(passId => expect(normalizePassId(passId)).toBe(passId));
+    });
+});
+
+describe('normalizePassId', () => {
+    it('accepts any case and missing dashes', () => {
+        expect(normalizePassId('ws7kq2m9xd')).toBe('WS-7KQ2-M9XD');
+        expect(normalizePassId('7kq2-m9xd')).toBe('WS-7KQ2-M9XD');
+        expect(normalizePassId('WS-7KQ2')).toBeNull();
+    });
+});
+
+describe('matchesCriteria', () => {
+    const record = { eventId: 'gaming', email: 'Lead@Example.com', phone: '9876543210', status: REGISTRATION_RECORD_STATUS.REGISTERED };
+
+    it('matches by event and by email or phone', () => {
+        expect(matchesCriteria(record, { eventId: 'gaming', email: 'lead@example.com' })).toBe(true);
+        expect(matchesCriteria(record, { eventId: 'gaming', email: 'other@example.com', phone: '9876543210' })).toBe(true);
+        expect(matchesCriteria(record, { eventId: 'debug-code', email: 'lead@example.com' })).toBe(false);
+    });
+
+    it('never matches a cancelled registration', () => {
+        const cancelled = { ...record, status: REGISTRATION_RECORD_STATUS.CANCELLED };
+        expect(matchesCriteria(cancelled, { eventId: 'gaming', email: 'lead@example.com' })).toBe(false);
+    });
+});
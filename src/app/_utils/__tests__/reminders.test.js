@@ -0,0 +1,71 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getDueReminder, formatStartsIn, ReminderLog } from '@/app/_utils/reminders';
+import { FileStorage } from '@/app/_utils/storage/FileStorage';
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2025-03-20T10:00:00+05:30');
+const before = (ms) => new Date(start.getTime() - ms);
+
+describe('getDueReminder', () => {
+    it('sends nothing before the first reminder is due', () => {
+        expect(getDueReminder(start, before(25 * HOUR))).toBeNull();
+    });
+
+    it('sends the 24 hour reminder until the 1 hour one is due', () => {
+        expect(getDueReminder(start, before(24 * HOUR))?.id).toBe('24h');
+        expect(getDueReminder(start, before(2 * HOUR))?.id).toBe('24h');
+        expect(getDueReminder(start, before(HOUR + 1))?.id).toBe('24h');
+    });
+
+    it('sends only the 1 hour reminder in the last hour', () => {
+        expect(getDueReminder(start, before(HOUR))?.id).toBe('1h');
+        expect(getDueReminder(start, before(60 * 1000))?.id).toBe('1h');
+    });
+
+    it('sends nothing once the event has started or when it has no start', () => {
+        expect(getDueReminder(start, start)).toBeNull();
+        expect(getDueReminder(null, before(HOUR))).toBeNull();
+    });
+});
+
+describe('formatStartsIn', () => {
+    it('says how long is left in hours, or minutes in the last half hour', () => {
+        expect(formatStartsIn(start, before(24 * HOUR))).toBe('in 24 hours');
+        expect(formatStartsIn(start, before(HOUR))).toBe('in 1 hour');
+        expect(formatStartsIn(start, before(20 * 60 * 1000))).toBe('in 20 minutes');
+        expect(formatStartsIn(start, before(10 * 1000))).toBe('in 1 minute');
+    });
+});
+
+describe('ReminderLog', () => {
+    let baseDir;
+    let log;
+
+    beforeEach(async () => {
+        baseDir = await mkdtemp(path.join(os.tmpdir(), 'reminders-'));
+        log = new ReminderLog(new FileStorage(baseDir));
+    });
+
+    afterEach(async () => {
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('never claims a reminder twice and releases failed ones', async () => {
+        expect(await log.claim(['a', 'b'])).toEqual(['a', 'b']);
+        expect(await log.claim(['a', 'b', 'c'])).toEqual(['c']);
+
+        await log.finish(['a'], ['b']);
+        expect(await log.claim(['a', 'b'])).toEqual(['b']);
+    });
+
+    it('reads reminders recorded before the log was a list', async () => {
+        await writeFile(path.join(baseDir, 'reminders.json'), JSON.stringify({
+            reminders: { a: { status: 'sent', sentAt: '2025-03-19T10:00:00.000Z' } }
+        }));
+
+        expect(await log.claim(['a', 'b'])).toEqual(['b']);
+    });
+});
@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { signToken, verifyToken, hasTokenSecret, TOKEN_ERRORS } from '@/app/_utils/signedToken';
+
+describe('signedToken', () => {
+    beforeEach(() => {
+        vi.stubEnv('REGISTRATION_TOKEN_SECRET', 'test-secret');
+    });
+
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.useRealTimers();
+    });
+
+    it('verifies a token it signed', async () => {
+        const token = await signToken('registration', { email: 'a@example.com' }, 60 * 1000);
+        const result = await verifyToken(token, 'registration');
+
+        expect(result.valid).toBe(true);
+        expect(result.payload).toMatchObject({ email: 'a@example.com', purpose: 'registration' });
+    });
+
+    it('rejects a token signed for another purpose', async () => {
+        const token = await signToken('registration', {}, 60 * 1000);
+        expect(await verifyToken(token, 'admin')).toEqual({ valid: false, reason: TOKEN_ERRORS.MALFORMED });
+    });
+
+    it('rejects a token whose payload was changed', async () => {
+        const token = await signToken('registration', { email: 'a@example.com' }, 60 * 1000);
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ email: 'b@example.com', purpose: 'registration', exp: Date.now() + 60000 }))
+            .toString('base64url');
+
+        expect(await verifyToken(`${forged}.${signature}`, 'registration'))
+            .toEqual({ valid: false, reason: TOKEN_ERRORS.INVALID_SIGNATURE });
+    });
+
+    it('rejects a token signed with another secret', async () => {
+        const token = await signToken('registration', {}, 60 * 1000);
+        vi.stubEnv('REGISTRATION_TOKEN_SECRET', 'another-secret');
+
+        expect(await verifyToken(token, 'registration'))
+            .toEqual({ valid: false, reason: TOKEN_ERRORS.INVALID_SIGNATURE });
+    });
+
+    it('rejects an expired token', async () => {
+        vi.useFakeTimers();
+        const token = await signToken('registration', {}, 60 * 1000);
+        vi.advanceTimersByTime(60 * 1000);
+
+        expect(await verifyToken(token, 'registration')).toEqual({ valid: false, reason: TOKEN_ERRORS.EXPIRED });
+    });
+
+    it('rejects missing and malformed tokens', async () => {
+        expect(await verifyToken('', 'registration')).toEqual({ valid: false, reason: TOKEN_ERRORS.MISSING_TOKEN });
+        expect(await verifyToken('not-a-token', 'registration')).toEqual({ valid: false, reason: TOKEN_ERRORS.MALFORMED });
+    });
+
+    it('cannot sign or verify without a secret', async () => {
+        const token = await signToken('registration', {}, 60 * 1000);
+        vi.stubEnv('REGISTRATION_TOKEN_SECRET', '');
+
+        expect(hasTokenSecret()).toBe(false);
+        await expect(signToken('registration', {}, 60 * 1000)).rejects.toMatchObject({ type: 'MISSING_CREDENTIALS' });
+        expect(await verifyToken(token, 'registration')).toEqual({ valid: false, reason: TOKEN_ERRORS.MISSING_SECRET });
+    });
+});
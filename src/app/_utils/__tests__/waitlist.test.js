@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getWaitlistPlacement, fitsCapacity, getWaitlistPosition } from '@/app/_utils/waitlist';
+import { FileStorage } from '@/app/_utils/storage/FileStorage';
+import { RegistrationStorage, REGISTRATION_RECORD_STATUS, createRecord } from '@/app/_utils/storage/RegistrationStorage';
+
+// ai-artistry takes 20 teams and debug-code 40 seats
+const TEAMS_EVENT = 'ai-artistry';
+const SEATS_EVENT = 'debug-code';
+
+const createRegistrations = (count, status, teamSize = 1) => Array.from({ length: count }, (_, index) => ({
+    id: `${status}-${index}`,
+    status,
+    timestamp: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(),
+    teamMembers: Array.from({ length: teamSize - 1 }, () => ({ name: 'Member' }))
+}));
+
+describe('getWaitlistPlacement', () => {
+    it('confirms registrations while an event has room', () => {
+        const registrations = createRegistrations(19, REGISTRATION_RECORD_STATUS.REGISTERED);
+        expect(getWaitlistPlacement(TEAMS_EVENT, registrations, { teamMembers: [] }))
+            .toEqual({ waitlisted: false, position: null });
+    });
+
+    it('waitlists registrations once an event is full', () => {
+        const registrations = createRegistrations(20, REGISTRATION_RECORD_STATUS.REGISTERED);
+        expect(getWaitlistPlacement(TEAMS_EVENT, registrations, { teamMembers: [] }))
+            .toEqual({ waitlisted: true, position: 1 });
+    });
+
+    it('does not count cancelled registrations', () => {
+        const registrations = [
+            ...createRegistrations(19, REGISTRATION_RECORD_STATUS.REGISTERED),
+            ...createRegistrations(5, REGISTRATION_RECORD_STATUS.CANCELLED)
+        ];
+        expect(getWaitlistPlacement(TEAMS_EVENT, registrations, { teamMembers: [] }).waitlisted).toBe(false);
+    });
+
+    it('counts every participant for events limited by seats', () => {
+        const registrations = createRegistrations(12, REGISTRATION_RECORD_STATUS.REGISTERED, 3);
+        expect(getWaitlistPlacement(SEATS_EVENT, registrations, { teamMembers: [{}, {}, {}] }).waitlisted).toBe(false);
+        expect(getWaitlistPlacement(SEATS_EVENT, registrations, { teamMembers: [{}, {}, {}, {}] }).waitlisted).toBe(true);
+    });
+
+    it('does not let a small team jump the queue', () => {
+        const registrations = [
+            ...createRegistrations(12, REGISTRATION_RECORD_STATUS.REGISTERED, 3),
+            ...createRegistrations(1, REGISTRATION_RECORD_STATUS.WAITLISTED, 3)
+        ];
+        expect(getWaitlistPlacement(SEATS_EVENT, registrations, { teamMembers: [] }))
+            .toEqual({ waitlisted: true, position: 2 });
+    });
+});
+
+describe('fitsCapacity', () => {
+    it('checks a changed registration against the others', () => {
+        const registrations = createRegistrations(13, REGISTRATION_RECORD_STATUS.REGISTERED, 3);
+        const [first] = registrations;
+
+        expect(fitsCapacity(SEATS_EVENT, registrations, { ...first, teamMembers: [{}, {}, {}] })).toBe(true);
+        expect(fitsCapacity(SEATS_EVENT, registrations, { ...first, teamMembers: [{}, {}, {}, {}] })).toBe(false);
+    });
+});
+
+describe('getWaitlistPosition', () => {
+    it('orders the waitlist by registration time', () => {
+        const registrations = createRegistrations(3, REGISTRATION_RECORD_STATUS.WAITLISTED).reverse();
+        expect(getWaitlistPosition(registrations, `${REGISTRATION_RECORD_STATUS.WAITLISTED}-0`)).toBe(1);
+        expect(getWaitlistPosition(registrations, `${REGISTRATION_RECORD_STATUS.WAITLISTED}-2`)).toBe(3);
+        expect(getWaitlistPosition(registrations, 'missing')).toBeNull();
+    });
+});
+
+describe('FileStorage.placeRegistration', () => {
+    let baseDir;
+
+    beforeEach(async () => {
+        baseDir = await mkdtemp(path.join(os.tmpdir(), 'registrations-'));
+    });
+
+    afterEach(async () => {
+        await rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('never confirms more registrations than an event takes when they arrive together', async () => {
+        const storage = new FileStorage(baseDir);
+        const place = (current) => ({
+            status: getWaitlistPlacement(TEAMS_EVENT, current, { teamMembers: [] }).waitlisted
+                ? REGISTRATION_RECORD_STATUS.WAITLISTED
+                : REGISTRATION_RECORD_STATUS.REGISTERED
+        });
+
+        await Promise.all(Array.from({ length: 25 }, (_, index) => storage.placeRegistration({
+            eventId: TEAMS_EVENT,
+            name: `Registrant ${index}`,
+            email: `registrant${index}@example.com`
+        }, place)));
+
+        const registrations = await storage.listRegistrations({ eventId: TEAMS_EVENT });
+        const count = (status) => registrations.filter(record => record.status === status).length;
+
+        expect(registrations).toHaveLength(25);
+        expect(count(REGISTRATION_RECORD_STATUS.REGISTERED)).toBe(20);
+        expect(count(REGISTRATION_RECORD_STATUS.WAITLISTED)).toBe(5);
+    });
+
+});
+
+// A backend that takes a moment for every read and write, like Sheets
+class SlowStorage extends RegistrationStorage {
+    constructor() {
+        super();
+        this.records = [];
+    }
+
+    async listRegistrations({ eventId } = {}) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return this.records.filter(record => !eventId || record.eventId === eventId).map(record => ({ ...record }));
+    }
+
+    async appendRegistration(registration) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        const record = createRecord(registration);
+        this.records.push(record);
+        return record;
+    }
+
+    async updateRegistration(id, changes) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        const index = this.records.findIndex(record => record.id === id);
+        this.records[index] = { ...this.records[index], ...changes };
+        return this.records[index];
+    }
+}
+
+describe('RegistrationStorage placement queue', () => {
+    const place = (current) => ({
+        status: getWaitlistPlacement(TEAMS_EVENT, current, { teamMembers: [] }).waitlisted
+            ? REGISTRATION_RECORD_STATUS.WAITLISTED
+            : REGISTRATION_RECORD_STATUS.REGISTERED
+    });
+    const confirmed = (storage) => storage.records.filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED);
+
+    it('gives a freed spot to either a restored or a new registration, never both', async () => {
+        const storage = new SlowStorage();
+        const register = (index) => storage.placeRegistration({ eventId: TEAMS_EVENT, email: `registrant${index}@example.com` }, place);
+        await Promise.all(Array.from({ length: 20 }, (_, index) => register(index)));
+        expect(confirmed(storage)).toHaveLength(20);
+
+        // Cancel one, then restore it while someone else registers for the freed spot
+        const [cancelled] = confirmed(storage);
+        await storage.updateRegistration(cancelled.id, { status: REGISTRATION_RECORD_STATUS.CANCELLED });
+        await Promise.all([
+            storage.updateEventRegistrations(TEAMS_EVENT, (registrations) => {
+                const others = registrations.filter(record => record.id !== cancelled.id);
+                return [{ id: cancelled.id, changes: place(others) }];
+            }),
+            register(20)
+        ]);
+
+        expect(confirmed(storage)).toHaveLength(20);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Admin Authentication Utilities
+ *
+ * Staff log in with a password and receive a signed session cookie. Admins
+ * use ADMIN_PASSWORD and can reach everything; volunteers use
+ * VOLUNTEER_PASSWORD and can only reach the check-in page. The middleware
+ * guards the pages and API routes, and the API routes check the session
+ * again with requireAdmin.
+ */
+
+import { NextResponse } from 'next/server';
+import { signToken, verifyToken } from './signedToken';
+
+// Constants
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+export const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const SESSION_PURPOSE = 'admin';
+
+// Roles a staff session can have
+export const SESSION_ROLES = Object.freeze({
+    ADMIN: 'admin',
+    VOLUNTEER: 'volunteer'
+});
+
+// Roles allowed to check participants in
+export const CHECKIN_ROLES = [SESSION_ROLES.ADMIN, SESSION_ROLES.VOLUNTEER];
+
+/**
+ * Creates a signed staff session token
+ * @param {string} [role] - A value from SESSION_ROLES
+ * @returns {Promise<string>} - The session token
+ */
+export const createAdminSession = async (role = SESSION_ROLES.ADMIN) => {
+    return signToken(SESSION_PURPOSE, { role }, ADMIN_SESSION_TTL_MS);
+};
+
+/**
+ * Verifies a staff session token
+ * @param {string} token - The session token from the cookie
+ * @returns {Promise<Object>} - { valid: true, payload } or { valid: false, reason }
+ */
+export const verifyAdminSession = async (token) => {
+    return verifyToken(token, SESSION_PURPOSE);
+};
+
+/**
+ * Checks the staff session on an API request
+ * @param {Request} req - The incoming request
+ * @param {string[]} [roles] - Roles allowed to make the request (admins only by default)
+ * @returns {Promise<NextResponse|null>} - A 401/403 response if not authorized, otherwise null
+ */
+export const requireAdmin = async (req, roles = [SESSION_ROLES.ADMIN]) => {
+    const token = req.cookies.get(ADMIN_SESSION_COOKIE)?.value;
+    const result = await verifyAdminSession(token);
+
+    if (!result.valid) {
+        return NextResponse.json(
+            { error: 'Admin login required', type: 'UNAUTHORIZED' },
+            { status: 401 }
+        );
+    }
+
+    if (!roles.includes(result.payload.role)) {
+        return NextResponse.json(
+            { error: 'You do not have access to this action', type: 'FORBIDDEN' },
+            { status: 403 }
+        );
+    }
+
+    return null;
+};
+
+/**
+ * Gets the role of the staff session on a request
+ * @param {Request} req - The incoming request
+ * @returns {Promise<string|null>} - The role, or null without a valid session
+ */
+export const getSessionRole = async (req) => {
+    const result = await verifyAdminSession(req.cookies.get(ADMIN_SESSION_COOKIE)?.value);
+    return result.valid ? result.payload.role : null;
+};
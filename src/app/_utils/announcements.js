@@ -0,0 +1,229 @@
+/**
+ * Announcements
+ *
+ * Emails from organizers to everyone registered for an event, the workshop
+ * or every event at once, e.g. "venue moved to Lab 2". Each person gets one
+ * email even if they are on several registrations.
+ *
+ * Sending an announcement only queues its emails in the email outbox, which
+ * sends and retries them like any other email, so a send is never cut off
+ * halfway. Every announcement is kept in a log in the registration storage,
+ * and its progress is read from its emails in the outbox.
+ */
+
+import { REGISTRATION_RECORD_STATUS, STORAGE_COLLECTIONS } from './storage';
+import { StorageCollection } from './storage/StorageCollection';
+import { getAllRegistrationEvents, getRegistrationEventName } from './registrationEvents';
+import { EmailOutbox, OUTBOX_STATUS } from './emailOutbox';
+import { EMAIL_KINDS } from './registrationEmails';
+import { buildAnnouncementEmail } from './mail/templates/announcement';
+
+// Announcements to every event use this instead of an event ID
+export const ALL_EVENTS = 'all';
+
+export const ANNOUNCEMENT_LIMITS = Object.freeze({
+    SUBJECT: 150,
+    MESSAGE: 5000
+});
+
+export const ANNOUNCEMENT_STATUS = Object.freeze({
+    SENDING: 'sending',
+    SENT: 'sent',
+    PARTIAL: 'partial' // Some emails failed every retry
+});
+
+// Error types
+export const ANNOUNCEMENT_ERROR_TYPES = Object.freeze({
+    INVALID_ANNOUNCEMENT: 'INVALID_ANNOUNCEMENT',
+    EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+    NO_RECIPIENTS: 'NO_RECIPIENTS',
+    NOT_FOUND: 'NOT_FOUND',
+    NOTHING_TO_RETRY: 'NOTHING_TO_RETRY'
+});
+
+const createAnnouncementError = (message, type, status) => {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    return error;
+};
+
+/**
+ * Check an announcement before it is sent
+ * @param {Object} announcement - { eventId, subject, message, includeWaitlisted }
+ * @returns {Object} - The announcement with trimmed text
+ * @throws {Error} - INVALID_ANNOUNCEMENT (400) or EVENT_NOT_FOUND (404)
+ */
+export const validateAnnouncement = ({ eventId, subject, message, includeWaitlisted }) => {
+    const trimmedSubject = String(subject || '').trim();
+    const trimmedMessage = String(message || '').trim();
+
+    if (!trimmedSubject || !trimmedMessage) {
+        throw createAnnouncementError('Subject and message are required', ANNOUNCEMENT_ERROR_TYPES.INVALID_ANNOUNCEMENT, 400);
+    }
+    if (trimmedSubject.length > ANNOUNCEMENT_LIMITS.SUBJECT || trimmedMessage.length > ANNOUNCEMENT_LIMITS.MESSAGE) {
+        throw createAnnouncementError(
+            `The subject can be up to ${ANNOUNCEMENT_LIMITS.SUBJECT} characters and the message up to ${ANNOUNCEMENT_LIMITS.MESSAGE}`,
+            ANNOUNCEMENT_ERROR_TYPES.INVALID_ANNOUNCEMENT,
+            400
+        );
+    }
+    if (eventId !== ALL_EVENTS && !getAllRegistrationEvents().some(event => event.id === eventId)) {
+        throw createAnnouncementError('Event not found', ANNOUNCEMENT_ERROR_TYPES.EVENT_NOT_FOUND, 404);
+    }
+
+    return { eventId, subject: trimmedSubject, message: trimmedMessage, includeWaitlisted: !!includeWaitlisted };
+};
+
+/**
+ * Everyone an announcement would reach: registrants and team members of
+ * registrations that are not cancelled, once per email address
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {Object} options - { eventId, includeWaitlisted }
+ * @returns {Promise<Object>} - { recipients: [{ email, name }], registrations } where registrations is the number counted
+ */
+export const getAnnouncementRecipients = async (storage, { eventId, includeWaitlisted = false }) => {
+    const registrations = (await storage.listRegistrations({ eventId: eventId === ALL_EVENTS ? undefined : eventId }))
+        .filter(record => record.status !== REGISTRATION_RECORD_STATUS.CANCELLED)
+        .filter(record => includeWaitlisted || record.status !== REGISTRATION_RECORD_STATUS.WAITLISTED);
+
+    const recipients = new Map();
+    for (const record of registrations) {
+        for (const person of [record, ...(record.teamMembers || [])]) {
+            const key = person.email?.trim().toLowerCase();
+            if (key && !recipients.has(key)) {
+                recipients.set(key, { email: person.email.trim(), name: person.name });
+            }
+        }
+    }
+
+    return { recipients: [...recipients.values()], registrations: registrations.length };
+};
+
+/**
+ * Work out how far an announcement has got from its emails in the outbox.
+ * Every recipient has one email there until it is sent, and sent emails are
+ * dropped after a while, so whatever is not waiting or failed was sent.
+ * @param {Object} entry - The log entry
+ * @param {Object[]} emails - The announcement's outbox entries
+ * @returns {Object} - The entry with status, sent and failures: [{ email, error }]
+ */
+const withProgress = (entry, emails) => {
+    // Announcements sent before they went through the outbox have their outcome stored
+    if (entry.status) return entry;
+
+    const failures = emails
+        .filter(email => email.status === OUTBOX_STATUS.DEAD)
+        .map(email => ({ email: email.to, error: email.lastError }));
+    const waiting = emails.filter(email => [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.SENDING].includes(email.status)).length;
+
+    let status = ANNOUNCEMENT_STATUS.SENT;
+    if (waiting > 0) status = ANNOUNCEMENT_STATUS.SENDING;
+    else if (failures.length > 0) status = ANNOUNCEMENT_STATUS.PARTIAL;
+
+    return { ...entry, status, sent: entry.total - waiting - failures.length, failures };
+};
+
+export class AnnouncementLog extends StorageCollection {
+    /**
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(storage) {
+        super(STORAGE_COLLECTIONS.ANNOUNCEMENTS, storage);
+    }
+
+    async add(entry) {
+        return this.update(announcements => {
+            announcements.push(entry);
+            return { ...entry };
+        });
+    }
+
+    async get(id) {
+        return (await this.load()).find(entry => entry.id === id) || null;
+    }
+}
+
+/**
+ * List announcements, newest first, with how far each has got
+ * @param {RegistrationStorage} storage - The registration storage
+ * @returns {Promise<Object[]>} - Log entries with status, sent and failures
+ */
+export const listAnnouncements = async (storage) => {
+    const [announcements, emails] = await Promise.all([
+        new AnnouncementLog(storage).load(),
+        new EmailOutbox(storage).load()
+    ]);
+
+    const emailsByAnnouncement = new Map();
+    for (const email of emails) {
+        if (!email.announcementId) continue;
+        if (!emailsByAnnouncement.has(email.announcementId)) emailsByAnnouncement.set(email.announcementId, []);
+        emailsByAnnouncement.get(email.announcementId).push(email);
+    }
+
+    return announcements
+        .map(entry => withProgress(entry, emailsByAnnouncement.get(entry.id) || []))
+        .reverse();
+};
+
+/**
+ * Queue an announcement to everyone registered for an event (or every
+ * event) and record it in the log. The outbox job sends the emails.
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {Object} announcement - { eventId, subject, message, includeWaitlisted }
+ * @returns {Promise<Object>} - The log entry, with nothing sent yet
+ * @throws {Error} - A validation error, or NO_RECIPIENTS (400)
+ */
+export const sendAnnouncement = async (storage, announcement) => {
+    const { eventId, subject, message, includeWaitlisted } = validateAnnouncement(announcement);
+    const { recipients } = await getAnnouncementRecipients(storage, { eventId, includeWaitlisted });
+    if (recipients.length === 0) {
+        throw createAnnouncementError('Nobody is registered for this event yet', ANNOUNCEMENT_ERROR_TYPES.NO_RECIPIENTS, 400);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        eventId,
+        eventName: eventId === ALL_EVENTS ? null : getRegistrationEventName(eventId),
+        subject,
+        message,
+        includeWaitlisted,
+        total: recipients.length,
+        createdAt: new Date().toISOString()
+    };
+
+    // The emails go in first, so a logged announcement always has its emails queued
+    await new EmailOutbox(storage).addMany(
+        recipients.map(recipient => buildAnnouncementEmail({ to: recipient.email, name: recipient.name, subject, message, eventName: entry.eventName })),
+        { kind: EMAIL_KINDS.ANNOUNCEMENT, announcementId: entry.id }
+    );
+    await new AnnouncementLog(storage).add(entry);
+    console.log(`Announcement ${entry.id} queued for ${recipients.length} people`);
+
+    return { ...entry, status: ANNOUNCEMENT_STATUS.SENDING, sent: 0, failures: [] };
+};
+
+/**
+ * Queue an announcement's failed emails again
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} id - The announcement ID
+ * @returns {Promise<Object>} - The log entry with its progress
+ * @throws {Error} - NOT_FOUND (404) or NOTHING_TO_RETRY (400)
+ */
+export const retryAnnouncement = async (storage, id) => {
+    const entry = await new AnnouncementLog(storage).get(id);
+    if (!entry) {
+        throw createAnnouncementError('Announcement not found', ANNOUNCEMENT_ERROR_TYPES.NOT_FOUND, 404);
+    }
+
+    const outbox = new EmailOutbox(storage);
+    const requeued = await outbox.requeueAnnouncement(id);
+    if (requeued === 0) {
+        throw createAnnouncementError('There are no failed emails to retry', ANNOUNCEMENT_ERROR_TYPES.NOTHING_TO_RETRY, 400);
+    }
+    console.log(`Announcement ${id}: ${requeued} failed emails queued again`);
+
+    const emails = (await outbox.load()).filter(email => email.announcementId === id);
+    return withProgress(entry, emails);
+};
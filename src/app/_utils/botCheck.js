@@ -0,0 +1,72 @@
+/**
+ * Bot Check Utilities
+ *
+ * The parts of the registration bot protection shared by the forms and the
+ * API routes. Forms include a hidden honeypot field that people never fill
+ * in, and solve a small proof-of-work challenge before submitting: find a
+ * nonce so that SHA-256(challenge + ":" + nonce) starts with a number of
+ * zero bits. That takes a browser a second or two, but makes sending
+ * thousands of registrations expensive.
+ */
+
+// Error types returned by the registration routes
+export const BOT_ERROR_TYPES = Object.freeze({
+    RATE_LIMITED: 'RATE_LIMITED',
+    SPAM_DETECTED: 'SPAM_DETECTED',
+    CHALLENGE_FAILED: 'CHALLENGE_FAILED'
+});
+
+// Hidden form field that only bots fill in
+export const HONEYPOT_FIELD = 'website';
+
+// Form fields carrying the solved challenge
+export const CHALLENGE_FIELDS = Object.freeze({
+    TOKEN: 'challengeToken',
+    NONCE: 'challengeNonce'
+});
+
+const encoder = new TextEncoder();
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Uint8Array} bytes - The hash
+ * @returns {number} - Number of leading zero bits
+ */
+const countLeadingZeroBits = (bytes) => {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+/**
+ * Check whether a nonce solves a challenge
+ * @param {string} challenge - The challenge token
+ * @param {string|number} nonce - The proposed solution
+ * @param {number} difficulty - Leading zero bits required
+ * @returns {Promise<boolean>} - True if the hash has enough leading zero bits
+ */
+export const isChallengeSolved = async (challenge, nonce, difficulty) => {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    return countLeadingZeroBits(new Uint8Array(hash)) >= difficulty;
+};
+
+/**
+ * Find a nonce that solves a challenge
+ * @param {string} challenge - The challenge token
+ * @param {number} difficulty - Leading zero bits required
+ * @param {Object} [options] - Solve options
+ * @param {AbortSignal} [options.signal] - Stops solving, e.g. when the form unmounts
+ * @returns {Promise<string>} - The nonce
+ */
+export const solveChallenge = async (challenge, difficulty, { signal } = {}) => {
+    for (let nonce = 0; ; nonce++) {
+        if (signal?.aborted) throw new DOMException('Challenge solving aborted', 'AbortError');
+        if (await isChallengeSolved(challenge, nonce, difficulty)) return String(nonce);
+    }
+};
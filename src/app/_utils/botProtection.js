@@ -0,0 +1,132 @@
+/**
+ * Registration Bot Protection
+ *
+ * Server-side checks run by the registration routes before anything is
+ * stored or emailed: per-IP and per-email rate limits, the honeypot field
+ * and the proof-of-work challenge (see botCheck.js). Challenges are signed
+ * tokens, so the server keeps no state for them apart from remembering
+ * which ones have been used. That record lives in the rate limit store, so
+ * with the default in-memory store each instance only knows about the
+ * challenges it has seen, and a solved challenge could be replayed once on
+ * every other instance until it expires. setRateLimitStore with a shared
+ * store closes that gap.
+ */
+
+import { signToken, verifyToken, TOKEN_ERRORS } from './signedToken';
+import { createRateLimiter, getClientIp, getRateLimitStore } from './rateLimit';
+import { BOT_ERROR_TYPES, CHALLENGE_FIELDS, HONEYPOT_FIELD, isChallengeSolved } from './botCheck';
+
+export { BOT_ERROR_TYPES };
+
+// Leading zero bits a solution needs. Each extra bit doubles the work.
+export const CHALLENGE_DIFFICULTY = 16;
+const CHALLENGE_TTL_MS = 30 * 60 * 1000; // 30 minutes, long enough to fill in the form
+const CHALLENGE_PURPOSE = 'challenge';
+
+// Whole colleges can share an IP, so the IP limit is the looser one
+export const REGISTRATION_RATE_LIMITS = Object.freeze({
+    IP: { limit: 30, windowMs: 10 * 60 * 1000 },
+    EMAIL: { limit: 5, windowMs: 60 * 60 * 1000 },
+    CHALLENGE: { limit: 60, windowMs: 10 * 60 * 1000 }
+});
+
+const ipLimiter = createRateLimiter({ name: 'registration-ip', ...REGISTRATION_RATE_LIMITS.IP });
+const emailLimiter = createRateLimiter({ name: 'registration-email', ...REGISTRATION_RATE_LIMITS.EMAIL });
+const challengeLimiter = createRateLimiter({ name: 'challenge-ip', ...REGISTRATION_RATE_LIMITS.CHALLENGE });
+
+const createBotError = (message, type, status, retryAfterSeconds) => {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    if (retryAfterSeconds) error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+};
+
+const rateLimitError = ({ allowed, retryAfterSeconds }) => {
+    if (allowed) return null;
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    return createBotError(
+        `Too many registration attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        BOT_ERROR_TYPES.RATE_LIMITED,
+        429,
+        retryAfterSeconds
+    );
+};
+
+/**
+ * Count a registration attempt against the client's IP
+ * @param {Request} req - The incoming request
+ * @returns {Promise<Error|null>} - A RATE_LIMITED error, or null if allowed
+ */
+export const checkIpRateLimit = async (req) => {
+    return rateLimitError(await ipLimiter.check(getClientIp(req)));
+};
+
+/**
+ * Count a registration attempt against an email address
+ * @param {string} email - The registrant's email
+ * @returns {Promise<Error|null>} - A RATE_LIMITED error, or null if allowed
+ */
+export const checkEmailRateLimit = async (email) => {
+    return rateLimitError(await emailLimiter.check(String(email).trim().toLowerCase()));
+};
+
+/**
+ * Create a proof-of-work challenge for a registration form
+ * @param {Request} req - The incoming request, for the per-IP limit
+ * @returns {Promise<Object>} - { token, difficulty }
+ * @throws {Error} - RATE_LIMITED when the client asks for too many
+ */
+export const createChallenge = async (req) => {
+    const limitError = rateLimitError(await challengeLimiter.check(getClientIp(req)));
+    if (limitError) throw limitError;
+
+    const token = await signToken(CHALLENGE_PURPOSE, {
+        id: crypto.randomUUID(),
+        difficulty: CHALLENGE_DIFFICULTY
+    }, CHALLENGE_TTL_MS);
+    return { token, difficulty: CHALLENGE_DIFFICULTY };
+};
+
+/**
+ * Check the honeypot and the solved challenge sent with a registration.
+ * A challenge can only be used once.
+ * @param {Object} fields - The submitted values of HONEYPOT_FIELD and CHALLENGE_FIELDS
+ * @returns {Promise<Error|null>} - SPAM_DETECTED or CHALLENGE_FAILED, or null if they pass
+ */
+export const checkBotFields = async (fields) => {
+    if (fields[HONEYPOT_FIELD]) {
+        return createBotError('Registration failed', BOT_ERROR_TYPES.SPAM_DETECTED, 400);
+    }
+
+    const token = fields[CHALLENGE_FIELDS.TOKEN];
+    const nonce = fields[CHALLENGE_FIELDS.NONCE];
+    const result = await verifyToken(token, CHALLENGE_PURPOSE);
+    if (!result.valid) {
+        if (result.reason === TOKEN_ERRORS.MISSING_SECRET) {
+            const error = new Error('Missing required environment variable: REGISTRATION_TOKEN_SECRET');
+            error.type = 'MISSING_CREDENTIALS';
+            throw error;
+        }
+        return createBotError(
+            result.reason === TOKEN_ERRORS.EXPIRED
+                ? 'Your browser check expired. Please submit the form again.'
+                : 'Your browser could not be verified. Please reload the page and try again.',
+            BOT_ERROR_TYPES.CHALLENGE_FAILED,
+            400
+        );
+    }
+
+    if (nonce === undefined || nonce === null || !(await isChallengeSolved(token, nonce, result.payload.difficulty))) {
+        return createBotError('Your browser could not be verified. Please reload the page and try again.', BOT_ERROR_TYPES.CHALLENGE_FAILED, 400);
+    }
+
+    // The store's counter doubles as a list of used challenges until they
+    // expire. It is only shared between instances if the store is.
+    const { count } = await getRateLimitStore().increment(`challenge-used:${result.payload.id}`, CHALLENGE_TTL_MS);
+    if (count > 1) {
+        return createBotError('This form was already submitted. Please submit it again.', BOT_ERROR_TYPES.CHALLENGE_FAILED, 400);
+    }
+
+    return null;
+};
@@ -0,0 +1,250 @@
+/**
+ * Calendar Invites
+ *
+ * Builds iCalendar (RFC 5545) files for events, so a registration can land
+ * in the participant's calendar. Techelons events are timed from their date,
+ * start time and duration in the fest timezone; the workshop lists its
+ * sessions with explicit timestamps. Events whose date or time is still to
+ * be announced are left out.
+ *
+ * The same files are attached to confirmation emails, downloaded from
+ * /api/calendar/<eventId> and, for the whole Techelons schedule, served as a
+ * feed calendar apps can subscribe to at /api/calendar.
+ */
+
+import {
+    TECHELONS_EVENTS,
+    FEST_DATES,
+    FEST_DAYS,
+    FEST_UTC_OFFSET,
+    DATE_UTILS,
+    getEventById
+} from '@/app/_data/techelonsEventsData';
+import workshopData from '@/app/_data/workshopData';
+import { isWorkshopEvent } from '@/app/_utils/storage/RegistrationStorage';
+
+export const CALENDAR_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+const PRODUCT_ID = '-//Websters - Shivaji College//Techelons//EN';
+const UID_DOMAIN = 'websters-shivaji';
+
+// Used when an event's duration is missing or cannot be read
+const DEFAULT_DURATION_MINUTES = 60;
+
+// How often subscribed calendars should check the feed for changes
+const FEED_REFRESH_INTERVAL = 'PT12H';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Turn "10:00 AM", "2 PM" or "14:30" into hours and minutes
+ * @param {string} time - Start time as written in the event data
+ * @returns {Object|null} - { hours, minutes } or null if it cannot be read
+ */
+const parseTime = (time) => {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i.exec(String(time || '').trim());
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const period = match[3]?.toUpperCase();
+    if (period === 'PM' && hours < 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+/**
+ * Turn "2 hours", "90 minutes" or "1 hour 30 mins" into minutes
+ * @param {string} duration - Duration as written in the event data
+ * @returns {number} - Minutes, DEFAULT_DURATION_MINUTES if it cannot be read
+ */
+const parseDurationMinutes = (duration) => {
+    let minutes = 0;
+    for (const [, amount, unit] of String(duration || '').matchAll(/(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|mins?|minutes?)\b/gi)) {
+        minutes += Number(amount) * (unit.toLowerCase().startsWith('h') ? 60 : 1);
+    }
+    return minutes > 0 ? Math.round(minutes) : DEFAULT_DURATION_MINUTES;
+};
+
+/**
+ * When a Techelons event starts and ends
+ * @param {Object} event - Event from TECHELONS_EVENTS
+ * @returns {Object|null} - { start, end } Dates, or null while the date or time is to be announced
+ */
+export const getTechelonsEventSchedule = (event) => {
+    const eventDate = event?.date || (event?.festDay === FEST_DAYS.DAY_2 ? FEST_DATES.DAY_2 : event?.festDay && FEST_DATES.DAY_1);
+    const date = DATE_UTILS.parseDate(eventDate);
+    const time = parseTime(event?.time);
+    if (!date || !time) return null;
+
+    // The date is written without a timezone; read it as a day in the fest timezone
+    const start = new Date(
+        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(time.hours)}:${pad(time.minutes)}:00${FEST_UTC_OFFSET}`
+    );
+    if (isNaN(start.getTime())) return null;
+
+    return { start, end: new Date(start.getTime() + parseDurationMinutes(event.duration) * 60 * 1000) };
+};
+
+const getSiteUrl = (origin) => process.env.SITE_URL || origin || null;
+
+const getWorkshopDetail = (id) => workshopData.details.find(detail => detail.id === id)?.value;
+
+const getTechelonsEntry = (event, siteUrl) => {
+    const schedule = getTechelonsEventSchedule(event);
+    if (!schedule) return null;
+
+    return {
+        uid: `techelons-${event.id}@${UID_DOMAIN}`,
+        title: `${event.name} - Techelons`,
+        description: [event.shortDescription, event.instructions].filter(Boolean).join('\n\n'),
+        location: event.venue && event.venue !== 'TBA' ? event.venue : null,
+        url: siteUrl ? `${siteUrl}/techelons` : null,
+        ...schedule
+    };
+};
+
+const getWorkshopEntries = (siteUrl) => (workshopData.sessions || [])
+    .map((session, index) => ({
+        uid: `${workshopData.eventId}-day-${index + 1}@${UID_DOMAIN}`,
+        title: workshopData.sessions.length > 1
+            ? `${workshopData.title} (Day ${index + 1})`
+            : workshopData.title,
+        description: workshopData.shortDescription,
+        location: getWorkshopDetail('venue') || null,
+        url: siteUrl ? `${siteUrl}/workshopregistration` : null,
+        start: DATE_UTILS.parseDate(session.startsAt),
+        end: DATE_UTILS.parseDate(session.endsAt)
+    }))
+    .filter(entry => entry.start && entry.end);
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// e.g. 20250410T043000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar file
+ * @param {Object[]} entries - Events: { uid, title, description, location, url, start, end }
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {boolean} [options.feed] - Whether the file is a subscribed feed, so apps refresh it
+ * @returns {string} - The .ics content
+ */
+export const createCalendar = (entries, { name, feed = false } = {}) => {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    if (feed) lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`, `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`);
+
+    for (const entry of entries) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatDateTime(entry.start)}`,
+            `DTEND:${formatDateTime(entry.end)}`,
+            `SUMMARY:${escapeText(entry.title)}`
+        );
+        if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+        if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+        if (entry.url) lines.push(`URL:${entry.url}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * When a registration event starts: a Techelons event's start time, or the
+ * workshop's first session
+ * @param {string} eventId - The workshop or a Techelons event ID
+ * @returns {Date|null} - The start, or null for unknown events and events without a date and time yet
+ */
+export const getEventStart = (eventId) => {
+    if (isWorkshopEvent(eventId)) {
+        return DATE_UTILS.parseDate(workshopData.sessions?.[0]?.startsAt);
+    }
+
+    const event = getEventById(eventId);
+    return event ? getTechelonsEventSchedule(event)?.start || null : null;
+};
+
+/**
+ * Get the calendar file for a registration event
+ * @param {string} eventId - The workshop or a Techelons event ID
+ * @param {string} [origin] - Origin of the current request, used for links when SITE_URL is not set
+ * @returns {string|null} - The .ics content, or null for unknown events and events without a date and time yet
+ */
+export const getEventCalendar = (eventId, origin) => {
+    const siteUrl = getSiteUrl(origin);
+
+    if (isWorkshopEvent(eventId)) {
+        const entries = getWorkshopEntries(siteUrl);
+        return entries.length > 0 ? createCalendar(entries, { name: workshopData.title }) : null;
+    }
+
+    const event = getEventById(eventId);
+    const entry = event ? getTechelonsEntry(event, siteUrl) : null;
+    return entry ? createCalendar([entry], { name: event.name }) : null;
+};
+
+/**
+ * Get the whole Techelons schedule as a calendar feed
+ * @param {string} [origin] - Origin of the current request, used for links when SITE_URL is not set
+ * @returns {string} - The .ics content
+ */
+export const getScheduleCalendar = (origin) => {
+    const siteUrl = getSiteUrl(origin);
+    const entries = TECHELONS_EVENTS
+        .map(event => getTechelonsEntry(event, siteUrl))
+        .filter(Boolean);
+
+    return createCalendar(entries, { name: 'Techelons', feed: true });
+};
+
+/**
+ * Get the calendar attachment for an event's confirmation email
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} - Nodemailer attachment, or null if the event has no calendar yet
+ */
+export const getCalendarAttachment = (eventId) => {
+    const content = getEventCalendar(eventId);
+    if (!content) return null;
+
+    return {
+        filename: `${eventId}.ics`,
+        content,
+        contentType: `${CALENDAR_CONTENT_TYPE}; method=PUBLISH`
+    };
+};
@@ -0,0 +1,518 @@
+/**
+ * Certificates
+ *
+ * Participation, winner and completion certificates as PDFs, each with a
+ * unique verification code. Certificates are issued for an event from its
+ * check-ins and results: everyone who checked in gets one, and everyone on
+ * a registration with a place in the results gets a winner certificate
+ * instead. Everyone who attends the workshop gets a completion certificate.
+ *
+ * The wording, colour and signatures come from a template that an event can
+ * override with a `certificate` field in its data. Issued certificates are
+ * kept in the registration storage, and the PDF is rendered from that
+ * record whenever it is needed. Issuing again only adds what is new; when
+ * someone's certificate changes, e.g. results were entered after the
+ * participation certificates went out, the old code is marked as replaced.
+ *
+ * Anyone can check a code at /verify/<code>, which is also printed on the
+ * certificate as a link and QR code. Replaced certificates, and ones whose
+ * registration has since been cancelled, show as revoked there.
+ */
+
+import QRCode from 'qrcode';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getEventById } from '@/app/_data/techelonsEventsData';
+import workshopData from '@/app/_data/workshopData';
+import { REGISTRATION_RECORD_STATUS, STORAGE_COLLECTIONS, isWorkshopEvent } from './storage';
+import { StorageCollection } from './storage/StorageCollection';
+import { getPassEventDetails } from './entryPass';
+import { ResultsStore, getEventPositions } from './eventResults';
+import { renderTemplate } from './mail/renderTemplate';
+import { buildCertificateEmail } from './mail/templates/certificate';
+import { queueEmail } from './emailOutbox';
+import { EMAIL_KINDS } from './registrationEmails';
+
+export const CERTIFICATE_TYPES = Object.freeze({
+    PARTICIPATION: 'participation',
+    WINNER: 'winner',
+    COMPLETION: 'completion'
+});
+
+// What the verification page says about a code that exists
+export const CERTIFICATE_STATUS = Object.freeze({
+    VALID: 'valid',
+    REVOKED: 'revoked'
+});
+
+// Error types
+export const CERTIFICATE_ERROR_TYPES = Object.freeze({
+    EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+    NO_ATTENDEES: 'NO_ATTENDEES'
+});
+
+// Codes look like "WSC-7KQ2-M9XD", without characters that are easy to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * The default certificate template. An event's `certificate` field can
+ * replace any of these; titles and body are merged per type.
+ * Body text is rendered with {{name}}, {{position}} and {{event.name}},
+ * {{event.date}}, {{event.venue}}.
+ */
+const DEFAULT_TEMPLATE = {
+    // The certificate everyone who attends gets; winners get CERTIFICATE_TYPES.WINNER
+    type: CERTIFICATE_TYPES.PARTICIPATION,
+    organizer: 'Websters - Computer Science Society, Shivaji College',
+    titles: {
+        [CERTIFICATE_TYPES.PARTICIPATION]: 'Certificate of Participation',
+        [CERTIFICATE_TYPES.WINNER]: 'Certificate of Merit',
+        [CERTIFICATE_TYPES.COMPLETION]: 'Certificate of Completion'
+    },
+    body: {
+        [CERTIFICATE_TYPES.PARTICIPATION]: 'for participating in {{event.name}}, held on {{event.date}}.',
+        [CERTIFICATE_TYPES.WINNER]: 'for securing the {{position}} position in {{event.name}}, held on {{event.date}}.',
+        [CERTIFICATE_TYPES.COMPLETION]: 'for successfully completing {{event.name}}, held on {{event.date}}.'
+    },
+    accentColor: '#4f46e5',
+    signatories: [
+        { name: 'Convenor', title: 'Websters - Computer Science Society' },
+        { name: 'Principal', title: 'Shivaji College' }
+    ]
+};
+
+const createCertificateError = (message, type, status) => {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    return error;
+};
+
+/**
+ * Creates a unique certificate verification code such as "WSC-7KQ2-M9XD"
+ * @returns {string} - The code
+ */
+export const createCertificateCode = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `WSC-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Normalizes a typed certificate code, accepting any case and missing dashes
+ * @param {string} value - The code as entered
+ * @returns {string|null} - The code in "WSC-XXXX-XXXX" form, or null if it cannot be one
+ */
+export const normalizeCertificateCode = (value) => {
+    const chars = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const body = chars.length === CODE_LENGTH + 3 && chars.startsWith('WSC') ? chars.slice(3) : chars;
+    return body.length === CODE_LENGTH ? `WSC-${body.slice(0, 4)}-${body.slice(4)}` : null;
+};
+
+/**
+ * Get the public link where a certificate can be verified
+ * @param {string} code - The certificate code
+ * @param {string} [origin] - Origin of the current request, used when SITE_URL is not set
+ * @returns {string|null} - The link, or null when there is no site URL to build it from
+ */
+export const getCertificateVerifyUrl = (code, origin) => {
+    const siteUrl = process.env.SITE_URL || origin;
+    return siteUrl ? new URL(`/verify/${code}`, siteUrl).toString() : null;
+};
+
+/**
+ * Get the certificate template of an event, with its overrides applied
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} - The template, or null for unknown events
+ */
+export const getCertificateTemplate = (eventId) => {
+    const event = isWorkshopEvent(eventId) ? workshopData : getEventById(eventId);
+    if (!event) return null;
+
+    const overrides = event.certificate || {};
+    return {
+        ...DEFAULT_TEMPLATE,
+        ...overrides,
+        titles: { ...DEFAULT_TEMPLATE.titles, ...overrides.titles },
+        body: { ...DEFAULT_TEMPLATE.body, ...overrides.body }
+    };
+};
+
+export class CertificateRegistry extends StorageCollection {
+    /**
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(storage) {
+        super(STORAGE_COLLECTIONS.CERTIFICATES, storage);
+    }
+
+    /**
+     * List certificates, optionally for a single event
+     * @param {Object} [options] - { eventId }
+     * @returns {Promise<Object[]>} - Certificates, replaced ones included
+     */
+    async list({ eventId } = {}) {
+        const certificates = await this.load();
+        return eventId ? certificates.filter(certificate => certificate.eventId === eventId) : certificates;
+    }
+
+    /**
+     * Find a certificate by its code
+     * @param {string} code - The verification code, in any case and with or without dashes
+     * @returns {Promise<Object|null>} - The certificate, or null if there is none with this code
+     */
+    async find(code) {
+        const normalized = normalizeCertificateCode(code);
+        if (!normalized) return null;
+
+        return (await this.load()).find(certificate => certificate.code === normalized) || null;
+    }
+}
+
+/**
+ * Find a certificate by its code in the registration storage
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} code - The verification code, in any case and with or without dashes
+ * @returns {Promise<Object|null>} - The certificate, or null if there is none with this code
+ */
+export const findCertificate = (storage, code) => new CertificateRegistry(storage).find(code);
+
+/**
+ * Look up a certificate for the public verification page
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} code - The code as entered, in any case and with or without dashes
+ * @returns {Promise<Object|null>} - { status, reason, certificate: { code, name, eventName, eventDate, title, type, position, issuedAt } },
+ *   or null if no certificate has this code. Only what is printed on the certificate is included.
+ * @throws {Error} - A storage error if the certificates cannot be read, so it is not mistaken for an unknown code
+ */
+export const verifyCertificate = async (storage, code) => {
+    const certificate = await findCertificate(storage, code);
+    if (!certificate) return null;
+
+    let reason = null;
+    if (certificate.replacedBy) {
+        reason = 'This certificate was replaced by a newer one issued to the same person.';
+    } else {
+        const registration = await storage.getRegistration(certificate.registrationId);
+        if (registration?.status !== REGISTRATION_RECORD_STATUS.REGISTERED) {
+            reason = 'The registration this certificate was issued for has been cancelled.';
+        }
+    }
+
+    const template = getCertificateTemplate(certificate.eventId) || DEFAULT_TEMPLATE;
+    return {
+        status: reason ? CERTIFICATE_STATUS.REVOKED : CERTIFICATE_STATUS.VALID,
+        reason,
+        certificate: {
+            code: certificate.code,
+            name: certificate.name,
+            eventName: certificate.eventName,
+            eventDate: getPassEventDetails(certificate.eventId).date,
+            title: template.titles[certificate.type],
+            type: certificate.type,
+            position: certificate.position,
+            issuedAt: certificate.issuedAt
+        }
+    };
+};
+
+/**
+ * Work out who should have a certificate for an event and of which kind
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @param {Object} template - The event's certificate template
+ * @returns {Promise<Object[]>} - [{ passId, name, email, registrationId, type, position }]
+ */
+const getCertificateHolders = async (storage, eventId, template) => {
+    const [registrations, attendance, { results }] = await Promise.all([
+        storage.listRegistrations({ eventId }),
+        storage.listAttendance({ eventId }),
+        new ResultsStore(storage).get(eventId)
+    ]);
+    const attended = new Set(attendance.map(entry => entry.passId));
+    const positions = new Map(results.map(result => [result.registrationId, result.position]));
+
+    return registrations
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED)
+        .flatMap(record => {
+            const position = positions.get(record.id) || null;
+            return [record, ...(record.teamMembers || [])]
+                // Placed teams are certified in full, in case a check-in was missed
+                .filter(person => person.passId && (position || attended.has(person.passId)))
+                .map(person => ({
+                    passId: person.passId,
+                    name: person.name,
+                    email: person.email,
+                    registrationId: record.id,
+                    type: position ? CERTIFICATE_TYPES.WINNER : template.type,
+                    position
+                }));
+        });
+};
+
+/**
+ * Everything the admin certificates page shows for an event
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @returns {Promise<Object>} - { event: { id, name, type, positions, resultsPublishedAt }, registrations, certificates }
+ *   where registrations are [{ id, name, position, participants: [{ name, passId, attended }] }]
+ * @throws {Error} - EVENT_NOT_FOUND (404)
+ */
+export const getCertificateOverview = async (storage, eventId) => {
+    const template = getCertificateTemplate(eventId);
+    if (!template) {
+        throw createCertificateError('Event not found', CERTIFICATE_ERROR_TYPES.EVENT_NOT_FOUND, 404);
+    }
+
+    const [registrations, attendance, { results, publishedAt }, certificates] = await Promise.all([
+        storage.listRegistrations({ eventId }),
+        storage.listAttendance({ eventId }),
+        new ResultsStore(storage).get(eventId),
+        new CertificateRegistry(storage).list({ eventId })
+    ]);
+    const attended = new Set(attendance.map(entry => entry.passId));
+    const positions = new Map(results.map(result => [result.registrationId, result.position]));
+
+    return {
+        event: {
+            id: eventId,
+            name: getPassEventDetails(eventId).name,
+            type: template.type,
+            positions: getEventPositions(eventId).map(prize => prize.position),
+            resultsPublishedAt: publishedAt || null
+        },
+        registrations: registrations
+            .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED)
+            .map(record => ({
+                id: record.id,
+                name: record.name,
+                position: positions.get(record.id) || null,
+                participants: [record, ...(record.teamMembers || [])].map(person => ({
+                    name: person.name,
+                    passId: person.passId,
+                    attended: attended.has(person.passId)
+                }))
+            })),
+        certificates: certificates.reverse()
+    };
+};
+
+/**
+ * Issue the certificates of an event. Safe to run again, e.g. after more
+ * check-ins or once the results are in.
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @returns {Promise<Object>} - { issued, replaced, unchanged } counts
+ * @throws {Error} - EVENT_NOT_FOUND (404) or NO_ATTENDEES (400)
+ */
+export const issueCertificates = async (storage, eventId) => {
+    const template = getCertificateTemplate(eventId);
+    if (!template) {
+        throw createCertificateError('Event not found', CERTIFICATE_ERROR_TYPES.EVENT_NOT_FOUND, 404);
+    }
+
+    const holders = await getCertificateHolders(storage, eventId, template);
+    if (holders.length === 0) {
+        throw createCertificateError('Nobody has checked in to this event yet', CERTIFICATE_ERROR_TYPES.NO_ATTENDEES, 400);
+    }
+
+    const eventName = getPassEventDetails(eventId).name;
+    const summary = await new CertificateRegistry(storage).update(certificates => {
+        const counts = { issued: 0, replaced: 0, unchanged: 0 };
+        const now = new Date().toISOString();
+
+        for (const holder of holders) {
+            const current = certificates.find(certificate =>
+                certificate.eventId === eventId && certificate.passId === holder.passId && !certificate.replacedBy);
+
+            if (current && current.type === holder.type && current.position === holder.position && current.name === holder.name) {
+                counts.unchanged++;
+                continue;
+            }
+
+            const certificate = {
+                code: createCertificateCode(),
+                eventId,
+                eventName,
+                ...holder,
+                issuedAt: now,
+                emailedAt: null,
+                replacedBy: null
+            };
+            certificates.push(certificate);
+
+            if (current) {
+                current.replacedBy = certificate.code;
+                counts.replaced++;
+            } else {
+                counts.issued++;
+            }
+        }
+
+        return counts;
+    });
+
+    console.log(`Certificates for ${eventId}: ${summary.issued} issued, ${summary.replaced} replaced`);
+    return summary;
+};
+
+const hexToRgb = (hex) => {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+// The standard fonts only cover Latin-1: take accents off letters (so "Ś" prints
+// as "S" rather than vanishing) and drop anything else, e.g. emoji or ₹
+const toLatin1 = (value) => String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Split text into lines that fit the given width
+const wrapText = (text, font, size, maxWidth) => text.split(' ').reduce((lines, word) => {
+    const candidate = lines.length > 0 ? `${lines[lines.length - 1]} ${word}` : word;
+    if (lines.length > 0 && font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        lines[lines.length - 1] = candidate;
+    } else {
+        lines.push(word);
+    }
+    return lines;
+}, []);
+
+/**
+ * Render a certificate as a PDF
+ * @param {Object} certificate - A certificate from the registry
+ * @param {string} [origin] - Origin of the current request, for the verification link when SITE_URL is not set
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const createCertificatePdf = async (certificate, origin) => {
+    const template = getCertificateTemplate(certificate.eventId) || DEFAULT_TEMPLATE;
+    const event = getPassEventDetails(certificate.eventId);
+    const title = template.titles[certificate.type];
+
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`${title} - ${certificate.name}`);
+    pdf.setSubject(`${event.name}, certificate ${certificate.code}`);
+
+    // A4 landscape
+    const page = pdf.addPage([842, 595]);
+    const { width, height } = page.getSize();
+    const regular = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const serif = await pdf.embedFont(StandardFonts.TimesRomanBoldItalic);
+    const accent = hexToRgb(template.accentColor);
+    const dark = rgb(0.07, 0.09, 0.15);
+    const gray = rgb(0.29, 0.33, 0.39);
+
+    // Draw text centered, shrinking it until it fits the page width
+    const drawCentered = (value, y, font, size, color = gray, maxWidth = width - 160) => {
+        const text = toLatin1(value);
+        let fontSize = size;
+        while (fontSize > 8 && font.widthOfTextAtSize(text, fontSize) > maxWidth) {
+            fontSize -= 0.5;
+        }
+        page.drawText(text, { x: (width - font.widthOfTextAtSize(text, fontSize)) / 2, y, size: fontSize, font, color });
+    };
+
+    page.drawRectangle({ x: 20, y: 20, width: width - 40, height: height - 40, borderColor: accent, borderWidth: 4 });
+    page.drawRectangle({ x: 32, y: 32, width: width - 64, height: height - 64, borderColor: accent, borderWidth: 1 });
+
+    drawCentered(template.organizer.toUpperCase(), height - 90, bold, 12, accent);
+    drawCentered(title, height - 150, serif, 40, dark);
+    drawCentered('This is to certify that', height - 205, regular, 14);
+    drawCentered(certificate.name, height - 255, bold, 32, accent);
+
+    const body = toLatin1(renderTemplate(template.body[certificate.type], {
+        name: certificate.name,
+        position: certificate.position,
+        event
+    }, { escape: false }));
+    wrapText(body, regular, 15, width - 220).slice(0, 3).forEach((line, index) => {
+        drawCentered(line, height - 300 - index * 22, regular, 15);
+    });
+
+    // Signature lines, spread evenly across the page
+    const signatories = template.signatories || [];
+    signatories.forEach((signatory, index) => {
+        const centerX = (width / (signatories.length + 1)) * (index + 1);
+        page.drawLine({ start: { x: centerX - 90, y: 130 }, end: { x: centerX + 90, y: 130 }, thickness: 1, color: gray });
+        for (const [text, font, size, y] of [[signatory.name, bold, 12, 112], [signatory.title, regular, 10, 97]]) {
+            const value = toLatin1(text);
+            page.drawText(value, { x: centerX - font.widthOfTextAtSize(value, size) / 2, y, size, font, color: dark });
+        }
+    });
+
+    const issued = new Date(certificate.issuedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+    page.drawText(`Certificate ID: ${certificate.code}`, { x: 52, y: 74, size: 10, font: bold, color: gray });
+    page.drawText(`Issued on ${issued}`, { x: 52, y: 60, size: 9, font: regular, color: gray });
+
+    const verifyUrl = getCertificateVerifyUrl(certificate.code, origin);
+    if (verifyUrl) {
+        page.drawText(`Verify at ${verifyUrl}`, { x: 52, y: 46, size: 9, font: regular, color: gray });
+
+        const qrSize = 64;
+        const qrImage = await pdf.embedPng(await QRCode.toBuffer(verifyUrl, { errorCorrectionLevel: 'M', margin: 0, width: 256 }));
+        page.drawImage(qrImage, { x: width - 52 - qrSize, y: 46, width: qrSize, height: qrSize });
+    }
+
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Email every certificate of an event that has not been emailed yet,
+ * through the email outbox so failed sends are retried
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @param {string} [origin] - Origin of the current request, for verification links when SITE_URL is not set
+ * @returns {Promise<Object>} - { emailed, failed } counts
+ */
+export const emailCertificates = async (storage, eventId, origin) => {
+    const certificateRegistry = new CertificateRegistry(storage);
+
+    // Claim the certificates first so a second click does not email them twice
+    const claimed = await certificateRegistry.update(certificates => {
+        const pending = certificates.filter(certificate =>
+            certificate.eventId === eventId && !certificate.replacedBy && !certificate.emailedAt && certificate.email);
+        const now = new Date().toISOString();
+        pending.forEach(certificate => {
+            certificate.emailedAt = now;
+        });
+        return pending.map(certificate => ({ ...certificate }));
+    });
+
+    // One at a time, so only one PDF is in memory at once
+    const failed = [];
+    for (const certificate of claimed) {
+        try {
+            const pdf = await createCertificatePdf(certificate, origin);
+            const result = await queueEmail(
+                buildCertificateEmail({
+                    certificate,
+                    title: getCertificateTemplate(eventId).titles[certificate.type],
+                    verifyUrl: getCertificateVerifyUrl(certificate.code, origin),
+                    pdf
+                }),
+                { kind: EMAIL_KINDS.CERTIFICATE, registrationId: certificate.registrationId }
+            );
+            if (!result.success && !result.queued) failed.push(certificate.code);
+        } catch (error) {
+            console.error(`Could not email certificate ${certificate.code}:`, error);
+            failed.push(certificate.code);
+        }
+    }
+
+    // Release the ones that could not even be queued, so they can be emailed again
+    if (failed.length > 0) {
+        await certificateRegistry.update(certificates => {
+            certificates
+                .filter(certificate => failed.includes(certificate.code))
+                .forEach(certificate => {
+                    certificate.emailedAt = null;
+                });
+        });
+    }
+
+    return { emailed: claimed.length - failed.length, failed: failed.length };
+};
@@ -0,0 +1,40 @@
+/**
+ * Scheduled Job Authentication
+ *
+ * Scheduled job routes are called with "Authorization: Bearer <CRON_SECRET>",
+ * as Vercel Cron does, and refuse to run while CRON_SECRET is not set.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+
+// Compare digests so the comparison takes the same time for any input length
+const isCorrectSecret = (secret, expected) => {
+    const given = createHash('sha256').update(String(secret)).digest();
+    const actual = createHash('sha256').update(expected).digest();
+    return timingSafeEqual(given, actual);
+};
+
+/**
+ * Checks the cron secret on a scheduled job request
+ * @param {Request} req - The incoming request
+ * @returns {NextResponse|null} - A 503/401 response if the job may not run, otherwise null
+ */
+export const requireCronSecret = (req) => {
+    if (!process.env.CRON_SECRET) {
+        return NextResponse.json(
+            { error: 'Scheduled jobs are not configured', type: 'MISSING_CREDENTIALS' },
+            { status: 503 }
+        );
+    }
+
+    const secret = req.headers.get('authorization')?.replace(/^Bearer\s+/i, '');
+    if (!secret || !isCorrectSecret(secret, process.env.CRON_SECRET)) {
+        return NextResponse.json(
+            { error: 'Invalid cron secret', type: 'UNAUTHORIZED' },
+            { status: 401 }
+        );
+    }
+
+    return null;
+};
@@ -0,0 +1,37 @@
+/**
+ * Email Code Utilities
+ *
+ * The parts of email verification shared by the forms and the API routes.
+ * When NEXT_PUBLIC_REQUIRE_EMAIL_VERIFICATION is "true", registrants are
+ * emailed a short code and have to enter it before their registration is
+ * accepted. The form sends the code along with the token it was issued
+ * with (see emailVerification.js).
+ */
+
+export const EMAIL_VERIFICATION_REQUIRED = process.env.NEXT_PUBLIC_REQUIRE_EMAIL_VERIFICATION === 'true';
+
+export const EMAIL_CODE_LENGTH = 6;
+
+// Seconds before another code can be requested from the form
+export const EMAIL_CODE_RESEND_SECONDS = 30;
+
+// Form fields carrying the code and its token
+export const EMAIL_VERIFICATION_FIELDS = Object.freeze({
+    TOKEN: 'emailVerificationToken',
+    CODE: 'emailVerificationCode'
+});
+
+// Error types
+export const EMAIL_VERIFICATION_ERROR_TYPES = Object.freeze({
+    EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+    INVALID_CODE: 'INVALID_CODE',
+    CODE_EXPIRED: 'CODE_EXPIRED',
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS'
+});
+
+/**
+ * Normalize a typed code, dropping spaces and dashes
+ * @param {string} value - The code as entered
+ * @returns {string} - The digits
+ */
+export const normalizeEmailCode = (value) => String(value || '').replace(/[\s-]/g, '');
@@ -0,0 +1,336 @@
+/**
+ * Email Outbox
+ *
+ * Registration emails are written to an outbox file before they are sent,
+ * so a send that fails (e.g. Gmail rejecting it) is retried instead of
+ * lost. Failed sends are retried with increasing delays; after the last
+ * retry an email moves to the dead-letter list, where an admin can see it
+ * and try again. Sent emails are kept for a while as a log.
+ *
+ * The outbox is kept in the registration storage, so it lasts as long as
+ * the registrations do: "outbox.json" with the local backend and an
+ * "Outbox" tab with Google Sheets. Retries are sent by the scheduled
+ * /api/cron/outbox job or from the admin outbox page. If the outbox cannot
+ * be written, emails are sent directly as before.
+ */
+
+import { STORAGE_COLLECTIONS } from './storage';
+import { StorageCollection } from './storage/StorageCollection';
+import { sendEmail } from './mail';
+
+export const OUTBOX_STATUS = Object.freeze({
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    DEAD: 'dead'
+});
+
+// Delay before each retry; an email that fails every one of them is dead
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+
+// An email being sent is left alone for this long, then treated as failed
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+const SENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Emails sent at once when working through the outbox
+const SEND_CONCURRENCY = 5;
+
+// Attachments are Buffers in memory and base64 strings in storage
+const serializeAttachments = (attachments = []) => attachments.map(attachment => (
+    Buffer.isBuffer(attachment.content)
+        ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+        : attachment
+));
+
+const isDue = (entry, now) => {
+    if (entry.status === OUTBOX_STATUS.PENDING) return new Date(entry.nextAttemptAt).getTime() <= now;
+    if (entry.status === OUTBOX_STATUS.SENDING) return new Date(entry.lockedUntil).getTime() <= now;
+    return false;
+};
+
+const createEntry = (message, { kind, registrationId, announcementId }, now) => ({
+    id: crypto.randomUUID(),
+    kind: kind || null,
+    registrationId: registrationId || null,
+    announcementId: announcementId || null,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    attachments: serializeAttachments(message.attachments),
+    priority: message.priority,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: new Date(now).toISOString(),
+    lockedUntil: null,
+    lastError: null,
+    sentAt: null
+});
+
+const sendEntry = async ({ to, subject, html, text, attachments, priority }) => {
+    try {
+        return await sendEmail({ to, subject, html, text, attachments, priority });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+};
+
+const recordOutcome = (stored, result, now) => {
+    stored.attempts++;
+    stored.lockedUntil = null;
+    stored.claimId = null;
+    if (result.success) {
+        stored.status = OUTBOX_STATUS.SENT;
+        stored.sentAt = new Date(now).toISOString();
+        stored.lastError = null;
+        // The log only needs to say what was sent, not carry the message and files again
+        delete stored.html;
+        delete stored.text;
+        stored.attachments = stored.attachments.map(({ content, ...attachment }) => attachment);
+    } else if (stored.attempts > RETRY_DELAYS_MS.length) {
+        stored.status = OUTBOX_STATUS.DEAD;
+        stored.lastError = result.error || 'Unknown error';
+        console.error(`Email ${stored.id} to ${stored.to} failed ${stored.attempts} times, moved to the dead-letter list`);
+    } else {
+        stored.status = OUTBOX_STATUS.PENDING;
+        stored.lastError = result.error || 'Unknown error';
+        stored.nextAttemptAt = new Date(now + RETRY_DELAYS_MS[stored.attempts - 1]).toISOString();
+    }
+};
+
+export class EmailOutbox extends StorageCollection {
+    /**
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(storage) {
+        super(STORAGE_COLLECTIONS.OUTBOX, storage);
+    }
+
+    /**
+     * Run a read-modify-write operation on the entries. Sent emails older
+     * than the retention period are dropped on the way.
+     * @param {Function} mutate - Receives the entries and the current time, mutates the entries and returns a result
+     * @returns {Promise<any>} - The value returned by mutate
+     */
+    update(mutate) {
+        return super.update((entries, now) => {
+            const kept = entries.filter(entry =>
+                entry.status !== OUTBOX_STATUS.SENT || now - new Date(entry.sentAt).getTime() < SENT_RETENTION_MS
+            );
+            entries.splice(0, entries.length, ...kept);
+            return mutate(entries, now);
+        });
+    }
+
+    /**
+     * Add an email, already claimed for its first send
+     * @param {Object} message - { to, subject, html, text, attachments, priority }
+     * @param {Object} [meta] - { kind, registrationId, announcementId }
+     * @returns {Promise<Object>} - The outbox entry
+     */
+    async add(message, meta = {}) {
+        return this.update((entries, now) => {
+            const entry = {
+                ...createEntry(message, meta, now),
+                status: OUTBOX_STATUS.SENDING,
+                lockedUntil: new Date(now + SEND_LOCK_MS).toISOString()
+            };
+            entries.push(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * Add emails for the outbox job to send, without sending any now
+     * @param {Object[]} messages - { to, subject, html, text, attachments, priority } for each email
+     * @param {Object} [meta] - { kind, registrationId, announcementId }, the same for every email
+     * @returns {Promise<number>} - How many emails were added
+     */
+    async addMany(messages, meta = {}) {
+        return this.update((entries, now) => {
+            entries.push(...messages.map(message => createEntry(message, meta, now)));
+            return messages.length;
+        });
+    }
+
+    /**
+     * Send a claimed entry and record the outcome
+     * @param {Object} entry - The outbox entry
+     * @returns {Promise<Object>} - The send result
+     */
+    async deliver(entry) {
+        const result = await sendEntry(entry);
+        await this.recordAttempts([{ id: entry.id, result }]);
+        return result;
+    }
+
+    /**
+     * Record the outcome of sends in one write
+     * @param {Object[]} outcomes - { id, result } for each send
+     */
+    async recordAttempts(outcomes) {
+        try {
+            await this.update((entries, now) => {
+                for (const { id, result } of outcomes) {
+                    const stored = entries.find(candidate => candidate.id === id);
+                    if (stored) recordOutcome(stored, result, now);
+                }
+            });
+        } catch (error) {
+            // The emails themselves went out (or not) either way
+            console.error(`Could not record the send of emails ${outcomes.map(({ id }) => id).join(', ')}:`, error);
+        }
+    }
+
+    /**
+     * Send every email that is due for a retry. Due emails are claimed
+     * first, so a run that overlaps another skips the emails it is sending.
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.limit] - How many emails to send at most
+     * @param {number} [options.timeLimitMs] - Stop starting sends after this long; unsent emails go back in line
+     * @returns {Promise<Object>} - { attempted, sent } counts
+     */
+    async processDue({ limit = 20, timeLimitMs = null } = {}) {
+        const startedAt = Date.now();
+        const claimId = crypto.randomUUID();
+        await this.update((entries, now) => {
+            entries.filter(entry => isDue(entry, now)).slice(0, limit).forEach(entry => {
+                entry.status = OUTBOX_STATUS.SENDING;
+                entry.lockedUntil = new Date(now + SEND_LOCK_MS).toISOString();
+                entry.claimId = claimId;
+            });
+        });
+
+        // Read the claims back: with Sheets another instance may have claimed the same emails since
+        const claimed = (await this.load()).filter(entry =>
+            entry.claimId === claimId && entry.status === OUTBOX_STATUS.SENDING
+        );
+
+        let attempted = 0;
+        let sent = 0;
+        for (let i = 0; i < claimed.length; i += SEND_CONCURRENCY) {
+            if (timeLimitMs && Date.now() - startedAt > timeLimitMs) {
+                await this.release(claimed.slice(i).map(entry => entry.id), claimId);
+                break;
+            }
+
+            const batch = claimed.slice(i, i + SEND_CONCURRENCY);
+            const outcomes = await Promise.all(batch.map(async entry => ({ id: entry.id, result: await sendEntry(entry) })));
+            await this.recordAttempts(outcomes);
+
+            attempted += outcomes.length;
+            sent += outcomes.filter(({ result }) => result.success).length;
+        }
+        return { attempted, sent };
+    }
+
+    // Put claimed emails that were not sent back in line, due straight away
+    async release(ids, claimId) {
+        await this.update((entries, now) => {
+            entries
+                .filter(entry => ids.includes(entry.id) && entry.claimId === claimId && entry.status === OUTBOX_STATUS.SENDING)
+                .forEach(entry => {
+                    entry.status = OUTBOX_STATUS.PENDING;
+                    entry.lockedUntil = null;
+                    entry.nextAttemptAt = new Date(now).toISOString();
+                });
+        });
+    }
+    /**
+     * List outbox entries, newest first, without their content
+     * @param {Object} [options] - { status } to filter by
+     * @returns {Promise<Object[]>} - Entry summaries
+     */
+    async list({ status } = {}) {
+        return (await this.load())
+            .filter(entry => !status || entry.status === status)
+            .map(({ html, text, attachments, priority, ...summary }) => summary)
+            .reverse();
+    }
+
+    /**
+     * Count entries by status
+     * @returns {Promise<Object>} - { pending, sending, sent, dead }
+     */
+    async counts() {
+        const counts = Object.fromEntries(Object.values(OUTBOX_STATUS).map(status => [status, 0]));
+        for (const entry of await this.load()) counts[entry.status]++;
+        return counts;
+    }
+
+    /**
+     * Put the dead emails of an announcement back in line for the outbox job
+     * @param {string} announcementId - The announcement ID
+     * @returns {Promise<number>} - How many emails were put back
+     */
+    async requeueAnnouncement(announcementId) {
+        return this.update((entries, now) => {
+            const dead = entries.filter(entry => entry.announcementId === announcementId && entry.status === OUTBOX_STATUS.DEAD);
+            dead.forEach(entry => {
+                // A retried email gets the full set of retries again
+                entry.attempts = 0;
+                entry.status = OUTBOX_STATUS.PENDING;
+                entry.nextAttemptAt = new Date(now).toISOString();
+            });
+            return dead.length;
+        });
+    }
+
+    /**
+     * Put a dead or waiting email back in line and try it now
+     * @param {string} id - The entry ID
+     * @returns {Promise<Object|null>} - The send result, or null if there is no such email waiting
+     */
+    async retry(id) {
+        const entry = await this.update((entries, now) => {
+            const stored = entries.find(candidate => candidate.id === id);
+            // Emails being sent right now are left to finish
+            if (!stored || ![OUTBOX_STATUS.PENDING, OUTBOX_STATUS.DEAD].includes(stored.status)) return null;
+
+            // A retried email gets the full set of retries again
+            stored.attempts = 0;
+            stored.status = OUTBOX_STATUS.SENDING;
+            stored.lockedUntil = new Date(now + SEND_LOCK_MS).toISOString();
+            return { ...stored };
+        });
+
+        return entry ? this.deliver(entry) : null;
+    }
+}
+
+let outbox = null;
+
+/**
+ * Get the shared outbox
+ * @returns {EmailOutbox} - The outbox
+ */
+export const getEmailOutbox = () => {
+    if (!outbox) outbox = new EmailOutbox();
+    return outbox;
+};
+
+/**
+ * Send an email through the outbox: it is stored, sent straight away and
+ * retried by the outbox job if that fails.
+ * @param {Object} message - { to, subject, html, text, attachments, priority } as for sendEmail
+ * @param {Object} [meta] - Where the email belongs
+ * @param {string} [meta.kind] - What the email is, e.g. "confirmation", for the admin list
+ * @param {string} [meta.registrationId] - The registration it is about
+ * @returns {Promise<Object>} - The first send's result, with outboxId and queued: true when it will be retried
+ */
+export const queueEmail = async (message, meta = {}) => {
+    const outbox = getEmailOutbox();
+
+    let entry;
+    try {
+        entry = await outbox.add(message, meta);
+    } catch (error) {
+        console.error('Could not write to the email outbox, sending directly:', error);
+        return sendEmail(message);
+    }
+
+    const result = await outbox.deliver(entry);
+    return { ...result, outboxId: entry.id, queued: !result.success };
+};
@@ -0,0 +1,146 @@
+/**
+ * Email Verification
+ *
+ * Emails registrants a short code that proves they own the address they
+ * registered with. Nothing is stored per code: the code is derived from
+ * the token secret and a random ID, and the ID and email travel to the
+ * form in a signed token. The form sends the token back with the typed
+ * code, and the registration routes check them before writing anything.
+ */
+
+import { signToken, verifyToken, hmac, TOKEN_ERRORS } from './signedToken';
+import { createRateLimiter, getClientIp, getRateLimitStore } from './rateLimit';
+import { BOT_ERROR_TYPES } from './botCheck';
+import {
+    EMAIL_VERIFICATION_REQUIRED,
+    EMAIL_CODE_LENGTH,
+    EMAIL_VERIFICATION_FIELDS,
+    EMAIL_VERIFICATION_ERROR_TYPES,
+    normalizeEmailCode
+} from './emailCode';
+import { sendEmail } from './mail';
+import { buildVerificationCodeEmail } from './mail/templates/verificationCode';
+
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const CODE_PURPOSE = 'email-verification';
+const MAX_ATTEMPTS = 10; // Leaves room to resubmit after fixing other fields
+
+export const EMAIL_CODE_RATE_LIMITS = Object.freeze({
+    EMAIL: { limit: 3, windowMs: 10 * 60 * 1000 },
+    IP: { limit: 10, windowMs: 10 * 60 * 1000 }
+});
+
+const emailLimiter = createRateLimiter({ name: 'email-code-email', ...EMAIL_CODE_RATE_LIMITS.EMAIL });
+const ipLimiter = createRateLimiter({ name: 'email-code-ip', ...EMAIL_CODE_RATE_LIMITS.IP });
+
+const createVerificationError = (message, type, status, retryAfterSeconds) => {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    if (retryAfterSeconds) error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Derive the code for a verification ID
+ * @param {string} id - The verification ID
+ * @returns {Promise<string>} - A zero-padded numeric code
+ */
+const deriveCode = async (id) => {
+    const bytes = await hmac(`${CODE_PURPOSE}:${id}`);
+    const number = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    return String(number % 10 ** EMAIL_CODE_LENGTH).padStart(EMAIL_CODE_LENGTH, '0');
+};
+
+/**
+ * Email a verification code
+ * @param {Request} req - The incoming request, for the per-IP limit
+ * @param {string} email - The address to verify
+ * @param {string} [eventName] - The event being registered for, shown in the email
+ * @returns {Promise<Object>} - { token, expiresInSeconds } for the form to send back with the code
+ * @throws {Error} - RATE_LIMITED (429) or EMAIL_FAILED (502)
+ */
+export const sendVerificationCode = async (req, email, eventName) => {
+    const address = normalizeEmail(email);
+
+    for (const result of [await ipLimiter.check(getClientIp(req)), await emailLimiter.check(address)]) {
+        if (!result.allowed) {
+            throw createVerificationError(
+                'Too many codes requested. Please wait a few minutes and try again.',
+                BOT_ERROR_TYPES.RATE_LIMITED,
+                429,
+                result.retryAfterSeconds
+            );
+        }
+    }
+
+    const id = crypto.randomUUID();
+    const token = await signToken(CODE_PURPOSE, { id, email: address }, CODE_TTL_MS);
+    const code = await deriveCode(id);
+
+    const result = await sendEmail(buildVerificationCodeEmail({
+        to: address,
+        code,
+        expiresInMinutes: CODE_TTL_MS / 60000,
+        eventName
+    }));
+    if (!result.success) {
+        throw createVerificationError('We could not send the code. Please check the email address and try again.', 'EMAIL_FAILED', 502);
+    }
+
+    return { token, expiresInSeconds: CODE_TTL_MS / 1000 };
+};
+
+/**
+ * Check the code sent with a registration. Without a code the registration
+ * is unverified, which is only allowed when verification isn't required.
+ * A token can be tried MAX_ATTEMPTS times.
+ * @param {Object} fields - The submitted values of EMAIL_VERIFICATION_FIELDS
+ * @param {string} email - The email being registered
+ * @returns {Promise<Object>} - { verified, error } where error has a type, status and fieldErrors
+ */
+export const checkEmailVerification = async (fields, email) => {
+    const token = fields[EMAIL_VERIFICATION_FIELDS.TOKEN];
+    const code = normalizeEmailCode(fields[EMAIL_VERIFICATION_FIELDS.CODE]);
+
+    const fail = (message, type) => {
+        const error = createVerificationError(message, type, 400);
+        error.fieldErrors = { [EMAIL_VERIFICATION_FIELDS.CODE]: message };
+        return { verified: false, error };
+    };
+
+    if (!token || !code) {
+        return EMAIL_VERIFICATION_REQUIRED
+            ? fail('Please verify your email address', EMAIL_VERIFICATION_ERROR_TYPES.EMAIL_NOT_VERIFIED)
+            : { verified: false, error: null };
+    }
+
+    const result = await verifyToken(token, CODE_PURPOSE);
+    if (!result.valid) {
+        if (result.reason === TOKEN_ERRORS.MISSING_SECRET) {
+            const error = new Error('Missing required environment variable: REGISTRATION_TOKEN_SECRET');
+            error.type = 'MISSING_CREDENTIALS';
+            throw error;
+        }
+        return result.reason === TOKEN_ERRORS.EXPIRED
+            ? fail('Your code has expired. Please request a new one.', EMAIL_VERIFICATION_ERROR_TYPES.CODE_EXPIRED)
+            : fail('Please request a new code', EMAIL_VERIFICATION_ERROR_TYPES.INVALID_CODE);
+    }
+
+    if (result.payload.email !== normalizeEmail(email)) {
+        return fail('The code was sent to a different email address. Please request a new one.', EMAIL_VERIFICATION_ERROR_TYPES.INVALID_CODE);
+    }
+
+    const { count } = await getRateLimitStore().increment(`email-code-attempts:${result.payload.id}`, CODE_TTL_MS);
+    if (count > MAX_ATTEMPTS) {
+        return fail('Too many attempts with this code. Please request a new one.', EMAIL_VERIFICATION_ERROR_TYPES.TOO_MANY_ATTEMPTS);
+    }
+
+    if (code !== await deriveCode(result.payload.id)) {
+        return fail('That code is not right. Please check the email and try again.', EMAIL_VERIFICATION_ERROR_TYPES.INVALID_CODE);
+    }
+
+    return { verified: true, error: null };
+};
@@ -0,0 +1,184 @@
+/**
+ * Entry Pass Utilities
+ *
+ * Every participant gets a pass ID when their registration is stored. The
+ * pass is a QR code of that ID, sent inline and as a PDF with the
+ * confirmation email and shown on the form submitted pages, so volunteers
+ * can scan people in at the door.
+ */
+
+import QRCode from 'qrcode';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { getEventById, formatEventDateTime } from '@/app/_data/techelonsEventsData';
+import workshopData from '@/app/_data/workshopData';
+import { isWorkshopEvent } from '@/app/_utils/storage/RegistrationStorage';
+
+const QR_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 320
+};
+
+// Content ID used to reference the QR image from the email HTML
+const QR_CONTENT_ID = 'entry-pass-qr@websters';
+
+/**
+ * Get the pass of the participant with the given email
+ * @param {Object} record - The registration record
+ * @param {string} email - Email of the team lead or a team member
+ * @returns {Object|null} - { passId, name, email, eventId, registrationId, isTeamMember } or null
+ */
+export const getParticipantPass = (record, email) => {
+    if (!record || !email) return null;
+
+    const normalizedEmail = email.toLowerCase();
+    const participants = [
+        { ...record, isTeamMember: false },
+        ...(record.teamMembers || []).map(member => ({ ...member, isTeamMember: true }))
+    ];
+    const participant = participants.find(person => person.email?.toLowerCase() === normalizedEmail);
+
+    if (!participant?.passId) return null;
+
+    return {
+        passId: participant.passId,
+        name: participant.name,
+        email: participant.email,
+        eventId: record.eventId,
+        registrationId: record.id,
+        isTeamMember: participant.isTeamMember
+    };
+};
+
+/**
+ * Get the event details printed on a pass
+ * @param {string} eventId - The event ID
+ * @returns {Object} - { name, date, time, venue }
+ */
+export const getPassEventDetails = (eventId) => {
+    if (isWorkshopEvent(eventId)) {
+        const detail = (id) => workshopData.details.find(item => item.id === id)?.value || 'To be announced';
+        return {
+            name: workshopData.title,
+            date: detail('date'),
+            time: detail('time'),
+            venue: detail('venue')
+        };
+    }
+
+    const event = getEventById(eventId);
+    const { formattedDate, formattedTime } = formatEventDateTime(event);
+    return {
+        name: event?.name || eventId,
+        date: formattedDate,
+        time: formattedTime,
+        venue: event?.venue || 'To be announced'
+    };
+};
+
+/**
+ * Render a pass ID as a QR code image
+ * @param {string} passId - The pass ID
+ * @returns {Promise<Buffer>} - PNG image
+ */
+export const createPassQrCode = (passId) => QRCode.toBuffer(passId, QR_OPTIONS);
+
+/**
+ * Render a pass ID as a QR code data URL for use in an <img> tag
+ * @param {string} passId - The pass ID
+ * @returns {Promise<string>} - PNG data URL
+ */
+export const createPassQrDataUrl = (passId) => QRCode.toDataURL(passId, QR_OPTIONS);
+
+/**
+ * Create a printable PDF of an entry pass
+ * @param {Object} pass - Pass from getParticipantPass
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const createPassPdf = async (pass) => {
+    const event = getPassEventDetails(pass.eventId);
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`Entry Pass - ${event.name}`);
+
+    // A6 portrait, a comfortable size to show on a phone or print
+    const page = pdf.addPage([298, 420]);
+    const { width, height } = page.getSize();
+    const regular = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const indigo = rgb(0.31, 0.27, 0.9);
+    const gray = rgb(0.29, 0.33, 0.39);
+
+    // Draw text centered, shrinking it until it fits the page width.
+    // The standard fonts only cover Latin-1, so drop anything else (e.g. emoji).
+    const drawCentered = (value, y, font, size, color = gray) => {
+        const text = String(value).replace(/[^\x20-\x7E\xA0-\xFF]/g, '').trim();
+        let fontSize = size;
+        while (fontSize > 6 && font.widthOfTextAtSize(text, fontSize) > width - 32) {
+            fontSize -= 0.5;
+        }
+        page.drawText(text, {
+            x: (width - font.widthOfTextAtSize(text, fontSize)) / 2,
+            y,
+            size: fontSize,
+            font,
+            color
+        });
+    };
+
+    page.drawRectangle({ x: 0, y: height - 56, width, height: 56, color: indigo });
+    drawCentered('ENTRY PASS', height - 36, bold, 18, rgb(1, 1, 1));
+
+    drawCentered(event.name, height - 82, bold, 13, rgb(0.07, 0.09, 0.15));
+    drawCentered(pass.name || '', height - 102, regular, 12);
+
+    const qrImage = await pdf.embedPng(await createPassQrCode(pass.passId));
+    const qrSize = 170;
+    page.drawImage(qrImage, {
+        x: (width - qrSize) / 2,
+        y: height - 290,
+        width: qrSize,
+        height: qrSize
+    });
+
+    drawCentered(pass.passId, height - 312, bold, 14, indigo);
+    drawCentered(`${event.date} | ${event.time}`, height - 340, regular, 10);
+    drawCentered(event.venue, height - 356, regular, 10);
+    drawCentered('Show this pass at the entrance along with your college ID.', 24, regular, 8);
+
+    return Buffer.from(await pdf.save());
+};
+
+/**
+ * Build the pass section and attachments for a confirmation email
+ * @param {Object} pass - Pass from getParticipantPass
+ * @returns {Promise<Object>} - { html, attachments } for sendEmail
+ */
+export const getPassEmailContent = async (pass) => {
+    const [qrCode, pdf] = await Promise.all([createPassQrCode(pass.passId), createPassPdf(pass)]);
+
+    const html = `
+      <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #4f46e5; text-align: center;">
+        <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">🎟️ Your Entry Pass</h3>
+        <p style="margin: 8px 0 16px; color: #374151; line-height: 1.6;">Show this QR code at the entrance. It is also attached as a PDF.</p>
+        <img src="cid:${QR_CONTENT_ID}" alt="Entry pass QR code" width="200" height="200" style="display: block; margin: 0 auto;">
+        <p style="margin: 12px 0 0; font-family: monospace; font-size: 18px; font-weight: 700; color: #4f46e5; letter-spacing: 1px;">${pass.passId}</p>
+      </div>
+    `;
+
+    return {
+        html,
+        attachments: [
+            {
+                filename: 'entry-pass-qr.png',
+                content: qrCode,
+                contentType: 'image/png',
+                cid: QR_CONTENT_ID
+            },
+            {
+                filename: `entry-pass-${pass.passId}.pdf`,
+                content: pdf,
+                contentType: 'application/pdf'
+            }
+        ]
+    };
+};
@@ -0,0 +1,213 @@
+/**
+ * Event Results
+ *
+ * Who placed where in each Techelons event, entered by an admin after the
+ * event. Positions are the ones the event offers in its `prizes` (e.g. "1st"),
+ * and each one is given to a registration, so the whole team shares it.
+ * Winner certificates are issued from these results, and once an admin
+ * publishes an event's results they are shown on the Techelons page, in the
+ * event's dialog and on the winners page.
+ *
+ * Results are kept in the registration storage, one entry per event.
+ */
+
+import { getEventById, TECHELONS_EVENTS } from '@/app/_data/techelonsEventsData';
+import { REGISTRATION_RECORD_STATUS, STORAGE_COLLECTIONS } from './storage';
+import { StorageCollection } from './storage/StorageCollection';
+
+// Prizes everyone gets, which are not a place in the results
+const PARTICIPATION_POSITION = 'participation';
+
+// Error types
+export const RESULTS_ERROR_TYPES = Object.freeze({
+    EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+    INVALID_RESULTS: 'INVALID_RESULTS',
+    NO_RESULTS: 'NO_RESULTS'
+});
+
+const createResultsError = (message, type, status) => {
+    const error = new Error(message);
+    error.type = type;
+    error.status = status;
+    return error;
+};
+
+/**
+ * Get the places an event awards, in prize order
+ * @param {string} eventId - The event ID
+ * @returns {Object[]} - [{ position, reward }] without participation prizes; empty for unknown events
+ */
+export const getEventPositions = (eventId) => (getEventById(eventId)?.prizes || [])
+    .filter(prize => prize.position?.toLowerCase() !== PARTICIPATION_POSITION);
+
+// Entries are stored with their event ID, which callers already know
+const toResults = ({ results, updatedAt, publishedAt }) => ({ results, updatedAt, publishedAt });
+
+export class ResultsStore extends StorageCollection {
+    /**
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(storage) {
+        super(STORAGE_COLLECTIONS.RESULTS, storage);
+    }
+
+    /**
+     * Get an event's results
+     * @param {string} eventId - The event ID
+     * @returns {Promise<Object>} - { results: [{ registrationId, position }], updatedAt, publishedAt } in prize order
+     */
+    async get(eventId) {
+        const entry = (await this.load()).find(candidate => candidate.eventId === eventId);
+        return entry ? toResults(entry) : { results: [], updatedAt: null, publishedAt: null };
+    }
+
+    /**
+     * Get the results of every event that has any
+     * @returns {Promise<Object>} - Results by event ID
+     */
+    async list() {
+        return Object.fromEntries((await this.load()).map(entry => [entry.eventId, toResults(entry)]));
+    }
+
+    /**
+     * Replace an event's results. Published results stay published.
+     * @param {string} eventId - The event ID
+     * @param {Object[]} results - [{ registrationId, position }], already validated
+     * @returns {Promise<Object>} - The stored results
+     */
+    set(eventId, results) {
+        return this.update((events, now) => {
+            let entry = events.find(candidate => candidate.eventId === eventId);
+            if (!entry) {
+                entry = { eventId, publishedAt: null };
+                events.push(entry);
+            }
+
+            Object.assign(entry, { results, updatedAt: new Date(now).toISOString() });
+            return toResults(entry);
+        });
+    }
+
+    /**
+     * Publish or unpublish an event's results
+     * @param {string} eventId - The event ID
+     * @param {boolean} published - Whether the results should be public
+     * @returns {Promise<Object|null>} - The stored results, or null if the event has none
+     */
+    setPublished(eventId, published) {
+        return this.update((events, now) => {
+            const entry = events.find(candidate => candidate.eventId === eventId);
+            if (!entry?.results.length) return null;
+
+            entry.publishedAt = published ? entry.publishedAt || new Date(now).toISOString() : null;
+            return toResults(entry);
+        });
+    }
+}
+
+const isResultEntry = (item) => item !== null && typeof item === 'object'
+    && typeof item.registrationId === 'string' && typeof item.position === 'string';
+
+/**
+ * Check and save an event's results
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @param {Object[]} results - [{ registrationId, position }]; a position can be given to more than one registration for ties
+ * @returns {Promise<Object>} - The stored results
+ * @throws {Error} - EVENT_NOT_FOUND (404) or INVALID_RESULTS (400)
+ */
+export const saveEventResults = async (storage, eventId, results) => {
+    const positions = getEventPositions(eventId).map(prize => prize.position);
+    if (!getEventById(eventId) || positions.length === 0) {
+        throw createResultsError('This event has no prizes to award', RESULTS_ERROR_TYPES.EVENT_NOT_FOUND, 404);
+    }
+    if (!Array.isArray(results)) {
+        throw createResultsError('Results must be a list', RESULTS_ERROR_TYPES.INVALID_RESULTS, 400);
+    }
+    if (!results.every(isResultEntry)) {
+        throw createResultsError('Each result needs a registrationId and a position', RESULTS_ERROR_TYPES.INVALID_RESULTS, 400);
+    }
+
+    const registrations = new Map((await storage.listRegistrations({ eventId }))
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED)
+        .map(record => [record.id, record]));
+
+    const seen = new Set();
+    for (const { registrationId, position } of results) {
+        if (!positions.includes(position)) {
+            throw createResultsError(`Position must be one of: ${positions.join(', ')}`, RESULTS_ERROR_TYPES.INVALID_RESULTS, 400);
+        }
+        if (!registrations.has(registrationId)) {
+            throw createResultsError('Results can only include confirmed registrations for this event', RESULTS_ERROR_TYPES.INVALID_RESULTS, 400);
+        }
+        if (seen.has(registrationId)) {
+            throw createResultsError('A registration can only have one position', RESULTS_ERROR_TYPES.INVALID_RESULTS, 400);
+        }
+        seen.add(registrationId);
+    }
+
+    const ordered = results
+        .map(({ registrationId, position }) => ({ registrationId, position }))
+        .sort((a, b) => positions.indexOf(a.position) - positions.indexOf(b.position));
+
+    return new ResultsStore(storage).set(eventId, ordered);
+};
+
+/**
+ * Publish or unpublish an event's results
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @param {boolean} published - Whether the results should be public
+ * @returns {Promise<Object>} - The stored results
+ * @throws {Error} - EVENT_NOT_FOUND (404) or NO_RESULTS (400) when publishing an event without results
+ */
+export const publishEventResults = async (storage, eventId, published) => {
+    if (!getEventById(eventId) || getEventPositions(eventId).length === 0) {
+        throw createResultsError('This event has no prizes to award', RESULTS_ERROR_TYPES.EVENT_NOT_FOUND, 404);
+    }
+
+    const entry = await new ResultsStore(storage).setPublished(eventId, !!published);
+    if (!entry) {
+        if (!published) return { results: [], updatedAt: null, publishedAt: null };
+        throw createResultsError('Save the results before publishing them', RESULTS_ERROR_TYPES.NO_RESULTS, 400);
+    }
+    return entry;
+};
+
+/**
+ * Get the published results of Techelons events, for the public pages
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {Object} [options] - { eventId } to get a single event
+ * @returns {Promise<Object[]>} - [{ eventId, eventName, publishedAt, winners: [{ position, reward, names }] }]
+ *   in schedule order, where names are the team lead first, then the team members. Nothing else
+ *   about the registrations is included.
+ */
+export const getPublishedResults = async (storage, { eventId } = {}) => {
+    const stored = await new ResultsStore(storage).list();
+    const events = TECHELONS_EVENTS.filter(event =>
+        (!eventId || event.id === eventId) && stored[event.id]?.publishedAt && stored[event.id].results.length > 0);
+
+    return Promise.all(events.map(async (event) => {
+        const registrations = new Map((await storage.listRegistrations({ eventId: event.id }))
+            .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED)
+            .map(record => [record.id, record]));
+        const rewards = new Map(getEventPositions(event.id).map(prize => [prize.position, prize.reward]));
+
+        return {
+            eventId: event.id,
+            eventName: event.name,
+            publishedAt: stored[event.id].publishedAt,
+            winners: stored[event.id].results
+                // Registrations cancelled since the results were saved are left out
+                .filter(result => registrations.has(result.registrationId))
+                .map(result => {
+                    const record = registrations.get(result.registrationId);
+                    return {
+                        position: result.position,
+                        reward: rewards.get(result.position) || null,
+                        names: [record, ...(record.teamMembers || [])].map(person => person.name).filter(Boolean)
+                    };
+                })
+        };
+    }));
+};
@@ -0,0 +1,268 @@
+/**
+ * Idempotency Utilities
+ *
+ * Lets a client safely repeat a submission. The client sends an
+ * Idempotency-Key header that stays the same across retries of one
+ * submission; the first response for a key is stored and sent back for
+ * every repeat instead of running the handler again. A repeat that arrives
+ * while the first request is still running waits for it. Each key is tied
+ * to a fingerprint of the request body, so a key reused for a different
+ * submission is refused rather than answered with someone else's response.
+ *
+ * Responses are kept in a store like the rate limit counts: in memory by
+ * default, or anything with the same get/set/delete methods via
+ * setIdempotencyStore when running several instances.
+ */
+
+import { NextResponse } from 'next/server';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_REPLAYED_HEADER = 'Idempotent-Replayed';
+
+// Error types
+export const IDEMPOTENCY_ERROR_TYPES = Object.freeze({
+    INVALID_IDEMPOTENCY_KEY: 'INVALID_IDEMPOTENCY_KEY',
+    REQUEST_IN_PROGRESS: 'REQUEST_IN_PROGRESS',
+    KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED'
+});
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+const KEY_PATTERN = /^[\x21-\x7e]+$/; // Printable ASCII without spaces
+
+const ENTRY_STATUS = Object.freeze({
+    PENDING: 'pending',
+    COMPLETE: 'complete'
+});
+
+// Headers worth replaying along with the body
+const REPLAYED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * In-memory store. Expired entries are dropped as new ones are added.
+ */
+export class MemoryIdempotencyStore {
+    constructor() {
+        this.entries = new Map();
+        this.lastPruned = 0;
+    }
+
+    /**
+     * Get an entry
+     * @param {string} key - The scoped idempotency key
+     * @returns {Promise<Object|null>} - The entry, or null if there is none
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        return entry.value;
+    }
+
+    /**
+     * Store an entry, replacing any existing one
+     * @param {string} key - The scoped idempotency key
+     * @param {Object} value - The entry
+     * @param {number} ttlMs - How long to keep it in milliseconds
+     */
+    async set(key, value, ttlMs) {
+        const now = Date.now();
+        this.prune(now);
+        this.entries.set(key, { value, expiresAt: now + ttlMs });
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - The scoped idempotency key
+     */
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    prune(now) {
+        if (now - this.lastPruned < 60 * 1000) return;
+        this.lastPruned = now;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+let store = new MemoryIdempotencyStore();
+
+// Requests running on this instance, so repeats can wait for them
+const inFlight = new Map();
+
+/**
+ * Replace the store used for idempotency keys
+ * @param {Object} newStore - An object with get, set and delete like MemoryIdempotencyStore
+ */
+export const setIdempotencyStore = (newStore) => {
+    store = newStore;
+};
+
+const errorResponse = (message, type, status, headers) => NextResponse.json(
+    { error: message, type },
+    { status, headers }
+);
+
+// Responses the handler asked not to keep
+const skipped = new WeakSet();
+
+/**
+ * Keep a response from being stored for its key, so a repeat runs the
+ * handler again. For rejections a repeat could get past, e.g. a bot check
+ * failing because a retry resent a challenge that was already used.
+ * @param {Response} response - The response
+ * @returns {Response} - The same response
+ */
+export const skipReplay = (response) => {
+    skipped.add(response);
+    return response;
+};
+
+// Server errors and rate limits are worth retrying, so they aren't kept
+const isReplayable = (response) => response.status < 500 && response.status !== 429 && !skipped.has(response);
+
+const encoder = new TextEncoder();
+
+const sha256 = async (data) => {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Fingerprint a request body. JSON and form fields are compared by name and
+ * value rather than as raw bytes, since form data boundaries change with
+ * every request; files count by their contents.
+ * @param {Request} req - The incoming request
+ * @param {string[]} ignoreFields - Fields that may change between repeats
+ * @returns {Promise<string>} - A SHA-256 hex digest
+ */
+const fingerprintRequest = async (req, ignoreFields) => {
+    const contentType = req.headers.get('content-type') || '';
+    const body = req.clone();
+    let fields;
+
+    if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+        fields = [];
+        for (const [name, value] of (await body.formData()).entries()) {
+            if (ignoreFields.includes(name)) continue;
+            fields.push([name, typeof value === 'string'
+                ? value
+                : { name: value.name, type: value.type, sha256: await sha256(await value.arrayBuffer()) }]);
+        }
+    } else {
+        const text = await body.text();
+        try {
+            const parsed = JSON.parse(text);
+            fields = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+                ? Object.entries(parsed).filter(([name]) => !ignoreFields.includes(name))
+                : parsed;
+        } catch (error) {
+            fields = text;
+        }
+    }
+
+    if (Array.isArray(fields)) fields.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return sha256(encoder.encode(JSON.stringify(fields)));
+};
+
+const keyReusedResponse = () => errorResponse(
+    `This ${IDEMPOTENCY_HEADER} was already used for a different submission`,
+    IDEMPOTENCY_ERROR_TYPES.KEY_REUSED,
+    422
+);
+
+const serializeResponse = async (response) => {
+    const headers = {};
+    REPLAYED_HEADERS.forEach(name => {
+        const value = response.headers.get(name);
+        if (value) headers[name] = value;
+    });
+    return { status: response.status, headers, body: await response.clone().text() };
+};
+
+const replayResponse = (saved) => new NextResponse(saved.body, {
+    status: saved.status,
+    headers: { ...saved.headers, [IDEMPOTENCY_REPLAYED_HEADER]: 'true' }
+});
+
+/**
+ * Run a request handler at most once per Idempotency-Key. Requests without
+ * the header run as usual.
+ * @param {Request} req - The incoming request
+ * @param {string} scope - Keeps keys for different routes apart, e.g. "techelons"
+ * @param {Function} handler - Async function returning the Response for a new request
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.ignoreFields] - Body fields left out of the fingerprint, e.g. a challenge that is renewed for every attempt
+ * @returns {Promise<Response>} - The handler's response, or the stored one for a repeat
+ */
+export const withIdempotency = async (req, scope, handler, { ignoreFields = [] } = {}) => {
+    const key = req.headers.get(IDEMPOTENCY_HEADER);
+    if (key === null) return handler();
+
+    if (key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+        return errorResponse(
+            `${IDEMPOTENCY_HEADER} must be 1 to ${MAX_KEY_LENGTH} printable characters`,
+            IDEMPOTENCY_ERROR_TYPES.INVALID_IDEMPOTENCY_KEY,
+            400
+        );
+    }
+
+    const storeKey = `${scope}:${key}`;
+    const fingerprint = await fingerprintRequest(req, ignoreFields);
+
+    const running = inFlight.get(storeKey);
+    if (running) {
+        if (running.fingerprint !== fingerprint) return keyReusedResponse();
+        const saved = await running.saved;
+        if (saved) return replayResponse(saved);
+    }
+
+    const existing = await store.get(storeKey);
+    if (existing && existing.fingerprint !== fingerprint) {
+        return keyReusedResponse();
+    }
+    if (existing?.status === ENTRY_STATUS.COMPLETE) {
+        return replayResponse(existing.response);
+    }
+    if (existing?.status === ENTRY_STATUS.PENDING) {
+        // Running on another instance
+        return errorResponse(
+            'This registration is still being processed. Please wait a moment.',
+            IDEMPOTENCY_ERROR_TYPES.REQUEST_IN_PROGRESS,
+            409,
+            { 'Retry-After': '2' }
+        );
+    }
+
+    // Another request with this key may have started while the store was being read
+    if (inFlight.has(storeKey)) return withIdempotency(req, scope, handler, { ignoreFields });
+
+    const run = async () => {
+        await store.set(storeKey, { status: ENTRY_STATUS.PENDING, fingerprint }, IDEMPOTENCY_TTL_MS);
+        try {
+            const response = await handler();
+            if (!isReplayable(response)) {
+                await store.delete(storeKey);
+                return { response, saved: null };
+            }
+
+            const saved = await serializeResponse(response);
+            await store.set(storeKey, { status: ENTRY_STATUS.COMPLETE, fingerprint, response: saved }, IDEMPOTENCY_TTL_MS);
+            return { response, saved };
+        } catch (error) {
+            await store.delete(storeKey);
+            throw error;
+        }
+    };
+
+    const result = run();
+    inFlight.set(storeKey, { fingerprint, saved: result.then(({ saved }) => saved, () => null) });
+    try {
+        return (await result).response;
+    } finally {
+        inFlight.delete(storeKey);
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Console Mail Provider
+ *
+ * Logs each email instead of sending it: the recipient, subject,
+ * attachment names and plain text. Nothing leaves the machine.
+ */
+
+import { MailProvider } from './MailProvider';
+
+export class ConsoleMailProvider extends MailProvider {
+    async send({ from, to, subject, text, attachments = [] }) {
+        const messageId = `<${crypto.randomUUID()}@console>`;
+        const files = attachments.map(attachment => attachment.filename).filter(Boolean);
+
+        console.log([
+            `Email ${messageId}`,
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            ...(files.length > 0 ? [`Attachments: ${files.join(', ')}`] : []),
+            '',
+            text
+        ].join('\n'));
+
+        return { messageId };
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * File Mail Provider
+ *
+ * Writes each email to a folder as an .eml file instead of sending it, so
+ * emails can be checked in development and tests (most mail clients open
+ * .eml files). The folder defaults to "mail" inside LOCAL_STORAGE_DIR and
+ * can be changed with EMAIL_OUTPUT_DIR.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { getLocalDataDir } from '../storage/JsonFileStore';
+import { MailProvider } from './MailProvider';
+
+export class FileMailProvider extends MailProvider {
+    constructor(outputDir = process.env.EMAIL_OUTPUT_DIR || path.join(getLocalDataDir(), 'mail')) {
+        super();
+        this.outputDir = outputDir;
+        // Renders the message without sending it
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+
+        await fs.mkdir(this.outputDir, { recursive: true });
+        const file = path.join(this.outputDir, `${Date.now()}-${crypto.randomUUID()}.eml`);
+        await fs.writeFile(file, info.message);
+
+        console.log(`Email to ${message.to} written to ${file}`);
+        return { messageId: info.messageId, file };
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Mail Provider Interface
+ *
+ * Every mail provider extends this class and implements send. Messages
+ * reach providers complete, with the sender and a plain text version
+ * filled in, in the shape nodemailer takes:
+ *
+ * { from, to, subject, html, text, attachments, priority }
+ */
+
+export class MailProvider {
+    /**
+     * Deliver a message
+     * @param {Object} message - The message
+     * @returns {Promise<Object>} - { messageId } plus anything provider specific, e.g. previewUrl
+     * @throws {Error} - If the message could not be delivered
+     */
+    async send(message) {
+        throw new Error(`${this.constructor.name} does not implement send`);
+    }
+}
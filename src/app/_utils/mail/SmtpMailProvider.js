@@ -0,0 +1,62 @@
+/**
+ * SMTP Mail Provider
+ *
+ * Sends through a nodemailer SMTP transporter, used for Gmail, any other
+ * SMTP server and the ethereal.email test accounts. The transporter is
+ * created on first use and replaced every 30 minutes.
+ */
+
+import nodemailer from 'nodemailer';
+import { MailProvider } from './MailProvider';
+
+const TRANSPORTER_TTL = 30 * 60 * 1000; // 30 minutes
+
+export class SmtpMailProvider extends MailProvider {
+    /**
+     * @param {Function} createTransport - Returns a nodemailer transporter, or a promise of one
+     * @param {Object} [options] - Provider options
+     * @param {boolean} [options.verify] - Check the connection and login before the transporter is used
+     */
+    constructor(createTransport, { verify = false } = {}) {
+        super();
+        this.createTransport = createTransport;
+        this.verify = verify;
+        this.transporter = null;
+        this.createdAt = 0;
+    }
+
+    async getTransporter() {
+        const now = Date.now();
+        if (this.transporter && now - this.createdAt < TRANSPORTER_TTL) {
+            return this.transporter;
+        }
+
+        const transporter = await this.createTransport();
+        if (this.verify) {
+            try {
+                await transporter.verify();
+            } catch (error) {
+                console.error('Transporter verification failed:', error);
+                throw error;
+            }
+        }
+
+        this.transporter = transporter;
+        this.createdAt = now;
+        return transporter;
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const info = await transporter.sendMail(message);
+
+        // ethereal.email keeps a copy of every message that can be viewed in the browser
+        const previewUrl = nodemailer.getTestMessageUrl(info);
+        if (previewUrl) {
+            console.log('Email preview URL:', previewUrl);
+            return { messageId: info.messageId, previewUrl, testMode: true };
+        }
+
+        return { messageId: info.messageId };
+    }
+}
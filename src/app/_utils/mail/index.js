@@ -0,0 +1,197 @@
+/**
+ * Mail Service
+ *
+ * The one sendEmail used for every email the site sends. EMAIL_PROVIDER
+ * picks how mail goes out:
+ * - "gmail" (default): Gmail, with EMAIL_USER and an app password in EMAIL_PASSWORD
+ * - "smtp": any SMTP server at EMAIL_HOST, EMAIL_PORT and EMAIL_SECURE
+ * - "file": writes each email to a folder as an .eml file (see FileMailProvider)
+ * - "console": logs each email
+ * Gmail and SMTP fall back to a test account at ethereal.email while the
+ * credentials are missing, and log a link to view each email.
+ *
+ * What the emails say lives in ./templates.
+ */
+
+import nodemailer from 'nodemailer';
+import { SmtpMailProvider } from './SmtpMailProvider';
+import { FileMailProvider } from './FileMailProvider';
+import { ConsoleMailProvider } from './ConsoleMailProvider';
+
+export { MailProvider } from './MailProvider';
+export { SmtpMailProvider, FileMailProvider, ConsoleMailProvider };
+
+export const MAIL_PROVIDERS = Object.freeze({
+    GMAIL: 'gmail',
+    SMTP: 'smtp',
+    FILE: 'file',
+    CONSOLE: 'console'
+});
+
+// A stalled connection fails the send instead of hanging. The timeouts are the transport's
+// own, so a send is only reported as failed once nodemailer has given up on it
+const SMTP_TIMEOUTS = {
+    connectionTimeout: 10000, // 10 seconds to connect
+    greetingTimeout: 10000, // 10 seconds for the server's greeting
+    socketTimeout: 20000 // 20 seconds without any data
+};
+
+const DEFAULT_SENDER_NAME = 'Websters - Shivaji College';
+const TEST_SENDER = '"Websters - Test" <websters@shivaji.du.ac.in>';
+
+const hasCredentials = () => {
+    const user = process.env.EMAIL_USER;
+    const password = process.env.EMAIL_PASSWORD;
+    return !!user && !!password && user !== 'YOUR_EMAIL_HERE' && password !== 'YOUR_APP_PASSWORD_HERE';
+};
+
+const createEtherealProvider = () => new SmtpMailProvider(async () => {
+    console.warn('Email credentials not configured or using placeholder values. Using ethereal.email for testing.');
+    try {
+        const testAccount = await nodemailer.createTestAccount();
+        return nodemailer.createTransport({
+            host: 'smtp.ethereal.email',
+            port: 587,
+            secure: false,
+            auth: {
+                user: testAccount.user,
+                pass: testAccount.pass
+            },
+            ...SMTP_TIMEOUTS
+        });
+    } catch (error) {
+        console.error('Failed to create test email account:', error);
+        throw error;
+    }
+});
+
+const createGmailProvider = () => new SmtpMailProvider(() => nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD // An app password, not the account password
+    },
+    tls: {
+        rejectUnauthorized: false // Helps with self-signed certificates
+    },
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    // Gmail rejects bursts, so send at most 5 messages a second
+    rateDelta: 1000,
+    rateLimit: 5,
+    ...SMTP_TIMEOUTS
+}), { verify: true });
+
+const createSmtpProvider = () => new SmtpMailProvider(() => nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.EMAIL_PORT || '587'),
+    secure: process.env.EMAIL_SECURE === 'true',
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+    },
+    pool: true,
+    maxConnections: 5,
+    maxMessages: 100,
+    ...SMTP_TIMEOUTS
+}));
+
+// Singleton provider instance, shared by every sender
+let provider = null;
+
+/**
+ * Get the configured mail provider
+ * @returns {MailProvider} - The provider
+ */
+export const getMailProvider = () => {
+    if (provider) {
+        return provider;
+    }
+
+    const name = (process.env.EMAIL_PROVIDER || MAIL_PROVIDERS.GMAIL).toLowerCase();
+
+    switch (name) {
+        case MAIL_PROVIDERS.GMAIL:
+            provider = hasCredentials() ? createGmailProvider() : createEtherealProvider();
+            break;
+        case MAIL_PROVIDERS.SMTP:
+            provider = hasCredentials() ? createSmtpProvider() : createEtherealProvider();
+            break;
+        case MAIL_PROVIDERS.FILE:
+            provider = new FileMailProvider();
+            break;
+        case MAIL_PROVIDERS.CONSOLE:
+            provider = new ConsoleMailProvider();
+            break;
+        default:
+            throw new Error(`Unknown EMAIL_PROVIDER: ${name}`);
+    }
+
+    return provider;
+};
+
+/**
+ * Replace the provider used by sendEmail, e.g. with a FileMailProvider in tests
+ * @param {MailProvider|null} newProvider - The provider, or null to go back to EMAIL_PROVIDER
+ */
+export const setMailProvider = (newProvider) => {
+    provider = newProvider;
+};
+
+const getSender = () => {
+    if (process.env.EMAIL_FROM) return process.env.EMAIL_FROM;
+    return hasCredentials() ? `"${DEFAULT_SENDER_NAME}" <${process.env.EMAIL_USER}>` : TEST_SENDER;
+};
+
+const describeError = (error) => {
+    if (error.code === 'EAUTH') return 'Authentication failed. Check email username and password in .env file.';
+    if (error.code === 'ESOCKET') return 'Socket connection error. Check email host and port settings.';
+    if (error.code === 'ECONNECTION') return 'Connection error. Check network and email server settings.';
+    if (error.responseCode) return `SMTP response code: ${error.responseCode}, message: ${error.response}`;
+    return 'Unknown error';
+};
+
+/**
+ * Send an email through the configured provider
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.subject - Email subject
+ * @param {string} options.html - Email HTML content
+ * @param {string} [options.text] - Plain text version (optional, derived from the HTML)
+ * @param {Object[]} [options.attachments] - Nodemailer attachments (optional)
+ * @param {string} [options.priority] - "high", "normal" or "low" (optional)
+ * @returns {Promise<Object>} - { success, messageId } or { success: false, error, details, code }
+ */
+export const sendEmail = async ({ to, subject, html, text, attachments, priority }) => {
+    if (!to || !subject || !html) {
+        console.error('Missing required email parameters');
+        return {
+            success: false,
+            error: 'Missing required email parameters (to, subject, or html)'
+        };
+    }
+
+    try {
+        const message = {
+            from: getSender(),
+            to,
+            subject,
+            html,
+            text: text || html.replace(/<[^>]*>/g, ''), // Strip HTML tags for plain text version if not provided
+            attachments,
+            priority
+        };
+
+        const info = await getMailProvider().send(message);
+        return { success: true, ...info };
+    } catch (error) {
+        console.error('Error sending email to', to, ':', error);
+        return {
+            success: false,
+            error: error.message,
+            details: describeError(error),
+            code: error.code
+        };
+    }
+};
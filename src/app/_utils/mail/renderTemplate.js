@@ -0,0 +1,66 @@
+/**
+ * Email Template Rendering
+ *
+ * Email templates are strings with a small set of Mustache-style tags:
+ * - {{name}}: a variable, HTML-escaped; dots reach into objects, e.g. {{event.venue}}
+ * - {{{passHtml}}}: a variable inserted as is, for HTML built elsewhere
+ * - {{#rules}}...{{/rules}}: shown if the value is set, once for each item of
+ *   a list, with the item's fields (or the item itself as {{.}}) in scope
+ * - {{^team}}...{{/team}}: shown if the value is empty
+ * Missing variables render as nothing. A section cannot contain another
+ * section with the same name, so a heading shown once above a list goes in
+ * a {{#list.length}} section.
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Sections, raw variables and variables, matched in one pass so rendered values are never read as tags
+const TAG_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const lookup = (scope, key) => {
+    if (key === '.') return scope['.'];
+    return key.split('.').reduce((value, part) => value == null ? undefined : value[part], scope);
+};
+
+const toText = (value) => value == null || value === false ? '' : String(value);
+
+/**
+ * Render a template with the given variables
+ * @param {string} template - The template
+ * @param {Object} variables - Values for the template's tags
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.escape] - HTML-escape {{variables}} (default true; off for subjects and plain text)
+ * @returns {string} - The rendered text
+ */
+export const renderTemplate = (template, variables, { escape = true } = {}) => {
+    const render = (text, scope) => text.replace(TAG_PATTERN, (match, sectionType, sectionKey, inner, rawKey, key) => {
+        if (sectionType) {
+            const value = lookup(scope, sectionKey);
+            if (sectionType === '^') return isEmpty(value) ? render(inner, scope) : '';
+            if (isEmpty(value)) return '';
+            if (Array.isArray(value)) {
+                return value.map(item => render(inner, { ...scope, ...(isObject(item) ? item : {}), '.': item })).join('');
+            }
+            return render(inner, isObject(value) ? { ...scope, ...value } : scope);
+        }
+
+        if (rawKey) return toText(lookup(scope, rawKey));
+
+        const value = toText(lookup(scope, key));
+        return escape ? escapeHtml(value) : value;
+    });
+
+    return render(template, variables);
+};
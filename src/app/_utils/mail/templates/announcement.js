@@ -0,0 +1,56 @@
+/**
+ * Announcement Email Template
+ *
+ * Messages organizers send to everyone registered for an event, e.g. a
+ * venue change. The message is plain text; blank lines start a new
+ * paragraph.
+ */
+
+import { renderEmail } from './index';
+
+const ANNOUNCEMENT_TEMPLATE = {
+    subject: '{{subject}}',
+    html: `
+        <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+          <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+            <div style="text-align: center; margin-bottom: 24px;">
+              <div style="display: inline-block; background-color: #eef2ff; padding: 12px 24px; border-radius: 50px;">
+                <h2 style="margin: 0; color: #4f46e5; font-size: 22px; font-weight: 600;">{{#eventName}}Update: {{eventName}}{{/eventName}}{{^eventName}}Announcement{{/eventName}}</h2>
+              </div>
+            </div>
+            <p style="font-size: 16px; line-height: 1.6;">Hello <span style="font-weight: 600; color: #4f46e5;">{{name}}</span>,</p>
+            {{#paragraphs}}<p style="font-size: 16px; line-height: 1.6; white-space: pre-line;">{{.}}</p>{{/paragraphs}}
+            <p style="font-size: 16px; line-height: 1.6; margin-bottom: 0;">Websters - Computer Science Society</p>
+          </div>
+          <p style="text-align: center; margin-top: 24px; color: #6b7280; font-size: 12px;">
+            You are receiving this because you registered{{#eventName}} for {{eventName}}{{/eventName}} at Shivaji College.
+          </p>
+        </div>
+      `,
+    text: `Hello {{name}},
+
+{{message}}
+
+Websters - Computer Science Society`
+};
+
+/**
+ * Build an announcement email for one recipient
+ * @param {Object} options - Announcement details
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.subject - Email subject
+ * @param {string} options.message - The message, as typed
+ * @param {string} [options.eventName] - The event it is about, if it is about one
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildAnnouncementEmail = ({ to, name, subject, message, eventName }) => ({
+    to,
+    ...renderEmail(ANNOUNCEMENT_TEMPLATE, {
+        name: name || 'Participant',
+        subject,
+        message,
+        paragraphs: message.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean),
+        eventName: eventName || null
+    })
+});
@@ -0,0 +1,69 @@
+/**
+ * Certificate Email Template
+ *
+ * Sends a participant their certificate as a PDF attachment, with its
+ * verification code in the message.
+ */
+
+import { renderEmail } from './index';
+
+const CERTIFICATE_TEMPLATE = {
+    subject: 'Your {{title}} - {{certificate.eventName}}',
+    html: `
+        <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+          <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+            <div style="text-align: center; margin-bottom: 24px;">
+              <div style="display: inline-block; background-color: #eef2ff; padding: 12px 24px; border-radius: 50px;">
+                <h2 style="margin: 0; color: #4f46e5; font-size: 22px; font-weight: 600;">{{#isWinner}}Congratulations!{{/isWinner}}{{^isWinner}}Thank you for taking part!{{/isWinner}}</h2>
+              </div>
+            </div>
+            <p style="font-size: 16px; line-height: 1.6;">Hello <span style="font-weight: 600; color: #4f46e5;">{{certificate.name}}</span>,</p>
+            <p style="font-size: 16px; line-height: 1.6;">
+              {{#isWinner}}Congratulations on securing the <strong>{{certificate.position}}</strong> position in <strong>{{certificate.eventName}}</strong>!{{/isWinner}}
+              {{^isWinner}}Thank you for being part of <strong>{{certificate.eventName}}</strong>.{{/isWinner}}
+              Your {{title}} is attached to this email as a PDF.
+            </p>
+            <div style="background-color: #f9fafb; padding: 16px 24px; border-radius: 12px; margin: 20px 0; text-align: center;">
+              <p style="margin: 0 0 6px; color: #6b7280; font-size: 14px;">Certificate ID</p>
+              <p style="margin: 0; font-family: monospace; font-size: 18px; font-weight: 700; color: #4f46e5; letter-spacing: 1px;">{{certificate.code}}</p>
+              {{#verifyUrl}}<p style="margin: 10px 0 0; font-size: 14px;">Anyone can check it at <a href="{{verifyUrl}}" style="color: #4f46e5;">{{verifyUrl}}</a></p>{{/verifyUrl}}
+            </div>
+            <p style="font-size: 16px; line-height: 1.6; margin-bottom: 0;">Websters - Computer Science Society</p>
+          </div>
+        </div>
+      `,
+    text: `Hello {{certificate.name}},
+
+{{#isWinner}}Congratulations on securing the {{certificate.position}} position in {{certificate.eventName}}!{{/isWinner}}{{^isWinner}}Thank you for being part of {{certificate.eventName}}.{{/isWinner}} Your {{title}} is attached to this email as a PDF.
+
+Certificate ID: {{certificate.code}}{{#verifyUrl}}
+Anyone can check it at {{verifyUrl}}{{/verifyUrl}}
+
+Websters - Computer Science Society`
+};
+
+/**
+ * Build the email that sends someone their certificate
+ * @param {Object} options - Certificate details
+ * @param {Object} options.certificate - The certificate from the registry
+ * @param {string} options.title - The certificate's title, e.g. "Certificate of Participation"
+ * @param {string|null} options.verifyUrl - Public link to verify the certificate
+ * @param {Buffer} options.pdf - The certificate PDF
+ * @returns {Object} - { to, subject, html, text, attachments } ready for sendEmail
+ */
+export const buildCertificateEmail = ({ certificate, title, verifyUrl, pdf }) => ({
+    to: certificate.email,
+    ...renderEmail(CERTIFICATE_TEMPLATE, {
+        certificate,
+        title,
+        verifyUrl,
+        isWinner: !!certificate.position
+    }),
+    attachments: [
+        {
+            filename: `certificate-${certificate.code}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+        }
+    ]
+});
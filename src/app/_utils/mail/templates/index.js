@@ -0,0 +1,162 @@
+/**
+ * Email Templates
+ *
+ * Each kind of event supplies its own emails as a set of template hooks:
+ *
+ * {
+ *   type,                  // A name for the set, e.g. "workshop"
+ *   matches(eventId),      // Whether the set is for this event
+ *   getEvent(eventId),     // The {{event}} variables: name, date, time, venue and anything else the templates use
+ *   sampleEventIds(),      // Events to show in the email preview
+ *   confirmation: { subject, html, text?, priority? }
+ * }
+ *
+ * Templates are rendered with renderTemplate and these variables:
+ * name, email, isLead, isTeamMember, fromWaitlist, event, passId,
+ * team ({ leadName, size, participants: [{ name, email, passId, isLead }] },
+ * only for teams), whatsappLink, manageUrl, and the ready-made HTML sections
+ * passHtml and manageHtml. The entry pass, calendar invite, manage link and
+ * recipients are handled here, so a new kind of event only needs a module
+ * like workshop.js passed to registerEventTemplates.
+ */
+
+import { getPassEmailContent } from '@/app/_utils/entryPass';
+import { getCalendarAttachment } from '@/app/_utils/calendar';
+import { renderTemplate } from '../renderTemplate';
+import { techelonsTemplates } from './techelons';
+import { workshopTemplates } from './workshop';
+
+// Checked in order; the first set that matches an event is used
+const eventTemplates = [workshopTemplates, techelonsTemplates];
+
+/**
+ * Add the templates for another kind of event. Sets added later are checked
+ * first, so they can also replace the emails of an existing event.
+ * @param {Object} templates - Template hooks as described above
+ */
+export const registerEventTemplates = (templates) => {
+    if (typeof templates?.matches !== 'function' || typeof templates.getEvent !== 'function' || !templates.confirmation?.html) {
+        throw new Error('Event templates need matches, getEvent and a confirmation template');
+    }
+    eventTemplates.unshift(templates);
+};
+
+/**
+ * Get the template hooks for an event
+ * @param {string} eventId - The event ID
+ * @returns {Object} - The template hooks
+ * @throws {Error} - If no templates match the event
+ */
+export const getEventTemplates = (eventId) => {
+    const templates = eventTemplates.find(candidate => candidate.matches(eventId));
+    if (!templates) {
+        throw new Error(`No email templates for event ID: ${eventId}`);
+    }
+    return templates;
+};
+
+/**
+ * Get every registered set of templates, for the email preview
+ * @returns {Object[]} - Template hooks, in the order they are checked
+ */
+export const listEventTemplates = () => [...eventTemplates];
+
+/**
+ * Render a template set's subject, HTML and plain text
+ * @param {Object} template - { subject, html, text?, priority? } templates
+ * @param {Object} variables - Values for the templates
+ * @returns {Object} - { subject, html, text, priority } where text is undefined without a text template
+ */
+export const renderEmail = (template, variables) => ({
+    subject: renderTemplate(template.subject, variables, { escape: false }).replace(/\s+/g, ' ').trim(),
+    html: renderTemplate(template.html, variables),
+    text: template.text ? renderTemplate(template.text, variables, { escape: false }) : undefined,
+    priority: template.priority
+});
+
+/**
+ * Generate the "manage your registration" section of a confirmation email
+ * @param {string} manageUrl - Signed link to the manage page
+ * @returns {string} - HTML section, or an empty string without a link
+ */
+export const generateManageLinkHtml = (manageUrl) => {
+    if (!manageUrl) return '';
+
+    return `
+    <div style="background-color: #ffffff; padding: 20px 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); text-align: center;">
+      <p style="margin: 0 0 12px; color: #374151; line-height: 1.6;">Need to fix a detail, change your team or cancel?</p>
+      <a href="${manageUrl}" style="display: inline-block; background-color: #4f46e5; color: #ffffff; text-decoration: none; padding: 10px 20px; border-radius: 8px; font-weight: 600;">Manage your registration</a>
+    </div>
+  `;
+};
+
+/**
+ * Build the confirmation email for one person on a registration
+ * @param {Object} context - What the email is about
+ * @param {Object} context.registration - The registration record
+ * @param {Object} context.participant - The recipient: the registration itself or one of its team members
+ * @param {boolean} [context.isLead] - Whether the recipient is the registrant
+ * @param {Object} [context.pass] - Recipient's entry pass from getParticipantPass
+ * @param {string} [context.manageUrl] - Link to the manage page (registrant only)
+ * @param {string} [context.whatsappLink] - WhatsApp group link, instead of the event's
+ * @param {boolean} [context.fromWaitlist] - Whether the registration was just confirmed from the waitlist
+ * @returns {Promise<Object>} - { to, subject, html, text, priority, attachments } ready for sendEmail
+ * @throws {Error} - If the recipient is incomplete or the event has no templates
+ */
+export const buildConfirmationEmail = async ({ registration, participant, isLead = true, pass, manageUrl, whatsappLink, fromWaitlist = false }) => {
+    if (!participant?.email || !participant.name || !registration?.eventId) {
+        throw new Error('Missing required parameters for confirmation email');
+    }
+
+    const templates = getEventTemplates(registration.eventId);
+    const event = templates.getEvent(registration.eventId);
+    if (!event) {
+        throw new Error(`Event details not found for event ID: ${registration.eventId}`);
+    }
+
+    // Render the entry pass; the email still goes out without it if this fails
+    let passContent = { html: '', attachments: [] };
+    if (pass) {
+        try {
+            passContent = await getPassEmailContent(pass);
+        } catch (error) {
+            console.error('Error creating entry pass for', participant.email, ':', error);
+        }
+    }
+
+    const members = registration.teamMembers || [];
+    const team = members.length > 0 ? {
+        leadName: registration.name,
+        size: members.length + 1,
+        participants: [registration, ...members].map((person, index) => ({
+            name: person.name,
+            email: person.email,
+            passId: person.passId || null,
+            isLead: index === 0
+        }))
+    } : null;
+
+    const email = renderEmail(templates.confirmation, {
+        name: participant.name,
+        email: participant.email,
+        isLead,
+        isTeamMember: !isLead,
+        fromWaitlist,
+        event,
+        team,
+        passId: participant.passId || null,
+        whatsappLink: whatsappLink || event.whatsappLink || null,
+        manageUrl: manageUrl || null,
+        passHtml: passContent.html,
+        manageHtml: generateManageLinkHtml(manageUrl)
+    });
+
+    // An .ics file so the event can be added to the recipient's calendar
+    const calendarAttachment = getCalendarAttachment(registration.eventId);
+
+    return {
+        to: participant.email,
+        ...email,
+        attachments: calendarAttachment ? [...passContent.attachments, calendarAttachment] : passContent.attachments
+    };
+};
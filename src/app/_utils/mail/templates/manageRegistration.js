@@ -0,0 +1,144 @@
+/**
+ * Manage Registration Email Templates
+ *
+ * Sent after a registrant changes or cancels their registration from the
+ * manage page: a summary of the update, a notice to team members who were
+ * removed, and a cancellation notice to everyone on the registration.
+ */
+
+import { renderEmail } from './index';
+import { getRegistrationEventName } from '@/app/_utils/registrationEvents';
+
+const NOTICE_HEADER = (title, color) => `
+      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+        <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+          <h2 style="margin: 0 0 24px; text-align: center; color: ${color}; font-size: 22px; font-weight: 600;">${title}</h2>
+          <p style="font-size: 16px; line-height: 1.6;">Hello <span style="font-weight: 600; color: #4f46e5;">{{name}}</span>,</p>`;
+
+const NOTICE_FOOTER = `
+        </div>
+        <p style="text-align: center; margin-top: 24px; color: #6b7280; font-size: 12px;">
+          This is an automated email. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+const UPDATE_TEMPLATE = {
+    subject: 'Registration Updated: {{eventName}}',
+    html: `${NOTICE_HEADER('Registration Updated', '#4f46e5')}
+          <p style="font-size: 16px; line-height: 1.6;">Your registration for <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span> has been updated.</p>
+          <p style="font-size: 16px; line-height: 1.6;">Roll No.: {{rollNo}}<br>Course: {{course}}, {{year}}<br>College: {{college}}<br>Phone: {{phone}}</p>
+          {{#team.length}}
+          <p style="font-size: 16px; line-height: 1.6; margin-bottom: 4px;">Your team is now:</p>
+          <ul style="font-size: 15px; line-height: 1.6; margin-top: 0;">
+            {{#team}}<li style="margin-bottom: 4px;">{{name}} ({{email}}){{#isLead}} - team lead{{/isLead}}</li>{{/team}}
+          </ul>
+          {{/team.length}}
+          <p style="font-size: 16px; line-height: 1.6;">{{#manageUrl}}You can make more changes <a href="{{manageUrl}}" style="color: #4f46e5;">from this link</a>. {{/manageUrl}}If you did not make this change, please contact the event coordinators.</p>
+${NOTICE_FOOTER}`,
+    text: `Hello {{name}},
+
+Your registration for {{eventName}} has been updated.
+
+Roll No.: {{rollNo}}
+Course: {{course}}, {{year}}
+College: {{college}}
+Phone: {{phone}}
+{{#team.length}}
+Your team is now:
+{{#team}}- {{name}} ({{email}}){{#isLead}} - team lead{{/isLead}}
+{{/team}}{{/team.length}}
+{{#manageUrl}}You can make more changes from this link: {{manageUrl}}
+{{/manageUrl}}If you did not make this change, please contact the event coordinators.
+
+Websters - Computer Science Society`
+};
+
+const REMOVED_TEMPLATE = {
+    subject: 'Removed from Team: {{eventName}}',
+    html: `${NOTICE_HEADER('Team Updated', '#d97706')}
+          <p style="font-size: 16px; line-height: 1.6;">{{leadName}} has removed you from their team for <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span>, so your entry pass is no longer valid. You can still register separately if there are spots left.</p>
+${NOTICE_FOOTER}`,
+    text: `Hello {{name}},
+
+{{leadName}} has removed you from their team for {{eventName}}, so your entry pass is no longer valid. You can still register separately if there are spots left.
+
+Websters - Computer Science Society`
+};
+
+const CANCELLATION_TEMPLATE = {
+    subject: 'Registration Cancelled: {{eventName}}',
+    html: `${NOTICE_HEADER('Registration Cancelled', '#dc2626')}
+          <p style="font-size: 16px; line-height: 1.6;">
+            {{#isLead}}Your registration for <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span> has been cancelled as you requested, and your spot has been released for someone else.{{/isLead}}
+            {{^isLead}}{{leadName}} has cancelled your team's registration for <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span>, so your entry pass is no longer valid.{{/isLead}}
+          </p>
+${NOTICE_FOOTER}`,
+    text: `Hello {{name}},
+
+{{#isLead}}Your registration for {{eventName}} has been cancelled as you requested, and your spot has been released for someone else.{{/isLead}}{{^isLead}}{{leadName}} has cancelled your team's registration for {{eventName}}, so your entry pass is no longer valid.{{/isLead}}
+
+Websters - Computer Science Society`
+};
+
+/**
+ * Build the summary sent to the registrant after they edit their registration
+ * @param {Object} options - Update details
+ * @param {Object} options.record - The updated record
+ * @param {string} [options.manageUrl] - Link back to the manage page
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildUpdateEmail = ({ record, manageUrl }) => {
+    const people = [record, ...(record.teamMembers || [])];
+    return {
+        to: record.email,
+        ...renderEmail(UPDATE_TEMPLATE, {
+            name: record.name,
+            eventName: getRegistrationEventName(record.eventId),
+            rollNo: record.rollNo,
+            course: record.course,
+            year: record.year,
+            college: record.college,
+            phone: record.phone,
+            // A registrant on their own has no team to list
+            team: people.length > 1
+                ? people.map((person, index) => ({ name: person.name, email: person.email, isLead: index === 0 }))
+                : [],
+            manageUrl: manageUrl || null
+        })
+    };
+};
+
+/**
+ * Build the notice sent to a team member who was removed from a registration
+ * @param {Object} options - Removal details
+ * @param {Object} options.record - The updated record
+ * @param {Object} options.member - The removed team member
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildRemovedMemberEmail = ({ record, member }) => ({
+    to: member.email,
+    ...renderEmail(REMOVED_TEMPLATE, {
+        name: member.name,
+        leadName: record.name,
+        eventName: getRegistrationEventName(record.eventId)
+    })
+});
+
+/**
+ * Build the cancellation notice for one person on a registration
+ * @param {Object} options - Cancellation details
+ * @param {Object} options.record - The cancelled record
+ * @param {Object} options.person - The recipient, the registrant or a team member
+ * @param {boolean} [options.isLead] - Whether the recipient cancelled it themselves
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildCancellationEmail = ({ record, person, isLead = false }) => ({
+    to: person.email,
+    ...renderEmail(CANCELLATION_TEMPLATE, {
+        name: person.name,
+        leadName: record.name,
+        eventName: getRegistrationEventName(record.eventId),
+        isLead
+    })
+});
@@ -0,0 +1,103 @@
+/**
+ * Reminder Email Template
+ *
+ * Sent to everyone on a registration shortly before their event, with the
+ * event's {{event}} variables from its confirmation templates, so the
+ * venue, instructions and resources match what the confirmation said.
+ */
+
+import { renderEmail, getEventTemplates } from './index';
+
+const REMINDER_TEMPLATE = {
+    subject: 'Reminder: {{event.name}} starts {{startsIn}}',
+    html: `
+        <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+          <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+            <div style="text-align: center; margin-bottom: 24px;">
+              <div style="display: inline-block; background-color: #eef2ff; padding: 12px 24px; border-radius: 50px;">
+                <h2 style="margin: 0; color: #4f46e5; font-size: 22px; font-weight: 600;">See you {{startsIn}}!</h2>
+              </div>
+            </div>
+            <p style="font-size: 16px; line-height: 1.6;">Hello <span style="font-weight: 600; color: #4f46e5;">{{name}}</span>,</p>
+            <p style="font-size: 16px; line-height: 1.6;">This is a reminder that <strong>{{event.name}}</strong> starts {{startsIn}}.</p>
+
+            <div style="background-color: #f9fafb; padding: 20px 24px; border-radius: 12px; margin: 20px 0; border-left: 4px solid #4f46e5;">
+              <p style="margin: 0 0 8px;"><strong>📅 Date:</strong> {{#event.dayOfWeek}}{{event.dayOfWeek}}, {{/event.dayOfWeek}}{{event.date}}</p>
+              <p style="margin: 0 0 8px;"><strong>🕒 Time:</strong> {{event.time}}</p>
+              <p style="margin: 0;"><strong>📍 Venue:</strong> {{event.venue}}</p>
+            </div>
+
+            {{#passId}}
+            <p style="font-size: 16px; line-height: 1.6;">Your pass ID is <strong style="font-family: monospace;">{{passId}}</strong>. Keep the QR code from your confirmation email ready to be scanned in.</p>
+            {{/passId}}
+
+            {{#event.instructions}}
+            <h3 style="color: #111827; font-size: 17px; margin: 24px 0 8px;">Instructions</h3>
+            <p style="font-size: 15px; line-height: 1.6; white-space: pre-line; margin: 0;">{{event.instructions}}</p>
+            {{/event.instructions}}
+
+            {{#event.whatToBring.length}}
+            <h3 style="color: #111827; font-size: 17px; margin: 24px 0 8px;">What to bring</h3>
+            <ul style="margin: 0; padding-left: 20px; line-height: 1.6;">
+              {{#event.whatToBring}}<li>{{.}}</li>{{/event.whatToBring}}
+            </ul>
+            {{/event.whatToBring.length}}
+
+            {{#event.resources}}
+            <h3 style="color: #111827; font-size: 17px; margin: 24px 0 8px;">Resources</h3>
+            <p style="font-size: 15px; line-height: 1.6; white-space: pre-line; margin: 0;">{{event.resources}}</p>
+            {{/event.resources}}
+
+            {{#whatsappLink}}
+            <p style="font-size: 16px; line-height: 1.6; margin-top: 24px;">Last-minute updates are posted in the <a href="{{whatsappLink}}" style="color: #4f46e5; font-weight: 600;">WhatsApp group</a>.</p>
+            {{/whatsappLink}}
+
+            <p style="font-size: 16px; line-height: 1.6; margin-bottom: 0;">Websters - Computer Science Society</p>
+          </div>
+        </div>
+      `,
+    text: `Hello {{name}},
+
+This is a reminder that {{event.name}} starts {{startsIn}}.
+
+Date: {{event.date}}
+Time: {{event.time}}
+Venue: {{event.venue}}
+{{#passId}}Pass ID: {{passId}}
+{{/passId}}{{#event.instructions}}
+Instructions: {{event.instructions}}
+{{/event.instructions}}{{#event.resources}}
+Resources: {{event.resources}}
+{{/event.resources}}{{#whatsappLink}}
+Updates are posted in the WhatsApp group: {{whatsappLink}}
+{{/whatsappLink}}
+Websters - Computer Science Society`,
+    priority: 'high'
+};
+
+/**
+ * Build a reminder email for one person on a registration
+ * @param {Object} options - Reminder details
+ * @param {string} options.eventId - The event the reminder is for
+ * @param {Object} options.participant - The recipient: { name, email, passId }
+ * @param {string} options.startsIn - When the event starts, e.g. "in 1 hour"
+ * @returns {Object} - { to, subject, html, text, priority } ready for sendEmail
+ * @throws {Error} - If the event has no templates or details
+ */
+export const buildReminderEmail = ({ eventId, participant, startsIn }) => {
+    const event = getEventTemplates(eventId).getEvent(eventId);
+    if (!event) {
+        throw new Error(`Event details not found for event ID: ${eventId}`);
+    }
+
+    return {
+        to: participant.email,
+        ...renderEmail(REMINDER_TEMPLATE, {
+            name: participant.name || 'Participant',
+            event,
+            passId: participant.passId || null,
+            whatsappLink: event.whatsappLink || null,
+            startsIn
+        })
+    };
+};
@@ -0,0 +1,282 @@
+/**
+ * Techelons Email Templates
+ *
+ * Confirmation emails for the Techelons fest events. The templates are
+ * rendered with the event's details, rules, prizes and coordinators from
+ * techelonsEventsData (see getTechelonsEmailEvent for the variables).
+ */
+
+import { getEventById, getWhatsAppGroupLink, formatEventDateTime, TECHELONS_EVENTS } from '@/app/_data/techelonsEventsData';
+
+const CONFIRMATION_SUBJECT = '{{#fromWaitlist}}A Spot Opened Up{{/fromWaitlist}}{{^fromWaitlist}}{{#isTeamMember}}Team {{/isTeamMember}}Registration Confirmed{{/fromWaitlist}}: {{event.name}} | Techelons-25';
+
+const CONFIRMATION_HTML = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Techelons-25 Registration Confirmation</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f9fafb; color: #111827;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 24px; padding: 20px; background: linear-gradient(135deg, #4f46e5 0%, #6366f1 100%); border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <h1 style="color: white; margin: 0; font-size: 32px; font-weight: 700; letter-spacing: 0.5px;">Techelons-25</h1>
+          <p style="margin: 8px 0 0; color: rgba(255, 255, 255, 0.9); font-size: 16px;">Shivaji College, University of Delhi</p>
+        </div>
+
+        <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; margin-bottom: 24px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+          <div style="text-align: center; margin-bottom: 32px;">
+            <div style="display: inline-block; background-color: #ecfdf5; padding: 12px 24px; border-radius: 50px;">
+              <h2 style="margin: 0; color: #10b981; font-size: 22px; font-weight: 600;">Registration Confirmed</h2>
+            </div>
+          </div>
+
+          <p style="margin-bottom: 24px; color: #374151; font-size: 16px; line-height: 1.6;">
+            Hello <span style="font-weight: 600; color: #4f46e5;">{{name}}</span>,
+          </p>
+
+          <p style="margin-bottom: 24px; color: #374151; font-size: 16px; line-height: 1.6;">
+            {{#isLead}}Thank you for registering for <span style="font-weight: 600; color: #4f46e5;">{{event.name}}</span>! Your registration{{/isLead}}{{#isTeamMember}}You have been registered as a team member for <span style="font-weight: 600; color: #4f46e5;">{{event.name}}</span> by <span style="font-weight: 600; color: #4f46e5;">{{team.leadName}}</span>. Your team registration{{/isTeamMember}}
+            {{#fromWaitlist}}has been moved off the waitlist and confirmed because a spot opened up.{{/fromWaitlist}}{{^fromWaitlist}}has been confirmed.{{/fromWaitlist}}
+          </p>
+
+          <div style="background-color: #f3f4f6; padding: 24px; border-radius: 12px; margin-bottom: 24px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05);">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600; display: flex; align-items: center;">
+              <span style="background-color: #4f46e5; color: white; width: 28px; height: 28px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; margin-right: 10px; font-size: 14px;">
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <circle cx="12" cy="12" r="10"></circle>
+                  <line x1="12" y1="8" x2="12" y2="16"></line>
+                  <line x1="8" y1="12" x2="16" y2="12"></line>
+                </svg>
+              </span>
+              Event Details
+            </h3>
+
+            <div style="margin-top: 16px; color: #374151;">
+              <div style="display: flex; align-items: flex-start; margin-bottom: 12px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">🎯 Event:</span>
+                <span style="font-weight: 500;">{{event.name}}</span>
+              </div>
+
+              {{#event.category}}
+              <div style="display: flex; align-items: flex-start; margin-bottom: 12px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">🏷️ Category:</span>
+                <span>{{event.category}}</span>
+              </div>
+              {{/event.category}}
+
+              {{#event.teamSize}}
+              <div style="display: flex; align-items: flex-start; margin-bottom: 12px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">👥 Team Size:</span>
+                <span>{{event.teamSize}}</span>
+              </div>
+              {{/event.teamSize}}
+
+              {{#event.festDay}}
+              <div style="display: flex; align-items: flex-start; margin-bottom: 8px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">📅 Fest Day:</span>
+                <span>{{event.festDay}}</span>
+              </div>
+              {{/event.festDay}}
+
+              <div style="display: flex; align-items: flex-start; margin-bottom: 12px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">📅 Date:</span>
+                <span>{{event.date}}{{#event.dayOfWeek}} <span style="color: #6b7280; font-size: 14px;">({{event.dayOfWeek}})</span>{{/event.dayOfWeek}}</span>
+              </div>
+
+              <div style="display: flex; align-items: flex-start; margin-bottom: 12px;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">⏰ Time:</span>
+                <span>{{event.time}}</span>
+              </div>
+
+              <div style="display: flex; align-items: flex-start; margin-bottom: 0;">
+                <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">📍 Venue:</span>
+                <span>{{event.venue}}</span>
+              </div>
+            </div>
+          </div>
+
+          {{#team}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #4f46e5;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">👥 Your Team</h3>
+            <ul style="margin: 16px 0 0; padding-left: 20px; color: #374151;">
+              {{#participants}}<li style="margin-bottom: 10px;"><span style="font-weight: 600;">{{name}}</span>{{#isLead}} <span style="color: #6b7280;">(team lead)</span>{{/isLead}}</li>{{/participants}}
+            </ul>
+          </div>
+          {{/team}}
+
+          {{{passHtml}}}
+
+          {{{manageHtml}}}
+
+          {{#whatsappLink}}
+          <div style="background-color: #dcfce7; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #10b981;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">📱 Join WhatsApp Group</h3>
+            <p style="margin: 16px 0 0; color: #374151; line-height: 1.6;">
+              Please join the WhatsApp group for important updates, announcements, and to connect with other participants:
+            </p>
+            <p style="margin: 16px 0 0; text-align: center;">
+              <a href="{{whatsappLink}}" target="_blank" style="display: inline-block; background-color: #25D366; color: white; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: 500; margin-top: 8px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1); transition: all 0.3s ease;">
+                <span style="display: flex; align-items: center; justify-content: center;">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="white" style="margin-right: 8px;">
+                    <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
+                  </svg>
+                  Join WhatsApp Group
+                </span>
+              </a>
+            </p>
+          </div>
+          {{/whatsappLink}}
+
+          {{#event.description}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #6366f1;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">📝 About the Event</h3>
+            <p style="margin: 16px 0 0; color: #374151; line-height: 1.6;">{{event.description}}</p>
+          </div>
+          {{/event.description}}
+          {{#event.instructions}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #f59e0b;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">ℹ️ Special Instructions</h3>
+            <p style="margin: 16px 0 0; color: #374151; line-height: 1.6;">{{event.instructions}}</p>
+          </div>
+          {{/event.instructions}}
+          {{#event.rules.length}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #ef4444;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">📋 Event Rules</h3>
+            <ul style="margin: 16px 0 0; padding-left: 20px; color: #374151;">
+              {{#event.rules}}<li style="margin-bottom: 10px;">{{.}}</li>{{/event.rules}}
+            </ul>
+          </div>
+          {{/event.rules.length}}
+          {{#event.prizes.length}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #10b981;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">🏆 Prizes</h3>
+            <ul style="margin: 16px 0 0; padding-left: 20px; color: #374151;">
+              {{#event.prizes}}<li style="margin-bottom: 10px;"><span style="font-weight: 600; color: #10b981;">{{position}}:</span> {{reward}}</li>{{/event.prizes}}
+            </ul>
+          </div>
+          {{/event.prizes.length}}
+          {{#event.resources}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #8b5cf6;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">📚 Recommended Resources</h3>
+            <p style="margin: 16px 0 0; color: #374151; line-height: 1.6;">{{event.resources}}</p>
+          </div>
+          {{/event.resources}}
+          {{#event.coordinators.length}}
+          <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 20px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #3b82f6;">
+            <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">👥 Event Coordinators</h3>
+            <div style="margin-top: 16px; display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px;">
+              {{#event.coordinators}}
+              <div style="margin-bottom: 16px; display: flex; align-items: center;">
+                <div style="background-color: #f3f4f6; border-radius: 50%; width: 40px; height: 40px; display: flex; align-items: center; justify-content: center; margin-right: 12px; flex-shrink: 0;">
+                  <span style="font-weight: bold; color: #3b82f6;">{{initial}}</span>
+                </div>
+                <div>
+                  <p style="margin: 0; font-weight: 600; color: #111827;">{{name}}</p>
+                  {{#email}}<p style="margin: 4px 0 0;">📧 <a href="mailto:{{email}}" style="color: #4f46e5; text-decoration: none;">{{email}}</a></p>{{/email}}
+                  {{#phone}}<p style="margin: 4px 0 0;">📱 <a href="tel:{{phone}}" style="color: #4f46e5; text-decoration: none;">{{phone}}</a></p>{{/phone}}
+                </div>
+              </div>
+              {{/event.coordinators}}
+            </div>
+          </div>
+          {{/event.coordinators.length}}
+
+          <div style="margin-top: 32px; padding: 24px; border-radius: 12px; background-color: #f3f4f6; text-align: center;">
+            <p style="margin: 0; color: #4b5563; font-size: 16px; font-weight: 500;">
+              We look forward to seeing you at the event!
+            </p>
+            <p style="margin: 8px 0 0; color: #6b7280; font-size: 14px;">
+              For any queries, please contact the event coordinators.
+            </p>
+          </div>
+        </div>
+
+        <div style="text-align: center; margin-top: 24px; color: #6b7280; font-size: 12px;">
+          <p style="margin: 0;">
+            This is an automated email. Please do not reply to this email.
+          </p>
+          <p style="margin: 8px 0 0;">
+            &copy; 2025 Techelons-25, Shivaji College, University of Delhi
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+// Text fields the event data fills with "TBA" or "null" until they are known
+const optionalText = (value) => value && value !== 'TBA' && value !== 'null' ? value : null;
+
+const optionalList = (value) => Array.isArray(value) && value.length > 0 ? value : null;
+
+/**
+ * The {{event}} variables of a Techelons event
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} - Event variables, or null if the event is unknown
+ */
+export const getTechelonsEmailEvent = (eventId) => {
+  const eventDetails = getEventById(eventId);
+  if (!eventDetails) return null;
+
+  let formattedDate = "To be announced";
+  let formattedTime = "To be announced";
+  let dayOfWeek = "";
+  try {
+    ({ formattedDate, formattedTime, dayOfWeek } = formatEventDateTime(eventDetails));
+  } catch (error) {
+    console.error("Error formatting event date/time:", error);
+    formattedDate = eventDetails.date || "To be announced";
+    formattedTime = eventDetails.time || "To be announced";
+  }
+
+  const { teamSize } = eventDetails;
+
+  return {
+    id: eventDetails.id,
+    name: eventDetails.name || 'Techelons-25',
+    date: formattedDate,
+    dayOfWeek,
+    time: formattedTime,
+    venue: eventDetails.venue || 'To be announced',
+    category: eventDetails.category
+      ? eventDetails.category.charAt(0).toUpperCase() + eventDetails.category.slice(1)
+      : null,
+    teamSize: teamSize
+      ? (teamSize.min === teamSize.max
+        ? `${teamSize.min} ${teamSize.min === 1 ? 'person' : 'people'}`
+        : `${teamSize.min}-${teamSize.max} people`)
+      : null,
+    festDay: eventDetails.festDay ? (eventDetails.festDay === 'day1' ? 'Day 1' : 'Day 2') : null,
+    description: optionalText(eventDetails.description),
+    instructions: optionalText(eventDetails.instructions),
+    resources: optionalText(eventDetails.resources),
+    rules: optionalList(eventDetails.rules),
+    prizes: optionalList(eventDetails.prizes),
+    coordinators: optionalList(eventDetails.coordinators)?.map(coordinator => ({
+      ...coordinator,
+      initial: coordinator.name.charAt(0)
+    })) || null,
+    whatsappLink: getWhatsAppGroupLink(eventId)
+  };
+};
+
+/**
+ * Template hooks for Techelons events (see ./index.js)
+ */
+export const techelonsTemplates = {
+  type: 'techelons',
+
+  matches: (eventId) => !!getEventById(eventId),
+
+  getEvent: getTechelonsEmailEvent,
+
+  // Events offered by the email preview
+  sampleEventIds: () => TECHELONS_EVENTS.map(event => event.id),
+
+  confirmation: {
+    subject: CONFIRMATION_SUBJECT,
+    html: CONFIRMATION_HTML
+  }
+};
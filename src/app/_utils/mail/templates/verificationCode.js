@@ -0,0 +1,40 @@
+/**
+ * Verification Code Email Template
+ *
+ * Sent when a registrant asks for a code to verify their email address on
+ * a registration form. The event is named when the form says which one.
+ */
+
+import { renderEmail } from './index';
+
+const VERIFICATION_CODE_TEMPLATE = {
+    subject: '{{code}} is your verification code',
+    html: `
+      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+        <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08); text-align: center;">
+          <h2 style="margin: 0 0 16px; color: #4f46e5; font-size: 22px; font-weight: 600;">Your verification code</h2>
+          <p style="font-size: 16px; line-height: 1.6;">Enter this code on the registration form{{#eventName}} for <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span>{{/eventName}}:</p>
+          <p style="font-size: 32px; font-weight: 700; letter-spacing: 8px; margin: 24px 0; color: #111827;">{{code}}</p>
+          <p style="font-size: 14px; line-height: 1.6; color: #6b7280;">The code expires in {{expiresInMinutes}} minutes. If you didn't ask for it, you can ignore this email.</p>
+        </div>
+        <p style="text-align: center; margin-top: 24px; color: #6b7280; font-size: 12px;">
+          This is an automated email. Please do not reply to this email.
+        </p>
+      </div>
+    `,
+    text: 'Your verification code is {{code}}. It expires in {{expiresInMinutes}} minutes.'
+};
+
+/**
+ * Build the email with a verification code
+ * @param {Object} options - Code details
+ * @param {string} options.to - The address being verified
+ * @param {string} options.code - The code to enter on the form
+ * @param {number} options.expiresInMinutes - How long the code lasts
+ * @param {string} [options.eventName] - The event being registered for
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildVerificationCodeEmail = ({ to, code, expiresInMinutes, eventName }) => ({
+    to,
+    ...renderEmail(VERIFICATION_CODE_TEMPLATE, { code, expiresInMinutes, eventName: eventName || null })
+});
@@ -0,0 +1,66 @@
+/**
+ * Waitlist Email Template
+ *
+ * Sent to the registrant when their event is full and the registration is
+ * stored on the waitlist. Confirmation from the waitlist uses the event's
+ * confirmation template instead.
+ */
+
+import { renderEmail, generateManageLinkHtml } from './index';
+import { getRegistrationEventName } from '@/app/_utils/registrationEvents';
+
+const WAITLIST_TEMPLATE = {
+    subject: 'Waitlisted: {{eventName}}',
+    html: `
+      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #374151;">
+        <div style="background-color: #ffffff; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);">
+          <div style="text-align: center; margin-bottom: 24px;">
+            <div style="display: inline-block; background-color: #fffbeb; padding: 12px 24px; border-radius: 50px;">
+              <h2 style="margin: 0; color: #d97706; font-size: 22px; font-weight: 600;">You're on the Waitlist</h2>
+            </div>
+          </div>
+          <p style="font-size: 16px; line-height: 1.6;">Hello <span style="font-weight: 600; color: #4f46e5;">{{name}}</span>,</p>
+          <p style="font-size: 16px; line-height: 1.6;">
+            <span style="font-weight: 600; color: #4f46e5;">{{eventName}}</span> is full right now, so your registration
+            is on the waitlist at position <span style="font-weight: 600;">#{{position}}</span>.
+          </p>
+          <p style="font-size: 16px; line-height: 1.6;">
+            If a spot opens up we will confirm your registration automatically and email you your entry pass.
+            You don't need to register again.
+          </p>
+          {{{manageHtml}}}
+        </div>
+        <p style="text-align: center; margin-top: 24px; color: #6b7280; font-size: 12px;">
+          This is an automated email. Please do not reply to this email.
+        </p>
+      </div>
+    `,
+    text: `Hello {{name}},
+
+{{eventName}} is full right now, so your registration is on the waitlist at position #{{position}}.
+
+If a spot opens up we will confirm your registration automatically and email you your entry pass. You don't need to register again.
+{{#manageUrl}}
+Need to fix a detail, change your team or cancel? {{manageUrl}}
+{{/manageUrl}}
+Websters - Computer Science Society`
+};
+
+/**
+ * Build the email telling a registrant they are on the waitlist
+ * @param {Object} options - Waitlist details
+ * @param {Object} options.registration - The waitlisted record
+ * @param {number} options.position - Place in the waitlist
+ * @param {string} [options.manageUrl] - Link to the manage page
+ * @returns {Object} - { to, subject, html, text } ready for sendEmail
+ */
+export const buildWaitlistEmail = ({ registration, position, manageUrl }) => ({
+    to: registration.email,
+    ...renderEmail(WAITLIST_TEMPLATE, {
+        name: registration.name,
+        eventName: getRegistrationEventName(registration.eventId),
+        position,
+        manageUrl: manageUrl || null,
+        manageHtml: generateManageLinkHtml(manageUrl)
+    })
+});
@@ -0,0 +1,146 @@
+/**
+ * Workshop Email Templates
+ *
+ * The workshop's confirmation email, rendered from workshopData: the date,
+ * time and venue come from its details, the lists from emailNotification.
+ */
+
+import workshopData from '@/app/_data/workshopData';
+import { isWorkshopEvent } from '@/app/_utils/storage/RegistrationStorage';
+
+const CONFIRMATION_SUBJECT = '{{#fromWaitlist}}A spot opened up! {{/fromWaitlist}}{{event.subject}}';
+
+const CONFIRMATION_HTML = `
+        <div style="font-family: 'Inter', 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 0; background-color: #f9fafb; color: #374151;">
+          <!-- Email Container -->
+          <div style="background-color: #ffffff; border-radius: 16px; overflow: hidden; margin: 20px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);">
+            <!-- Header Banner -->
+            <div style="background: linear-gradient(135deg, #4f46e5, #8b5cf6); padding: 40px 30px; text-align: center;">
+              <img src="https://websters-shivaji.vercel.app/assets/Header_logo.png" alt="Websters Logo" style="height: 60px; margin-bottom: 20px;">
+              <h1 style="color: #ffffff; font-size: 28px; margin: 0; font-weight: 700; letter-spacing: -0.5px;">Registration Confirmed!</h1>
+            </div>
+
+            <!-- Main Content -->
+            <div style="padding: 40px 30px; font-size: 16px; line-height: 1.6;">
+              <p style="margin-top: 0;">Hello <span style="font-weight: 600; color: #111827;">{{name}}</span>,</p>
+
+              <p>Thank you for registering for the <span style="font-weight: 600; color: #4f46e5;">"{{event.name}}"</span>.{{#fromWaitlist}} A spot opened up, so your registration has been moved off the waitlist and confirmed.{{/fromWaitlist}} We're excited to have you join us!</p>
+
+              <!-- Workshop Details Card -->
+              <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 30px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #4f46e5;">
+                <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">Workshop Details</h3>
+                <div style="display: grid; grid-gap: 12px; margin-top: 16px;">
+                  <div style="display: flex; align-items: center;">
+                    <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">📅 Date:</span>
+                    <span>{{event.date}}</span>
+                  </div>
+                  <div style="display: flex; align-items: center;">
+                    <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">🕒 Time:</span>
+                    <span>{{event.time}}</span>
+                  </div>
+                  <div style="display: flex; align-items: center;">
+                    <span style="color: #4f46e5; font-weight: 500; min-width: 100px;">🏛️ Venue:</span>
+                    <span>{{event.venue}}</span>
+                  </div>
+                </div>
+              </div>
+
+              {{{passHtml}}}
+
+              {{{manageHtml}}}
+
+              {{#event.whatToBring.length}}
+              <!-- What to Bring Section -->
+              <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 30px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #10b981;">
+                <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">What to Bring</h3>
+                <ul style="margin: 16px 0 0; padding-left: 20px; color: #374151;">
+                  {{#event.whatToBring}}<li style="margin-bottom: 10px;">{{.}}</li>{{/event.whatToBring}}
+                </ul>
+              </div>
+              {{/event.whatToBring.length}}
+
+              {{#event.notes.length}}
+              <!-- Important Notes Section -->
+              <div style="background-color: #ffffff; padding: 24px; border-radius: 12px; margin: 30px 0; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.05); border-left: 4px solid #f59e0b;">
+                <h3 style="margin-top: 0; color: #111827; font-size: 18px; font-weight: 600;">Important Notes</h3>
+                <ul style="margin: 16px 0 0; padding-left: 20px; color: #374151;">
+                  {{#event.notes}}<li style="margin-bottom: 10px;">{{.}}</li>{{/event.notes}}
+                </ul>
+              </div>
+              {{/event.notes.length}}
+
+              {{#whatsappLink}}
+              <p>Please join our WhatsApp group for important updates and announcements:</p>
+
+              <!-- WhatsApp Button -->
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="{{whatsappLink}}" style="background-color: #25D366; color: white; padding: 14px 28px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block; box-shadow: 0 2px 4px rgba(37, 211, 102, 0.2); transition: all 0.2s ease;">Join WhatsApp Group</a>
+              </div>
+              {{/whatsappLink}}
+
+              <p>If you have any questions, feel free to reply to this email or contact us through our social media channels.</p>
+            </div>
+
+            <!-- Footer -->
+            <div style="background-color: #f9fafb; padding: 30px; text-align: center; color: #6b7280; border-top: 1px solid #e5e7eb;">
+              <!-- Social Media Icons -->
+              <div style="margin-bottom: 20px;">
+                {{#event.socialMedia.instagram}}
+                <a href="{{event.socialMedia.instagram}}" style="display: inline-block; margin: 0 10px; text-decoration: none;">
+                  <img src="https://cdn-icons-png.flaticon.com/512/174/174855.png" alt="Instagram" style="width: 24px; height: 24px;">
+                </a>
+                {{/event.socialMedia.instagram}}
+                {{#event.socialMedia.linkedin}}
+                <a href="{{event.socialMedia.linkedin}}" style="display: inline-block; margin: 0 10px; text-decoration: none;">
+                  <img src="https://cdn-icons-png.flaticon.com/512/174/174857.png" alt="LinkedIn" style="width: 24px; height: 24px;">
+                </a>
+                {{/event.socialMedia.linkedin}}
+              </div>
+
+              <p style="margin: 5px 0; font-size: 14px;">Best regards,</p>
+              <p style="margin: 5px 0; font-weight: 600; font-size: 16px; color: #4f46e5;">Websters - Computer Science Society</p>
+              <p style="margin: 5px 0; font-size: 14px;">Shivaji College, University of Delhi</p>
+              <p style="margin-top: 20px; font-size: 12px; color: #9ca3af;">© 2025 Websters. All rights reserved.</p>
+            </div>
+          </div>
+        </div>
+      `;
+
+const getDetail = (id) => workshopData.details.find(detail => detail.id === id)?.value || 'To be announced';
+
+/**
+ * The {{event}} variables of the workshop
+ * @returns {Object} - Event variables
+ */
+export const getWorkshopEmailEvent = () => ({
+    id: workshopData.eventId,
+    name: workshopData.title,
+    subject: workshopData.emailNotification.subject,
+    date: getDetail('date'),
+    time: getDetail('time'),
+    venue: getDetail('venue'),
+    description: getDetail('description'),
+    whatToBring: workshopData.emailNotification.whatToBring,
+    notes: workshopData.emailNotification.notes,
+    socialMedia: workshopData.socialMedia,
+    whatsappLink: workshopData.whatsappGroupLink
+});
+
+/**
+ * Template hooks for the workshop (see ./index.js)
+ */
+export const workshopTemplates = {
+    type: 'workshop',
+
+    matches: isWorkshopEvent,
+
+    getEvent: getWorkshopEmailEvent,
+
+    sampleEventIds: () => [workshopData.eventId],
+
+    confirmation: {
+        subject: CONFIRMATION_SUBJECT,
+        html: CONFIRMATION_HTML,
+        priority: 'high'
+    }
+};
@@ -0,0 +1,218 @@
+/**
+ * Manage Registration Utilities
+ *
+ * Registrants open /manageregistration from a signed link in their
+ * confirmation email. From there they can fix their details, change their
+ * team within the event's teamSize, or cancel. This module validates those
+ * changes, applies them to a stored record and sends the follow-up emails.
+ */
+
+import { z } from 'zod';
+import { nameSchema, emailSchema, phoneSchema, rollNoSchema, courseSchema, yearSchema, toFieldErrors } from './registrationSchemas';
+import { createManageToken } from './registrationToken';
+import { getRegistrationEventTeamSize, checkRegistrationOpen } from './registrationEvents';
+import { getEventStart } from './calendar';
+import { REGISTRATION_RECORD_STATUS, createPassId, isWorkshopEvent } from './storage/RegistrationStorage';
+import { TEAM_ERROR_TYPES, checkTeamSize, checkDuplicateMembers } from './teamValidation';
+import { queueEmail } from './emailOutbox';
+import { queueConfirmationEmails, EMAIL_KINDS } from './registrationEmails';
+import { buildUpdateEmail, buildRemovedMemberEmail, buildCancellationEmail } from './mail/templates/manageRegistration';
+
+// Error types
+export const MANAGE_ERROR_TYPES = {
+    ...TEAM_ERROR_TYPES,
+    INVALID_FIELDS: 'INVALID_FIELDS',
+    CAPACITY_FULL: 'CAPACITY_FULL',
+    REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED',
+    CHANGES_CLOSED: 'CHANGES_CLOSED'
+};
+
+// What a registrant can do from the manage page
+export const MANAGE_ACTIONS = Object.freeze({
+    EDIT: 'edit',
+    CANCEL: 'cancel'
+});
+
+// Fields the registrant can change. The email is not editable because the
+// manage link and the duplicate checks are tied to it.
+export const EDITABLE_FIELDS = ['name', 'phone', 'rollNo', 'course', 'year', 'college', 'query'];
+export const TEAM_MEMBER_FIELDS = ['name', 'email', 'phone', 'rollNo', 'college'];
+
+const collegeSchema = z.string().trim().min(2, "College name is required").max(100);
+
+const detailsSchema = z.object({
+    name: nameSchema,
+    phone: phoneSchema,
+    rollNo: rollNoSchema,
+    course: courseSchema,
+    year: yearSchema,
+    college: collegeSchema,
+    query: z.string().trim().max(500).optional().default('')
+});
+
+const teamMemberSchema = z.object({
+    name: nameSchema,
+    email: emailSchema.toLowerCase(),
+    phone: phoneSchema,
+    rollNo: rollNoSchema,
+    college: collegeSchema
+});
+
+const createManageError = (message, type, fieldErrors) => {
+    const error = new Error(message);
+    error.type = type;
+    if (fieldErrors) error.fieldErrors = fieldErrors;
+    return error;
+};
+
+/**
+ * Build the link to the manage page for a registration
+ * @param {Object} record - The registration record
+ * @param {string} [origin] - Origin of the current request, used when SITE_URL is not set
+ * @returns {Promise<string|null>} - Absolute URL with a signed manage token, or null without a site URL
+ */
+export const createManageUrl = async (record, origin) => {
+    const siteUrl = process.env.SITE_URL || origin;
+    if (!siteUrl) return null;
+
+    const token = await createManageToken({
+        email: record.email,
+        registrationId: record.id,
+        eventId: record.eventId
+    });
+    return `${siteUrl.replace(/\/$/, '')}/manageregistration?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Check whether a registration can still be changed. Details and the team
+ * can only change while the event takes registrations, the same window the
+ * registration routes enforce. Cancelling stays possible until the event
+ * starts, so a spot given up late can still go to the waitlist.
+ * @param {Object} record - The registration record
+ * @param {string} action - A value from MANAGE_ACTIONS
+ * @param {Date} [now] - The current time
+ * @returns {Error|null} - A CHANGES_CLOSED error, or null if the change is allowed
+ */
+export const checkChangesAllowed = (record, action, now = new Date()) => {
+    if (action === MANAGE_ACTIONS.CANCEL) {
+        const start = getEventStart(record.eventId);
+        return start && now >= start
+            ? createManageError('This event has already started, so the registration can no longer be cancelled', MANAGE_ERROR_TYPES.CHANGES_CLOSED)
+            : null;
+    }
+
+    const closedError = checkRegistrationOpen(record.eventId, now);
+    return closedError
+        ? createManageError(`${closedError.message}, so this registration can no longer be changed`, MANAGE_ERROR_TYPES.CHANGES_CLOSED)
+        : null;
+};
+
+/**
+ * The parts of a record shown on the manage page
+ * @param {Object} record - The registration record
+ * @returns {Object} - Registration details without internal fields
+ */
+export const toManageView = (record) => ({
+    id: record.id,
+    eventId: record.eventId,
+    status: record.status,
+    timestamp: record.timestamp,
+    email: record.email,
+    ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, record[field] || ''])),
+    teamMembers: (record.teamMembers || []).map(member => Object.fromEntries(
+        TEAM_MEMBER_FIELDS.map(field => [field, member[field] || ''])
+    ))
+});
+
+/**
+ * Validate requested changes and apply them to a registration record.
+ * Team members are matched by email, so people who stay on the team keep
+ * their pass and uploaded college ID, and new members get a new pass.
+ * @param {Object} record - The stored registration record
+ * @param {Object} changes - { details, teamMembers } from the manage page
+ * @returns {Object} - { updated, added, removed }
+ * @throws {Error} - With a type from MANAGE_ERROR_TYPES, and fieldErrors for invalid input
+ */
+export const applyRegistrationChanges = (record, changes) => {
+    if (record.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+        throw createManageError('This registration has been cancelled', MANAGE_ERROR_TYPES.REGISTRATION_CANCELLED);
+    }
+
+    const details = detailsSchema.safeParse({
+        ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, record[field]])),
+        ...changes.details
+    });
+    const members = z.array(teamMemberSchema).safeParse(changes.teamMembers ?? toManageView(record).teamMembers);
+
+    if (!details.success || !members.success) {
+        throw createManageError('Please fix the highlighted fields', MANAGE_ERROR_TYPES.INVALID_FIELDS, {
+            ...(details.success ? {} : toFieldErrors(details.error.issues)),
+            ...(members.success ? {} : toFieldErrors(members.error.issues, 'teamMembers.'))
+        });
+    }
+
+    const teamError = checkTeamSize(getRegistrationEventTeamSize(record.eventId), members.data.length)
+        || checkDuplicateMembers({ email: record.email, phone: details.data.phone }, members.data);
+    if (teamError) throw teamError;
+
+    const existing = new Map((record.teamMembers || []).map(member => [member.email?.toLowerCase(), member]));
+    const teamMembers = members.data.map(member => {
+        const current = existing.get(member.email);
+        return {
+            ...member,
+            collegeIdUrl: current?.collegeIdUrl || '',
+            passId: current?.passId || createPassId()
+        };
+    });
+    const kept = new Set(teamMembers.map(member => member.email));
+
+    return {
+        updated: { ...record, ...details.data, teamMembers },
+        added: teamMembers.filter(member => !existing.has(member.email)),
+        removed: (record.teamMembers || []).filter(member => !kept.has(member.email?.toLowerCase()))
+    };
+};
+
+/**
+ * Send the follow-up emails after a registrant edits their registration:
+ * a summary to the registrant, confirmations with entry passes to new team
+ * members and a notice to removed ones
+ * @param {Object} options - Email options
+ * @param {Object} options.record - The updated record
+ * @param {Object[]} options.added - Team members who joined
+ * @param {Object[]} options.removed - Team members who left
+ * @param {string} options.manageUrl - Link back to the manage page
+ * @returns {Promise<Object[]>} - Email results
+ */
+export const sendRegistrationUpdateEmails = async ({ record, added, removed, manageUrl }) => {
+    const isConfirmed = record.status === REGISTRATION_RECORD_STATUS.REGISTERED;
+    const emails = [
+        queueEmail(buildUpdateEmail({ record, manageUrl }), { kind: EMAIL_KINDS.UPDATE, registrationId: record.id })
+    ];
+
+    // Waitlisted teams get their passes when they are confirmed
+    if (isConfirmed && !isWorkshopEvent(record.eventId) && added.length > 0) {
+        emails.push(queueConfirmationEmails(record, { recipients: added.map(member => member.email) }));
+    }
+
+    emails.push(...removed.map(member => queueEmail(
+        buildRemovedMemberEmail({ record, member }),
+        { kind: EMAIL_KINDS.UPDATE, registrationId: record.id }
+    )));
+
+    return (await Promise.all(emails)).flat();
+};
+
+/**
+ * Tell everyone on a registration that it has been cancelled
+ * @param {Object} record - The cancelled record
+ * @returns {Promise<Object[]>} - Email results
+ */
+export const sendCancellationEmails = async (record) => {
+    const people = [record, ...(record.teamMembers || [])];
+
+    return Promise.all(people.map((person, index) => queueEmail(
+        buildCancellationEmail({ record, person, isLead: index === 0 }),
+        { kind: EMAIL_KINDS.CANCELLATION, registrationId: record.id }
+    )));
+};
@@ -0,0 +1,102 @@
+/**
+ * Rate Limiting Utilities
+ *
+ * Fixed window counters keyed by anything (an IP, an email). Counts live in
+ * a store: the default keeps them in memory, which is enough for a single
+ * server. With several instances, pass setRateLimitStore an object with the
+ * same increment method backed by something shared (e.g. Redis INCR and
+ * PEXPIRE).
+ */
+
+/**
+ * In-memory store. Expired windows are dropped as new ones are counted.
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.windows = new Map();
+        this.lastPruned = 0;
+    }
+
+    /**
+     * Count a hit against a key
+     * @param {string} key - What is being limited, e.g. "ip:1.2.3.4"
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<Object>} - { count, resetAt } for the current window
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        this.prune(now);
+
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        return { count: window.count, resetAt: window.resetAt };
+    }
+
+    prune(now) {
+        // Once a minute is plenty to keep memory bounded
+        if (now - this.lastPruned < 60 * 1000) return;
+        this.lastPruned = now;
+
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the store used by every rate limiter
+ * @param {Object} newStore - An object with increment(key, windowMs) like MemoryRateLimitStore
+ */
+export const setRateLimitStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Get the store used by every rate limiter
+ * @returns {Object} - The current store
+ */
+export const getRateLimitStore = () => store;
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Prefix for the keys, so limiters don't share counts
+ * @param {number} options.limit - Hits allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Object} - { check(key) } resolving to { allowed, remaining, retryAfterSeconds }
+ */
+export const createRateLimiter = ({ name, limit, windowMs }) => ({
+    async check(key) {
+        const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+        return {
+            allowed: count <= limit,
+            remaining: Math.max(0, limit - count),
+            retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+        };
+    }
+});
+
+/**
+ * Get the client's IP address. The first X-Forwarded-For entry is whatever
+ * the client sent, so only the last one, added by the proxy in front of the
+ * app (e.g. Vercel's edge), is trusted.
+ * @param {Request} req - The incoming request
+ * @returns {string} - The IP address, or "unknown"
+ */
+export const getClientIp = (req) => {
+    // Set by the platform on runtimes that support it
+    if (req.ip) return req.ip;
+
+    const forwardedFor = req.headers.get('x-forwarded-for');
+    const lastHop = forwardedFor?.split(',').map(entry => entry.trim()).filter(Boolean).pop();
+    if (lastHop) return lastHop;
+
+    return req.headers.get('x-real-ip') || 'unknown';
+};
@@ -0,0 +1,62 @@
+/**
+ * Registration Emails
+ *
+ * Confirmation emails with entry passes for everyone on a registration,
+ * sent through the email outbox so failed sends are retried. Used when
+ * registering, when a registration comes off the waitlist and when an
+ * admin resends a confirmation.
+ */
+
+import { getParticipantPass } from './entryPass';
+import { buildConfirmationEmail } from './mail/templates';
+import { queueEmail } from './emailOutbox';
+
+// What an email is, as listed in the outbox
+export const EMAIL_KINDS = Object.freeze({
+    CONFIRMATION: 'confirmation',
+    WAITLIST: 'waitlist',
+    UPDATE: 'update',
+    CANCELLATION: 'cancellation',
+    CERTIFICATE: 'certificate',
+    ANNOUNCEMENT: 'announcement'
+});
+
+// A message that can't be built is reported like a failed send
+const queueBuilt = async (build, meta) => {
+    try {
+        return await queueEmail(await build(), meta);
+    } catch (error) {
+        console.error('Error building email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Queue the confirmation emails for a registration: the registrant gets
+ * theirs with the manage link, each team member gets their own entry pass
+ * @param {Object} registration - The registration record
+ * @param {Object} [options] - Email options
+ * @param {string} [options.manageUrl] - Link to the manage page, for the registrant
+ * @param {string} [options.whatsappLink] - WhatsApp group link, instead of the event's
+ * @param {boolean} [options.fromWaitlist] - Whether the registration just came off the waitlist
+ * @param {string[]} [options.recipients] - Only email these participants, e.g. new team members
+ * @returns {Promise<Object[]>} - Send results, registrant first
+ */
+export const queueConfirmationEmails = async (registration, { manageUrl, whatsappLink, fromWaitlist = false, recipients } = {}) => {
+    const meta = { kind: EMAIL_KINDS.CONFIRMATION, registrationId: registration.id };
+
+    const included = recipients && new Set(recipients.map(email => email.toLowerCase()));
+    const participants = [registration, ...(registration.teamMembers || [])]
+        .map((participant, index) => ({ participant, isLead: index === 0 }))
+        .filter(({ participant }) => !included || included.has(participant.email?.toLowerCase()));
+
+    return Promise.all(participants.map(({ participant, isLead }) => queueBuilt(() => buildConfirmationEmail({
+        registration,
+        participant,
+        isLead,
+        pass: getParticipantPass(registration, participant.email),
+        manageUrl: isLead ? manageUrl : undefined,
+        whatsappLink,
+        fromWaitlist
+    }), meta)));
+};
@@ -0,0 +1,135 @@
+/**
+ * Registration Event Utilities
+ *
+ * Treats the workshop and every Techelons event as one list of things people
+ * can register for, for admin views that work across both.
+ */
+
+import {
+    TECHELONS_EVENTS,
+    REGISTRATION_ENABLED,
+    REGISTRATION_STATUS,
+    REGISTRATION_ERROR_TYPES,
+    DATE_UTILS,
+    getEventById,
+    getEventCapacity,
+    getRegistrationWindow,
+    getRegistrationWindowStatus
+} from '@/app/_data/techelonsEventsData';
+import workshopData from '@/app/_data/workshopData';
+import { REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage/RegistrationStorage';
+
+/**
+ * Get every event that accepts registrations, workshop first
+ * @returns {Array} - Array of { id, name, teamSize, capacity } objects
+ */
+export const getAllRegistrationEvents = () => [
+    { id: workshopData.eventId, name: workshopData.title, teamSize: { min: 1, max: 1 }, capacity: workshopData.capacity || null },
+    ...TECHELONS_EVENTS.map(event => ({
+        id: event.id,
+        name: event.name,
+        teamSize: event.teamSize,
+        capacity: event.capacity || null
+    }))
+];
+
+/**
+ * Get the display name of an event
+ * @param {string} eventId - The event ID
+ * @returns {string} - The event name, or the ID if the event is unknown
+ */
+export const getRegistrationEventName = (eventId) => {
+    if (eventId === workshopData.eventId) return workshopData.title;
+    return getEventById(eventId)?.name || eventId;
+};
+
+/**
+ * Get the capacity of the workshop or a Techelons event
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} - { max, unit } or null if the event has no limit
+ */
+export const getRegistrationEventCapacity = (eventId) => {
+    if (eventId === workshopData.eventId) return workshopData.capacity || null;
+    return getEventCapacity(eventId);
+};
+
+/**
+ * Get the allowed team size of the workshop or a Techelons event
+ * @param {string} eventId - The event ID
+ * @returns {Object|null} - { min, max } including the registrant, or null if the event is unknown
+ */
+export const getRegistrationEventTeamSize = (eventId) => {
+    return getAllRegistrationEvents().find(event => event.id === eventId)?.teamSize || null;
+};
+
+/**
+ * Check that an event exists and is taking registrations right now. The
+ * registration routes call this so a direct POST cannot get around the
+ * checks the pages make.
+ * @param {string} eventId - The event ID
+ * @param {Date} [now] - The current time
+ * @returns {Error|null} - A typed error with status, opensAt and closesAt, or null if registration is open
+ */
+export const checkRegistrationOpen = (eventId, now = new Date()) => {
+    const event = eventId === workshopData.eventId
+        ? { name: workshopData.title, opensAt: workshopData.opensAt, closesAt: workshopData.closesAt }
+        : getEventById(eventId);
+
+    if (!event) {
+        const error = new Error('This event does not exist or is not taking registrations');
+        error.type = REGISTRATION_ERROR_TYPES.EVENT_NOT_FOUND;
+        error.status = 404;
+        return error;
+    }
+
+    const { opensAt, closesAt } = getRegistrationWindow(event);
+    const status = getRegistrationWindowStatus({ opensAt, closesAt }, now);
+    if (status === REGISTRATION_STATUS.OPEN) return null;
+
+    let message;
+    if (!REGISTRATION_ENABLED) {
+        message = 'Registration is currently closed';
+    } else if (status === REGISTRATION_STATUS.COMING_SOON) {
+        message = `Registration for ${event.name} opens on ${DATE_UTILS.formatDateTime(opensAt)}`;
+    } else {
+        message = `Registration for ${event.name} closed on ${DATE_UTILS.formatDateTime(closesAt)}`;
+    }
+
+    const error = new Error(message);
+    error.type = status === REGISTRATION_STATUS.COMING_SOON
+        ? REGISTRATION_ERROR_TYPES.REGISTRATION_NOT_OPEN
+        : REGISTRATION_ERROR_TYPES.REGISTRATION_CLOSED;
+    error.status = 403;
+    error.opensAt = opensAt;
+    error.closesAt = closesAt;
+    return error;
+};
+
+/**
+ * Count registrations and participants per event. Only confirmed
+ * registrations count as registrations and participants.
+ * @param {Object[]} registrations - Registration records
+ * @returns {Object} - Map of eventId -> { registrations, participants, waitlisted, cancelled }
+ */
+export const summarizeRegistrations = (registrations) => {
+    const summary = {};
+
+    for (const record of registrations) {
+        const counts = summary[record.eventId] ||= { registrations: 0, participants: 0, waitlisted: 0, cancelled: 0 };
+
+        if (record.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            counts.cancelled++;
+            continue;
+        }
+
+        if (record.status === REGISTRATION_RECORD_STATUS.WAITLISTED) {
+            counts.waitlisted++;
+            continue;
+        }
+
+        counts.registrations++;
+        counts.participants += 1 + (record.teamMembers?.length || 0);
+    }
+
+    return summary;
+};
@@ -0,0 +1,208 @@
+/**
+ * Registration Export Utilities
+ *
+ * Turns registration records into spreadsheet rows for event coordinators.
+ * By default each registration is one row with its team members in numbered
+ * columns, like the Techelons sheet. With flattenTeams every participant gets
+ * their own row, linked to the team by registration ID.
+ */
+
+import ExcelJS from 'exceljs';
+import { getRegistrationEventName } from './registrationEvents';
+
+// Export formats
+export const EXPORT_FORMATS = Object.freeze({
+    CSV: 'csv',
+    XLSX: 'xlsx'
+});
+
+export const EXPORT_CONTENT_TYPES = Object.freeze({
+    [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+    [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+});
+
+// Columns shared by every export, as [header, key] pairs
+const REGISTRATION_COLUMNS = [
+    ['Registration ID', 'id'],
+    ['Timestamp', 'timestamp'],
+    ['Event', 'eventName'],
+    ['Status', 'status']
+];
+
+const PERSON_COLUMNS = [
+    ['Name', 'name'],
+    ['Email', 'email'],
+    ['Phone', 'phone'],
+    ['Roll No', 'rollNo'],
+    ['Course', 'course'],
+    ['Year', 'year'],
+    ['College', 'college'],
+    ['College ID', 'collegeIdUrl']
+];
+
+// Team members do not enter course or year
+const TEAM_MEMBER_FIELDS = [
+    ['Name', 'name'],
+    ['Email', 'email'],
+    ['Phone', 'phone'],
+    ['Roll No', 'rollNo'],
+    ['College', 'college'],
+    ['College ID', 'collegeIdUrl']
+];
+
+const QUERY_COLUMN = ['Query', 'query'];
+
+// Whether the registrant confirmed their email with a code
+const EMAIL_VERIFIED_COLUMN = ['Email Verified', 'emailVerified'];
+
+const PARTICIPANT_ROLES = Object.freeze({
+    INDIVIDUAL: 'Individual',
+    LEAD: 'Team Lead',
+    MEMBER: 'Team Member'
+});
+
+const toColumns = (pairs) => pairs.map(([header, key]) => ({ header, key }));
+
+/**
+ * Build one row per registration with numbered team member columns
+ * @param {Object[]} registrations - Registration records
+ * @returns {Object} - { columns: [{ header, key }], rows: Object[] }
+ */
+const buildRegistrationRows = (registrations) => {
+    const teamColumns = Math.max(0, ...registrations.map(record => record.teamMembers?.length || 0));
+
+    const columns = toColumns([...REGISTRATION_COLUMNS, ...PERSON_COLUMNS, EMAIL_VERIFIED_COLUMN, QUERY_COLUMN]);
+    for (let i = 1; i <= teamColumns; i++) {
+        columns.push(...TEAM_MEMBER_FIELDS.map(([header, key]) => ({
+            header: `Team Member ${i} ${header}`,
+            key: `member${i}_${key}`
+        })));
+    }
+
+    const rows = registrations.map(record => {
+        const row = {
+            ...record,
+            eventName: getRegistrationEventName(record.eventId),
+            emailVerified: record.emailVerified ? 'Yes' : 'No'
+        };
+        (record.teamMembers || []).forEach((member, index) => {
+            for (const [, key] of TEAM_MEMBER_FIELDS) {
+                row[`member${index + 1}_${key}`] = member[key];
+            }
+        });
+        return row;
+    });
+
+    return { columns, rows };
+};
+
+/**
+ * Build one row per participant, team leads first
+ * @param {Object[]} registrations - Registration records
+ * @returns {Object} - { columns: [{ header, key }], rows: Object[] }
+ */
+const buildParticipantRows = (registrations) => {
+    const columns = toColumns([
+        ...REGISTRATION_COLUMNS,
+        ['Role', 'role'],
+        ...PERSON_COLUMNS,
+        ['Team Size', 'teamSize'],
+        QUERY_COLUMN
+    ]);
+
+    const rows = registrations.flatMap(record => {
+        const shared = {
+            id: record.id,
+            timestamp: record.timestamp,
+            eventName: getRegistrationEventName(record.eventId),
+            status: record.status,
+            teamSize: 1 + (record.teamMembers?.length || 0)
+        };
+
+        return [
+            {
+                ...record,
+                ...shared,
+                role: shared.teamSize > 1 ? PARTICIPANT_ROLES.LEAD : PARTICIPANT_ROLES.INDIVIDUAL
+            },
+            ...(record.teamMembers || []).map(member => ({
+                ...member,
+                ...shared,
+                role: PARTICIPANT_ROLES.MEMBER
+            }))
+        ];
+    });
+
+    return { columns, rows };
+};
+
+/**
+ * Build export columns and rows for a set of registrations
+ * @param {Object[]} registrations - Registration records
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.flattenTeams=false] - One row per participant instead of per registration
+ * @returns {Object} - { columns: [{ header, key }], rows: Object[] }
+ */
+export const buildExportTable = (registrations, { flattenTeams = false } = {}) => {
+    return flattenTeams ? buildParticipantRows(registrations) : buildRegistrationRows(registrations);
+};
+
+/**
+ * Escape a value for CSV, neutralizing values a spreadsheet would run as formulas
+ * @param {any} value - Cell value
+ * @returns {string} - The escaped cell
+ */
+const escapeCsvValue = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render an export table as CSV
+ * @param {Object} table - { columns, rows } from buildExportTable
+ * @returns {string} - CSV text with a BOM so Excel detects UTF-8
+ */
+export const toCsv = ({ columns, rows }) => {
+    const lines = [
+        columns.map(column => escapeCsvValue(column.header)).join(','),
+        ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Render an export table as an XLSX workbook
+ * @param {Object} table - { columns, rows } from buildExportTable
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} - The workbook file contents
+ */
+export const toXlsx = async ({ columns, rows }, sheetName) => {
+    const workbook = new ExcelJS.Workbook();
+    // Sheet names are limited to 31 characters and cannot contain some symbols
+    const worksheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Registrations');
+
+    worksheet.columns = columns.map(column => ({ ...column, width: Math.max(12, column.header.length + 2) }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    worksheet.addRows(rows.map(row => Object.fromEntries(
+        columns.map(column => [column.key, row[column.key] ?? ''])
+    )));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Build a download filename for an export
+ * @param {string} [eventId] - The exported event, or undefined for all events
+ * @param {string} format - A value from EXPORT_FORMATS
+ * @param {boolean} flattenTeams - Whether the export has one row per participant
+ * @returns {string} - The filename
+ */
+export const getExportFilename = (eventId, format, flattenTeams) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const scope = eventId || 'all-events';
+    return `${scope}-${flattenTeams ? 'participants' : 'registrations'}-${date}.${format}`;
+};
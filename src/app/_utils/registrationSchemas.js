@@ -0,0 +1,136 @@
+/**
+ * Registration Schemas
+ *
+ * The zod schemas for the Techelons and workshop registration forms. The
+ * pages use them through react-hook-form and the API routes validate the
+ * submitted data against the same rules, so a direct POST gets the same
+ * checks as the form. File uploads are checked separately: the pages add
+ * their FileList rules on top, and the routes use validateFile.
+ */
+
+import { z } from 'zod';
+
+export const YEAR_OPTIONS = ["1st Year", "2nd Year", "3rd Year"];
+export const COLLEGE_OPTIONS = ["Shivaji College", "Other"];
+
+// Error type returned by the routes along with fieldErrors
+export const INVALID_FIELDS = 'INVALID_FIELDS';
+
+// Field schemas
+export const nameSchema = z.string({ required_error: "Name is required" }).trim().min(2, "Name is required").max(50);
+export const emailSchema = z.string({ required_error: "Email is required" }).trim().email("Invalid email address");
+export const phoneSchema = z.string({ required_error: "Phone number is required" })
+    .trim()
+    .min(1, "Phone number is required")
+    .length(10, "Phone number must be exactly 10 digits")
+    .regex(/^[6-9]\d{9}$/, "Please enter a valid Indian mobile number");
+export const rollNoSchema = z.string({ required_error: "Roll No. is required" }).trim().min(2, "Roll No. is required").max(20);
+export const courseSchema = z.string({ required_error: "Course is required" }).trim().min(2, "Course is required").max(50);
+export const yearSchema = z.enum(YEAR_OPTIONS, {
+    errorMap: () => ({ message: "Please select your year" })
+});
+export const collegeSelectSchema = z.enum(COLLEGE_OPTIONS, {
+    errorMap: () => ({ message: "Please select your college" })
+});
+export const otherCollegeSchema = z.string()
+    .trim()
+    .min(2, "College name is required")
+    .max(100)
+    .optional()
+    .nullable();
+export const querySchema = z.string().trim().max(500).optional().nullable();
+
+// The workshop only accepts institutional addresses
+export const institutionalEmailSchema = z.string({ required_error: "Email is required" })
+    .trim()
+    .min(1, "Email is required")
+    .email("Invalid email address")
+    .regex(
+        /^[a-zA-Z0-9][a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,}|du\.ac\.in|ipu\.ac\.in|ignou\.ac\.in|jnu\.ac\.in|iitd\.ac\.in|nsut\.ac\.in|dtu\.ac\.in|igdtuw\.ac\.in|aud\.ac\.in|jamiahamdard\.edu|bhu\.ac\.in|bvpindia\.com|mait\.ac\.in|ip\.edu|msit\.in|gbpuat\.ac\.in)$/,
+        "Please use valid EMail ID"
+    )
+    .refine(
+        (email) => {
+            const localPart = email.split('@')[0].toLowerCase();
+            const invalidPrefixes = new Set([
+                'test', 'example', 'sample', 'demo', 'user',
+                'admin', 'info', 'mail', 'email', 'no-reply',
+                'noreply', 'nobody', 'fake', 'xyz'
+            ]);
+
+            return !invalidPrefixes.has(localPart) &&
+                   !localPart.startsWith('test') &&
+                   !localPart.startsWith('example');
+        },
+        "Please use your official institutional email address"
+    );
+
+// Fields shared by the registrant and their team members
+export const personSchema = z.object({
+    name: nameSchema,
+    email: emailSchema,
+    phone: phoneSchema,
+    rollNo: rollNoSchema,
+    college: collegeSelectSchema,
+    otherCollege: otherCollegeSchema
+});
+
+export const techelonsRegistrationSchema = personSchema.extend({
+    event: z.string({ required_error: "Event selection is required" }).trim().min(1, "Event selection is required"),
+    course: courseSchema,
+    year: yearSchema,
+    query: querySchema,
+    teamMembers: z.array(personSchema).optional().default([])
+});
+
+export const workshopRegistrationSchema = z.object({
+    email: institutionalEmailSchema,
+    name: nameSchema,
+    rollNo: rollNoSchema,
+    course: courseSchema,
+    year: yearSchema,
+    phone: phoneSchema,
+    query: querySchema
+});
+
+/**
+ * Turn zod issues into field errors keyed by the react-hook-form field
+ * name, e.g. { 'teamMembers.0.email': 'Invalid email address' }
+ * @param {Object[]} issues - zod issues
+ * @param {string} [prefix] - Prefix for every field name
+ * @returns {Object} - Map of field name -> message, first issue per field
+ */
+export const toFieldErrors = (issues, prefix = '') => {
+    const fieldErrors = {};
+    for (const issue of issues) {
+        const field = `${prefix}${issue.path.join('.')}`;
+        if (!(field in fieldErrors)) fieldErrors[field] = issue.message;
+    }
+    return fieldErrors;
+};
+
+/**
+ * Validate submitted registration data against a schema
+ * @param {z.ZodTypeAny} schema - One of the registration schemas
+ * @param {Object} data - The submitted data
+ * @returns {Object} - { success: true, data } with the parsed data, or { success: false, fieldErrors }
+ */
+export const validateRegistration = (schema, data) => {
+    const result = schema.safeParse(data);
+    if (result.success) return { success: true, data: result.data };
+    return { success: false, fieldErrors: toFieldErrors(result.error.issues) };
+};
+
+/**
+ * Apply field errors from a registration route to a react-hook-form form
+ * @param {Function} setError - react-hook-form's setError
+ * @param {Object} [fieldErrors] - Map of field name -> message
+ * @returns {boolean} - True if any field error was applied
+ */
+export const applyFieldErrors = (setError, fieldErrors) => {
+    const entries = Object.entries(fieldErrors || {});
+    entries.forEach(([field, message], index) => {
+        setError(field, { type: 'server', message }, { shouldFocus: index === 0 });
+    });
+    return entries.length > 0;
+};
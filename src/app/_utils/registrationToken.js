@@ -0,0 +1,112 @@
+/**
+ * Registration Token Utilities
+ *
+ * This module creates and verifies the signed tokens that open the
+ * form submitted pages. Tokens carry the registrant's email, registration
+ * ID, event ID and an expiry (see signedToken.js for the format).
+ *
+ * Manage tokens carry the same claims under a different purpose and open the
+ * "manage my registration" page linked from the confirmation email.
+ */
+
+import { signToken, verifyToken, TOKEN_ERRORS } from './signedToken';
+
+export { TOKEN_ERRORS };
+
+// Constants
+export const DEFAULT_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const MANAGE_TOKEN_TTL_MS = 60 * 24 * 60 * 60 * 1000; // 60 days, past the end of the fest
+const TOKEN_PURPOSE = 'registration';
+const MANAGE_TOKEN_PURPOSE = 'manage';
+
+/**
+ * Creates a signed registration token
+ * @param {Object} claims - Registration details to embed in the token
+ * @param {string} claims.email - Registrant email
+ * @param {string} claims.registrationId - Unique registration ID
+ * @param {string} claims.eventId - Event ID (or the workshop event ID)
+ * @param {Object} [options] - Token options
+ * @param {number} [options.ttlMs] - Token lifetime in milliseconds
+ * @returns {Promise<string>} - The signed token
+ */
+export const createRegistrationToken = async ({ email, registrationId, eventId }, options = {}) => {
+    return signToken(TOKEN_PURPOSE, {
+        email: email?.toLowerCase(),
+        registrationId: registrationId || null,
+        eventId
+    }, options.ttlMs || DEFAULT_TOKEN_TTL_MS);
+};
+
+/**
+ * Verifies a registration token's signature and expiry
+ * @param {string} token - The token to verify
+ * @returns {Promise<Object>} - { valid: true, payload } or { valid: false, reason }
+ */
+export const verifyRegistrationToken = async (token) => {
+    const result = await verifyToken(token, TOKEN_PURPOSE);
+
+    if (result.valid && (!result.payload.email || !result.payload.eventId)) {
+        return { valid: false, reason: TOKEN_ERRORS.MALFORMED };
+    }
+
+    return result;
+};
+
+/**
+ * Creates a signed token for the "manage my registration" link
+ * @param {Object} claims - Same claims as createRegistrationToken
+ * @returns {Promise<string>} - The signed token
+ */
+export const createManageToken = async ({ email, registrationId, eventId }) => {
+    return signToken(MANAGE_TOKEN_PURPOSE, {
+        email: email?.toLowerCase(),
+        registrationId,
+        eventId
+    }, MANAGE_TOKEN_TTL_MS);
+};
+
+/**
+ * Verifies a manage token's signature and expiry
+ * @param {string} token - The token to verify
+ * @returns {Promise<Object>} - { valid: true, payload } or { valid: false, reason }
+ */
+export const verifyManageToken = async (token) => {
+    const result = await verifyToken(token, MANAGE_TOKEN_PURPOSE);
+
+    if (result.valid && (!result.payload.email || !result.payload.registrationId)) {
+        return { valid: false, reason: TOKEN_ERRORS.MALFORMED };
+    }
+
+    return result;
+};
+
+/**
+ * Gets a user-facing title and message for a token rejection reason
+ * @param {string} reason - A value from TOKEN_ERRORS
+ * @returns {Object} - { title, message }
+ */
+export const getTokenErrorMessage = (reason) => {
+    switch (reason) {
+        case TOKEN_ERRORS.EXPIRED:
+            return {
+                title: "Link Expired",
+                message: "This confirmation link has expired. Your registration is still valid - please check your confirmation email for the details."
+            };
+        case TOKEN_ERRORS.INVALID_SIGNATURE:
+        case TOKEN_ERRORS.MALFORMED:
+            return {
+                title: "Invalid Link",
+                message: "This confirmation link is not valid. Please use the link from your registration or register again."
+            };
+        case TOKEN_ERRORS.MISSING_SECRET:
+            return {
+                title: "Verification Unavailable",
+                message: "We could not verify your registration right now. Please try again later or check your confirmation email."
+            };
+        default:
+            return {
+                title: "Invalid Access",
+                message: "This confirmation page is only accessible after successful registration."
+            };
+    }
+};
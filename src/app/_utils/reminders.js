@@ -0,0 +1,209 @@
+/**
+ * Event Reminders
+ *
+ * Everyone on a confirmed registration is emailed 24 hours and 1 hour before
+ * their event starts. A scheduled job calls sendDueReminders (see
+ * /api/cron/reminders), and each run sends the reminders that have come due
+ * since. Someone who registers late, or a job that was not running for a
+ * while, only gets the latest reminder that is due rather than several at
+ * once, and it says how long is actually left.
+ *
+ * Sent reminders are recorded in the registration storage, so reruns and
+ * overlapping runs never send one twice. A send that fails is not recorded
+ * and is tried again on the next run, until the event starts.
+ */
+
+import { REGISTRATION_RECORD_STATUS, STORAGE_COLLECTIONS } from './storage';
+import { StorageCollection } from './storage/StorageCollection';
+import { getAllRegistrationEvents } from './registrationEvents';
+import { getEventStart } from './calendar';
+import { sendEmail } from './mail';
+import { buildReminderEmail } from './mail/templates/reminder';
+
+// When reminders go out, relative to the start of the event
+export const REMINDERS = Object.freeze([
+    { id: '24h', beforeMs: 24 * 60 * 60 * 1000 },
+    { id: '1h', beforeMs: 60 * 60 * 1000 }
+]);
+
+const REMINDER_STATUS = Object.freeze({
+    SENDING: 'sending',
+    SENT: 'sent'
+});
+
+// A reminder claimed by a run that never finished can be sent again after this
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// As many sends at once as the Gmail transporter has pooled connections
+const SEND_CONCURRENCY = 5;
+
+/**
+ * The reminder to send for an event right now, if any: the one closest to
+ * the start whose time has come. Each reminder's window runs until the next
+ * one's starts, e.g. the 24 hour reminder is due until 1 hour before.
+ * @param {Date} start - When the event starts
+ * @param {Date} [now] - The current time
+ * @returns {Object|null} - An entry of REMINDERS, or null before the first reminder and once the event has started
+ */
+export const getDueReminder = (start, now = new Date()) => {
+    if (!start || now >= start) return null;
+
+    const due = REMINDERS.filter(reminder => now.getTime() >= start.getTime() - reminder.beforeMs);
+    return due.sort((a, b) => a.beforeMs - b.beforeMs)[0] || null;
+};
+
+/**
+ * Say how long is left before an event, in whole hours, or in minutes in
+ * the last half hour
+ * @param {Date} start - When the event starts
+ * @param {Date} [now] - The current time
+ * @returns {string} - e.g. "in 24 hours", "in 5 hours" or "in 20 minutes"
+ */
+export const formatStartsIn = (start, now = new Date()) => {
+    const msLeft = start.getTime() - now.getTime();
+    const hours = Math.round(msLeft / (60 * 60 * 1000));
+    if (hours >= 1) return `in ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+
+    const minutes = Math.max(1, Math.round(msLeft / (60 * 1000)));
+    return `in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+};
+
+const getReminderKey = (eventId, reminderId, registrationId, email) =>
+    [eventId, reminderId, registrationId, email.toLowerCase()].join(':');
+
+export class ReminderLog extends StorageCollection {
+    /**
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(storage) {
+        super(STORAGE_COLLECTIONS.REMINDERS, storage);
+    }
+
+    /**
+     * Claim reminders for sending, skipping ones already sent or being sent
+     * @param {string[]} keys - Reminder keys
+     * @returns {Promise<string[]>} - The keys claimed by this call
+     */
+    async claim(keys) {
+        const claimId = crypto.randomUUID();
+        await this.update((reminders, now) => {
+            const byKey = new Map(reminders.map(entry => [entry.key, entry]));
+            for (const key of keys) {
+                const entry = byKey.get(key);
+                if (entry?.status === REMINDER_STATUS.SENT) continue;
+                if (entry?.status === REMINDER_STATUS.SENDING && now - Date.parse(entry.claimedAt) < CLAIM_TIMEOUT_MS) continue;
+
+                const claim = { key, status: REMINDER_STATUS.SENDING, claimId, claimedAt: new Date(now).toISOString() };
+                if (entry) Object.assign(entry, claim);
+                else reminders.push(claim);
+            }
+        });
+
+        // Read the claims back: with Sheets another instance may have claimed the same reminders since
+        const wanted = new Set(keys);
+        return (await this.load())
+            .filter(entry => wanted.has(entry.key) && entry.claimId === claimId && entry.status === REMINDER_STATUS.SENDING)
+            .map(entry => entry.key);
+    }
+
+    /**
+     * Record the outcome of claimed reminders: sent ones are kept, failed
+     * ones are released for the next run
+     * @param {string[]} sentKeys - Keys of reminders that were sent
+     * @param {string[]} failedKeys - Keys of reminders that failed
+     */
+    async finish(sentKeys, failedKeys) {
+        const sent = new Set(sentKeys);
+        const failed = new Set(failedKeys);
+        await this.update((reminders, now) => {
+            reminders.forEach((entry, index) => {
+                if (sent.has(entry.key)) {
+                    reminders[index] = { key: entry.key, status: REMINDER_STATUS.SENT, sentAt: new Date(now).toISOString() };
+                }
+            });
+            const kept = reminders.filter(entry => !failed.has(entry.key));
+            reminders.splice(0, reminders.length, ...kept);
+        });
+    }
+}
+
+/**
+ * Send the reminders of one event, a few at a time
+ * @param {Object[]} reminders - [{ key, participant }]
+ * @param {Object} options - { eventId, startsIn }
+ * @returns {Promise<Object>} - { sentKeys, failedKeys }
+ */
+const sendReminders = async (reminders, { eventId, startsIn }) => {
+    const queue = [...reminders];
+    const sentKeys = [];
+    const failedKeys = [];
+
+    const worker = async () => {
+        for (let reminder = queue.shift(); reminder; reminder = queue.shift()) {
+            let result;
+            try {
+                result = await sendEmail(buildReminderEmail({ eventId, participant: reminder.participant, startsIn }));
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (result.success) {
+                sentKeys.push(reminder.key);
+            } else {
+                console.error(`Reminder to ${reminder.participant.email} failed:`, result.error);
+                failedKeys.push(reminder.key);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(SEND_CONCURRENCY, queue.length) }, worker));
+    return { sentKeys, failedKeys };
+};
+
+/**
+ * Send every reminder that is due. Safe to run as often as needed.
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} - { sent, failed, events: [{ eventId, reminder, sent, failed, skipped }] } where skipped were already sent
+ */
+export const sendDueReminders = async (storage, now = new Date()) => {
+    const summary = { sent: 0, failed: 0, events: [] };
+    const reminderLog = new ReminderLog(storage);
+
+    for (const { id: eventId } of getAllRegistrationEvents()) {
+        const start = getEventStart(eventId);
+        const reminder = getDueReminder(start, now);
+        if (!reminder) continue;
+
+        // Waitlisted and cancelled registrations are not expected at the event
+        const registrations = (await storage.listRegistrations({ eventId }))
+            .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED);
+
+        const candidates = registrations.flatMap(record => [record, ...(record.teamMembers || [])]
+            .filter(participant => participant.email)
+            .map(participant => ({ key: getReminderKey(eventId, reminder.id, record.id, participant.email), participant })));
+
+        const claimed = new Set(await reminderLog.claim(candidates.map(candidate => candidate.key)));
+        const { sentKeys, failedKeys } = await sendReminders(
+            candidates.filter(candidate => claimed.has(candidate.key)),
+            { eventId, startsIn: formatStartsIn(start, now) }
+        );
+        await reminderLog.finish(sentKeys, failedKeys);
+
+        summary.sent += sentKeys.length;
+        summary.failed += failedKeys.length;
+        summary.events.push({
+            eventId,
+            reminder: reminder.id,
+            sent: sentKeys.length,
+            failed: failedKeys.length,
+            skipped: candidates.length - claimed.size
+        });
+
+        if (claimed.size > 0) {
+            console.log(`${reminder.id} reminders for ${eventId}: ${sentKeys.length} sent, ${failedKeys.length} failed`);
+        }
+    }
+
+    return summary;
+};
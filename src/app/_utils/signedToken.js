@@ -0,0 +1,172 @@
+/**
+ * Signed Token Utilities
+ *
+ * This module signs and verifies small JSON payloads with HMAC-SHA256.
+ * It only relies on the Web Crypto API so the same code runs in the
+ * Node.js API routes and in the Edge middleware.
+ *
+ * Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+ *
+ * Every payload carries a "purpose" so a token minted for one use (e.g. a
+ * registration confirmation) can never be accepted for another (e.g. an
+ * admin session).
+ */
+
+// Reasons a token can be rejected
+export const TOKEN_ERRORS = Object.freeze({
+    MISSING_TOKEN: 'missing',
+    MALFORMED: 'malformed',
+    INVALID_SIGNATURE: 'tampered',
+    EXPIRED: 'expired',
+    MISSING_SECRET: 'unavailable'
+});
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Cache the imported key so it is not re-imported on every request
+let cachedKey = null;
+let cachedSecret = null;
+
+const getSecret = () => {
+    const secret = process.env.REGISTRATION_TOKEN_SECRET;
+    if (!secret || secret === "YOUR_TOKEN_SECRET_HERE") {
+        return null;
+    }
+    return secret;
+};
+
+/**
+ * Checks whether tokens can be signed, i.e. REGISTRATION_TOKEN_SECRET is set
+ * @returns {boolean} - Whether a token secret is configured
+ */
+export const hasTokenSecret = () => !!getSecret();
+
+const getSigningKey = async () => {
+    const secret = getSecret();
+    if (!secret) {
+        const error = new Error('Missing required environment variable: REGISTRATION_TOKEN_SECRET');
+        error.type = 'MISSING_CREDENTIALS';
+        throw error;
+    }
+
+    if (cachedKey && cachedSecret === secret) {
+        return cachedKey;
+    }
+
+    cachedKey = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+    cachedSecret = secret;
+    return cachedKey;
+};
+
+const bytesToBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlToBytes = (value) => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Signs a payload for the given purpose
+ * @param {string} purpose - What the token may be used for
+ * @param {Object} claims - Data to embed in the token
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {Promise<string>} - The signed token
+ */
+export const signToken = async (purpose, claims, ttlMs) => {
+    const payload = {
+        ...claims,
+        purpose,
+        exp: Date.now() + ttlMs
+    };
+
+    const encodedPayload = bytesToBase64Url(encoder.encode(JSON.stringify(payload)));
+    const key = await getSigningKey();
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(encodedPayload));
+
+    return `${encodedPayload}.${bytesToBase64Url(new Uint8Array(signature))}`;
+};
+
+/**
+ * Computes the HMAC-SHA256 of a value with the token secret, for values
+ * that must be derived from the secret without being stored
+ * @param {string} value - The value to sign
+ * @returns {Promise<Uint8Array>} - The raw signature
+ */
+export const hmac = async (value) => {
+    const key = await getSigningKey();
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(value)));
+};
+
+/**
+ * Verifies a token's signature, purpose and expiry
+ * @param {string} token - The token to verify
+ * @param {string} purpose - The purpose the token must have been signed for
+ * @returns {Promise<Object>} - { valid: true, payload } or { valid: false, reason }
+ */
+export const verifyToken = async (token, purpose) => {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, reason: TOKEN_ERRORS.MISSING_TOKEN };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        return { valid: false, reason: TOKEN_ERRORS.MALFORMED };
+    }
+
+    let key;
+    try {
+        key = await getSigningKey();
+    } catch (error) {
+        console.error('Token verification unavailable:', error.message);
+        return { valid: false, reason: TOKEN_ERRORS.MISSING_SECRET };
+    }
+
+    const [encodedPayload, encodedSignature] = parts;
+
+    let payload;
+    try {
+        const isValidSignature = await crypto.subtle.verify(
+            'HMAC',
+            key,
+            base64UrlToBytes(encodedSignature),
+            encoder.encode(encodedPayload)
+        );
+
+        if (!isValidSignature) {
+            return { valid: false, reason: TOKEN_ERRORS.INVALID_SIGNATURE };
+        }
+
+        payload = JSON.parse(decoder.decode(base64UrlToBytes(encodedPayload)));
+    } catch (error) {
+        return { valid: false, reason: TOKEN_ERRORS.MALFORMED };
+    }
+
+    if (payload?.purpose !== purpose || typeof payload.exp !== 'number') {
+        return { valid: false, reason: TOKEN_ERRORS.MALFORMED };
+    }
+
+    if (payload.exp <= Date.now()) {
+        return { valid: false, reason: TOKEN_ERRORS.EXPIRED };
+    }
+
+    return { valid: true, payload };
+};
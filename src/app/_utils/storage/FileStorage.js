@@ -0,0 +1,225 @@
+/**
+ * Local File Registration Storage
+ *
+ * Stores registrations in a JSON file and uploads in a folder on disk, so
+ * registration works in development and CI without Google credentials.
+ * The file keeps teams and participants in separate lists; files from
+ * before that, with a single registrations list, are converted on read.
+ * The location defaults to ".data" in the project root and can be changed
+ * with LOCAL_STORAGE_DIR.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileToBuffer } from '@/app/_utils/fileUtils';
+import {
+    RegistrationStorage,
+    STORAGE_COLLECTIONS,
+    STORAGE_ERROR_TYPES,
+    createRecord,
+    createStorageError,
+    joinRecord,
+    joinRecords,
+    splitRecord
+} from './RegistrationStorage';
+import { JsonFileStore, getLocalDataDir } from './JsonFileStore';
+
+const DATA_FILE = 'registrations.json';
+const UPLOADS_DIR = 'uploads';
+
+// Uploads are served to admins through this route
+const UPLOADS_URL = '/api/admin/uploads';
+
+const createEmptyData = () => ({ teams: [], participants: [], attendance: [] });
+
+// The file each collection is kept in, and the key its entries are under
+const COLLECTION_FILES = {
+    [STORAGE_COLLECTIONS.OUTBOX.name]: { fileName: 'outbox.json', key: 'entries' },
+    [STORAGE_COLLECTIONS.ANNOUNCEMENTS.name]: { fileName: 'announcements.json', key: 'announcements' },
+    [STORAGE_COLLECTIONS.REMINDERS.name]: { fileName: 'reminders.json', key: 'reminders' },
+    [STORAGE_COLLECTIONS.CERTIFICATES.name]: { fileName: 'certificates.json', key: 'certificates' },
+    [STORAGE_COLLECTIONS.RESULTS.name]: { fileName: 'results.json', key: 'events' }
+};
+
+/**
+ * A collection's file. Older reminder logs and results kept their entries
+ * in an object by key rather than a list, and are converted as they are read.
+ */
+class CollectionFile extends JsonFileStore {
+    constructor(fileName, { idField, ...options }) {
+        super(fileName, options);
+        this.idField = idField;
+    }
+
+    async read() {
+        const entries = await super.read();
+        return Array.isArray(entries)
+            ? entries
+            : Object.entries(entries).map(([id, entry]) => ({ [this.idField]: id, ...entry }));
+    }
+}
+
+/**
+ * The registrations file, normalized as it is read
+ */
+class RegistrationsFile extends JsonFileStore {
+    async read() {
+        try {
+            const { registrations, ...data } = await super.read();
+            const normalized = { ...createEmptyData(), ...data };
+
+            // Older files kept whole records, with their teams inline
+            for (const record of registrations || []) {
+                const { team, participants } = splitRecord(record);
+                normalized.teams.push(team);
+                normalized.participants.push(...participants);
+            }
+            return normalized;
+        } catch (error) {
+            console.error('Local storage read error:', error);
+            throw createStorageError(`Failed to read local registrations: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+}
+
+// Apply changes to a stored team and its participants, returning the updated record
+const updateTeam = (data, id, changes) => {
+    const index = data.teams.findIndex(team => team.id === id);
+    if (index === -1) {
+        throw createStorageError(`Registration not found: ${id}`, STORAGE_ERROR_TYPES.NOT_FOUND);
+    }
+
+    const current = joinRecord(data.teams[index], data.participants.filter(participant => participant.teamId === id));
+    const { team, participants } = splitRecord({ ...current, ...changes, id });
+
+    data.teams[index] = team;
+    data.participants = [...data.participants.filter(participant => participant.teamId !== id), ...participants];
+    return joinRecord(team, participants);
+};
+
+export class FileStorage extends RegistrationStorage {
+    constructor(baseDir = getLocalDataDir()) {
+        super();
+        this.baseDir = baseDir;
+        this.data = new RegistrationsFile(DATA_FILE, { initial: createEmptyData, baseDir });
+        this.collectionFiles = new Map();
+    }
+
+    /**
+     * Run a read-modify-write operation after all pending writes
+     * @param {Function} mutate - Receives the data object, mutates it and returns a result
+     * @returns {Promise<any>} - The value returned by mutate
+     */
+    update(mutate) {
+        return this.data.update(mutate);
+    }
+
+    async appendRegistration(registration) {
+        const record = createRecord(registration);
+        const { team, participants } = splitRecord(record);
+
+        await this.update((data) => {
+            data.teams.push(team);
+            data.participants.push(...participants);
+        });
+
+        return record;
+    }
+
+    async placeRegistration(registration, place) {
+        return this.update((data) => {
+            const teams = data.teams.filter(team => team.eventId === registration.eventId);
+            const record = createRecord({ ...registration, ...place(joinRecords(teams, data.participants)) });
+            const { team, participants } = splitRecord(record);
+
+            data.teams.push(team);
+            data.participants.push(...participants);
+            return record;
+        });
+    }
+
+    async listRegistrations({ eventId } = {}) {
+        const { teams, participants } = await this.data.load();
+        return joinRecords(eventId ? teams.filter(team => team.eventId === eventId) : teams, participants);
+    }
+
+    async updateEventRegistrations(eventId, decide) {
+        return this.update((data) => {
+            const teams = data.teams.filter(team => team.eventId === eventId);
+            const updates = decide(joinRecords(teams, data.participants));
+            return updates.map(({ id, changes }) => updateTeam(data, id, changes));
+        });
+    }
+
+    async updateRegistration(id, changes) {
+        return this.update((data) => updateTeam(data, id, changes));
+    }
+
+    async recordAttendance(entry) {
+        return this.update((data) => {
+            const existing = data.attendance.find(item => item.passId === entry.passId);
+            if (existing) {
+                return { entry: existing, duplicate: true };
+            }
+
+            const record = { ...entry, checkedInAt: entry.checkedInAt || new Date().toISOString() };
+            data.attendance.push(record);
+            return { entry: record, duplicate: false };
+        });
+    }
+
+    async listAttendance({ eventId } = {}) {
+        const { attendance } = await this.data.load();
+        return eventId ? attendance.filter(entry => entry.eventId === eventId) : attendance;
+    }
+
+    getCollectionFile(collection) {
+        if (!this.collectionFiles.has(collection.name)) {
+            const { fileName, key } = COLLECTION_FILES[collection.name];
+            this.collectionFiles.set(collection.name, new CollectionFile(fileName, {
+                key,
+                idField: collection.idField,
+                initial: () => [],
+                baseDir: this.baseDir
+            }));
+        }
+        return this.collectionFiles.get(collection.name);
+    }
+
+    async listCollection(collection) {
+        return this.getCollectionFile(collection).load();
+    }
+
+    async updateCollection(collection, mutate) {
+        return this.getCollectionFile(collection).update(mutate);
+    }
+
+    async storeFile(file, filename) {
+        const uploadsDir = path.join(this.baseDir, UPLOADS_DIR);
+        await fs.mkdir(uploadsDir, { recursive: true });
+
+        const buffer = await fileToBuffer(file);
+        await fs.writeFile(path.join(uploadsDir, filename), buffer);
+
+        return `${UPLOADS_URL}/${encodeURIComponent(filename)}`;
+    }
+
+    /**
+     * Read a stored upload back from disk
+     * @param {string} filename - The filename passed to storeFile
+     * @returns {Promise<Buffer|null>} - File contents or null if not found
+     */
+    async readFile(filename) {
+        // Only allow plain filenames so requests cannot escape the uploads folder
+        if (!filename || path.basename(filename) !== filename) {
+            return null;
+        }
+
+        try {
+            return await fs.readFile(path.join(this.baseDir, UPLOADS_DIR, filename));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * JSON File Store
+ *
+ * A value kept in a JSON file in the local data directory (LOCAL_STORAGE_DIR,
+ * ".data" by default), either as the whole file or under a single key, e.g.
+ * { "entries": [...] }. The local storage backend keeps the registrations
+ * and each collection (see STORAGE_COLLECTIONS) in one of these.
+ *
+ * Changes go through update, which queues read-modify-write operations so
+ * concurrent requests cannot overwrite each other. Files are written to a
+ * temporary file first and renamed, so a crash never leaves half a file
+ * behind.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Get the directory local data files are kept in
+ * @returns {string} - LOCAL_STORAGE_DIR, or ".data" in the project root
+ */
+export const getLocalDataDir = () => process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), '.data');
+
+export class JsonFileStore {
+    /**
+     * @param {string} fileName - File name inside the data directory
+     * @param {Object} options - Store options
+     * @param {Function} options.initial - Returns the value to use while the file does not exist
+     * @param {string} [options.key] - Key the value is kept under; without one the value is the whole file
+     * @param {string} [options.baseDir] - Directory of the file
+     */
+    constructor(fileName, { initial, key = null, baseDir = getLocalDataDir() }) {
+        this.baseDir = baseDir;
+        this.file = path.join(baseDir, fileName);
+        this.key = key;
+        this.initial = initial;
+        // Serialize writes so concurrent requests cannot overwrite each other
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the value from disk, without waiting for pending writes
+     * @returns {Promise<any>} - The stored value, or the initial value if there is none
+     */
+    async read() {
+        try {
+            const contents = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            return (this.key ? contents[this.key] : contents) || this.initial();
+        } catch (error) {
+            if (error.code === 'ENOENT') return this.initial();
+            throw error;
+        }
+    }
+
+    async write(value) {
+        await fs.mkdir(this.baseDir, { recursive: true });
+
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(this.key ? { [this.key]: value } : value, null, 2));
+        await fs.rename(tempFile, this.file);
+    }
+
+    /**
+     * Read the value once pending writes are done, so callers always see their own changes
+     * @returns {Promise<any>} - The stored value
+     */
+    async load() {
+        await this.writeQueue;
+        return this.read();
+    }
+
+    /**
+     * Run a read-modify-write operation after all pending writes
+     * @param {Function} mutate - Receives the value and the current time, mutates the value and returns a result
+     * @returns {Promise<any>} - The value returned by mutate
+     */
+    update(mutate) {
+        const operation = this.writeQueue.then(async () => {
+            const value = await this.read();
+            const result = await mutate(value, Date.now());
+            await this.write(value);
+            return result;
+        });
+
+        // Keep the queue going even if this operation fails
+        this.writeQueue = operation.catch(() => {});
+        return operation;
+    }
+}
@@ -0,0 +1,380 @@
+/**
+ * Registration Storage Interface
+ *
+ * Every storage backend extends this class and implements the methods below.
+ * Registrations are passed around as plain records:
+ *
+ * {
+ *   id, timestamp, eventId, email, name, rollNo, course, year, college,
+ *   phone, query, collegeIdUrl, status, passId, emailVerified,
+ *   teamMembers: [{ name, email, phone, rollNo, college, collegeIdUrl, passId }]
+ * }
+ *
+ * Backends store a record as a team (the registration fields) plus one
+ * participant per person, linked by team ID and with a lead or member role,
+ * so team size is not limited by the storage layout. splitRecord and
+ * joinRecords convert between the two.
+ */
+
+import workshopData from '@/app/_data/workshopData';
+
+// Error types thrown by storage backends
+export const STORAGE_ERROR_TYPES = Object.freeze({
+    MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
+    AUTH_FAILED: 'AUTH_FAILED',
+    NOT_FOUND: 'NOT_FOUND',
+    STORAGE_ERROR: 'STORAGE_ERROR'
+});
+
+// Registration lifecycle status
+export const REGISTRATION_RECORD_STATUS = Object.freeze({
+    REGISTERED: 'registered',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+});
+
+// Collections kept alongside the registrations, such as the email outbox,
+// so they last as long as the registrations do. idField names the field
+// that identifies an entry.
+export const STORAGE_COLLECTIONS = Object.freeze({
+    OUTBOX: Object.freeze({ name: 'outbox', idField: 'id' }),
+    ANNOUNCEMENTS: Object.freeze({ name: 'announcements', idField: 'id' }),
+    REMINDERS: Object.freeze({ name: 'reminders', idField: 'key' }),
+    CERTIFICATES: Object.freeze({ name: 'certificates', idField: 'code' }),
+    RESULTS: Object.freeze({ name: 'results', idField: 'eventId' })
+});
+
+/**
+ * Creates an error carrying a storage error type
+ * @param {string} message - Error message
+ * @param {string} type - A value from STORAGE_ERROR_TYPES
+ * @param {Error} [cause] - The underlying error
+ * @returns {Error} - The typed error
+ */
+export const createStorageError = (message, type = STORAGE_ERROR_TYPES.STORAGE_ERROR, cause) => {
+    const error = new Error(message);
+    error.type = type;
+    if (cause) error.cause = cause;
+    return error;
+};
+
+// Pass IDs avoid characters that are easy to misread when typed in by hand
+const PASS_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PASS_ID_LENGTH = 8;
+
+/**
+ * Creates a unique entry pass ID such as "WS-7KQ2-M9XD"
+ * @returns {string} - The pass ID
+ */
+export const createPassId = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(PASS_ID_LENGTH));
+    const chars = Array.from(bytes, byte => PASS_ID_ALPHABET[byte % PASS_ID_ALPHABET.length]).join('');
+    return `WS-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Normalizes a typed or scanned pass ID, accepting any case and missing dashes
+ * @param {string} value - The pass ID as entered
+ * @returns {string|null} - The pass ID in "WS-XXXX-XXXX" form, or null if it cannot be one
+ */
+export const normalizePassId = (value) => {
+    const chars = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const body = chars.length === PASS_ID_LENGTH + 2 && chars.startsWith('WS') ? chars.slice(2) : chars;
+    return body.length === PASS_ID_LENGTH ? `WS-${body.slice(0, 4)}-${body.slice(4)}` : null;
+};
+
+/**
+ * Fills in the generated fields of a new registration record
+ * @param {Object} registration - The registration details
+ * @returns {Object} - The complete record
+ */
+export const createRecord = (registration) => ({
+    status: REGISTRATION_RECORD_STATUS.REGISTERED,
+    ...registration,
+    id: registration.id || crypto.randomUUID(),
+    timestamp: registration.timestamp || new Date().toISOString(),
+    passId: registration.passId || createPassId(),
+    // Every team member gets their own pass so they can check in separately
+    teamMembers: (registration.teamMembers || []).map(member => ({
+        ...member,
+        passId: member.passId || createPassId()
+    }))
+});
+
+// A participant's place in their team
+export const PARTICIPANT_ROLES = Object.freeze({
+    LEAD: 'lead',
+    MEMBER: 'member'
+});
+
+// Fields stored per participant rather than per team. Team members have no course or year.
+export const PARTICIPANT_FIELDS = ['name', 'email', 'phone', 'rollNo', 'course', 'year', 'college', 'collegeIdUrl', 'passId'];
+
+const pickParticipant = (person, teamId, role) => {
+    const participant = { teamId, role };
+    for (const field of PARTICIPANT_FIELDS) {
+        if (person[field] !== undefined) participant[field] = person[field];
+    }
+    return participant;
+};
+
+/**
+ * Split a registration record into its team and participants
+ * @param {Object} record - The registration record
+ * @returns {Object} - { team, participants } with the lead first
+ */
+export const splitRecord = (record) => {
+    const { teamMembers = [], ...rest } = record;
+    const team = Object.fromEntries(Object.entries(rest).filter(([field]) => !PARTICIPANT_FIELDS.includes(field)));
+
+    return {
+        team,
+        participants: [
+            pickParticipant(record, record.id, PARTICIPANT_ROLES.LEAD),
+            ...teamMembers.map(member => pickParticipant(member, record.id, PARTICIPANT_ROLES.MEMBER))
+        ]
+    };
+};
+
+/**
+ * Join a team and its participants back into a registration record
+ * @param {Object} team - The team
+ * @param {Object[]} participants - The team's participants, members in team order
+ * @returns {Object} - The registration record
+ */
+export const joinRecord = (team, participants) => {
+    const strip = ({ teamId, role, ...person }) => person;
+    const lead = participants.find(participant => participant.role === PARTICIPANT_ROLES.LEAD);
+
+    return {
+        ...team,
+        ...(lead ? strip(lead) : {}),
+        teamMembers: participants
+            .filter(participant => participant.role === PARTICIPANT_ROLES.MEMBER)
+            .map(member => {
+                const { course, year, ...details } = strip(member);
+                return details;
+            })
+    };
+};
+
+/**
+ * Join stored teams and participants into registration records. Teams whose
+ * lead is missing (e.g. a write that failed halfway) are left out.
+ * @param {Object[]} teams - Stored teams
+ * @param {Object[]} participants - Stored participants
+ * @returns {Object[]} - Registration records in team order
+ */
+export const joinRecords = (teams, participants) => {
+    const byTeam = new Map();
+    for (const participant of participants) {
+        if (!byTeam.has(participant.teamId)) byTeam.set(participant.teamId, []);
+        byTeam.get(participant.teamId).push(participant);
+    }
+
+    return teams
+        .map(team => joinRecord(team, byTeam.get(team.id) || []))
+        .filter(record => record.email);
+};
+
+/**
+ * Checks whether an event ID refers to the workshop rather than a Techelons event
+ * @param {string} eventId - The event ID
+ * @returns {boolean} - Whether the event is the workshop
+ */
+export const isWorkshopEvent = (eventId) => eventId === workshopData.eventId;
+
+/**
+ * Checks whether a record matches the given lookup criteria.
+ * Event ID must match when given; email or phone must match when either is given.
+ * Cancelled records never match, so their registrants can sign up again.
+ * @param {Object} record - The registration record
+ * @param {Object} criteria - Lookup criteria
+ * @returns {boolean} - Whether the record matches
+ */
+export const matchesCriteria = (record, { eventId, email, phone } = {}) => {
+    if (record.status === REGISTRATION_RECORD_STATUS.CANCELLED) return false;
+    if (eventId && record.eventId !== eventId) return false;
+    if (!email && !phone) return true;
+
+    const normalizedEmail = email?.toLowerCase();
+    const emailMatch = !!normalizedEmail && record.email?.toLowerCase() === normalizedEmail;
+    const phoneMatch = !!phone && record.phone === phone;
+    return emailMatch || phoneMatch;
+};
+
+export class RegistrationStorage {
+    constructor() {
+        // Serializes placeRegistration in backends that cannot do it in one write
+        this.placementQueue = Promise.resolve();
+    }
+
+    /**
+     * Store a new registration
+     * @param {Object} registration - The registration record (an ID is generated if missing)
+     * @returns {Promise<Object>} - The stored record
+     */
+    async appendRegistration(registration) {
+        throw new Error(`${this.constructor.name} does not implement appendRegistration`);
+    }
+
+    /**
+     * Store a new registration whose fields depend on the event's current
+     * registrations, e.g. its status once the event is full. Reading them and
+     * storing the record happen as one step, so two registrations can never
+     * both take the last spot. This default runs one placement at a time in
+     * this process only: two server instances writing to the same backend
+     * (e.g. Sheets on several serverless instances) can still both take the
+     * last spot. Backends that can do better override it.
+     * @param {Object} registration - The registration record
+     * @param {Function} place - Receives the event's registrations and returns fields to set on the record
+     * @returns {Promise<Object>} - The stored record
+     */
+    placeRegistration(registration, place) {
+        return this.queuePlacement(async () => {
+            const registrations = await this.listRegistrations({ eventId: registration.eventId });
+            return this.appendRegistration({ ...registration, ...place(registrations) });
+        });
+    }
+
+    /**
+     * Update registrations of an event where the changes depend on the
+     * event's current registrations, e.g. promoting waitlisted ones into a
+     * freed spot. Runs in turn with placeRegistration, so a spot never goes
+     * to a new registration and a waitlisted one at once. Like
+     * placeRegistration, this default only serializes within this process.
+     * @param {string} eventId - The event ID
+     * @param {Function} decide - Receives the event's registrations and returns [{ id, changes }]; may throw to change nothing
+     * @returns {Promise<Object[]>} - The updated records
+     */
+    updateEventRegistrations(eventId, decide) {
+        return this.queuePlacement(async () => {
+            const updates = decide(await this.listRegistrations({ eventId }));
+            const updated = [];
+            for (const { id, changes } of updates) {
+                updated.push(await this.updateRegistration(id, changes));
+            }
+            return updated;
+        });
+    }
+
+    // Run an operation once earlier placements in this process are done
+    queuePlacement(operation) {
+        const result = this.placementQueue.then(operation);
+
+        // Keep the queue going even if this operation fails
+        this.placementQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Find active (registered or waitlisted) registrations by event, email and/or phone
+     * @param {Object} criteria - Lookup criteria
+     * @param {string} [criteria.eventId] - Event ID that must match
+     * @param {string} [criteria.email] - Email to match
+     * @param {string} [criteria.phone] - Phone to match
+     * @returns {Promise<Object[]>} - Matching records
+     */
+    async findRegistrations(criteria) {
+        const registrations = await this.listRegistrations({ eventId: criteria?.eventId });
+        return registrations.filter(record => matchesCriteria(record, criteria));
+    }
+
+    /**
+     * Get a single registration by its ID
+     * @param {string} id - Registration ID
+     * @returns {Promise<Object|null>} - The record or null if not found
+     */
+    async getRegistration(id) {
+        const registrations = await this.listRegistrations();
+        return registrations.find(record => record.id === id) || null;
+    }
+
+    /**
+     * Find the participant an entry pass belongs to
+     * @param {string} passId - The pass ID
+     * @returns {Promise<Object|null>} - { registration, participant } or null if not found
+     */
+    async findByPassId(passId) {
+        const normalizedPassId = normalizePassId(passId);
+        if (!normalizedPassId) return null;
+
+        const registrations = await this.listRegistrations();
+        for (const registration of registrations) {
+            const participants = [registration, ...(registration.teamMembers || [])];
+            const participant = participants.find(person => person.passId === normalizedPassId);
+            if (participant) return { registration, participant };
+        }
+        return null;
+    }
+
+    /**
+     * Record that a participant checked in. A pass can only be checked in once;
+     * later calls return the first entry with duplicate set.
+     * @param {Object} entry - { passId, registrationId, eventId, name, email, checkedInBy }
+     * @returns {Promise<Object>} - { entry, duplicate }
+     */
+    async recordAttendance(entry) {
+        throw new Error(`${this.constructor.name} does not implement recordAttendance`);
+    }
+
+    /**
+     * List check-ins, optionally for a single event
+     * @param {Object} [options] - List options
+     * @param {string} [options.eventId] - Only list check-ins for this event
+     * @returns {Promise<Object[]>} - Attendance entries
+     */
+    async listAttendance(options) {
+        throw new Error(`${this.constructor.name} does not implement listAttendance`);
+    }
+
+    /**
+     * List registrations, optionally for a single event
+     * @param {Object} [options] - List options
+     * @param {string} [options.eventId] - Only list registrations for this event
+     * @returns {Promise<Object[]>} - Registration records
+     */
+    async listRegistrations(options) {
+        throw new Error(`${this.constructor.name} does not implement listRegistrations`);
+    }
+
+    /**
+     * Update fields of an existing registration
+     * @param {string} id - Registration ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} - The updated record
+     */
+    async updateRegistration(id, changes) {
+        throw new Error(`${this.constructor.name} does not implement updateRegistration`);
+    }
+
+    /**
+     * List the entries of a collection
+     * @param {Object} collection - A value from STORAGE_COLLECTIONS
+     * @returns {Promise<Object[]>} - The entries, oldest first
+     */
+    async listCollection(collection) {
+        throw new Error(`${this.constructor.name} does not implement listCollection`);
+    }
+
+    /**
+     * Run a read-modify-write operation on a collection. Operations on a
+     * collection run one at a time in this process.
+     * @param {Object} collection - A value from STORAGE_COLLECTIONS
+     * @param {Function} mutate - Receives the entries and the current time, adds, changes or removes entries in place and returns a result
+     * @returns {Promise<any>} - The value returned by mutate
+     */
+    async updateCollection(collection, mutate) {
+        throw new Error(`${this.constructor.name} does not implement updateCollection`);
+    }
+
+    /**
+     * Store an uploaded file (e.g. a college ID)
+     * @param {File} file - The uploaded file
+     * @param {string} filename - Sanitized filename to store it under
+     * @returns {Promise<string>} - A URL or path where the file can be found
+     */
+    async storeFile(file, filename) {
+        throw new Error(`${this.constructor.name} does not implement storeFile`);
+    }
+}
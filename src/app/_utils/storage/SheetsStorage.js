@@ -0,0 +1,796 @@
+/**
+ * Google Sheets Registration Storage
+ *
+ * Stores workshop registrations in GOOGLE_SHEET_ID_WORKSHOP, Techelons
+ * registrations in GOOGLE_SHEET_ID_TECHELONS and uploaded files in the
+ * GOOGLE_DRIVE_FOLDER_ID Drive folder.
+ *
+ * Techelons registrations are kept in a "Teams" tab with one row per team
+ * and a "Participants" tab with one row per person, so teams can be any
+ * size. Rows in the original "Sheet1" layout, with three team member column
+ * blocks, are still read and move to the new tabs the first time they change.
+ * Collections such as the email outbox get a tab each, with an entry per row.
+ */
+
+import { google } from 'googleapis';
+import { JWT } from 'google-auth-library';
+import { Readable } from 'stream';
+import workshopData from '@/app/_data/workshopData';
+import { fileToBuffer } from '@/app/_utils/fileUtils';
+import {
+    RegistrationStorage,
+    REGISTRATION_RECORD_STATUS,
+    STORAGE_ERROR_TYPES,
+    PARTICIPANT_ROLES,
+    createRecord,
+    createStorageError,
+    isWorkshopEvent,
+    joinRecord,
+    joinRecords,
+    splitRecord
+} from './RegistrationStorage';
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/spreadsheets',
+    'https://www.googleapis.com/auth/drive.file'
+];
+
+const CLIENT_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Number of team member column blocks in the original Techelons sheet
+const TEAM_MEMBER_COLUMNS = 3;
+const TEAM_MEMBER_FIELDS = ['name', 'email', 'phone', 'rollNo', 'college', 'collegeIdUrl'];
+
+const WORKSHOP_HEADERS = [
+    'Timestamp', 'Email', 'Name', 'Roll No', 'Course', 'College', 'Phone',
+    'Event', 'Year', 'Query', 'Registration ID', 'Status', 'Pass ID', 'Email Verified'
+];
+
+const TECHELONS_HEADERS = [
+    'Timestamp', 'Email', 'Name', 'Roll No', 'Course', 'College', 'Phone',
+    'Event', 'Year', 'Query', 'College ID URL',
+    ...Array.from({ length: TEAM_MEMBER_COLUMNS }, (_, i) => [
+        `Team Member ${i + 1} Name`,
+        `Team Member ${i + 1} Email`,
+        `Team Member ${i + 1} Phone`,
+        `Team Member ${i + 1} Roll No`,
+        `Team Member ${i + 1} College`,
+        `Team Member ${i + 1} College ID URL`
+    ]).flat(),
+    'Registration ID', 'Status', 'Pass ID',
+    // Added after the original columns so existing sheets keep their layout
+    ...Array.from({ length: TEAM_MEMBER_COLUMNS }, (_, i) => `Team Member ${i + 1} Pass ID`)
+];
+
+// Convert a zero-based column index to a sheet column letter (0 -> A, 30 -> AE)
+const columnLetter = (index) => {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+};
+
+// Sheet layouts: how a record maps to a row and back. The techelons layout is the original
+// single-row one, kept so registrations made before the Teams tab can still be read.
+const SHEET_LAYOUTS = {
+    workshop: {
+        envVar: 'GOOGLE_SHEET_ID_WORKSHOP',
+        sheetName: 'Sheet1',
+        headers: WORKSHOP_HEADERS,
+        toRow: (record) => [
+            record.timestamp,
+            record.email,
+            record.name,
+            record.rollNo,
+            record.course,
+            record.college || 'Shivaji College',
+            record.phone,
+            'Workshop',
+            record.year,
+            record.query || '',
+            record.id,
+            record.status || REGISTRATION_RECORD_STATUS.REGISTERED,
+            record.passId || '',
+            record.emailVerified ? 'Yes' : 'No'
+        ],
+        fromRow: (row) => ({
+            timestamp: row[0] || '',
+            email: row[1] || '',
+            name: row[2] || '',
+            rollNo: row[3] || '',
+            course: row[4] || '',
+            college: row[5] || '',
+            phone: row[6] ? String(row[6]) : '',
+            eventId: workshopData.eventId,
+            year: row[8] || '',
+            query: row[9] || '',
+            collegeIdUrl: '',
+            teamMembers: [],
+            id: row[10] || null,
+            status: row[11] || REGISTRATION_RECORD_STATUS.REGISTERED,
+            passId: row[12] || '',
+            emailVerified: row[13] === 'Yes'
+        })
+    },
+    techelons: {
+        envVar: 'GOOGLE_SHEET_ID_TECHELONS',
+        sheetName: 'Sheet1',
+        headers: TECHELONS_HEADERS,
+        // Read only: new registrations go to the Teams and Participants tabs
+        fromRow: (row) => {
+            const idColumn = 11 + TEAM_MEMBER_COLUMNS * TEAM_MEMBER_FIELDS.length;
+            const teamMembers = [];
+            for (let i = 0; i < TEAM_MEMBER_COLUMNS; i++) {
+                const offset = 11 + i * TEAM_MEMBER_FIELDS.length;
+                if (!row[offset]) continue;
+
+                const member = {};
+                TEAM_MEMBER_FIELDS.forEach((field, j) => {
+                    member[field] = row[offset + j] ? String(row[offset + j]) : '';
+                });
+                member.passId = row[idColumn + 3 + i] || '';
+                teamMembers.push(member);
+            }
+
+            return {
+                timestamp: row[0] || '',
+                email: row[1] || '',
+                name: row[2] || '',
+                rollNo: row[3] || '',
+                course: row[4] || '',
+                college: row[5] || '',
+                phone: row[6] ? String(row[6]) : '',
+                eventId: row[7] || '',
+                year: row[8] || '',
+                query: row[9] || '',
+                collegeIdUrl: row[10] || '',
+                teamMembers,
+                id: row[idColumn] || null,
+                status: row[idColumn + 1] || REGISTRATION_RECORD_STATUS.REGISTERED,
+                passId: row[idColumn + 2] || ''
+            };
+        }
+    }
+};
+
+const TEAM_HEADERS = ['Team ID', 'Timestamp', 'Event', 'Status', 'Team Size', 'Query', 'Email Verified'];
+
+const PARTICIPANT_HEADERS = [
+    'Team ID', 'Role', 'Event', 'Name', 'Email', 'Phone', 'Roll No', 'Course', 'Year',
+    'College', 'College ID URL', 'Pass ID'
+];
+
+// Techelons teams and participants, joined by team ID
+const TEAM_LAYOUT = {
+    envVar: 'GOOGLE_SHEET_ID_TECHELONS',
+    sheetName: 'Teams',
+    headers: TEAM_HEADERS,
+    // Team size is for coordinators reading the sheet, it is worked out from the participants
+    toRow: (team, participants) => [
+        team.id,
+        team.timestamp,
+        team.eventId,
+        team.status || REGISTRATION_RECORD_STATUS.REGISTERED,
+        participants.length,
+        team.query || '',
+        team.emailVerified ? 'Yes' : 'No'
+    ],
+    fromRow: (row) => ({
+        id: row[0] || null,
+        timestamp: row[1] || '',
+        eventId: row[2] || '',
+        status: row[3] || REGISTRATION_RECORD_STATUS.REGISTERED,
+        query: row[5] || '',
+        emailVerified: row[6] === 'Yes'
+    })
+};
+
+const PARTICIPANT_LAYOUT = {
+    envVar: 'GOOGLE_SHEET_ID_TECHELONS',
+    sheetName: 'Participants',
+    headers: PARTICIPANT_HEADERS,
+    toRow: (participant, team) => [
+        participant.teamId,
+        participant.role,
+        team.eventId,
+        participant.name || '',
+        participant.email || '',
+        participant.phone || '',
+        participant.rollNo || '',
+        participant.course || '',
+        participant.year || '',
+        participant.college || '',
+        participant.collegeIdUrl || '',
+        participant.passId || ''
+    ],
+    fromRow: (row) => {
+        const participant = {
+            teamId: row[0] || '',
+            role: row[1] || PARTICIPANT_ROLES.MEMBER,
+            name: row[3] || '',
+            email: row[4] || '',
+            phone: row[5] ? String(row[5]) : '',
+            rollNo: row[6] ? String(row[6]) : '',
+            college: row[9] || '',
+            collegeIdUrl: row[10] || '',
+            passId: row[11] || ''
+        };
+        if (participant.role === PARTICIPANT_ROLES.LEAD) {
+            participant.course = row[7] || '';
+            participant.year = row[8] || '';
+        }
+        return participant;
+    }
+};
+
+// Check-ins are kept in an "Attendance" tab next to the registrations they belong to
+const ATTENDANCE_HEADERS = ['Checked In At', 'Pass ID', 'Registration ID', 'Event', 'Name', 'Email', 'Checked In By'];
+
+const createAttendanceLayout = (registrationLayout) => ({
+    envVar: registrationLayout.envVar,
+    sheetName: 'Attendance',
+    headers: ATTENDANCE_HEADERS,
+    toRow: (entry) => [
+        entry.checkedInAt,
+        entry.passId,
+        entry.registrationId,
+        entry.eventId,
+        entry.name || '',
+        entry.email || '',
+        entry.checkedInBy || ''
+    ],
+    fromRow: (row) => ({
+        checkedInAt: row[0] || '',
+        passId: row[1] || '',
+        registrationId: row[2] || '',
+        eventId: row[3] || '',
+        name: row[4] || '',
+        email: row[5] || '',
+        checkedInBy: row[6] || ''
+    })
+});
+
+const ATTENDANCE_LAYOUTS = {
+    workshop: createAttendanceLayout(SHEET_LAYOUTS.workshop),
+    techelons: createAttendanceLayout(SHEET_LAYOUTS.techelons)
+};
+
+// Collections (see STORAGE_COLLECTIONS) get a tab each, e.g. "Outbox", with one entry
+// per row as JSON split across the data columns, since a cell holds at most 50,000 characters
+const COLLECTION_CHUNK_SIZE = 45000;
+const COLLECTION_DATA_COLUMNS = 20;
+const COLLECTION_HEADERS = [
+    'ID', 'Updated At',
+    ...Array.from({ length: COLLECTION_DATA_COLUMNS }, (_, i) => (i === 0 ? 'Data' : `Data ${i + 1}`))
+];
+
+// Collections live in the Techelons spreadsheet, or the workshop one if that is the only one set up
+const getCollectionLayout = (collection) => ({
+    envVar: process.env.GOOGLE_SHEET_ID_TECHELONS ? 'GOOGLE_SHEET_ID_TECHELONS' : 'GOOGLE_SHEET_ID_WORKSHOP',
+    sheetName: collection.name.charAt(0).toUpperCase() + collection.name.slice(1),
+    headers: COLLECTION_HEADERS,
+    toRow: (entry, updatedAt) => {
+        const json = JSON.stringify(entry);
+        const chunks = [];
+        for (let i = 0; i < json.length; i += COLLECTION_CHUNK_SIZE) {
+            chunks.push(json.slice(i, i + COLLECTION_CHUNK_SIZE));
+        }
+        if (chunks.length > COLLECTION_DATA_COLUMNS) {
+            throw createStorageError(
+                `Entry ${entry[collection.idField]} is too large to store in the ${collection.name} sheet`,
+                STORAGE_ERROR_TYPES.STORAGE_ERROR
+            );
+        }
+
+        // Rows are written full width so a shorter entry clears what a longer one left behind
+        const padding = Array.from({ length: COLLECTION_DATA_COLUMNS - chunks.length }, () => '');
+        return [String(entry[collection.idField]), updatedAt, ...chunks, ...padding];
+    },
+    fromRow: (row) => JSON.parse(row.slice(2).join(''))
+});
+
+const getRange = (layout, rowNumber) => {
+    const lastColumn = columnLetter(layout.headers.length - 1);
+    return rowNumber
+        ? `${layout.sheetName}!A${rowNumber}:${lastColumn}${rowNumber}`
+        : `${layout.sheetName}!A:${lastColumn}`;
+};
+
+export class SheetsStorage extends RegistrationStorage {
+    constructor() {
+        super();
+        this.auth = null;
+        this.sheets = null;
+        this.drive = null;
+        this.lastInitTime = null;
+        this.initPromise = null;
+        this.checkedSheets = new Set();
+        this.collectionQueues = new Map();
+    }
+
+    validateCredentials() {
+        const missingVars = [];
+        const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+        const clientEmail = process.env.GOOGLE_CLIENT_EMAIL;
+
+        if (!privateKey || privateKey === "YOUR_PRIVATE_KEY_HERE") {
+            missingVars.push('GOOGLE_PRIVATE_KEY');
+        }
+
+        if (!clientEmail || clientEmail === "YOUR_CLIENT_EMAIL_HERE") {
+            missingVars.push('GOOGLE_CLIENT_EMAIL');
+        }
+
+        if (missingVars.length > 0) {
+            throw createStorageError(
+                `Missing required environment variables: ${missingVars.join(', ')}`,
+                STORAGE_ERROR_TYPES.MISSING_CREDENTIALS
+            );
+        }
+    }
+
+    async initialize() {
+        this.validateCredentials();
+
+        // If already initializing, wait for that promise to resolve
+        if (this.initPromise) {
+            return this.initPromise;
+        }
+
+        // If already initialized and less than 30 minutes old, reuse
+        const now = Date.now();
+        if (this.sheets && this.lastInitTime && (now - this.lastInitTime < CLIENT_TTL)) {
+            return;
+        }
+
+        this.initPromise = this._doInitialize();
+
+        try {
+            await this.initPromise;
+            this.lastInitTime = Date.now();
+        } finally {
+            this.initPromise = null;
+        }
+    }
+
+    async _doInitialize() {
+        try {
+            this.auth = new JWT({
+                email: process.env.GOOGLE_CLIENT_EMAIL,
+                key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+                scopes: SCOPES,
+            });
+
+            await this.auth.authorize();
+            this.drive = google.drive({ version: 'v3', auth: this.auth });
+            this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+        } catch (error) {
+            console.error('Auth error:', error.message);
+            throw createStorageError('Authentication failed with Google API', STORAGE_ERROR_TYPES.AUTH_FAILED, error);
+        }
+    }
+
+    getSpreadsheetId(layout) {
+        const spreadsheetId = process.env[layout.envVar];
+        if (!spreadsheetId) {
+            throw createStorageError(
+                `Missing required environment variables: ${layout.envVar}`,
+                STORAGE_ERROR_TYPES.MISSING_CREDENTIALS
+            );
+        }
+        return spreadsheetId;
+    }
+
+    async ensureSheetExists(layout) {
+        const sheetKey = `${layout.envVar}:${layout.sheetName}`;
+        if (this.checkedSheets.has(sheetKey)) return;
+
+        const spreadsheetId = this.getSpreadsheetId(layout);
+        const { data } = await this.sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties.title'
+        });
+        const exists = data.sheets?.some(sheet => sheet.properties?.title === layout.sheetName);
+
+        if (!exists) {
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                requestBody: {
+                    requests: [{
+                        addSheet: {
+                            properties: {
+                                title: layout.sheetName
+                            }
+                        }
+                    }]
+                }
+            });
+
+            // Add headers
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${layout.sheetName}!A1`,
+                valueInputOption: 'RAW',
+                requestBody: {
+                    values: [layout.headers]
+                }
+            });
+        }
+
+        this.checkedSheets.add(sheetKey);
+    }
+
+    async readRows(layout) {
+        await this.initialize();
+        await this.ensureSheetExists(layout);
+
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.getSpreadsheetId(layout),
+            range: getRange(layout),
+            valueRenderOption: 'UNFORMATTED_VALUE',
+        });
+
+        // Skip the header row
+        const rows = response.data.values || [];
+        return rows.slice(1);
+    }
+
+    async appendRows(layout, rows) {
+        await this.initialize();
+        await this.ensureSheetExists(layout);
+
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.getSpreadsheetId(layout),
+            range: getRange(layout),
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: rows },
+        });
+    }
+
+    // Participants go in before their team, so a failed write never leaves a team without its lead
+    async appendTeam(record) {
+        const { team, participants } = splitRecord(record);
+        await this.appendRows(PARTICIPANT_LAYOUT, participants.map(participant => PARTICIPANT_LAYOUT.toRow(participant, team)));
+        await this.appendRows(TEAM_LAYOUT, [TEAM_LAYOUT.toRow(team, participants)]);
+        return joinRecord(team, participants);
+    }
+
+    async appendRegistration(registration) {
+        const record = createRecord(registration);
+
+        try {
+            if (isWorkshopEvent(record.eventId)) {
+                await this.appendRows(SHEET_LAYOUTS.workshop, [SHEET_LAYOUTS.workshop.toRow(record)]);
+            } else {
+                await this.appendTeam(record);
+            }
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet append error:', error);
+            throw createStorageError(`Failed to append data to sheet: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+
+        return record;
+    }
+
+    async listWorkshopRegistrations() {
+        const rows = await this.readRows(SHEET_LAYOUTS.workshop);
+        return rows.filter(row => row && row[1]).map(SHEET_LAYOUTS.workshop.fromRow);
+    }
+
+    async listTechelonsRegistrations() {
+        const [teamRows, participantRows, legacyRows] = await Promise.all([
+            this.readRows(TEAM_LAYOUT),
+            this.readRows(PARTICIPANT_LAYOUT),
+            this.readRows(SHEET_LAYOUTS.techelons)
+        ]);
+
+        const records = joinRecords(
+            teamRows.filter(row => row && row[0]).map(TEAM_LAYOUT.fromRow),
+            participantRows.filter(row => row && row[0]).map(PARTICIPANT_LAYOUT.fromRow)
+        );
+
+        // Original rows that have been moved to the new tabs are left behind, so skip them
+        const movedIds = new Set(records.map(record => record.id));
+        const legacyRecords = legacyRows
+            .filter(row => row && row[1])
+            .map(SHEET_LAYOUTS.techelons.fromRow)
+            .filter(record => !movedIds.has(record.id));
+
+        return [...legacyRecords, ...records];
+    }
+
+    async listRegistrations({ eventId } = {}) {
+        const sources = eventId
+            ? [isWorkshopEvent(eventId) ? SHEET_LAYOUTS.workshop : SHEET_LAYOUTS.techelons]
+            : [SHEET_LAYOUTS.workshop, SHEET_LAYOUTS.techelons].filter(layout => process.env[layout.envVar]);
+
+        try {
+            const results = await Promise.all(sources.map(layout => layout === SHEET_LAYOUTS.workshop
+                ? this.listWorkshopRegistrations()
+                : this.listTechelonsRegistrations()
+            ));
+
+            const registrations = results.flat();
+            return eventId ? registrations.filter(record => record.eventId === eventId) : registrations;
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet read error:', error);
+            throw createStorageError(`Failed to read registrations: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+
+    async updateWorkshopRegistration(id, changes) {
+        const layout = SHEET_LAYOUTS.workshop;
+        const rows = await this.readRows(layout);
+        const index = rows.findIndex(row => row && layout.fromRow(row).id === id);
+        if (index === -1) return null;
+
+        const updated = { ...layout.fromRow(rows[index]), ...changes, id };
+
+        // Data rows start after the header, and sheet rows are 1-based
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.getSpreadsheetId(layout),
+            range: getRange(layout, index + 2),
+            valueInputOption: 'RAW',
+            requestBody: { values: [layout.toRow(updated)] }
+        });
+
+        return updated;
+    }
+
+    async updateTechelonsRegistration(id, changes) {
+        const [teamRows, participantRows] = await Promise.all([
+            this.readRows(TEAM_LAYOUT),
+            this.readRows(PARTICIPANT_LAYOUT)
+        ]);
+
+        const teamIndex = teamRows.findIndex(row => row && row[0] === id);
+        if (teamIndex === -1) {
+            // A registration in the original layout moves to the new tabs
+            const legacyRows = await this.readRows(SHEET_LAYOUTS.techelons);
+            const legacy = legacyRows
+                .filter(row => row && row[1])
+                .map(SHEET_LAYOUTS.techelons.fromRow)
+                .find(record => record.id === id);
+            return legacy ? this.appendTeam({ ...legacy, ...changes, id }) : null;
+        }
+
+        const participantIndexes = participantRows
+            .map((row, index) => (row && row[0] === id ? index : -1))
+            .filter(index => index !== -1);
+        const current = joinRecord(
+            TEAM_LAYOUT.fromRow(teamRows[teamIndex]),
+            participantIndexes.map(index => PARTICIPANT_LAYOUT.fromRow(participantRows[index]))
+        );
+        const { team, participants } = splitRecord({ ...current, ...changes, id });
+        const spreadsheetId = this.getSpreadsheetId(TEAM_LAYOUT);
+
+        // Rewrite the team's rows in place; a bigger team gets new rows and a smaller one has rows cleared
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data: [
+                    { range: getRange(TEAM_LAYOUT, teamIndex + 2), values: [TEAM_LAYOUT.toRow(team, participants)] },
+                    ...participants.slice(0, participantIndexes.length).map((participant, i) => ({
+                        range: getRange(PARTICIPANT_LAYOUT, participantIndexes[i] + 2),
+                        values: [PARTICIPANT_LAYOUT.toRow(participant, team)]
+                    }))
+                ]
+            }
+        });
+
+        const added = participants.slice(participantIndexes.length);
+        if (added.length > 0) {
+            await this.appendRows(PARTICIPANT_LAYOUT, added.map(participant => PARTICIPANT_LAYOUT.toRow(participant, team)));
+        }
+
+        const removed = participantIndexes.slice(participants.length);
+        if (removed.length > 0) {
+            await this.sheets.spreadsheets.values.batchClear({
+                spreadsheetId,
+                requestBody: { ranges: removed.map(index => getRange(PARTICIPANT_LAYOUT, index + 2)) }
+            });
+        }
+
+        return joinRecord(team, participants);
+    }
+
+    async updateRegistration(id, changes) {
+        try {
+            if (process.env[SHEET_LAYOUTS.workshop.envVar]) {
+                const updated = await this.updateWorkshopRegistration(id, changes);
+                if (updated) return updated;
+            }
+
+            if (process.env[TEAM_LAYOUT.envVar]) {
+                const updated = await this.updateTechelonsRegistration(id, changes);
+                if (updated) return updated;
+            }
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet update error:', error);
+            throw createStorageError(`Failed to update registration: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+
+        throw createStorageError(`Registration not found: ${id}`, STORAGE_ERROR_TYPES.NOT_FOUND);
+    }
+
+    async recordAttendance(entry) {
+        const layout = isWorkshopEvent(entry.eventId) ? ATTENDANCE_LAYOUTS.workshop : ATTENDANCE_LAYOUTS.techelons;
+
+        try {
+            const rows = await this.readRows(layout);
+            const existing = rows.map(layout.fromRow).find(item => item.passId === entry.passId);
+            if (existing) {
+                return { entry: existing, duplicate: true };
+            }
+
+            const record = { ...entry, checkedInAt: entry.checkedInAt || new Date().toISOString() };
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.getSpreadsheetId(layout),
+                range: getRange(layout),
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: [layout.toRow(record)] },
+            });
+            return { entry: record, duplicate: false };
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet attendance error:', error);
+            throw createStorageError(`Failed to record attendance: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+
+    async listAttendance({ eventId } = {}) {
+        const layouts = eventId
+            ? [isWorkshopEvent(eventId) ? ATTENDANCE_LAYOUTS.workshop : ATTENDANCE_LAYOUTS.techelons]
+            : Object.values(ATTENDANCE_LAYOUTS).filter(layout => process.env[layout.envVar]);
+
+        try {
+            const results = await Promise.all(layouts.map(async (layout) => {
+                const rows = await this.readRows(layout);
+                return rows.filter(row => row && row[1]).map(layout.fromRow);
+            }));
+
+            const attendance = results.flat();
+            return eventId ? attendance.filter(entry => entry.eventId === eventId) : attendance;
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet attendance read error:', error);
+            throw createStorageError(`Failed to read attendance: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+
+    // Read a collection's rows, keeping the row index and JSON of each entry so changes can be found
+    async readCollection(collection) {
+        const layout = getCollectionLayout(collection);
+        const rows = await this.readRows(layout);
+        const stored = new Map();
+        const staleIndexes = [];
+
+        rows.forEach((row, index) => {
+            if (!row || !row[0]) return;
+            const entry = layout.fromRow(row);
+            const id = String(entry[collection.idField]);
+
+            // Two instances adding the same entry leave two rows; the later one wins
+            if (stored.has(id)) staleIndexes.push(stored.get(id).index);
+            stored.set(id, { index, entry, json: JSON.stringify(entry) });
+        });
+
+        return { layout, stored, staleIndexes };
+    }
+
+    async listCollection(collection) {
+        try {
+            const { stored } = await this.readCollection(collection);
+            return [...stored.values()].sort((a, b) => a.index - b.index).map(item => item.entry);
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet collection read error:', error);
+            throw createStorageError(`Failed to read ${collection.name}: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+
+    updateCollection(collection, mutate) {
+        const queue = this.collectionQueues.get(collection.name) || Promise.resolve();
+        const operation = queue.then(() => this.applyCollectionUpdate(collection, mutate));
+
+        // Keep the queue going even if this operation fails
+        this.collectionQueues.set(collection.name, operation.catch(() => {}));
+        return operation;
+    }
+
+    async applyCollectionUpdate(collection, mutate) {
+        try {
+            const { layout, stored, staleIndexes } = await this.readCollection(collection);
+            const entries = [...stored.values()].sort((a, b) => a.index - b.index).map(item => JSON.parse(item.json));
+            const now = Date.now();
+            const result = await mutate(entries, now);
+
+            // Only rows that changed are written; removed entries are cleared so row numbers stay put
+            const updatedAt = new Date(now).toISOString();
+            const kept = new Set();
+            const changed = [];
+            const added = [];
+            for (const entry of entries) {
+                const id = String(entry[collection.idField]);
+                const current = stored.get(id);
+                kept.add(id);
+                if (!current) {
+                    added.push(layout.toRow(entry, updatedAt));
+                } else if (current.json !== JSON.stringify(entry)) {
+                    changed.push({ range: getRange(layout, current.index + 2), values: [layout.toRow(entry, updatedAt)] });
+                }
+            }
+            const cleared = [
+                ...staleIndexes,
+                ...[...stored].filter(([id]) => !kept.has(id)).map(([, item]) => item.index)
+            ];
+
+            const spreadsheetId = this.getSpreadsheetId(layout);
+            if (changed.length > 0) {
+                await this.sheets.spreadsheets.values.batchUpdate({
+                    spreadsheetId,
+                    requestBody: { valueInputOption: 'RAW', data: changed }
+                });
+            }
+            if (added.length > 0) {
+                await this.appendRows(layout, added);
+            }
+            if (cleared.length > 0) {
+                await this.sheets.spreadsheets.values.batchClear({
+                    spreadsheetId,
+                    requestBody: { ranges: cleared.map(index => getRange(layout, index + 2)) }
+                });
+            }
+
+            return result;
+        } catch (error) {
+            if (error.type) throw error;
+            console.error('Sheet collection update error:', error);
+            throw createStorageError(`Failed to update ${collection.name}: ${error.message}`, STORAGE_ERROR_TYPES.STORAGE_ERROR, error);
+        }
+    }
+
+    bufferToStream(buffer) {
+        const stream = new Readable();
+        stream.push(buffer);
+        stream.push(null);
+        return stream;
+    }
+
+    async storeFile(file, filename) {
+        const folderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+        if (!folderId) {
+            throw createStorageError(
+                'Missing required environment variables: GOOGLE_DRIVE_FOLDER_ID',
+                STORAGE_ERROR_TYPES.MISSING_CREDENTIALS
+            );
+        }
+
+        await this.initialize();
+        const buffer = await fileToBuffer(file);
+
+        const driveResponse = await this.drive.files.create({
+            requestBody: {
+                name: filename,
+                parents: [folderId]
+            },
+            media: {
+                mimeType: file.type,
+                body: this.bufferToStream(buffer)
+            },
+            fields: 'id'
+        });
+
+        return `https://drive.google.com/file/d/${driveResponse.data.id}/view`;
+    }
+}
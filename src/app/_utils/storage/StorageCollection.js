@@ -0,0 +1,42 @@
+/**
+ * Storage Collection
+ *
+ * Base for lists kept in the registration storage next to the
+ * registrations (see STORAGE_COLLECTIONS), such as the email outbox, so
+ * they last as long as the registrations do: a JSON file with the local
+ * backend and a tab of the spreadsheet with the Sheets backend.
+ */
+
+import { getRegistrationStorage } from './index';
+
+export class StorageCollection {
+    /**
+     * @param {Object} collection - A value from STORAGE_COLLECTIONS
+     * @param {RegistrationStorage} [storage] - Storage to use instead of the configured one
+     */
+    constructor(collection, storage = null) {
+        this.collection = collection;
+        this.storage = storage;
+    }
+
+    getStorage() {
+        return this.storage || getRegistrationStorage();
+    }
+
+    /**
+     * Read the entries
+     * @returns {Promise<Object[]>} - The entries, oldest first
+     */
+    async load() {
+        return this.getStorage().listCollection(this.collection);
+    }
+
+    /**
+     * Run a read-modify-write operation on the entries
+     * @param {Function} mutate - Receives the entries and the current time, mutates the entries and returns a result
+     * @returns {Promise<any>} - The value returned by mutate
+     */
+    update(mutate) {
+        return this.getStorage().updateCollection(this.collection, mutate);
+    }
+}
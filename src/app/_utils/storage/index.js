@@ -0,0 +1,53 @@
+/**
+ * Registration Storage
+ *
+ * Selects the storage backend with the REGISTRATION_STORAGE environment variable:
+ * - "sheets" (default): Google Sheets and Drive
+ * - "local": JSON file and uploads folder on disk (see FileStorage)
+ */
+
+import { SheetsStorage } from './SheetsStorage';
+import { FileStorage } from './FileStorage';
+
+export {
+    RegistrationStorage,
+    STORAGE_COLLECTIONS,
+    STORAGE_ERROR_TYPES,
+    REGISTRATION_RECORD_STATUS,
+    PARTICIPANT_ROLES,
+    isWorkshopEvent,
+    normalizePassId
+} from './RegistrationStorage';
+
+export const STORAGE_BACKENDS = Object.freeze({
+    SHEETS: 'sheets',
+    LOCAL: 'local'
+});
+
+// Singleton storage instance, shared by all routes
+let storageInstance = null;
+
+/**
+ * Get the configured registration storage backend
+ * @returns {RegistrationStorage} - The storage instance
+ */
+export const getRegistrationStorage = () => {
+    if (storageInstance) {
+        return storageInstance;
+    }
+
+    const backend = (process.env.REGISTRATION_STORAGE || STORAGE_BACKENDS.SHEETS).toLowerCase();
+
+    switch (backend) {
+        case STORAGE_BACKENDS.LOCAL:
+            storageInstance = new FileStorage();
+            break;
+        case STORAGE_BACKENDS.SHEETS:
+            storageInstance = new SheetsStorage();
+            break;
+        default:
+            throw new Error(`Unknown REGISTRATION_STORAGE backend: ${backend}`);
+    }
+
+    return storageInstance;
+};
@@ -0,0 +1,108 @@
+/**
+ * Team Validation Utilities
+ *
+ * Server-side checks for a registrant and their team: the team has to fit
+ * the event's team size, nobody can be on it twice, and nobody can be on
+ * two teams for the same event. Used when registering and when a team is
+ * changed from the manage page.
+ */
+
+import { REGISTRATION_RECORD_STATUS } from './storage/RegistrationStorage';
+
+// Error types
+export const TEAM_ERROR_TYPES = Object.freeze({
+    TEAM_SIZE: 'TEAM_SIZE',
+    DUPLICATE_MEMBER: 'DUPLICATE_MEMBER',
+    MEMBER_ALREADY_REGISTERED: 'MEMBER_ALREADY_REGISTERED'
+});
+
+const createTeamError = (message, type, fieldErrors) => {
+    const error = new Error(message);
+    error.type = type;
+    if (fieldErrors) error.fieldErrors = fieldErrors;
+    return error;
+};
+
+const normalizeEmail = (email) => email?.trim().toLowerCase() || '';
+
+// The registrant's fields are top-level form fields, team members' are under teamMembers.N
+const fieldName = (index, field) => index === -1 ? field : `teamMembers.${index}.${field}`;
+
+/**
+ * Check that a team fits an event's team size
+ * @param {Object|null} teamSize - { min, max } including the registrant
+ * @param {number} memberCount - Number of team members, not counting the registrant
+ * @returns {Error|null} - A TEAM_SIZE error, or null if it fits
+ */
+export const checkTeamSize = (teamSize, memberCount) => {
+    const { min, max } = teamSize || { min: 1, max: 1 };
+    const size = 1 + memberCount;
+    if (size >= min && size <= max) return null;
+
+    const range = min === max ? `${min}` : `${min} to ${max}`;
+    return createTeamError(`Teams for this event must have ${range} member${max === 1 ? '' : 's'} including you`, TEAM_ERROR_TYPES.TEAM_SIZE);
+};
+
+/**
+ * Check that nobody appears twice in a team, by email or phone
+ * @param {Object} registrant - { email, phone } of the registrant
+ * @param {Object[]} teamMembers - Team members with email and phone
+ * @returns {Error|null} - A DUPLICATE_MEMBER error with fieldErrors, or null
+ */
+export const checkDuplicateMembers = (registrant, teamMembers) => {
+    const seenEmails = new Set([normalizeEmail(registrant.email)]);
+    const seenPhones = new Set([registrant.phone]);
+    const fieldErrors = {};
+
+    teamMembers.forEach((member, index) => {
+        const email = normalizeEmail(member.email);
+        if (seenEmails.has(email)) fieldErrors[fieldName(index, 'email')] = 'This email is already on the team';
+        if (seenPhones.has(member.phone)) fieldErrors[fieldName(index, 'phone')] = 'This phone number is already on the team';
+        seenEmails.add(email);
+        seenPhones.add(member.phone);
+    });
+
+    if (Object.keys(fieldErrors).length === 0) return null;
+    return createTeamError('Each team member needs their own email and phone number', TEAM_ERROR_TYPES.DUPLICATE_MEMBER, fieldErrors);
+};
+
+/**
+ * Check that no one on a team is already on another team for the same event.
+ * Cancelled registrations don't count.
+ * @param {Object[]} registrations - Registrations for the event
+ * @param {Object} registrant - { email, phone } of the registrant
+ * @param {Object[]} teamMembers - Team members with email and phone
+ * @param {string} [registrationId] - The team's own registration, when it is being changed
+ * @returns {Error|null} - A MEMBER_ALREADY_REGISTERED error with fieldErrors, or null
+ */
+export const checkMembersRegisteredElsewhere = (registrations, registrant, teamMembers, registrationId) => {
+    const takenEmails = new Set();
+    const takenPhones = new Set();
+
+    for (const record of registrations) {
+        if (record.id === registrationId || record.status === REGISTRATION_RECORD_STATUS.CANCELLED) continue;
+
+        for (const participant of [record, ...(record.teamMembers || [])]) {
+            if (participant.email) takenEmails.add(normalizeEmail(participant.email));
+            if (participant.phone) takenPhones.add(participant.phone);
+        }
+    }
+
+    const fieldErrors = {};
+    [registrant, ...teamMembers].forEach((participant, position) => {
+        const index = position - 1;
+        if (takenEmails.has(normalizeEmail(participant.email))) {
+            fieldErrors[fieldName(index, 'email')] = 'This email is already registered for this event on another team';
+        }
+        if (takenPhones.has(participant.phone)) {
+            fieldErrors[fieldName(index, 'phone')] = 'This phone number is already registered for this event on another team';
+        }
+    });
+
+    if (Object.keys(fieldErrors).length === 0) return null;
+    return createTeamError(
+        'Someone on this team is already registered for this event on another team',
+        TEAM_ERROR_TYPES.MEMBER_ALREADY_REGISTERED,
+        fieldErrors
+    );
+};
@@ -0,0 +1,166 @@
+/**
+ * Capacity and Waitlist Utilities
+ *
+ * Events can set a capacity in teams or seats. Registrations that do not fit
+ * are stored as waitlisted, and when a confirmed registration is cancelled
+ * the oldest waitlisted ones that now fit are promoted and emailed.
+ */
+
+import { CAPACITY_UNITS } from '@/app/_data/techelonsEventsData';
+import { getRegistrationEventCapacity } from './registrationEvents';
+import { REGISTRATION_RECORD_STATUS } from './storage/RegistrationStorage';
+import { buildWaitlistEmail } from './mail/templates/waitlist';
+import { createManageUrl } from './manageRegistration';
+import { queueEmail } from './emailOutbox';
+import { queueConfirmationEmails, EMAIL_KINDS } from './registrationEmails';
+
+/**
+ * How much of an event's capacity a registration takes up
+ * @param {Object} registration - Registration record, or { teamMembers } for a new one
+ * @param {Object} capacity - { max, unit }
+ * @returns {number} - 1 for a team, or the number of participants for seats
+ */
+const getCapacityUsed = (registration, capacity) => {
+    return capacity.unit === CAPACITY_UNITS.SEATS ? 1 + (registration.teamMembers?.length || 0) : 1;
+};
+
+const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+/**
+ * Work out whether a new registration fits or goes on the waitlist
+ * @param {string} eventId - The event ID
+ * @param {Object[]} registrations - Existing registrations for the event
+ * @param {Object} registration - The new registration ({ teamMembers } is enough)
+ * @returns {Object} - { waitlisted, position } where position is the place in the waitlist
+ */
+export const getWaitlistPlacement = (eventId, registrations, registration) => {
+    const capacity = getRegistrationEventCapacity(eventId);
+    if (!capacity) return { waitlisted: false, position: null };
+
+    const confirmed = registrations.filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED);
+    const waitlist = registrations.filter(record => record.status === REGISTRATION_RECORD_STATUS.WAITLISTED);
+    const used = confirmed.reduce((total, record) => total + getCapacityUsed(record, capacity), 0);
+
+    // Nobody jumps the queue while others are waiting
+    if (waitlist.length === 0 && used + getCapacityUsed(registration, capacity) <= capacity.max) {
+        return { waitlisted: false, position: null };
+    }
+
+    return { waitlisted: true, position: waitlist.length + 1 };
+};
+
+/**
+ * Check whether a confirmed registration still fits the event's capacity
+ * after a change, e.g. when a team grows
+ * @param {string} eventId - The event ID
+ * @param {Object[]} registrations - Registrations for the event
+ * @param {Object} registration - The changed registration
+ * @returns {boolean} - True if it fits, or the event has no limit
+ */
+export const fitsCapacity = (eventId, registrations, registration) => {
+    const capacity = getRegistrationEventCapacity(eventId);
+    if (!capacity) return true;
+
+    const used = registrations
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED && record.id !== registration.id)
+        .reduce((total, record) => total + getCapacityUsed(record, capacity), 0);
+    return used + getCapacityUsed(registration, capacity) <= capacity.max;
+};
+
+/**
+ * Get the position of a waitlisted registration
+ * @param {Object[]} registrations - Registrations for the event
+ * @param {string} id - The registration ID
+ * @returns {number|null} - 1-based position, or null if it is not waitlisted
+ */
+export const getWaitlistPosition = (registrations, id) => {
+    const waitlist = registrations
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.WAITLISTED)
+        .sort(byTimestamp);
+    const index = waitlist.findIndex(record => record.id === id);
+    return index === -1 ? null : index + 1;
+};
+
+/**
+ * Email every participant of a registration that was just confirmed from the waitlist
+ * @param {Object} registration - The promoted record
+ * @param {string} [origin] - Site origin for the manage link
+ * @returns {Promise<Object[]>} - Email results
+ */
+export const sendPromotionEmails = async (registration, origin) => {
+    const manageUrl = await createManageUrl(registration, origin);
+    return queueConfirmationEmails(registration, { manageUrl, fromWaitlist: true });
+};
+
+/**
+ * Tell a registrant they are on the waitlist
+ * @param {Object} registration - The waitlisted record
+ * @param {number} position - Place in the waitlist
+ * @param {string} [manageUrl] - Link to the manage page
+ * @returns {Promise<Object>} - Email result
+ */
+export const sendWaitlistEmail = async (registration, position, manageUrl) => {
+    return queueEmail(
+        buildWaitlistEmail({ registration, position, manageUrl }),
+        { kind: EMAIL_KINDS.WAITLIST, registrationId: registration.id }
+    );
+};
+
+/**
+ * Pick the oldest waitlisted registrations that fit into the free capacity
+ * of an event. Promotion is strictly first come, first served: it stops at
+ * the first registration that does not fit.
+ * @param {string} eventId - The event ID
+ * @param {Object[]} registrations - Registrations for the event
+ * @returns {Object[]} - The registrations to confirm, oldest first
+ */
+const selectPromotions = (eventId, registrations) => {
+    const waitlist = registrations
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.WAITLISTED)
+        .sort(byTimestamp);
+
+    // Without a capacity (e.g. it was removed) everyone can be confirmed
+    const capacity = getRegistrationEventCapacity(eventId);
+    if (!capacity) return waitlist;
+
+    let used = registrations
+        .filter(record => record.status === REGISTRATION_RECORD_STATUS.REGISTERED)
+        .reduce((total, record) => total + getCapacityUsed(record, capacity), 0);
+
+    const selected = [];
+    for (const record of waitlist) {
+        const needed = getCapacityUsed(record, capacity);
+        if (used + needed > capacity.max) break;
+        used += needed;
+        selected.push(record);
+    }
+    return selected;
+};
+
+/**
+ * Promote the oldest waitlisted registrations that fit into the free capacity
+ * of an event, then email them. The promotions run in turn with new
+ * registrations being placed, so a freed spot is never given out twice.
+ * @param {RegistrationStorage} storage - The registration storage
+ * @param {string} eventId - The event ID
+ * @param {string} [origin] - Site origin for the manage links in the emails
+ * @returns {Promise<Object[]>} - The promoted records
+ */
+export const promoteFromWaitlist = async (storage, eventId, origin) => {
+    const promoted = await storage.updateEventRegistrations(eventId, (registrations) => (
+        selectPromotions(eventId, registrations)
+            .map(record => ({ id: record.id, changes: { status: REGISTRATION_RECORD_STATUS.REGISTERED } }))
+    ));
+
+    // Emails are best effort: the promotion itself is already stored
+    await Promise.all(promoted.map(async (record) => {
+        console.log(`Promoted registration ${record.id} from the ${eventId} waitlist`);
+        try {
+            await sendPromotionEmails(record, origin);
+        } catch (error) {
+            console.error(`Failed to email promoted registration ${record.id}:`, error);
+        }
+    }));
+
+    return promoted;
+};
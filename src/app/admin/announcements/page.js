@@ -0,0 +1,300 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import Link from "next/link"
+import { useRouter } from "next/navigation"
+import { ArrowLeft, Megaphone, RefreshCw, RotateCcw, Send, Users } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue
+} from "@/components/ui/select"
+
+const ALL_EVENTS = 'all'
+
+// Keep in sync with ANNOUNCEMENT_LIMITS in src/app/_utils/announcements.js
+const SUBJECT_LIMIT = 150
+const MESSAGE_LIMIT = 5000
+
+const formatTimestamp = (value) => value ? new Date(value).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+}) : ''
+
+const StatusBadge = ({ announcement }) => {
+    if (announcement.status === 'sending') {
+        return <Badge variant="outline" className="border-indigo-300 text-indigo-700">Sending</Badge>
+    }
+    if (announcement.status === 'partial') {
+        return <Badge variant="destructive">{announcement.failures.length} failed</Badge>
+    }
+    return <Badge variant="secondary">Sent</Badge>
+}
+
+const AnnouncementsPage = () => {
+    const router = useRouter()
+    const [events, setEvents] = useState([])
+    const [announcements, setAnnouncements] = useState([])
+    const [isLoading, setIsLoading] = useState(true)
+    const [eventId, setEventId] = useState(ALL_EVENTS)
+    const [includeWaitlisted, setIncludeWaitlisted] = useState(false)
+    const [subject, setSubject] = useState("")
+    const [message, setMessage] = useState("")
+    const [recipientCount, setRecipientCount] = useState(null)
+    const [isSending, setIsSending] = useState(false)
+    const [retryingId, setRetryingId] = useState(null)
+
+    const loadAnnouncements = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const response = await fetch('/api/admin/announcements')
+            const result = await response.json()
+
+            if (response.status === 401) {
+                router.push('/admin/login?next=/admin/announcements')
+                return
+            }
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to load announcements')
+                return
+            }
+
+            setAnnouncements(result.announcements)
+            setEvents(result.events)
+        } catch (error) {
+            console.error('Failed to load announcements:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }, [router])
+
+    useEffect(() => {
+        loadAnnouncements()
+    }, [loadAnnouncements])
+
+    // Count the recipients whenever the audience changes
+    useEffect(() => {
+        let cancelled = false
+        setRecipientCount(null)
+
+        const params = new URLSearchParams({ eventId })
+        if (includeWaitlisted) params.set('includeWaitlisted', '1')
+
+        fetch(`/api/admin/announcements/recipients?${params}`)
+            .then(response => response.ok ? response.json() : null)
+            .then(result => {
+                if (!cancelled && result) setRecipientCount(result.recipients)
+            })
+            .catch(error => console.error('Failed to count recipients:', error))
+
+        return () => {
+            cancelled = true
+        }
+    }, [eventId, includeWaitlisted])
+
+    const audienceName = eventId === ALL_EVENTS
+        ? 'every event'
+        : events.find(event => event.id === eventId)?.name || eventId
+
+    const handleSend = async (e) => {
+        e.preventDefault()
+        if (!subject.trim() || !message.trim()) {
+            toast.error('Please add a subject and a message')
+            return
+        }
+        if (!window.confirm(`Email "${subject.trim()}" to ${recipientCount ?? 'everyone'} ${recipientCount === 1 ? 'person' : 'people'} registered for ${audienceName}?`)) {
+            return
+        }
+
+        setIsSending(true)
+        try {
+            const response = await fetch('/api/admin/announcements', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ eventId, subject, message, includeWaitlisted })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to send the announcement')
+                return
+            }
+
+            const { total } = result.announcement
+            toast.success(`Announcement queued for ${total} ${total === 1 ? 'person' : 'people'}. Its progress shows in the send log.`)
+            setSubject("")
+            setMessage("")
+            await loadAnnouncements()
+        } catch (error) {
+            console.error('Failed to send the announcement:', error)
+            toast.error('Connection error. Check the send log before trying again.')
+        } finally {
+            setIsSending(false)
+        }
+    }
+
+    const handleRetry = async (announcement) => {
+        setRetryingId(announcement.id)
+        try {
+            const response = await fetch(`/api/admin/announcements/${encodeURIComponent(announcement.id)}/retry`, {
+                method: 'POST'
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to retry the announcement')
+            } else {
+                toast.success('The failed emails are queued again')
+            }
+            await loadAnnouncements()
+        } catch (error) {
+            console.error('Failed to retry the announcement:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setRetryingId(null)
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <header className="bg-white border-b">
+                <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
+                    <h1 className="text-xl font-bold text-gray-900">Announcements</h1>
+                    <Button variant="outline" size="sm" asChild>
+                        <Link href="/admin">
+                            <ArrowLeft size={14} className="mr-1" />
+                            Registrations
+                        </Link>
+                    </Button>
+                </div>
+            </header>
+
+            <main className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+                <form onSubmit={handleSend} className="bg-white rounded-lg border p-4 space-y-4">
+                    <div className="flex items-center gap-2">
+                        <Megaphone size={18} className="text-indigo-600" />
+                        <h2 className="font-semibold text-gray-900">New announcement</h2>
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                        <Select value={eventId} onValueChange={setEventId} disabled={isSending}>
+                            <SelectTrigger className="sm:w-72">
+                                <SelectValue placeholder="All events" />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={ALL_EVENTS}>All events</SelectItem>
+                                {events.map(event => (
+                                    <SelectItem key={event.id} value={event.id}>{event.name}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                        <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={includeWaitlisted}
+                                onChange={(e) => setIncludeWaitlisted(e.target.checked)}
+                                disabled={isSending}
+                                className="h-4 w-4 accent-indigo-600"
+                            />
+                            Include the waitlist
+                        </label>
+                    </div>
+
+                    <p className="flex items-center gap-2 text-sm text-gray-600">
+                        <Users size={14} />
+                        {recipientCount === null
+                            ? 'Counting recipients...'
+                            : `Will be sent to ${recipientCount} ${recipientCount === 1 ? 'person' : 'people'}, team members included`}
+                    </p>
+
+                    <Input
+                        value={subject}
+                        onChange={(e) => setSubject(e.target.value)}
+                        placeholder="Subject, e.g. Venue moved to Lab 2"
+                        maxLength={SUBJECT_LIMIT}
+                        disabled={isSending}
+                    />
+                    <div>
+                        <Textarea
+                            value={message}
+                            onChange={(e) => setMessage(e.target.value)}
+                            placeholder="Message. Leave a blank line between paragraphs."
+                            maxLength={MESSAGE_LIMIT}
+                            rows={8}
+                            disabled={isSending}
+                        />
+                        <p className="text-xs text-gray-400 mt-1 text-right">{message.length}/{MESSAGE_LIMIT}</p>
+                    </div>
+
+                    <div className="flex justify-end">
+                        <Button type="submit" disabled={isSending || recipientCount === 0}>
+                            <Send size={14} className="mr-1" />
+                            {isSending ? 'Queueing...' : 'Send announcement'}
+                        </Button>
+                    </div>
+                </form>
+
+                <section className="bg-white rounded-lg border p-4">
+                    <div className="flex items-center justify-between gap-2">
+                        <h2 className="font-semibold text-gray-900">Send log</h2>
+                        <Button variant="outline" size="sm" onClick={loadAnnouncements} disabled={isLoading}>
+                            <RefreshCw size={14} className={`mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                            Refresh
+                        </Button>
+                    </div>
+
+                    {announcements.length === 0 ? (
+                        !isLoading && <p className="mt-3 text-sm text-gray-500">No announcements sent yet.</p>
+                    ) : (
+                        <div className="mt-3">
+                            {announcements.map(announcement => (
+                                <div key={announcement.id} className="py-3 border-b last:border-b-0">
+                                    <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <div className="flex flex-wrap items-center gap-2">
+                                                <span className="font-medium text-gray-900">{announcement.subject}</span>
+                                                <StatusBadge announcement={announcement} />
+                                            </div>
+                                            <p className="text-xs text-gray-500">
+                                                {announcement.eventName || 'All events'} · {formatTimestamp(announcement.createdAt)} · sent to {announcement.sent} of {announcement.total}
+                                            </p>
+                                            <p className="text-sm text-gray-600 mt-1 line-clamp-2 whitespace-pre-line">{announcement.message}</p>
+                                            {announcement.failures.length > 0 && (
+                                                <p className="text-xs text-red-600 mt-1 break-all">
+                                                    Not delivered: {announcement.failures.map(failure => failure.email).join(', ')}
+                                                </p>
+                                            )}
+                                        </div>
+                                        {announcement.status === 'partial' && (
+                                            <Button
+                                                variant="outline"
+                                                size="sm"
+                                                disabled={retryingId === announcement.id}
+                                                onClick={() => handleRetry(announcement)}
+                                                className="shrink-0"
+                                            >
+                                                <RotateCcw size={14} className="mr-1" />
+                                                Retry failed
+                                            </Button>
+                                        )}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </section>
+            </main>
+        </div>
+    )
+}
+
+export default AnnouncementsPage
@@ -0,0 +1,346 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import Link from "next/link"
+import { useRouter } from "next/navigation"
+import { ArrowLeft, Award, CheckCircle, Download, Eye, EyeOff, RefreshCw, Save, Send } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue
+} from "@/components/ui/select"
+
+// Select items need a value, so "no position" has one
+const NO_POSITION = 'none'
+
+const formatTimestamp = (value) => value ? new Date(value).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+}) : ''
+
+const CertificateBadge = ({ certificate }) => {
+    if (certificate.replacedBy) {
+        return <Badge variant="outline" className="text-gray-500">Replaced</Badge>
+    }
+    if (certificate.position) {
+        return <Badge className="bg-amber-100 text-amber-800 hover:bg-amber-100">{certificate.position}</Badge>
+    }
+    return <Badge variant="secondary" className="capitalize">{certificate.type}</Badge>
+}
+
+const CertificatesPage = () => {
+    const router = useRouter()
+    const [events, setEvents] = useState([])
+    const [eventId, setEventId] = useState("")
+    const [overview, setOverview] = useState(null)
+    const [positions, setPositions] = useState({})
+    const [isLoading, setIsLoading] = useState(false)
+    const [isSaving, setIsSaving] = useState(false)
+    const [isPublishing, setIsPublishing] = useState(false)
+    const [isIssuing, setIsIssuing] = useState(false)
+
+    const load = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const params = eventId ? `?eventId=${encodeURIComponent(eventId)}` : ''
+            const response = await fetch(`/api/admin/certificates${params}`)
+            const result = await response.json()
+
+            if (response.status === 401) {
+                router.push('/admin/login?next=/admin/certificates')
+                return
+            }
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to load certificates')
+                return
+            }
+
+            setEvents(result.events)
+            if (result.event) {
+                setOverview(result)
+                setPositions(Object.fromEntries(result.registrations
+                    .filter(registration => registration.position)
+                    .map(registration => [registration.id, registration.position])))
+            }
+        } catch (error) {
+            console.error('Failed to load certificates:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }, [eventId, router])
+
+    useEffect(() => {
+        setOverview(null)
+        load()
+    }, [load])
+
+    const handleSaveResults = async () => {
+        setIsSaving(true)
+        try {
+            const response = await fetch('/api/admin/results', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    eventId,
+                    results: Object.entries(positions).map(([registrationId, position]) => ({ registrationId, position }))
+                })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to save the results')
+                return
+            }
+
+            toast.success('Results saved')
+            await load()
+        } catch (error) {
+            console.error('Failed to save the results:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handlePublish = async (published) => {
+        if (published && !window.confirm(`Show the saved results of ${overview.event.name} on the Techelons pages?`)) {
+            return
+        }
+
+        setIsPublishing(true)
+        try {
+            const response = await fetch('/api/admin/results', {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ eventId, published })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to update the results')
+                return
+            }
+
+            toast.success(published ? 'Results published' : 'Results hidden')
+            await load()
+        } catch (error) {
+            console.error('Failed to publish the results:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsPublishing(false)
+        }
+    }
+
+    const handleIssue = async () => {
+        if (!window.confirm(`Issue certificates for ${overview.event.name} and email everyone who has not received theirs yet?`)) {
+            return
+        }
+
+        setIsIssuing(true)
+        try {
+            const response = await fetch('/api/admin/certificates', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ eventId })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to issue certificates')
+                return
+            }
+
+            const issued = result.issued + result.replaced
+            toast.success(`${issued} ${issued === 1 ? 'certificate' : 'certificates'} issued, ${result.emailed} emailed`)
+            if (result.failed > 0) {
+                toast.error(`${result.failed} could not be emailed. Issue again to retry them.`)
+            }
+            await load()
+        } catch (error) {
+            console.error('Failed to issue certificates:', error)
+            toast.error('Connection error. Check the list before trying again.')
+        } finally {
+            setIsIssuing(false)
+        }
+    }
+
+    const setPosition = (registrationId, position) => {
+        setPositions(current => {
+            const next = { ...current }
+            if (position === NO_POSITION) {
+                delete next[registrationId]
+            } else {
+                next[registrationId] = position
+            }
+            return next
+        })
+    }
+
+    const attendedCount = overview
+        ? overview.registrations.reduce((count, registration) => count + registration.participants.filter(person => person.attended).length, 0)
+        : 0
+    const hasSavedResults = overview ? overview.registrations.some(registration => registration.position) : false
+    const isPublished = !!overview?.event.resultsPublishedAt
+    const activeCertificates = overview ? overview.certificates.filter(certificate => !certificate.replacedBy) : []
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <header className="bg-white border-b">
+                <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
+                    <h1 className="text-xl font-bold text-gray-900">Results and Certificates</h1>
+                    <Button variant="outline" size="sm" asChild>
+                        <Link href="/admin">
+                            <ArrowLeft size={14} className="mr-1" />
+                            Registrations
+                        </Link>
+                    </Button>
+                </div>
+            </header>
+
+            <main className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+                <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                    <Select value={eventId} onValueChange={setEventId}>
+                        <SelectTrigger className="sm:w-72 bg-white">
+                            <SelectValue placeholder="Choose an event" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {events.map(event => (
+                                <SelectItem key={event.id} value={event.id}>{event.name}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    {eventId && (
+                        <Button variant="outline" size="sm" onClick={load} disabled={isLoading}>
+                            <RefreshCw size={14} className={`mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                            Refresh
+                        </Button>
+                    )}
+                </div>
+
+                {overview && (
+                    <>
+                        <section className="bg-white rounded-lg border p-4">
+                            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                <div>
+                                    <h2 className="font-semibold text-gray-900 flex items-center gap-2">
+                                        Attendees and results
+                                        {isPublished && <Badge className="bg-green-100 text-green-800 hover:bg-green-100">Published</Badge>}
+                                    </h2>
+                                    <p className="text-sm text-gray-500">
+                                        {attendedCount} checked in across {overview.registrations.length} registrations
+                                    </p>
+                                </div>
+                                {overview.event.positions.length > 0 && (
+                                    <div className="flex gap-2">
+                                        <Button variant="outline" size="sm" onClick={handleSaveResults} disabled={isSaving}>
+                                            <Save size={14} className="mr-1" />
+                                            {isSaving ? 'Saving...' : 'Save results'}
+                                        </Button>
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            onClick={() => handlePublish(!isPublished)}
+                                            disabled={isPublishing || (!isPublished && !hasSavedResults)}
+                                        >
+                                            {isPublished ? <EyeOff size={14} className="mr-1" /> : <Eye size={14} className="mr-1" />}
+                                            {isPublished ? 'Unpublish' : 'Publish results'}
+                                        </Button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {overview.registrations.length === 0 ? (
+                                <p className="mt-3 text-sm text-gray-500">No confirmed registrations for this event.</p>
+                            ) : (
+                                <div className="mt-3">
+                                    {overview.registrations.map(registration => (
+                                        <div key={registration.id} className="py-3 border-b last:border-b-0 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                                            <div className="min-w-0 text-sm">
+                                                {registration.participants.map(person => (
+                                                    <div key={person.passId || person.name} className="flex items-center gap-2">
+                                                        <CheckCircle size={14} className={person.attended ? 'text-green-600' : 'text-gray-300'} />
+                                                        <span className={person.attended ? 'text-gray-900' : 'text-gray-400'}>{person.name}</span>
+                                                        <span className="text-xs text-gray-400 font-mono">{person.passId}</span>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                            {overview.event.positions.length > 0 && (
+                                                <Select
+                                                    value={positions[registration.id] || NO_POSITION}
+                                                    onValueChange={(value) => setPosition(registration.id, value)}
+                                                >
+                                                    <SelectTrigger className="sm:w-36 shrink-0">
+                                                        <SelectValue />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value={NO_POSITION}>No position</SelectItem>
+                                                        {overview.event.positions.map(position => (
+                                                            <SelectItem key={position} value={position}>{position}</SelectItem>
+                                                        ))}
+                                                    </SelectContent>
+                                                </Select>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </section>
+
+                        <section className="bg-white rounded-lg border p-4">
+                            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                <div>
+                                    <h2 className="font-semibold text-gray-900">Certificates</h2>
+                                    <p className="text-sm text-gray-500">
+                                        {activeCertificates.length} issued, {activeCertificates.filter(certificate => certificate.emailedAt).length} emailed
+                                    </p>
+                                </div>
+                                <Button size="sm" onClick={handleIssue} disabled={isIssuing || (attendedCount === 0 && Object.keys(positions).length === 0)}>
+                                    <Send size={14} className="mr-1" />
+                                    {isIssuing ? 'Issuing...' : 'Issue and email'}
+                                </Button>
+                            </div>
+
+                            {overview.certificates.length === 0 ? (
+                                <p className="mt-3 text-sm text-gray-500">
+                                    No certificates yet. Everyone who checked in gets one; save the results first so winners get theirs.
+                                </p>
+                            ) : (
+                                <div className="mt-3">
+                                    {overview.certificates.map(certificate => (
+                                        <div key={certificate.code} className={`py-2 border-b last:border-b-0 flex items-center justify-between gap-2 ${certificate.replacedBy ? 'opacity-60' : ''}`}>
+                                            <div className="min-w-0">
+                                                <div className="flex flex-wrap items-center gap-2">
+                                                    <Award size={14} className="text-indigo-600" />
+                                                    <span className="font-medium text-gray-900">{certificate.name}</span>
+                                                    <CertificateBadge certificate={certificate} />
+                                                </div>
+                                                <p className="text-xs text-gray-500">
+                                                    <span className="font-mono">{certificate.code}</span> · issued {formatTimestamp(certificate.issuedAt)}
+                                                    {certificate.emailedAt ? ` · emailed ${formatTimestamp(certificate.emailedAt)}` : ' · not emailed'}
+                                                </p>
+                                            </div>
+                                            <Button variant="ghost" size="sm" asChild className="shrink-0">
+                                                <a href={`/api/admin/certificates/${encodeURIComponent(certificate.code)}`} download>
+                                                    <Download size={14} />
+                                                </a>
+                                            </Button>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </section>
+                    </>
+                )}
+            </main>
+        </div>
+    )
+}
+
+export default CertificatesPage
@@ -0,0 +1,80 @@
+"use client"
+import { useState, Suspense } from "react"
+import { useRouter, useSearchParams } from "next/navigation"
+import { Lock } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+
+const LoginForm = () => {
+    const router = useRouter()
+    const searchParams = useSearchParams()
+    const [password, setPassword] = useState("")
+    const [isSubmitting, setIsSubmitting] = useState(false)
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        if (!password || isSubmitting) return
+
+        setIsSubmitting(true)
+        try {
+            const response = await fetch('/api/admin/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Login failed')
+                return
+            }
+
+            // Only follow relative redirects back into the staff area
+            const next = searchParams.get('next')
+            const home = result.role === 'volunteer' ? '/checkin' : '/admin'
+            const isStaffPath = next && (next.startsWith('/admin') || next.startsWith('/checkin'))
+            router.push(isStaffPath && (result.role !== 'volunteer' || next.startsWith('/checkin')) ? next : home)
+        } catch (error) {
+            console.error('Admin login error:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            className="bg-white p-8 rounded-xl shadow-xl max-w-sm w-full border border-gray-200"
+        >
+            <div className="w-14 h-14 rounded-full bg-indigo-100 flex items-center justify-center mx-auto mb-4">
+                <Lock className="h-6 w-6 text-indigo-600" />
+            </div>
+            <h1 className="text-2xl font-bold text-center text-gray-800 mb-6">Staff Login</h1>
+            <Input
+                type="password"
+                placeholder="Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+                className="mb-4"
+            />
+            <Button type="submit" className="w-full" disabled={isSubmitting || !password}>
+                {isSubmitting ? "Signing in..." : "Sign in"}
+            </Button>
+        </form>
+    )
+}
+
+const AdminLogin = () => {
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 px-4">
+            <Suspense fallback={null}>
+                <LoginForm />
+            </Suspense>
+        </div>
+    )
+}
+
+export default AdminLogin
@@ -0,0 +1,281 @@
+"use client"
+import { useState, useEffect, useMemo, useCallback } from "react"
+import Link from "next/link"
+import { useRouter } from "next/navigation"
+import { LogOut, RefreshCw, Search, Users, ClipboardList, XCircle, Hourglass, MailPlus, Megaphone, Award } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue
+} from "@/components/ui/select"
+import RegistrationList from "@/app/_components/AdminComponents/RegistrationList"
+import ExportControls from "@/app/_components/AdminComponents/ExportControls"
+import EmailOutbox from "@/app/_components/AdminComponents/EmailOutbox"
+
+const ALL_EVENTS = 'all'
+
+// Fields the search box looks at, for the registrant and every team member
+const SEARCH_FIELDS = ['name', 'email', 'phone', 'rollNo']
+
+const matchesSearch = (registration, query) => {
+    if (!query) return true
+    const people = [registration, ...(registration.teamMembers || [])]
+    return people.some(person =>
+        SEARCH_FIELDS.some(field => String(person[field] || '').toLowerCase().includes(query))
+    )
+}
+
+const StatCard = ({ icon: Icon, label, value }) => (
+    <div className="bg-white rounded-lg border p-4 flex items-center gap-3">
+        <div className="w-10 h-10 rounded-full bg-indigo-50 flex items-center justify-center">
+            <Icon className="h-5 w-5 text-indigo-600" />
+        </div>
+        <div>
+            <p className="text-2xl font-bold text-gray-900">{value}</p>
+            <p className="text-xs text-gray-500">{label}</p>
+        </div>
+    </div>
+)
+
+const AdminDashboard = () => {
+    const router = useRouter()
+    const [registrations, setRegistrations] = useState([])
+    const [events, setEvents] = useState([])
+    const [selectedEvent, setSelectedEvent] = useState(ALL_EVENTS)
+    const [search, setSearch] = useState("")
+    const [isLoading, setIsLoading] = useState(true)
+    const [updatingId, setUpdatingId] = useState(null)
+    const [resendingId, setResendingId] = useState(null)
+
+    const loadRegistrations = useCallback(async () => {
+        setIsLoading(true)
+        try {
+            const response = await fetch('/api/admin/registrations')
+            const result = await response.json()
+
+            if (response.status === 401) {
+                router.push('/admin/login?next=/admin')
+                return
+            }
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to load registrations')
+                return
+            }
+
+            setRegistrations(result.registrations)
+            setEvents(result.events)
+        } catch (error) {
+            console.error('Failed to load registrations:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsLoading(false)
+        }
+    }, [router])
+
+    useEffect(() => {
+        loadRegistrations()
+    }, [loadRegistrations])
+
+    const eventNames = useMemo(
+        () => Object.fromEntries(events.map(event => [event.id, event.name])),
+        [events]
+    )
+    const getEventName = useCallback((eventId) => eventNames[eventId] || eventId, [eventNames])
+
+    const filteredRegistrations = useMemo(() => {
+        const query = search.trim().toLowerCase()
+        return registrations.filter(registration =>
+            (selectedEvent === ALL_EVENTS || registration.eventId === selectedEvent) &&
+            matchesSearch(registration, query)
+        )
+    }, [registrations, selectedEvent, search])
+
+    const totals = useMemo(() => {
+        const counted = selectedEvent === ALL_EVENTS
+            ? events
+            : events.filter(event => event.id === selectedEvent)
+        return counted.reduce((sum, event) => ({
+            registrations: sum.registrations + event.counts.registrations,
+            participants: sum.participants + event.counts.participants,
+            waitlisted: sum.waitlisted + event.counts.waitlisted,
+            cancelled: sum.cancelled + event.counts.cancelled
+        }), { registrations: 0, participants: 0, waitlisted: 0, cancelled: 0 })
+    }, [events, selectedEvent])
+
+    const handleStatusChange = useCallback(async (registration, status) => {
+        if (status === 'cancelled' && !window.confirm(`Cancel the registration for ${registration.name}?`)) {
+            return
+        }
+
+        setUpdatingId(registration.id)
+        try {
+            const response = await fetch(`/api/admin/registrations/${encodeURIComponent(registration.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status })
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to update registration')
+                return
+            }
+
+            if (status === 'cancelled') {
+                toast.success(result.promoted?.length
+                    ? `Registration cancelled, ${result.promoted.length} promoted from the waitlist`
+                    : 'Registration cancelled')
+            } else if (result.waitlistPosition) {
+                toast.success(`The event is full, so the registration was restored to the waitlist at #${result.waitlistPosition}`)
+            } else {
+                toast.success(registration.status === 'waitlisted' ? 'Registration confirmed' : 'Registration restored')
+            }
+            await loadRegistrations()
+        } catch (error) {
+            console.error('Failed to update registration:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setUpdatingId(null)
+        }
+    }, [loadRegistrations])
+
+    const handleResend = useCallback(async (registration) => {
+        setResendingId(registration.id)
+        try {
+            const response = await fetch(`/api/admin/registrations/${encodeURIComponent(registration.id)}/resend`, {
+                method: 'POST'
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                toast.error(result.error || 'Failed to resend the confirmation')
+                return
+            }
+
+            if (result.queued) {
+                toast.error(`${result.queued} ${result.queued === 1 ? 'email' : 'emails'} failed and will be retried`)
+            } else {
+                toast.success(`Confirmation sent to ${registration.email}`)
+            }
+        } catch (error) {
+            console.error('Failed to resend the confirmation:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setResendingId(null)
+        }
+    }, [])
+
+    const renderActions = useCallback((registration) => registration.status !== 'cancelled' && (
+        <Button
+            variant="outline"
+            size="sm"
+            disabled={resendingId === registration.id}
+            onClick={() => handleResend(registration)}
+        >
+            <MailPlus size={14} className="mr-1" />
+            Resend
+        </Button>
+    ), [resendingId, handleResend])
+
+    const handleLogout = async () => {
+        try {
+            await fetch('/api/admin/login', { method: 'DELETE' })
+        } finally {
+            router.push('/admin/login')
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <header className="bg-white border-b">
+                <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between">
+                    <h1 className="text-xl font-bold text-gray-900">Registrations</h1>
+                    <div className="flex gap-2">
+                        <Button variant="outline" size="sm" asChild>
+                            <Link href="/admin/announcements">
+                                <Megaphone size={14} className="mr-1" />
+                                Announcements
+                            </Link>
+                        </Button>
+                        <Button variant="outline" size="sm" asChild>
+                            <Link href="/admin/certificates">
+                                <Award size={14} className="mr-1" />
+                                Results
+                            </Link>
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={loadRegistrations} disabled={isLoading}>
+                            <RefreshCw size={14} className={`mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+                            Refresh
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={handleLogout}>
+                            <LogOut size={14} className="mr-1" />
+                            Logout
+                        </Button>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-6xl mx-auto px-4 py-6 space-y-6">
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                    <StatCard icon={ClipboardList} label="Registrations" value={totals.registrations} />
+                    <StatCard icon={Users} label="Participants" value={totals.participants} />
+                    <StatCard icon={Hourglass} label="Waitlisted" value={totals.waitlisted} />
+                    <StatCard icon={XCircle} label="Cancelled" value={totals.cancelled} />
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-3">
+                    <Select value={selectedEvent} onValueChange={setSelectedEvent}>
+                        <SelectTrigger className="sm:w-72 bg-white">
+                            <SelectValue placeholder="All events" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value={ALL_EVENTS}>All events</SelectItem>
+                            {events.map(event => (
+                                <SelectItem key={event.id} value={event.id}>
+                                    {event.name} ({event.counts.registrations})
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                    <div className="relative flex-1">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                        <Input
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            placeholder="Search by name, email, phone or roll no"
+                            className="pl-9 bg-white"
+                        />
+                    </div>
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <p className="text-sm text-gray-500">
+                        Showing {filteredRegistrations.length} of {registrations.length} registrations
+                    </p>
+                    <ExportControls eventId={selectedEvent === ALL_EVENTS ? undefined : selectedEvent} />
+                </div>
+
+                {isLoading && registrations.length === 0 ? (
+                    <div className="text-center text-gray-500 py-12">Loading registrations...</div>
+                ) : (
+                    <RegistrationList
+                        registrations={filteredRegistrations}
+                        getEventName={getEventName}
+                        onStatusChange={handleStatusChange}
+                        updatingId={updatingId}
+                        renderActions={renderActions}
+                    />
+                )}
+
+                <EmailOutbox />
+            </main>
+        </div>
+    )
+}
+
+export default AdminDashboard
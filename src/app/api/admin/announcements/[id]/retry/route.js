@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { retryAnnouncement } from '@/app/_utils/announcements';
+
+// Queue an announcement's failed emails again
+export async function POST(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { id } = await params;
+
+    try {
+        const announcement = await retryAnnouncement(getRegistrationStorage(), id);
+        return NextResponse.json({ success: true, announcement });
+    } catch (error) {
+        console.error('Admin announcement retry error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to retry the announcement', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || (error.type === 'MISSING_CREDENTIALS' ? 503 : 500) }
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { getAllRegistrationEvents } from '@/app/_utils/registrationEvents';
+import { getAnnouncementRecipients, ALL_EVENTS } from '@/app/_utils/announcements';
+
+// How many people an announcement would reach
+// Query: eventId (or "all"), includeWaitlisted=1
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { searchParams } = req.nextUrl;
+    const eventId = searchParams.get('eventId') || ALL_EVENTS;
+    const includeWaitlisted = searchParams.get('includeWaitlisted') === '1';
+
+    if (eventId !== ALL_EVENTS && !getAllRegistrationEvents().some(event => event.id === eventId)) {
+        return NextResponse.json(
+            { error: 'Event not found', type: 'EVENT_NOT_FOUND' },
+            { status: 404 }
+        );
+    }
+
+    try {
+        const { recipients, registrations } = await getAnnouncementRecipients(getRegistrationStorage(), { eventId, includeWaitlisted });
+        return NextResponse.json({ recipients: recipients.length, registrations });
+    } catch (error) {
+        console.error('Admin announcement recipients error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to count recipients', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
\ No newline at end of file
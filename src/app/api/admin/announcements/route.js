@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { getAllRegistrationEvents } from '@/app/_utils/registrationEvents';
+import { listAnnouncements, sendAnnouncement } from '@/app/_utils/announcements';
+
+// The send log and the events an announcement can go to
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const announcements = await listAnnouncements(getRegistrationStorage());
+        const events = getAllRegistrationEvents().map(({ id, name }) => ({ id, name }));
+        return NextResponse.json({ announcements, events });
+    } catch (error) {
+        console.error('Admin announcements error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to load announcements', type: error.type || 'UNKNOWN_ERROR' },
+            { status: 500 }
+        );
+    }
+}
+
+// Queue an announcement to everyone registered for an event, or for every event with eventId "all".
+// Returns once the emails are in the outbox; the outbox job sends them.
+// Body: { eventId, subject, message, includeWaitlisted }
+export async function POST(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    let body;
+    try {
+        body = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return NextResponse.json(
+            { error: 'Request body must be an object', type: 'INVALID_ANNOUNCEMENT' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const announcement = await sendAnnouncement(getRegistrationStorage(), body);
+        return NextResponse.json({ success: true, announcement });
+    } catch (error) {
+        console.error('Admin announcement error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to queue the announcement', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || (error.type === 'MISSING_CREDENTIALS' ? 503 : 500) }
+        );
+    }
+}
\ No newline at end of file
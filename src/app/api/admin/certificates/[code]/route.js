@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { findCertificate, createCertificatePdf } from '@/app/_utils/certificates';
+
+// Download a certificate as a PDF
+export async function GET(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { code } = await params;
+
+    try {
+        const certificate = await findCertificate(getRegistrationStorage(), code);
+        if (!certificate) {
+            return NextResponse.json(
+                { error: 'No certificate with this code', type: 'NOT_FOUND' },
+                { status: 404 }
+            );
+        }
+
+        return new NextResponse(await createCertificatePdf(certificate, req.nextUrl.origin), {
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="certificate-${certificate.code}.pdf"`,
+                'Cache-Control': 'private, no-store'
+            }
+        });
+    } catch (error) {
+        console.error('Admin certificate download error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to create the certificate', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { getAllRegistrationEvents } from '@/app/_utils/registrationEvents';
+import { getCertificateOverview, issueCertificates, emailCertificates } from '@/app/_utils/certificates';
+
+// The events, and with ?eventId= that event's attendees, results and certificates
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const events = getAllRegistrationEvents().map(({ id, name }) => ({ id, name }));
+    const eventId = req.nextUrl.searchParams.get('eventId');
+    if (!eventId) {
+        return NextResponse.json({ events });
+    }
+
+    try {
+        const overview = await getCertificateOverview(getRegistrationStorage(), eventId);
+        return NextResponse.json({ events, ...overview });
+    } catch (error) {
+        console.error('Admin certificates error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to load certificates', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || (error.type === 'MISSING_CREDENTIALS' ? 503 : 500) }
+        );
+    }
+}
+
+// Issue an event's certificates and email the ones not sent yet
+// Body: { eventId }
+export async function POST(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    let body;
+    try {
+        body = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const issued = await issueCertificates(getRegistrationStorage(), body?.eventId);
+        const emailed = await emailCertificates(getRegistrationStorage(), body.eventId, req.nextUrl.origin);
+        return NextResponse.json({ success: true, ...issued, ...emailed });
+    } catch (error) {
+        console.error('Admin certificate issue error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to issue certificates', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || (error.type === 'MISSING_CREDENTIALS' ? 503 : 500) }
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage';
+import { getAllRegistrationEvents, getRegistrationEventName } from '@/app/_utils/registrationEvents';
+import {
+    EXPORT_FORMATS,
+    EXPORT_CONTENT_TYPES,
+    buildExportTable,
+    toCsv,
+    toXlsx,
+    getExportFilename
+} from '@/app/_utils/registrationExport';
+
+const isEnabled = (value) => value === '1' || value === 'true';
+
+// Download registrations as CSV or XLSX, for one event or all of them
+// Query: eventId, format=csv|xlsx, flatten=1 (one row per participant), includeCancelled=1
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { searchParams } = req.nextUrl;
+    const eventId = searchParams.get('eventId') || undefined;
+    const format = searchParams.get('format') || EXPORT_FORMATS.CSV;
+    const flattenTeams = isEnabled(searchParams.get('flatten'));
+    const includeCancelled = isEnabled(searchParams.get('includeCancelled'));
+
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+        return NextResponse.json(
+            { error: `Format must be one of: ${Object.values(EXPORT_FORMATS).join(', ')}`, type: 'INVALID_FORMAT' },
+            { status: 400 }
+        );
+    }
+
+    if (eventId && !getAllRegistrationEvents().some(event => event.id === eventId)) {
+        return NextResponse.json(
+            { error: 'Event not found', type: 'EVENT_NOT_FOUND' },
+            { status: 404 }
+        );
+    }
+
+    try {
+        let registrations = await getRegistrationStorage().listRegistrations({ eventId });
+        if (!includeCancelled) {
+            registrations = registrations.filter(record => record.status !== REGISTRATION_RECORD_STATUS.CANCELLED);
+        }
+
+        // Oldest first, the order people registered in
+        registrations.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+        const table = buildExportTable(registrations, { flattenTeams });
+        const body = format === EXPORT_FORMATS.XLSX
+            ? await toXlsx(table, eventId ? getRegistrationEventName(eventId) : 'All Events')
+            : toCsv(table);
+
+        return new NextResponse(body, {
+            headers: {
+                'Content-Type': EXPORT_CONTENT_TYPES[format],
+                'Content-Disposition': `attachment; filename="${getExportFilename(eventId, format, flattenTeams)}"`,
+                'Cache-Control': 'private, no-store'
+            }
+        });
+    } catch (error) {
+        console.error('Registration export error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to export registrations', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
@@ -0,0 +1,78 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+import { createAdminSession, ADMIN_SESSION_COOKIE, ADMIN_SESSION_TTL_MS, SESSION_ROLES } from '@/app/_utils/adminAuth';
+import { createRateLimiter, getClientIp } from '@/app/_utils/rateLimit';
+
+// Enough for a few typos, far too few to guess a password
+const loginLimiter = createRateLimiter({ name: 'admin-login-ip', limit: 10, windowMs: 15 * 60 * 1000 });
+
+// Compare digests so the comparison takes the same time for any input length
+const isCorrectPassword = (password, expected) => {
+    const given = createHash('sha256').update(String(password)).digest();
+    const actual = createHash('sha256').update(expected).digest();
+    return timingSafeEqual(given, actual);
+};
+
+// Work out which role a password logs in as, admin first
+const getRoleForPassword = (password) => {
+    const passwords = [
+        [SESSION_ROLES.ADMIN, process.env.ADMIN_PASSWORD],
+        [SESSION_ROLES.VOLUNTEER, process.env.VOLUNTEER_PASSWORD]
+    ];
+    const match = passwords.find(([, expected]) => expected && isCorrectPassword(password, expected));
+    return match ? match[0] : null;
+};
+
+export async function POST(req) {
+    if (!process.env.ADMIN_PASSWORD || !process.env.REGISTRATION_TOKEN_SECRET) {
+        return NextResponse.json(
+            { error: 'Admin access is not configured', type: 'MISSING_CREDENTIALS' },
+            { status: 503 }
+        );
+    }
+
+    const { allowed, retryAfterSeconds } = await loginLimiter.check(getClientIp(req));
+    if (!allowed) {
+        const minutes = Math.ceil(retryAfterSeconds / 60);
+        console.warn('Admin login rate limit reached');
+        return NextResponse.json(
+            { error: `Too many login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, type: 'RATE_LIMITED' },
+            { status: 429, headers: { 'Retry-After': String(retryAfterSeconds) } }
+        );
+    }
+
+    let data;
+    try {
+        data = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    const role = data?.password ? getRoleForPassword(data.password) : null;
+    if (!role) {
+        console.warn('Failed admin login attempt');
+        return NextResponse.json(
+            { error: 'Incorrect password', type: 'UNAUTHORIZED' },
+            { status: 401 }
+        );
+    }
+
+    const response = NextResponse.json({ success: true, role });
+    response.cookies.set(ADMIN_SESSION_COOKIE, await createAdminSession(role), {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/',
+        maxAge: ADMIN_SESSION_TTL_MS / 1000
+    });
+    return response;
+}
+
+export async function DELETE() {
+    const response = NextResponse.json({ success: true });
+    response.cookies.delete(ADMIN_SESSION_COOKIE);
+    return response;
+}
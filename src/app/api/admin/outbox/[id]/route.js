@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getEmailOutbox } from '@/app/_utils/emailOutbox';
+
+// Retry a dead or waiting email now
+export async function POST(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { id } = await params;
+
+    try {
+        const result = await getEmailOutbox().retry(id);
+        if (!result) {
+            return NextResponse.json(
+                { error: 'No failed or waiting email with this ID', type: 'NOT_FOUND' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ success: result.success, error: result.success ? undefined : result.error });
+    } catch (error) {
+        console.error('Admin outbox retry error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to retry the email', type: error.type || 'UNKNOWN_ERROR' },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getEmailOutbox, OUTBOX_STATUS } from '@/app/_utils/emailOutbox';
+
+const STATUSES = new Set(Object.values(OUTBOX_STATUS));
+
+// List outbox emails (dead and waiting ones by default) with counts per status
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const status = req.nextUrl.searchParams.get('status');
+    if (status && !STATUSES.has(status)) {
+        return NextResponse.json(
+            { error: `Status must be one of: ${[...STATUSES].join(', ')}`, type: 'INVALID_STATUS' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const outbox = getEmailOutbox();
+        const entries = status
+            ? await outbox.list({ status })
+            : (await outbox.list()).filter(entry => entry.status !== OUTBOX_STATUS.SENT);
+
+        return NextResponse.json({ counts: await outbox.counts(), entries });
+    } catch (error) {
+        console.error('Admin outbox error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to load the outbox', type: error.type || 'UNKNOWN_ERROR' },
+            { status: 500 }
+        );
+    }
+}
+
+// Send every email that is due for a retry now
+export async function POST(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const result = await getEmailOutbox().processDue();
+        return NextResponse.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Admin outbox processing error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to process the outbox', type: error.type || 'UNKNOWN_ERROR' },
+            { status: 500 }
+        );
+    }
+}
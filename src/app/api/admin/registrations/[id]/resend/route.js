@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage';
+import { getWaitlistPosition, sendWaitlistEmail } from '@/app/_utils/waitlist';
+import { createManageUrl } from '@/app/_utils/manageRegistration';
+import { queueConfirmationEmails } from '@/app/_utils/registrationEmails';
+
+// Send a registration's confirmation emails again: entry passes for a confirmed
+// registration, the waitlist email for a waitlisted one
+export async function POST(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { id } = await params;
+
+    try {
+        const storage = getRegistrationStorage();
+        const registration = await storage.getRegistration(id);
+        if (!registration) {
+            return NextResponse.json(
+                { error: 'Registration not found', type: 'NOT_FOUND' },
+                { status: 404 }
+            );
+        }
+        if (registration.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            return NextResponse.json(
+                { error: 'Cancelled registrations have no confirmation to resend', type: 'REGISTRATION_CANCELLED' },
+                { status: 400 }
+            );
+        }
+
+        const manageUrl = await createManageUrl(registration, req.nextUrl.origin);
+        let results;
+        if (registration.status === REGISTRATION_RECORD_STATUS.WAITLISTED) {
+            const position = getWaitlistPosition(await storage.listRegistrations({ eventId: registration.eventId }), id);
+            results = [await sendWaitlistEmail(registration, position, manageUrl)];
+        } else {
+            results = await queueConfirmationEmails(registration, { manageUrl });
+        }
+
+        const sent = results.filter(result => result.success).length;
+        console.log(`Admin resent ${results.length} emails for registration ${id} (${sent} sent)`);
+
+        return NextResponse.json({ success: true, sent, queued: results.length - sent });
+    } catch (error) {
+        console.error('Admin resend error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to resend emails', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS, STORAGE_ERROR_TYPES } from '@/app/_utils/storage';
+import { getWaitlistPlacement, promoteFromWaitlist, sendPromotionEmails, sendWaitlistEmail } from '@/app/_utils/waitlist';
+import { createManageUrl } from '@/app/_utils/manageRegistration';
+
+const ALLOWED_STATUSES = new Set(Object.values(REGISTRATION_RECORD_STATUS));
+
+// Update a registration's status (e.g. mark it as cancelled)
+export async function PATCH(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { id } = await params;
+
+    let data;
+    try {
+        data = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    if (!ALLOWED_STATUSES.has(data?.status)) {
+        return NextResponse.json(
+            { error: `Status must be one of: ${[...ALLOWED_STATUSES].join(', ')}`, type: 'INVALID_STATUS' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const storage = getRegistrationStorage();
+        const previous = await storage.getRegistration(id);
+
+        // A restored registration gets the same capacity check as a new one,
+        // so it goes on the waitlist if the event has filled up since. The
+        // check runs in turn with new registrations being placed.
+        let placement = null;
+        const [registration] = previous
+            ? await storage.updateEventRegistrations(previous.eventId, (registrations) => {
+                let status = data.status;
+                const current = registrations.find(record => record.id === id);
+                if (current?.status === REGISTRATION_RECORD_STATUS.CANCELLED && status === REGISTRATION_RECORD_STATUS.REGISTERED) {
+                    const others = registrations.filter(record => record.id !== id);
+                    placement = getWaitlistPlacement(previous.eventId, others, current);
+                    if (placement.waitlisted) status = REGISTRATION_RECORD_STATUS.WAITLISTED;
+                }
+                return [{ id, changes: { status } }];
+            })
+            : [await storage.updateRegistration(id, { status: data.status })];
+        console.log(`Admin set registration ${id} to ${registration.status}`);
+
+        if (placement?.waitlisted) {
+            try {
+                await sendWaitlistEmail(registration, placement.position, await createManageUrl(registration, req.nextUrl.origin));
+            } catch (error) {
+                console.error(`Failed to email waitlisted registration ${id}:`, error);
+            }
+        }
+
+        // Confirming a waitlisted registration by hand sends the same emails as a promotion
+        if (previous?.status === REGISTRATION_RECORD_STATUS.WAITLISTED && data.status === REGISTRATION_RECORD_STATUS.REGISTERED) {
+            try {
+                await sendPromotionEmails(registration, req.nextUrl.origin);
+            } catch (error) {
+                console.error(`Failed to email confirmed registration ${id}:`, error);
+            }
+        }
+
+        // A cancelled spot goes to the next people on the waitlist
+        let promoted = [];
+        if (previous?.status === REGISTRATION_RECORD_STATUS.REGISTERED && data.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            try {
+                promoted = await promoteFromWaitlist(storage, registration.eventId, req.nextUrl.origin);
+            } catch (error) {
+                console.error(`Failed to promote from the ${registration.eventId} waitlist:`, error);
+            }
+        }
+
+        return NextResponse.json({
+            success: true,
+            registration,
+            promoted: promoted.map(record => record.id),
+            waitlistPosition: placement?.waitlisted ? placement.position : null
+        });
+    } catch (error) {
+        console.error('Admin registration update error:', error);
+        const status = error.type === STORAGE_ERROR_TYPES.NOT_FOUND ? 404 : 500;
+        return NextResponse.json(
+            { error: error.message || 'Failed to update registration', type: error.type || 'UNKNOWN_ERROR' },
+            { status }
+        );
+    }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { getAllRegistrationEvents, summarizeRegistrations } from '@/app/_utils/registrationEvents';
+
+// List registrations (optionally for one event) with per-event counts
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const eventId = req.nextUrl.searchParams.get('eventId') || undefined;
+        const registrations = await getRegistrationStorage().listRegistrations({ eventId });
+
+        // Newest first
+        registrations.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+        const summary = summarizeRegistrations(registrations);
+        const events = getAllRegistrationEvents().map(event => ({
+            ...event,
+            counts: summary[event.id] || { registrations: 0, participants: 0, waitlisted: 0, cancelled: 0 }
+        }));
+
+        return NextResponse.json({ registrations, events });
+    } catch (error) {
+        console.error('Admin registrations error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to load registrations', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { saveEventResults, publishEventResults } from '@/app/_utils/eventResults';
+
+// Replace an event's results
+// Body: { eventId, results: [{ registrationId, position }] }
+export async function PUT(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    let body;
+    try {
+        body = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const stored = await saveEventResults(getRegistrationStorage(), body?.eventId, body?.results);
+        return NextResponse.json({ success: true, ...stored });
+    } catch (error) {
+        console.error('Admin results error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to save the results', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || (error.type === 'MISSING_CREDENTIALS' ? 503 : 500) }
+        );
+    }
+}
+
+// Publish or unpublish an event's results on the Techelons pages
+// Body: { eventId, published }
+export async function PATCH(req) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    let body;
+    try {
+        body = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const stored = await publishEventResults(getRegistrationStorage(), body?.eventId, body?.published);
+        return NextResponse.json({ success: true, ...stored });
+    } catch (error) {
+        console.error('Admin results publish error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to publish the results', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.status || 500 }
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import path from 'path';
+import { requireAdmin } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.pdf': 'application/pdf'
+};
+
+// Serve college IDs stored by the local storage backend
+export async function GET(req, { params }) {
+    const unauthorized = await requireAdmin(req);
+    if (unauthorized) return unauthorized;
+
+    const { filename } = await params;
+    const storage = getRegistrationStorage();
+
+    // Only the local backend keeps files on disk; Sheets uploads link to Drive directly
+    if (typeof storage.readFile !== 'function') {
+        return NextResponse.json({ error: 'File not found' }, { status: 404 });
+    }
+
+    const contents = await storage.readFile(filename);
+    if (!contents) {
+        return NextResponse.json({ error: 'File not found' }, { status: 404 });
+    }
+
+    return new NextResponse(contents, {
+        headers: {
+            'Content-Type': CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'private, no-store'
+        }
+    });
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { getEventCalendar, CALENDAR_CONTENT_TYPE } from '@/app/_utils/calendar';
+
+// Download one event as an .ics file to add it to a calendar
+export async function GET(req, { params }) {
+    const { eventId } = await params;
+    const calendar = getEventCalendar(eventId, req.nextUrl.origin);
+
+    if (!calendar) {
+        return NextResponse.json(
+            { error: 'No calendar invite for this event yet', type: 'NOT_FOUND' },
+            { status: 404 }
+        );
+    }
+
+    return new NextResponse(calendar, {
+        headers: {
+            'Content-Type': CALENDAR_CONTENT_TYPE,
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(eventId)}.ics"`,
+            'Cache-Control': 'public, max-age=3600'
+        }
+    });
+}
\ No newline at end of file
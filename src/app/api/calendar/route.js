@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server';
+import { getScheduleCalendar, CALENDAR_CONTENT_TYPE } from '@/app/_utils/calendar';
+
+// The whole Techelons schedule as a calendar feed to subscribe to
+export async function GET(req) {
+    return new NextResponse(getScheduleCalendar(req.nextUrl.origin), {
+        headers: {
+            'Content-Type': CALENDAR_CONTENT_TYPE,
+            'Content-Disposition': 'inline; filename="techelons.ics"',
+            'Cache-Control': 'public, max-age=3600'
+        }
+    });
+}
\ No newline at end of file
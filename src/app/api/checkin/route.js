@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin, getSessionRole, CHECKIN_ROLES } from '@/app/_utils/adminAuth';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS, normalizePassId } from '@/app/_utils/storage';
+import { getRegistrationEventName, summarizeRegistrations } from '@/app/_utils/registrationEvents';
+
+// Error types
+const ERROR_TYPES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_PASS: 'INVALID_PASS',
+    PASS_NOT_FOUND: 'PASS_NOT_FOUND',
+    REGISTRATION_CANCELLED: 'REGISTRATION_CANCELLED',
+    REGISTRATION_WAITLISTED: 'REGISTRATION_WAITLISTED',
+    WRONG_EVENT: 'WRONG_EVENT',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+const errorResponse = (error, type, status, extra = {}) => NextResponse.json({ error, type, ...extra }, { status });
+
+// Check a participant in by pass ID. Optionally pass the eventId being
+// checked in at, so passes for a different event are turned away.
+export async function POST(req) {
+    const unauthorized = await requireAdmin(req, CHECKIN_ROLES);
+    if (unauthorized) return unauthorized;
+
+    let data;
+    try {
+        data = await req.json();
+    } catch (error) {
+        return errorResponse('Invalid request body', ERROR_TYPES.INVALID_JSON, 400);
+    }
+
+    const passId = normalizePassId(data?.passId);
+    if (!passId) {
+        return errorResponse('That does not look like a pass ID', ERROR_TYPES.INVALID_PASS, 400);
+    }
+
+    try {
+        const storage = getRegistrationStorage();
+        const match = await storage.findByPassId(passId);
+        if (!match) {
+            return errorResponse(`No registration found for pass ${passId}`, ERROR_TYPES.PASS_NOT_FOUND, 404, { passId });
+        }
+
+        const { registration, participant } = match;
+        const event = { id: registration.eventId, name: getRegistrationEventName(registration.eventId) };
+
+        if (registration.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            return errorResponse('This registration has been cancelled', ERROR_TYPES.REGISTRATION_CANCELLED, 409, {
+                passId,
+                participant: { name: participant.name },
+                event
+            });
+        }
+
+        if (registration.status === REGISTRATION_RECORD_STATUS.WAITLISTED) {
+            return errorResponse('This registration is still on the waitlist', ERROR_TYPES.REGISTRATION_WAITLISTED, 409, {
+                passId,
+                participant: { name: participant.name },
+                event
+            });
+        }
+
+        if (data.eventId && data.eventId !== registration.eventId) {
+            return errorResponse(`This pass is for ${event.name}`, ERROR_TYPES.WRONG_EVENT, 409, {
+                passId,
+                participant: { name: participant.name },
+                event
+            });
+        }
+
+        const { entry, duplicate } = await storage.recordAttendance({
+            passId,
+            registrationId: registration.id,
+            eventId: registration.eventId,
+            name: participant.name,
+            email: participant.email,
+            checkedInBy: await getSessionRole(req)
+        });
+
+        if (duplicate) {
+            console.warn(`Duplicate check-in for pass ${passId} (first at ${entry.checkedInAt})`);
+        }
+
+        // Show the whole team so volunteers can tell who is still missing
+        const checkedIn = new Set(
+            (await storage.listAttendance({ eventId: registration.eventId }))
+                .filter(item => item.registrationId === registration.id)
+                .map(item => item.passId)
+        );
+        const team = [registration, ...(registration.teamMembers || [])].map((person, index) => ({
+            name: person.name,
+            passId: person.passId,
+            isLead: index === 0,
+            checkedIn: checkedIn.has(person.passId)
+        }));
+
+        return NextResponse.json({
+            success: true,
+            duplicate,
+            checkedInAt: entry.checkedInAt,
+            participant: {
+                name: participant.name,
+                email: participant.email,
+                college: participant.college,
+                passId
+            },
+            event,
+            team: team.length > 1 ? team : []
+        });
+    } catch (error) {
+        console.error('Check-in error:', error);
+        return errorResponse(
+            error.message || 'Check-in failed',
+            error.type || ERROR_TYPES.UNKNOWN_ERROR,
+            error.type === 'MISSING_CREDENTIALS' ? 503 : 500
+        );
+    }
+}
+
+// Attendance so far, optionally for one event, with the number of expected participants
+export async function GET(req) {
+    const unauthorized = await requireAdmin(req, CHECKIN_ROLES);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const eventId = req.nextUrl.searchParams.get('eventId') || undefined;
+        const storage = getRegistrationStorage();
+        const [attendance, registrations] = await Promise.all([
+            storage.listAttendance({ eventId }),
+            storage.listRegistrations({ eventId })
+        ]);
+
+        const summary = summarizeRegistrations(registrations);
+        const expected = Object.values(summary).reduce((total, counts) => total + counts.participants, 0);
+
+        // Most recent first
+        attendance.sort((a, b) => String(b.checkedInAt).localeCompare(String(a.checkedInAt)));
+
+        return NextResponse.json({ attendance, checkedIn: attendance.length, expected });
+    } catch (error) {
+        console.error('Attendance list error:', error);
+        return errorResponse(
+            error.message || 'Failed to load attendance',
+            error.type || ERROR_TYPES.UNKNOWN_ERROR,
+            error.type === 'MISSING_CREDENTIALS' ? 503 : 500
+        );
+    }
+}
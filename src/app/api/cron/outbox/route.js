@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { requireCronSecret } from '@/app/_utils/cronAuth';
+import { getEmailOutbox } from '@/app/_utils/emailOutbox';
+
+// Stop starting new sends after this long, well inside the function time limit
+const TIME_LIMIT_MS = 45 * 1000;
+
+// Retry the outbox emails that are due. Called by a scheduler every few
+// minutes with "Authorization: Bearer <CRON_SECRET>", as Vercel Cron does.
+export async function GET(req) {
+    const unauthorized = requireCronSecret(req);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const summary = await getEmailOutbox().processDue({ limit: 100, timeLimitMs: TIME_LIMIT_MS });
+        return NextResponse.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Outbox job error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to process the outbox', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { requireCronSecret } from '@/app/_utils/cronAuth';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { sendDueReminders } from '@/app/_utils/reminders';
+
+// Send the reminder emails that are due. Called by a scheduler every few
+// minutes with "Authorization: Bearer <CRON_SECRET>", as Vercel Cron does.
+export async function GET(req) {
+    const unauthorized = requireCronSecret(req);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const summary = await sendDueReminders(getRegistrationStorage());
+        return NextResponse.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Reminder job error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to send reminders', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
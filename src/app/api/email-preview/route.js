@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server';
+import { listEventTemplates, getEventTemplates, buildConfirmationEmail } from '@/app/_utils/mail/templates';
+import { getParticipantPass } from '@/app/_utils/entryPass';
+import { getRegistrationEventName, getRegistrationEventTeamSize } from '@/app/_utils/registrationEvents';
+
+// Who the sample email is for
+const VARIANTS = Object.freeze({
+    REGISTRANT: 'registrant',
+    MEMBER: 'member',
+    WAITLIST: 'waitlist'
+});
+
+const SAMPLE_PEOPLE = [
+    { name: 'Aarav Sharma', email: 'aarav.sharma@example.com', passId: 'WS-SAMP-LE01' },
+    { name: 'Diya Patel', email: 'diya.patel@example.com', passId: 'WS-SAMP-LE02' },
+    { name: 'Kabir Singh', email: 'kabir.singh@example.com', passId: 'WS-SAMP-LE03' }
+];
+
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+const htmlResponse = (html, status = 200) => new NextResponse(html, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+});
+
+// A registration for the event with as many team members as it allows, up to the sample people
+const createSampleRegistration = (eventId) => {
+    const maxTeamSize = getRegistrationEventTeamSize(eventId)?.max || 1;
+    const [lead, ...members] = SAMPLE_PEOPLE.slice(0, Math.min(maxTeamSize, SAMPLE_PEOPLE.length));
+    return {
+        id: 'preview',
+        eventId,
+        timestamp: new Date().toISOString(),
+        ...lead,
+        teamMembers: members
+    };
+};
+
+// Images referenced by content ID are attached to real emails; inline them for the browser
+const inlineAttachments = (html, attachments = []) => attachments
+    .filter(attachment => attachment.cid && Buffer.isBuffer(attachment.content))
+    .reduce((result, attachment) => result.replaceAll(
+        `cid:${attachment.cid}`,
+        `data:${attachment.contentType};base64,${attachment.content.toString('base64')}`
+    ), html);
+
+const renderIndex = (origin) => {
+    const sections = listEventTemplates().map(templates => {
+        const links = templates.sampleEventIds().map(eventId => {
+            const hasTeam = (getRegistrationEventTeamSize(eventId)?.max || 1) > 1;
+            const variants = Object.values(VARIANTS).filter(variant => hasTeam || variant !== VARIANTS.MEMBER);
+            return `<li>${escapeHtml(getRegistrationEventName(eventId))}: ${variants.map(variant =>
+                `<a href="${origin}/api/email-preview?event=${encodeURIComponent(eventId)}&variant=${variant}">${variant}</a>`
+            ).join(' · ')}</li>`;
+        }).join('');
+        return `<h2>${escapeHtml(templates.type)}</h2><ul>${links}</ul>`;
+    }).join('');
+
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Email preview</title></head>
+<body style="font-family: sans-serif; max-width: 720px; margin: 40px auto; line-height: 1.6;">
+<h1>Email preview</h1><p>Confirmation emails rendered with sample data.</p>${sections}</body></html>`;
+};
+
+// Summary of the email above the preview
+const renderHeader = (email) => `
+<div style="font-family: monospace; font-size: 13px; background: #111827; color: #f9fafb; padding: 12px 16px;">
+  <div><strong>Subject:</strong> ${escapeHtml(email.subject)}</div>
+  <div><strong>To:</strong> ${escapeHtml(email.to)}</div>
+  <div><strong>Attachments:</strong> ${escapeHtml(email.attachments.map(attachment => attachment.filename).join(', ') || 'none')}</div>
+</div>`;
+
+// Render any confirmation email with sample data, in development only
+export async function GET(req) {
+    if (process.env.NODE_ENV !== 'development') {
+        return NextResponse.json({ error: 'Not found' }, { status: 404 });
+    }
+
+    const eventId = req.nextUrl.searchParams.get('event');
+    if (!eventId) {
+        return htmlResponse(renderIndex(req.nextUrl.origin));
+    }
+
+    const variant = req.nextUrl.searchParams.get('variant') || VARIANTS.REGISTRANT;
+    if (!Object.values(VARIANTS).includes(variant)) {
+        return NextResponse.json({ error: `variant must be one of: ${Object.values(VARIANTS).join(', ')}` }, { status: 400 });
+    }
+
+    try {
+        getEventTemplates(eventId);
+    } catch (error) {
+        return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    const registration = createSampleRegistration(eventId);
+    const isMember = variant === VARIANTS.MEMBER;
+    if (isMember && registration.teamMembers.length === 0) {
+        return NextResponse.json({ error: 'This event has no team members' }, { status: 400 });
+    }
+
+    try {
+        const participant = isMember ? registration.teamMembers[0] : registration;
+        const email = await buildConfirmationEmail({
+            registration,
+            participant,
+            isLead: !isMember,
+            pass: getParticipantPass(registration, participant.email),
+            manageUrl: isMember ? undefined : `${req.nextUrl.origin}/manageregistration?token=preview`,
+            fromWaitlist: variant === VARIANTS.WAITLIST
+        });
+
+        const html = inlineAttachments(email.html, email.attachments);
+        const header = renderHeader(email);
+        return htmlResponse(/<body[^>]*>/i.test(html)
+            ? html.replace(/<body[^>]*>/i, body => body + header)
+            : header + html);
+    } catch (error) {
+        console.error('Email preview error:', error);
+        return NextResponse.json({ error: error.message || 'Failed to render the email' }, { status: 500 });
+    }
+}
\ No newline at end of file
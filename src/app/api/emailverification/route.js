@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { sendVerificationCode } from '@/app/_utils/emailVerification';
+import { getAllRegistrationEvents } from '@/app/_utils/registrationEvents';
+import { REGISTRATION_ERROR_TYPES } from '@/app/_data/techelonsEventsData';
+import { emailSchema, INVALID_FIELDS } from '@/app/_utils/registrationSchemas';
+
+// Emails a verification code for the registration forms
+export async function POST(req) {
+    let body;
+    try {
+        body = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: 'INVALID_JSON' },
+            { status: 400 }
+        );
+    }
+
+    const email = emailSchema.safeParse(body?.email);
+    if (!email.success) {
+        return NextResponse.json(
+            { error: email.error.issues[0].message, type: INVALID_FIELDS, fieldErrors: { email: email.error.issues[0].message } },
+            { status: 400 }
+        );
+    }
+
+    // The event is named in the email, so only known events are accepted
+    const event = body.eventId ? getAllRegistrationEvents().find(item => item.id === body.eventId) : null;
+    if (body.eventId && !event) {
+        return NextResponse.json(
+            { error: 'This event does not exist', type: REGISTRATION_ERROR_TYPES.EVENT_NOT_FOUND },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const result = await sendVerificationCode(req, email.data, event?.name);
+        return NextResponse.json(result, { headers: { 'Cache-Control': 'no-store' } });
+    } catch (error) {
+        if (error.status) {
+            return NextResponse.json(
+                { error: error.message, type: error.type },
+                {
+                    status: error.status,
+                    headers: error.retryAfterSeconds ? { 'Retry-After': String(error.retryAfterSeconds) } : undefined
+                }
+            );
+        }
+
+        console.error('Email verification error:', error);
+        return NextResponse.json(
+            { error: 'Could not send a verification code', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
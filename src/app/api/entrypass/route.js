@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { verifyRegistrationToken, TOKEN_ERRORS } from '@/app/_utils/registrationToken';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage';
+import { getParticipantPass, getPassEventDetails, createPassQrDataUrl, createPassPdf } from '@/app/_utils/entryPass';
+import { getWaitlistPosition } from '@/app/_utils/waitlist';
+
+// Returns the entry pass for a registration token, as JSON with a QR code
+// data URL for the form submitted pages, or as a PDF with ?format=pdf
+export async function GET(req) {
+    const token = req.nextUrl.searchParams.get('token');
+    const result = await verifyRegistrationToken(token);
+
+    if (!result.valid) {
+        const status = result.reason === TOKEN_ERRORS.MISSING_SECRET ? 503 : 401;
+        return NextResponse.json(
+            { error: 'Invalid registration token', reason: result.reason },
+            { status }
+        );
+    }
+
+    try {
+        const { email, registrationId } = result.payload;
+        const storage = getRegistrationStorage();
+        const record = await storage.getRegistration(registrationId);
+        const pass = getParticipantPass(record, email);
+
+        if (!pass) {
+            return NextResponse.json(
+                { error: 'No entry pass found for this registration', type: 'NOT_FOUND' },
+                { status: 404 }
+            );
+        }
+
+        // Waitlisted registrations get their pass once they are confirmed
+        if (record.status === REGISTRATION_RECORD_STATUS.WAITLISTED) {
+            const registrations = await storage.listRegistrations({ eventId: record.eventId });
+            return NextResponse.json(
+                {
+                    error: 'This registration is on the waitlist',
+                    type: 'WAITLISTED',
+                    waitlisted: true,
+                    position: getWaitlistPosition(registrations, record.id),
+                    event: getPassEventDetails(record.eventId)
+                },
+                { status: 409 }
+            );
+        }
+
+        if (req.nextUrl.searchParams.get('format') === 'pdf') {
+            return new NextResponse(await createPassPdf(pass), {
+                headers: {
+                    'Content-Type': 'application/pdf',
+                    'Content-Disposition': `attachment; filename="entry-pass-${pass.passId}.pdf"`,
+                    'Cache-Control': 'private, no-store'
+                }
+            });
+        }
+
+        return NextResponse.json({
+            passId: pass.passId,
+            name: pass.name,
+            event: getPassEventDetails(pass.eventId),
+            qrCode: await createPassQrDataUrl(pass.passId)
+        });
+    } catch (error) {
+        console.error('Entry pass error:', error);
+        return NextResponse.json(
+            { error: error.message || 'Failed to load entry pass', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
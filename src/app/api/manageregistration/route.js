@@ -0,0 +1,248 @@
+import { NextResponse } from 'next/server';
+import { verifyManageToken, TOKEN_ERRORS } from '@/app/_utils/registrationToken';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS, STORAGE_ERROR_TYPES } from '@/app/_utils/storage';
+import { getAllRegistrationEvents } from '@/app/_utils/registrationEvents';
+import { fitsCapacity, getWaitlistPosition, promoteFromWaitlist } from '@/app/_utils/waitlist';
+import { checkMembersRegisteredElsewhere } from '@/app/_utils/teamValidation';
+import { createRateLimiter, getClientIp } from '@/app/_utils/rateLimit';
+import {
+    MANAGE_ERROR_TYPES,
+    MANAGE_ACTIONS,
+    applyRegistrationChanges,
+    checkChangesAllowed,
+    createManageUrl,
+    sendCancellationEmails,
+    sendRegistrationUpdateEmails,
+    toManageView
+} from '@/app/_utils/manageRegistration';
+
+// Error types
+const ERROR_TYPES = {
+    ...MANAGE_ERROR_TYPES,
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    INVALID_JSON: 'INVALID_JSON',
+    NOT_FOUND: 'NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+const STATUS_CODES = {
+    [ERROR_TYPES.INVALID_FIELDS]: 400,
+    [ERROR_TYPES.TEAM_SIZE]: 400,
+    [ERROR_TYPES.DUPLICATE_MEMBER]: 400,
+    [ERROR_TYPES.MEMBER_ALREADY_REGISTERED]: 409,
+    [ERROR_TYPES.CAPACITY_FULL]: 409,
+    [ERROR_TYPES.REGISTRATION_CANCELLED]: 409,
+    [ERROR_TYPES.CHANGES_CLOSED]: 403,
+    [ERROR_TYPES.NOT_FOUND]: 404,
+    MISSING_CREDENTIALS: 503
+};
+
+const errorResponse = (error) => NextResponse.json(
+    {
+        error: error.message || 'Something went wrong',
+        type: error.type || ERROR_TYPES.UNKNOWN_ERROR,
+        fieldErrors: error.fieldErrors
+    },
+    { status: STATUS_CODES[error.type] || 500 }
+);
+
+// Every change emails the whole team, so changes are limited per IP and per registrant
+const ipLimiter = createRateLimiter({ name: 'manage-ip', limit: 30, windowMs: 10 * 60 * 1000 });
+const emailLimiter = createRateLimiter({ name: 'manage-email', limit: 10, windowMs: 60 * 60 * 1000 });
+
+const rateLimitResponse = ({ allowed, retryAfterSeconds }) => {
+    if (allowed) return null;
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    return NextResponse.json(
+        { error: `Too many changes. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, type: ERROR_TYPES.RATE_LIMITED },
+        { status: 429, headers: { 'Retry-After': String(retryAfterSeconds) } }
+    );
+};
+
+// Verify the manage token and load the registration it belongs to
+const loadRegistration = async (req) => {
+    const result = await verifyManageToken(req.nextUrl.searchParams.get('token'));
+    if (!result.valid) {
+        return {
+            response: NextResponse.json(
+                { error: 'Invalid or expired link', type: ERROR_TYPES.INVALID_TOKEN, reason: result.reason },
+                { status: result.reason === TOKEN_ERRORS.MISSING_SECRET ? 503 : 401 }
+            )
+        };
+    }
+
+    const storage = getRegistrationStorage();
+    const record = await storage.getRegistration(result.payload.registrationId);
+
+    // The link only works for the registrant it was sent to
+    if (!record || record.email?.toLowerCase() !== result.payload.email) {
+        const error = new Error('Registration not found');
+        error.type = ERROR_TYPES.NOT_FOUND;
+        return { response: errorResponse(error) };
+    }
+
+    return { storage, record };
+};
+
+const getEventDetails = (eventId) => {
+    const event = getAllRegistrationEvents().find(item => item.id === eventId);
+    return { id: eventId, name: event?.name || eventId, teamSize: event?.teamSize || { min: 1, max: 1 } };
+};
+
+// The registration behind a manage link, with what the page needs to edit it
+export async function GET(req) {
+    try {
+        const { response, storage, record } = await loadRegistration(req);
+        if (response) return response;
+
+        const waitlistPosition = record.status === REGISTRATION_RECORD_STATUS.WAITLISTED
+            ? getWaitlistPosition(await storage.listRegistrations({ eventId: record.eventId }), record.id)
+            : null;
+
+        // The page only offers the changes that are still allowed
+        const editError = checkChangesAllowed(record, MANAGE_ACTIONS.EDIT);
+        const cancelError = checkChangesAllowed(record, MANAGE_ACTIONS.CANCEL);
+
+        return NextResponse.json({
+            registration: toManageView(record),
+            event: getEventDetails(record.eventId),
+            waitlistPosition,
+            canEdit: !editError,
+            canCancel: !cancelError,
+            closedMessage: (editError || cancelError)?.message || null
+        });
+    } catch (error) {
+        console.error('Manage registration load error:', error);
+        return errorResponse(error);
+    }
+}
+
+// Update the registrant's details and team
+export async function PATCH(req) {
+    const ipLimited = rateLimitResponse(await ipLimiter.check(getClientIp(req)));
+    if (ipLimited) return ipLimited;
+
+    let data;
+    try {
+        data = await req.json();
+    } catch (error) {
+        return NextResponse.json(
+            { error: 'Invalid request body', type: ERROR_TYPES.INVALID_JSON },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const { response, storage, record } = await loadRegistration(req);
+        if (response) return response;
+
+        const emailLimited = rateLimitResponse(await emailLimiter.check(record.email.toLowerCase()));
+        if (emailLimited) return emailLimited;
+
+        const closedError = checkChangesAllowed(record, MANAGE_ACTIONS.EDIT);
+        if (closedError) throw closedError;
+
+        const { updated, added, removed } = applyRegistrationChanges(record, {
+            details: data?.details,
+            teamMembers: data?.teamMembers
+        });
+
+        // Checked and saved in turn with new registrations, so a growing team cannot take a spot that was just given out
+        const [saved] = await storage.updateEventRegistrations(record.eventId, (registrations) => {
+            // The status may have changed since the record was loaded, e.g. by a promotion
+            const current = registrations.find(item => item.id === record.id);
+            if (current?.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+                const error = new Error('This registration has been cancelled');
+                error.type = ERROR_TYPES.REGISTRATION_CANCELLED;
+                throw error;
+            }
+
+            // Nobody on the team can also be on another team for the event
+            const conflictError = checkMembersRegisteredElsewhere(registrations, updated, updated.teamMembers, record.id);
+            if (conflictError) throw conflictError;
+
+            // A bigger team might not fit an event that counts seats
+            if (current?.status === REGISTRATION_RECORD_STATUS.REGISTERED && !fitsCapacity(record.eventId, registrations, updated)) {
+                const error = new Error('The event is full, so your team cannot grow right now');
+                error.type = ERROR_TYPES.CAPACITY_FULL;
+                throw error;
+            }
+
+            const { status, ...changes } = updated;
+            return [{ id: record.id, changes }];
+        });
+        console.log(`Registrant updated registration ${record.id} (${added.length} added, ${removed.length} removed)`);
+
+        // A smaller team can free seats for the waitlist
+        if (removed.length > added.length && saved.status === REGISTRATION_RECORD_STATUS.REGISTERED) {
+            try {
+                await promoteFromWaitlist(storage, saved.eventId, req.nextUrl.origin);
+            } catch (error) {
+                console.error(`Failed to promote from the ${saved.eventId} waitlist:`, error);
+            }
+        }
+
+        let emailSent = false;
+        try {
+            const results = await sendRegistrationUpdateEmails({
+                record: saved,
+                added,
+                removed,
+                manageUrl: await createManageUrl(saved, req.nextUrl.origin)
+            });
+            emailSent = results[0]?.success || false;
+        } catch (error) {
+            console.error('Failed to send registration update emails:', error);
+        }
+
+        return NextResponse.json({ success: true, registration: toManageView(saved), emailSent });
+    } catch (error) {
+        if (!MANAGE_ERROR_TYPES[error.type]) console.error('Manage registration update error:', error);
+        if (error.type === STORAGE_ERROR_TYPES.NOT_FOUND) error.type = ERROR_TYPES.NOT_FOUND;
+        return errorResponse(error);
+    }
+}
+
+// Cancel the registration and release its spot
+export async function DELETE(req) {
+    const ipLimited = rateLimitResponse(await ipLimiter.check(getClientIp(req)));
+    if (ipLimited) return ipLimited;
+
+    try {
+        const { response, storage, record } = await loadRegistration(req);
+        if (response) return response;
+
+        const emailLimited = rateLimitResponse(await emailLimiter.check(record.email.toLowerCase()));
+        if (emailLimited) return emailLimited;
+
+        if (record.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            return NextResponse.json({ success: true, registration: toManageView(record) });
+        }
+
+        const closedError = checkChangesAllowed(record, MANAGE_ACTIONS.CANCEL);
+        if (closedError) throw closedError;
+
+        const saved = await storage.updateRegistration(record.id, { status: REGISTRATION_RECORD_STATUS.CANCELLED });
+        console.log(`Registrant cancelled registration ${record.id}`);
+
+        if (record.status === REGISTRATION_RECORD_STATUS.REGISTERED) {
+            try {
+                await promoteFromWaitlist(storage, saved.eventId, req.nextUrl.origin);
+            } catch (error) {
+                console.error(`Failed to promote from the ${saved.eventId} waitlist:`, error);
+            }
+        }
+
+        try {
+            await sendCancellationEmails(saved);
+        } catch (error) {
+            console.error('Failed to send cancellation emails:', error);
+        }
+
+        return NextResponse.json({ success: true, registration: toManageView(saved) });
+    } catch (error) {
+        if (!MANAGE_ERROR_TYPES[error.type]) console.error('Manage registration cancel error:', error);
+        return errorResponse(error);
+    }
+}
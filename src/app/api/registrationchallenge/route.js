@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server';
+import { createChallenge, BOT_ERROR_TYPES } from '@/app/_utils/botProtection';
+
+// Hands out a proof-of-work challenge for the registration forms to solve
+export async function GET(req) {
+    try {
+        const challenge = await createChallenge(req);
+        return NextResponse.json(challenge, { headers: { 'Cache-Control': 'no-store' } });
+    } catch (error) {
+        if (error.type === BOT_ERROR_TYPES.RATE_LIMITED) {
+            return NextResponse.json(
+                { error: error.message, type: error.type },
+                { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+            );
+        }
+
+        console.error('Challenge error:', error);
+        return NextResponse.json(
+            { error: 'Could not create a challenge', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
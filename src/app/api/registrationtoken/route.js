@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { verifyRegistrationToken, TOKEN_ERRORS } from '@/app/_utils/registrationToken';
+
+// Verifies a registration token for the form submitted pages, which cannot
+// check the signature themselves because the secret stays on the server
+export async function GET(req) {
+    const token = req.nextUrl.searchParams.get('token');
+    const result = await verifyRegistrationToken(token);
+
+    if (!result.valid) {
+        const status = result.reason === TOKEN_ERRORS.MISSING_SECRET ? 503 : 401;
+        return NextResponse.json(
+            { valid: false, reason: result.reason },
+            { status }
+        );
+    }
+
+    const { email, registrationId, eventId, exp } = result.payload;
+
+    return NextResponse.json({
+        valid: true,
+        registration: {
+            email,
+            registrationId,
+            eventId,
+            expiresAt: new Date(exp).toISOString()
+        }
+    });
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { getPublishedResults } from '@/app/_utils/eventResults';
+
+// Published Techelons results, for every event or with ?eventId= for one
+export async function GET(req) {
+    const eventId = req.nextUrl.searchParams.get('eventId') || undefined;
+
+    try {
+        const events = await getPublishedResults(getRegistrationStorage(), { eventId });
+        return NextResponse.json({ events }, {
+            headers: { 'Cache-Control': 'public, max-age=60' }
+        });
+    } catch (error) {
+        console.error('Results error:', error);
+        return NextResponse.json(
+            { error: 'Could not load the results right now', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
\ No newline at end of file
@@ -1,282 +1,104 @@
-import { google } from 'googleapis';
-import { JWT } from 'google-auth-library';
 import { NextResponse } from 'next/server';
-import { Readable } from 'stream';
-import { TECHELONS_EVENTS, getEventById, getWhatsAppGroupLink } from '@/app/_data/techelonsEventsData';
-import { sendTechelonsConfirmation } from '@/app/_utils/emailServiceTechelons';
-import { validateFile, fileToBuffer, generateSanitizedFilename } from '@/app/_utils/fileUtils';
+import { getEventById, getWhatsAppGroupLink, getTeamSizeRequirements } from '@/app/_data/techelonsEventsData';
+import { validateFile, generateSanitizedFilename } from '@/app/_utils/fileUtils';
+import { createRegistrationToken } from '@/app/_utils/registrationToken';
+import { hasTokenSecret } from '@/app/_utils/signedToken';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage';
+import { getWaitlistPlacement, sendWaitlistEmail } from '@/app/_utils/waitlist';
+import { createManageUrl } from '@/app/_utils/manageRegistration';
+import { checkRegistrationOpen } from '@/app/_utils/registrationEvents';
+import { techelonsRegistrationSchema, validateRegistration, INVALID_FIELDS } from '@/app/_utils/registrationSchemas';
+import { TEAM_ERROR_TYPES, checkTeamSize, checkDuplicateMembers, checkMembersRegisteredElsewhere } from '@/app/_utils/teamValidation';
+import { checkIpRateLimit, checkEmailRateLimit, checkBotFields } from '@/app/_utils/botProtection';
+import { HONEYPOT_FIELD, CHALLENGE_FIELDS } from '@/app/_utils/botCheck';
+import { withIdempotency, skipReplay } from '@/app/_utils/idempotency';
+import { queueConfirmationEmails } from '@/app/_utils/registrationEmails';
+import { checkEmailVerification } from '@/app/_utils/emailVerification';
+import { EMAIL_VERIFICATION_FIELDS } from '@/app/_utils/emailCode';
 
-const SCOPES = [
-    'https://www.googleapis.com/auth/spreadsheets',
-    'https://www.googleapis.com/auth/drive.file'
-];
-
-const SHEET_RANGE = 'Sheet1!A:Z';
-
-// Validate environment variables
-const validateEnvironmentVars = () => {
-    const missingVars = [];
-    const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
-    const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_CLIENT_EMAIL;
-    const GOOGLE_SHEET_ID_TECHELONS = process.env.GOOGLE_SHEET_ID_TECHELONS;
-    const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
+// Validate and store an uploaded college ID, returning its URL
+const uploadCollegeId = async (storage, file, prefix, userData) => {
+    if (!file) return null;
     
-    if (!GOOGLE_PRIVATE_KEY || GOOGLE_PRIVATE_KEY === "YOUR_PRIVATE_KEY_HERE") {
-        missingVars.push('GOOGLE_PRIVATE_KEY');
-    }
-    
-    if (!GOOGLE_CLIENT_EMAIL || GOOGLE_CLIENT_EMAIL === "YOUR_CLIENT_EMAIL_HERE") {
-        missingVars.push('GOOGLE_CLIENT_EMAIL');
-    }
-    
-    if (!GOOGLE_SHEET_ID_TECHELONS) {
-        missingVars.push('GOOGLE_SHEET_ID_TECHELONS');
-    }
-    
-    if (!GOOGLE_DRIVE_FOLDER_ID) {
-        missingVars.push('GOOGLE_DRIVE_FOLDER_ID');
-    }
-    
-    if (missingVars.length > 0) {
-        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-    }
-};
-
-// Create a singleton instance of GoogleClient
-let googleClientInstance = null;
-
-class GoogleClient {
-    constructor() {
-        this.auth = null;
-        this.drive = null;
-        this.sheets = null;
-        this.initialized = false;
-        this.lastInitTime = null;
-        this.initPromise = null;
-        this.initLock = false;
-    }
-
-    static getInstance() {
-        if (!googleClientInstance) {
-            googleClientInstance = new GoogleClient();
-        }
-        return googleClientInstance;
-    }
-
-    async initialize() {
-        // Validate environment variables first
-        validateEnvironmentVars();
-        
-        // If already initializing, wait for that promise to resolve
-        if (this.initPromise) {
-            return this.initPromise;
+    try {
+        // Validate file
+        const validation = validateFile(file);
+        if (!validation.success) {
+            throw new Error(validation.error);
         }
         
-        // If already initialized and less than 30 minutes old, reuse
-        const now = Date.now();
-        if (this.initialized && this.lastInitTime && (now - this.lastInitTime < 30 * 60 * 1000)) {
-            return;
+        // Check file size explicitly again
+        if (file.size > 5 * 1024 * 1024) { // 5MB limit
+            throw new Error(`File size exceeds the maximum limit of 5MB. Your file is ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
         }
         
-        // Set lock and create promise
-        this.initLock = true;
-        this.initPromise = this._doInitialize();
-        
-        try {
-            await this.initPromise;
-            this.lastInitTime = Date.now();
-        } finally {
-            this.initLock = false;
-            this.initPromise = null;
-        }
-    }
-    
-    async _doInitialize() {
-        try {
-            this.auth = new JWT({
-                email: process.env.GOOGLE_CLIENT_EMAIL,
-                key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-                scopes: SCOPES,
-            });
-
-            await this.auth.authorize();
-            this.drive = google.drive({ version: 'v3', auth: this.auth });
-            this.sheets = google.sheets({ version: 'v4', auth: this.auth });
-
-            await this.ensureSheetExists();
-            this.initialized = true;
-        } catch (error) {
-            console.error('Initialization error:', error);
-            throw new Error('Failed to initialize Google client');
-        }
-    }
-
-    async ensureSheetExists() {
-        try {
-            await this.sheets.spreadsheets.values.get({
-                spreadsheetId: process.env.GOOGLE_SHEET_ID_TECHELONS,
-                range: 'Sheet1!A1'
-            });
-        } catch (error) {
-            if (error.code === 404) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: process.env.GOOGLE_SHEET_ID_TECHELONS,
-                    requestBody: {
-                        requests: [{
-                            addSheet: {
-                                properties: {
-                                    title: 'Sheet1'
-                                }
-                            }
-                        }]
-                    }
-                });
-                
-                // Add headers
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: process.env.GOOGLE_SHEET_ID_TECHELONS,
-                    range: 'Sheet1!A1',
-                    valueInputOption: 'RAW',
-                    requestBody: {
-                        values: [[
-                            'Timestamp',
-                            'Email',
-                            'Name',
-                            'Roll No',
-                            'Course',
-                            'College',
-                            'Phone',
-                            'Event',
-                            'Year',
-                            'Query',
-                            'College ID URL',
-                            'Team Member 1 Name',
-                            'Team Member 1 Email',
-                            'Team Member 1 Phone',
-                            'Team Member 1 Roll No',
-                            'Team Member 1 College',
-                            'Team Member 1 College ID URL',
-                            'Team Member 2 Name',
-                            'Team Member 2 Email',
-                            'Team Member 2 Phone',
-                            'Team Member 2 Roll No',
-                            'Team Member 2 College',
-                            'Team Member 2 College ID URL',
-                            'Team Member 3 Name',
-                            'Team Member 3 Email',
-                            'Team Member 3 Phone',
-                            'Team Member 3 Roll No',
-                            'Team Member 3 College',
-                            'Team Member 3 College ID URL'
-                        ]]
-                    }
-                });
-            } else {
-                throw error;
-            }
-        }
-    }
+        // Generate filename
+        const eventDetails = getEventById(userData.event);
+        const filename = generateSanitizedFilename(file, prefix, {
+            ...userData,
+            eventName: eventDetails?.name || 'Unknown-Event'
+        });
 
-    bufferToStream(buffer) {
-        const stream = new Readable();
-        stream.push(buffer);
-        stream.push(null);
-        return stream;
+        return await storage.storeFile(file, filename);
+    } catch (error) {
+        console.error('File upload error:', error);
+        throw new Error(`Failed to upload file: ${error.message}`);
     }
+};
 
-    async uploadToDrive(file, prefix, userData) {
-        if (!file) return null;
-        
-        try {
-            // Validate file
-            const validation = validateFile(file);
-            if (!validation.success) {
-                throw new Error(validation.error);
-            }
-            
-            // Check file size explicitly again
-            if (file.size > 5 * 1024 * 1024) { // 5MB limit
-                throw new Error(`File size exceeds the maximum limit of 5MB. Your file is ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
-            }
-            
-            // Convert file to buffer
-            const buffer = await fileToBuffer(file);
-            
-            // Generate filename
-            const eventDetails = getEventById(userData.event);
-            const filename = generateSanitizedFilename(file, prefix, {
-                ...userData,
-                eventName: eventDetails?.name || 'Unknown-Event'
-            });
+const TEAM_ERROR_STATUS = {
+    [TEAM_ERROR_TYPES.TEAM_SIZE]: 400,
+    [TEAM_ERROR_TYPES.DUPLICATE_MEMBER]: 400,
+    [TEAM_ERROR_TYPES.MEMBER_ALREADY_REGISTERED]: 409
+};
 
-            const driveResponse = await this.drive.files.create({
-                requestBody: {
-                    name: filename,
-                    parents: [process.env.GOOGLE_DRIVE_FOLDER_ID]
-                },
-                media: {
-                    mimeType: file.type,
-                    body: this.bufferToStream(buffer)
-                },
-                fields: 'id'
-            });
+const teamErrorResponse = (error) => NextResponse.json(
+    { error: error.message, type: error.type, fieldErrors: error.fieldErrors },
+    { status: TEAM_ERROR_STATUS[error.type] }
+);
 
-            return `https://drive.google.com/file/d/${driveResponse.data.id}/view`;
-        } catch (error) {
-            console.error('File upload error:', error);
-            throw new Error(`Failed to upload file: ${error.message}`);
-        }
+// Rate limit, honeypot and challenge failures, with Retry-After when rate limited.
+// They aren't kept for the idempotency key, so a resend with a fresh challenge can pass.
+const botErrorResponse = (error) => skipReplay(NextResponse.json(
+    { error: error.message, type: error.type },
+    {
+        status: error.status,
+        headers: error.retryAfterSeconds ? { 'Retry-After': String(error.retryAfterSeconds) } : undefined
     }
+));
 
-    async appendToSheet(rowData) {
-        try {
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: process.env.GOOGLE_SHEET_ID_TECHELONS,
-                range: SHEET_RANGE,
-                valueInputOption: 'RAW',
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: [rowData] },
-            });
-        } catch (error) {
-            console.error('Sheet append error:', error);
-            throw new Error(`Failed to append data to sheet: ${error.message}`);
-        }
-    }
+const REGISTRATION_FIELDS = ['name', 'email', 'phone', 'rollNo', 'college', 'otherCollege', 'event', 'year', 'course', 'query'];
 
-    async checkDuplicateRegistration(email, phone, event) {
+// Read the registrant and their team members (sent as teamMember_0, teamMember_1, ...) from the form data
+const readRegistration = (formData) => {
+    const teamMembers = [];
+    for (let index = 0; formData.has(`teamMember_${index}`); index++) {
         try {
-            const response = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: process.env.GOOGLE_SHEET_ID_TECHELONS,
-                range: SHEET_RANGE,
-            });
-
-            const rows = response.data.values || [];
-            
-            // Skip the header row if it exists
-            const dataRows = rows.length > 0 ? rows.slice(1) : [];
-            
-            // Check for duplicates using more efficient filtering
-            return dataRows.some(row => {
-                // Ensure row has enough elements
-                if (row.length < 8) return false;
-                
-                const emailMatch = row[1] === email;
-                const phoneMatch = row[6] === phone;
-                const eventMatch = row[7] === event;
-                return (emailMatch || phoneMatch) && eventMatch;
-            });
+            teamMembers.push(JSON.parse(formData.get(`teamMember_${index}`)));
         } catch (error) {
-            console.error('Duplicate check error:', error);
-            throw new Error(`Failed to check for duplicate registration: ${error.message}`);
+            // Left for the schema to report against this member
+            teamMembers.push(null);
         }
     }
-}
 
-export async function POST(req) {
-    const googleClient = GoogleClient.getInstance();
+    return {
+        ...Object.fromEntries(REGISTRATION_FIELDS.map(field => [field, formData.get(field) || undefined])),
+        teamMembers
+    };
+};
 
+const registerTeam = async (req) => {
     try {
-        await googleClient.initialize();
+        // Registrants get a signed token once their registration is stored, so don't store one that can't get it
+        if (!hasTokenSecret()) {
+            throw new Error('Missing required environment variable: REGISTRATION_TOKEN_SECRET');
+        }
+        const storage = getRegistrationStorage();
+
+        const ipLimitError = await checkIpRateLimit(req);
+        if (ipLimitError) {
+            return botErrorResponse(ipLimitError);
+        }
         
         let formData;
         try {
@@ -292,54 +114,96 @@ export async function POST(req) {
             );
         }
 
-        // Basic validation
-        const requiredFields = ['name', 'email', 'phone', 'rollNo', 'college', 'event', 'year', 'course'];
-        for (const field of requiredFields) {
-            if (!formData.get(field)) {
-                return NextResponse.json(
-                    { error: `Missing required field: ${field}` },
-                    { status: 400 }
-                );
-            }
+        const botError = await checkBotFields({
+            [HONEYPOT_FIELD]: formData.get(HONEYPOT_FIELD),
+            [CHALLENGE_FIELDS.TOKEN]: formData.get(CHALLENGE_FIELDS.TOKEN),
+            [CHALLENGE_FIELDS.NONCE]: formData.get(CHALLENGE_FIELDS.NONCE)
+        });
+        if (botError) {
+            console.warn(`Registration rejected by bot protection (${botError.type})`);
+            return botErrorResponse(botError);
+        }
+
+        // Validate with the same schema as the form
+        const validation = validateRegistration(techelonsRegistrationSchema, readRegistration(formData));
+        if (!validation.success) {
+            return NextResponse.json(
+                {
+                    error: 'Please fix the highlighted fields',
+                    type: INVALID_FIELDS,
+                    fieldErrors: validation.fieldErrors
+                },
+                { status: 400 }
+            );
+        }
+        const data = validation.data;
+
+        const emailLimitError = await checkEmailRateLimit(data.email);
+        if (emailLimitError) {
+            return botErrorResponse(emailLimitError);
+        }
+
+        // The registration window is enforced here as well as on the page
+        const closedError = checkRegistrationOpen(data.event);
+        if (closedError) {
+            return NextResponse.json(
+                {
+                    error: closedError.message,
+                    type: closedError.type,
+                    eventId: data.event,
+                    opensAt: closedError.opensAt,
+                    closesAt: closedError.closesAt
+                },
+                { status: closedError.status }
+            );
+        }
+
+        // When email verification is on, nothing is written until the registrant proves they own the address
+        const verification = await checkEmailVerification({
+            [EMAIL_VERIFICATION_FIELDS.TOKEN]: formData.get(EMAIL_VERIFICATION_FIELDS.TOKEN),
+            [EMAIL_VERIFICATION_FIELDS.CODE]: formData.get(EMAIL_VERIFICATION_FIELDS.CODE)
+        }, data.email);
+        if (verification.error) {
+            return NextResponse.json(
+                { error: verification.error.message, type: verification.error.type, fieldErrors: verification.error.fieldErrors },
+                { status: verification.error.status }
+            );
+        }
+
+        // The team has to fit the event, and nobody can be on it twice
+        const teamError = checkTeamSize(getTeamSizeRequirements(data.event), data.teamMembers.length)
+            || checkDuplicateMembers(data, data.teamMembers);
+        if (teamError) {
+            return teamErrorResponse(teamError);
         }
 
         const userData = {
-            name: formData.get('name'),
-            college: formData.get('college'),
-            otherCollege: formData.get('otherCollege'),
-            event: formData.get('event')
+            name: data.name,
+            college: data.college,
+            otherCollege: data.otherCollege,
+            event: data.event
         };
 
-        // Check for duplicate registration
-        const isDuplicate = await googleClient.checkDuplicateRegistration(
-            formData.get('email'),
-            formData.get('phone'),
-            formData.get('event')
-        );
+        // Check for an active duplicate registration; cancelled ones do not count
+        const [existingRegistration] = await storage.findRegistrations({
+            email: data.email,
+            phone: data.phone,
+            eventId: data.event
+        });
 
-        if (isDuplicate) {
+        if (existingRegistration) {
             // Get event details for the WhatsApp link
-            const eventDetails = getEventById(formData.get('event'));
+            const eventDetails = getEventById(data.event);
             
-            // Get WhatsApp link for the event
-            let whatsappLink;
-            try {
-                whatsappLink = getWhatsAppGroupLink(formData.get('event'));
-                console.log('WhatsApp link for event:', whatsappLink);
-                
-                // If no specific link found, use default
-                if (!whatsappLink) {
-                    console.log('Using default WhatsApp link');
-                    whatsappLink = "https://chat.whatsapp.com/techelons-general-group";
-                }
-            } catch (whatsappError) {
-                console.error('Error getting WhatsApp link:', whatsappError);
-                // Fallback to default link
-                whatsappLink = "https://chat.whatsapp.com/techelons-general-group";
-            }
+            // The event's WhatsApp group, or the general Techelons group
+            const whatsappLink = getWhatsAppGroupLink(data.event);
             
-            // Create a registration token for the existing user
-            const registrationToken = Buffer.from(formData.get('email')).toString('base64');
+            // Create a signed registration token for the existing user
+            const registrationToken = await createRegistrationToken({
+                email: data.email,
+                registrationId: existingRegistration.id,
+                eventId: data.event
+            });
             
             return NextResponse.json({
                 success: true,
@@ -351,63 +215,46 @@ export async function POST(req) {
             });
         }
 
+        // Nobody can be on two teams for the same event
+        const registrations = await storage.listRegistrations({ eventId: data.event });
+        const conflictError = checkMembersRegisteredElsewhere(registrations, data, data.teamMembers);
+        if (conflictError) {
+            return teamErrorResponse(conflictError);
+        }
+
         // Upload files and prepare team member data in parallel
         const uploadPromises = [];
         const teamMembers = [];
         
         // Main participant's college ID upload
-        const mainCollegeIdPromise = googleClient.uploadToDrive(
+        const mainCollegeIdPromise = uploadCollegeId(
+            storage,
             formData.get('collegeId'),
             'Main_Participant',
             userData
         );
         uploadPromises.push(mainCollegeIdPromise);
         
-        // Find all team member entries in the form data
-        const teamMemberKeys = Array.from(formData.keys())
-            .filter(key => key.startsWith('teamMember_') && !key.includes('_collegeId'));
-        
-        for (const key of teamMemberKeys) {
-            const index = key.split('_')[1];
-            let memberData;
-            
-            try {
-                const rawData = formData.get(key);
-                if (typeof rawData !== 'string') {
-                    console.error(`Invalid team member data for ${key}:`, rawData);
-                    throw new Error('Invalid team member data format');
-                }
-                memberData = JSON.parse(rawData);
-            } catch (error) {
-                console.error(`Error parsing team member data for ${key}:`, error);
-                return NextResponse.json(
-                    { 
-                        error: `There may be an issue with your uploaded ID: ${error.message}`,
-                        details: `Failed to parse team member data. Please try again with a smaller file size.`
-                    },
-                    { status: 400 }
-                );
-            }
-            
+        data.teamMembers.forEach((member, index) => {
             // Upload team member's college ID
-            const memberCollegeIdFile = formData.get(`teamMember_${index}_collegeId`);
-            const memberCollegeIdPromise = googleClient.uploadToDrive(
-                memberCollegeIdFile,
-                `Team_Member_${parseInt(index) + 1}`,
+            const memberCollegeIdPromise = uploadCollegeId(
+                storage,
+                formData.get(`teamMember_${index}_collegeId`),
+                `Team_Member_${index + 1}`,
                 {
                     ...userData,
-                    name: memberData.name,
-                    college: memberData.college,
-                    otherCollege: memberData.otherCollege
+                    name: member.name,
+                    college: member.college,
+                    otherCollege: member.otherCollege
                 }
             );
             
-            uploadPromises.push(memberCollegeIdPromise);
             teamMembers.push({
-                ...memberData,
-                index: parseInt(index)
+                ...member,
+                uploadIndex: uploadPromises.length
             });
-        }
+            uploadPromises.push(memberCollegeIdPromise);
+        });
         
         // Wait for all uploads to complete
         const uploadResults = await Promise.allSettled(uploadPromises);
@@ -422,106 +269,57 @@ export async function POST(req) {
         // Get upload URLs (handle both fulfilled and rejected promises)
         const mainCollegeIdUrl = uploadResults[0].status === 'fulfilled' ? uploadResults[0].value : null;
         
-        // Sort team members by index
-        teamMembers.sort((a, b) => a.index - b.index);
-        
-        // Prepare row data for Google Sheet
-        const timestamp = new Date().toISOString();
-        const eventDetails = getEventById(formData.get('event'));
-        
-        // Prepare row data with team member information
-        const rowData = [
-            timestamp,
-            formData.get('email'),
-            formData.get('name'),
-            formData.get('rollNo'),
-            formData.get('course'),
-            formData.get('college') === 'Other' ? formData.get('otherCollege') : formData.get('college'),
-            formData.get('phone'),
-            formData.get('event'),
-            formData.get('year'),
-            formData.get('query') || '',
-            mainCollegeIdUrl || ''
-        ];
+        const eventDetails = getEventById(data.event);
         
-        // Add team member data to row
-        for (let i = 0; i < 3; i++) {
-            const member = teamMembers[i];
-            if (member) {
-                const memberCollegeIdUrl = uploadResults[i + 1]?.status === 'fulfilled' ? uploadResults[i + 1].value : null;
-                rowData.push(
-                    member.name,
-                    member.email,
-                    member.phone,
-                    member.rollNo,
-                    member.college === 'Other' ? member.otherCollege : member.college,
-                    memberCollegeIdUrl || ''
-                );
-            } else {
-                // Add empty cells for missing team members
-                rowData.push('', '', '', '', '', '');
-            }
-        }
-        
-        // Append data to Google Sheet
-        await googleClient.appendToSheet(rowData);
+        // Save the registration with team member information. Once the event is
+        // full, new registrations go on the waitlist; the count is taken as it is saved.
+        let placement;
+        const record = await storage.placeRegistration({
+            eventId: data.event,
+            email: data.email,
+            name: data.name,
+            rollNo: data.rollNo,
+            course: data.course,
+            college: data.college === 'Other' ? data.otherCollege : data.college,
+            phone: data.phone,
+            year: data.year,
+            query: data.query || '',
+            emailVerified: verification.verified,
+            collegeIdUrl: mainCollegeIdUrl || '',
+            teamMembers: teamMembers.map(member => ({
+                name: member.name,
+                email: member.email,
+                phone: member.phone,
+                rollNo: member.rollNo,
+                college: member.college === 'Other' ? member.otherCollege : member.college,
+                collegeIdUrl: uploadResults[member.uploadIndex]?.status === 'fulfilled' ? uploadResults[member.uploadIndex].value || '' : ''
+            }))
+        }, (current) => {
+            placement = getWaitlistPlacement(data.event, current, { teamMembers });
+            return { status: placement.waitlisted ? REGISTRATION_RECORD_STATUS.WAITLISTED : REGISTRATION_RECORD_STATUS.REGISTERED };
+        });
+        const registrationId = record.id;
         
-        // Get WhatsApp link for the event
-        let whatsappLink;
-        try {
-            whatsappLink = getWhatsAppGroupLink(formData.get('event'));
-            console.log('WhatsApp link for event:', whatsappLink);
-            
-            // If no specific link found, use default
-            if (!whatsappLink) {
-                console.log('Using default WhatsApp link');
-                whatsappLink = "https://chat.whatsapp.com/techelons-general-group";
-            }
-        } catch (whatsappError) {
-            console.error('Error getting WhatsApp link:', whatsappError);
-            // Fallback to default link
-            whatsappLink = "https://chat.whatsapp.com/techelons-general-group";
-        }
+        // The event's WhatsApp group, or the general Techelons group
+        const whatsappLink = getWhatsAppGroupLink(data.event);
         
         // Send confirmation email in the background
         let emailResult = { success: false, error: 'Email sending not attempted' };
         
         try {
-            emailResult = await sendTechelonsConfirmation({
-                to: formData.get('email'),
-                name: formData.get('name'),
-                event: formData.get('event'),
-                eventDate: eventDetails?.date,
-                eventTime: eventDetails?.time,
-                eventVenue: eventDetails?.venue,
-                whatsappLink
-            });
-            
-            // Send emails to team members in the background
-            if (teamMembers.length > 0) {
-                try {
-                    // Properly await the Promise.all to ensure emails are sent before the route completes
-                    await Promise.all(
-                        teamMembers.map(member => 
-                            sendTechelonsConfirmation({
-                                to: member.email,
-                                name: member.name,
-                                event: formData.get('event'),
-                                eventDate: eventDetails?.date,
-                                eventTime: eventDetails?.time,
-                                eventVenue: eventDetails?.venue,
-                                whatsappLink,
-                                isTeamMember: true,
-                                teamLeader: formData.get('name')
-                            })
-                        )
-                    );
-                    console.log(`Successfully sent confirmation emails to ${teamMembers.length} team members`);
-                } catch (teamEmailError) {
-                    console.error('Error sending team member emails:', teamEmailError);
-                    // Don't fail the whole registration if team member emails fail
-                    // But record the error in the response
-                    emailResult.teamMemberEmailsError = teamEmailError.message;
+            const manageUrl = await createManageUrl(record, req.nextUrl.origin);
+            if (placement.waitlisted) {
+                // Team members are emailed once the team is confirmed
+                emailResult = await sendWaitlistEmail(record, placement.position, manageUrl);
+            } else {
+                // Everyone on the team gets their own pass; failed sends are retried from the outbox
+                const [leadResult, ...memberResults] = await queueConfirmationEmails(record, { manageUrl, whatsappLink });
+                emailResult = leadResult;
+
+                const failedMembers = memberResults.filter(result => !result.success);
+                if (failedMembers.length > 0) {
+                    console.warn(`${failedMembers.length} team member emails failed and will be retried`);
+                    emailResult.teamMemberEmailsError = failedMembers[0].error;
                 }
             }
         } catch (error) {
@@ -536,12 +334,17 @@ export async function POST(req) {
         // Return success response
         return NextResponse.json({
             success: true,
-            message: "Registration successful",
+            message: placement.waitlisted ? "The event is full, you have been added to the waitlist" : "Registration successful",
+            waitlisted: placement.waitlisted,
+            waitlistPosition: placement.position,
             eventName: eventDetails?.name,
             whatsappLink: whatsappLink,
             emailSent: emailResult.success,
-            // Use only the email for the token, without timestamp
-            registrationToken: Buffer.from(formData.get('email')).toString('base64')
+            registrationToken: await createRegistrationToken({
+                email: data.email,
+                registrationId,
+                eventId: data.event
+            })
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -554,4 +357,10 @@ export async function POST(req) {
             { status: 500 }
         );
     }
+};
+
+// Retries of the same submission get the first response instead of registering twice.
+// Each attempt solves a new challenge, so that doesn't make it a different submission.
+export async function POST(req) {
+    return withIdempotency(req, 'techelons', () => registerTeam(req), { ignoreFields: Object.values(CHALLENGE_FIELDS) });
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { getRegistrationStorage } from '@/app/_utils/storage';
+import { verifyCertificate } from '@/app/_utils/certificates';
+import { createRateLimiter, getClientIp } from '@/app/_utils/rateLimit';
+
+// Plenty for someone checking a stack of certificates, too few to guess codes
+const verifyLimiter = createRateLimiter({ name: 'certificate-verify-ip', limit: 30, windowMs: 10 * 60 * 1000 });
+
+// Check a certificate code, for the public verification page
+export async function GET(req, { params }) {
+    const { allowed, retryAfterSeconds } = await verifyLimiter.check(getClientIp(req));
+    if (!allowed) {
+        return NextResponse.json(
+            { error: 'Too many lookups. Please try again in a few minutes.', type: 'RATE_LIMITED' },
+            { status: 429, headers: { 'Retry-After': String(retryAfterSeconds) } }
+        );
+    }
+
+    const { code } = await params;
+
+    try {
+        const verification = await verifyCertificate(getRegistrationStorage(), code);
+        if (!verification) {
+            return NextResponse.json(
+                { error: 'No certificate with this code', type: 'NOT_FOUND' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json(verification, {
+            headers: { 'Cache-Control': 'no-store' }
+        });
+    } catch (error) {
+        console.error('Certificate verification error:', error);
+        return NextResponse.json(
+            { error: 'Could not check this certificate right now', type: error.type || 'UNKNOWN_ERROR' },
+            { status: error.type === 'MISSING_CREDENTIALS' ? 503 : 500 }
+        );
+    }
+}
\ No newline at end of file
@@ -1,29 +1,25 @@
-import { google } from 'googleapis';
-import { JWT } from 'google-auth-library';
 import { NextResponse } from 'next/server';
-import { sendWorkshopConfirmation } from '@/app/_utils/emailServiceWorkshop';
 import workshopData from '@/app/_data/workshopData';
-
-// Scopes and environment variables
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
-const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_CLIENT_EMAIL;
-const GOOGLE_SHEET_ID_WORKSHOP = process.env.GOOGLE_SHEET_ID_WORKSHOP;
+import { createRegistrationToken } from '@/app/_utils/registrationToken';
+import { getRegistrationStorage, REGISTRATION_RECORD_STATUS } from '@/app/_utils/storage';
+import { getWaitlistPlacement, sendWaitlistEmail } from '@/app/_utils/waitlist';
+import { createManageUrl } from '@/app/_utils/manageRegistration';
+import { checkRegistrationOpen } from '@/app/_utils/registrationEvents';
+import { REGISTRATION_ERROR_TYPES } from '@/app/_data/techelonsEventsData';
+import { workshopRegistrationSchema, validateRegistration, INVALID_FIELDS } from '@/app/_utils/registrationSchemas';
+import { checkIpRateLimit, checkEmailRateLimit, checkBotFields, BOT_ERROR_TYPES } from '@/app/_utils/botProtection';
+import { withIdempotency, skipReplay } from '@/app/_utils/idempotency';
+import { CHALLENGE_FIELDS } from '@/app/_utils/botCheck';
+import { queueConfirmationEmails } from '@/app/_utils/registrationEmails';
+import { checkEmailVerification } from '@/app/_utils/emailVerification';
+import { EMAIL_VERIFICATION_FIELDS, EMAIL_VERIFICATION_ERROR_TYPES } from '@/app/_utils/emailCode';
 
 // Validate environment variables early
 const validateEnvironmentVars = () => {
     const missingVars = [];
     
-    if (!GOOGLE_PRIVATE_KEY || GOOGLE_PRIVATE_KEY === "YOUR_PRIVATE_KEY_HERE") {
-        missingVars.push('GOOGLE_PRIVATE_KEY');
-    }
-    
-    if (!GOOGLE_CLIENT_EMAIL || GOOGLE_CLIENT_EMAIL === "YOUR_CLIENT_EMAIL_HERE") {
-        missingVars.push('GOOGLE_CLIENT_EMAIL');
-    }
-    
-    if (!GOOGLE_SHEET_ID_WORKSHOP) {
-        missingVars.push('GOOGLE_SHEET_ID_WORKSHOP');
+    if (!process.env.REGISTRATION_TOKEN_SECRET) {
+        missingVars.push('REGISTRATION_TOKEN_SECRET');
     }
     
     if (missingVars.length > 0) {
@@ -38,19 +34,22 @@ const ERROR_TYPES = {
     MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',
     MISSING_SHEET_ID: 'MISSING_SHEET_ID',
     AUTH_FAILED: 'AUTH_FAILED',
-    MISSING_FIELDS: 'MISSING_FIELDS',
+    INVALID_FIELDS,
     DUPLICATE_EMAIL: 'DUPLICATE_EMAIL',
     DUPLICATE_PHONE: 'DUPLICATE_PHONE',
     SHEETS_API_ERROR: 'SHEETS_API_ERROR',
     UNKNOWN_ERROR: 'UNKNOWN_ERROR',
     INVALID_JSON: 'INVALID_JSON',
-    EMAIL_FAILED: 'EMAIL_FAILED'
+    EMAIL_FAILED: 'EMAIL_FAILED',
+    ...REGISTRATION_ERROR_TYPES,
+    ...BOT_ERROR_TYPES,
+    ...EMAIL_VERIFICATION_ERROR_TYPES
 };
 
 // Simple cache for recent registrations - using Map for better performance
 const registrationCache = {
-    emails: new Map(), // Using Map instead of Set for O(1) lookups
-    phones: new Map(),
+    emails: new Map(), // Maps email -> registration ID
+    phones: new Map(), // Maps phone -> registration ID
     lastRefreshed: 0,
     TTL: 5 * 60 * 1000, // 5 minutes
 
@@ -64,81 +63,55 @@ const registrationCache = {
         this.lastRefreshed = Date.now();
     },
 
-    add(email, phone) {
-        this.emails.set(email.toLowerCase(), true);
-        this.phones.set(phone, true);
+    add(email, phone, registrationId) {
+        this.emails.set(email.toLowerCase(), registrationId || null);
+        this.phones.set(phone, registrationId || null);
     },
 
     has(email, phone) {
         return this.emails.has(email.toLowerCase()) || this.phones.has(phone);
-    }
-};
-
-// Auth client with caching
-let authClient = null;
-let authClientExpiry = 0;
-
-const getAuthToken = async () => {
-    // Validate environment variables
-    validateEnvironmentVars();
-
-    // Return existing client if still valid (with 5-minute buffer)
-    const now = Date.now();
-    if (authClient && authClientExpiry > now + 300000) {
-        return authClient;
-    }
-
-    try {
-        const client = new JWT({
-            email: GOOGLE_CLIENT_EMAIL,
-            key: GOOGLE_PRIVATE_KEY,
-            scopes: SCOPES,
-        });
-
-        await client.authorize();
-        authClient = client;
-
-        // Set expiry time if available, otherwise default to 1 hour
-        authClientExpiry = client.credentials?.expiry_date || (now + 3600000);
+    },
 
-        return client;
-    } catch (error) {
-        console.error('Auth error:', error.message);
-        const authError = new Error('Authentication failed with Google API');
-        authError.type = ERROR_TYPES.AUTH_FAILED;
-        authError.cause = error;
-        throw authError;
-    }
-};
+    // Registration IDs cached for an email or phone
+    matches(email, phone) {
+        return [...new Set([this.emails.get(email.toLowerCase()), this.phones.get(phone)])].filter(Boolean);
+    },
 
-// Cached sheets instance
-let sheetsInstance = null;
-const getSheets = async () => {
-    const client = await getAuthToken();
-    if (!sheetsInstance) {
-        sheetsInstance = google.sheets({ version: 'v4', auth: client });
-    } else {
-        // Update auth if needed
-        sheetsInstance.context._options.auth = client;
+    remove(registrationId) {
+        for (const map of [this.emails, this.phones]) {
+            for (const [key, id] of map) {
+                if (id === registrationId) map.delete(key);
+            }
+        }
     }
-    return sheetsInstance;
 };
 
-const checkDuplicateRegistration = async (sheets, data) => {
+const checkDuplicateRegistration = async (storage, data) => {
     const email = data.email.toLowerCase();
     const phone = data.phone;
 
+    // Registrations can be cancelled from the manage page or the dashboard,
+    // so cached ones are checked against storage before they count
+    for (const registrationId of registrationCache.matches(email, phone)) {
+        const cached = await storage.getRegistration(registrationId);
+        if (!cached || cached.status === REGISTRATION_RECORD_STATUS.CANCELLED) {
+            registrationCache.remove(registrationId);
+        }
+    }
+
     // Quick check in local cache first
     if (registrationCache.has(email, phone)) {
         if (registrationCache.emails.has(email)) {
             const error = new Error('You have already registered with this email');
             error.type = ERROR_TYPES.DUPLICATE_EMAIL;
+            error.registrationId = registrationCache.emails.get(email);
             return error;
         }
 
         if (registrationCache.phones.has(phone)) {
             const error = new Error('This phone number is already registered');
             error.type = ERROR_TYPES.DUPLICATE_PHONE;
+            error.registrationId = registrationCache.phones.get(phone);
             return error;
         }
     }
@@ -148,40 +121,36 @@ const checkDuplicateRegistration = async (sheets, data) => {
         try {
             registrationCache.reset();
 
-            // Use batch get to improve performance
-            const response = await sheets.spreadsheets.values.get({
-                spreadsheetId: GOOGLE_SHEET_ID_WORKSHOP,
-                range: 'Sheet1!B:G', // Only get email and phone columns
-                valueRenderOption: 'UNFORMATTED_VALUE',
-                majorDimension: 'ROWS',
-            });
+            const registrations = await storage.listRegistrations({ eventId: workshopData.eventId });
 
-            const rows = response.data.values || [];
+            for (const registration of registrations) {
+                // A cancelled registration does not stop the registrant signing up again
+                if (registration.status === REGISTRATION_RECORD_STATUS.CANCELLED) continue;
 
-            // Skip header row and process data
-            for (let i = 1; i < rows.length; i++) {
-                if (!rows[i] || !rows[i][0]) continue;
+                const rowEmail = registration.email?.toLowerCase();
+                const rowPhone = registration.phone;
 
-                const rowEmail = rows[i][0]?.toLowerCase();
-                const rowPhone = rows[i][5];
-
-                if (rowEmail) registrationCache.emails.set(rowEmail, true);
-                if (rowPhone) registrationCache.phones.set(rowPhone, true);
+                if (rowEmail) registrationCache.emails.set(rowEmail, registration.id);
+                if (rowPhone) registrationCache.phones.set(rowPhone, registration.id);
+            }
 
-                if (rowEmail === email) {
-                    const error = new Error('You have already registered with this email');
-                    error.type = ERROR_TYPES.DUPLICATE_EMAIL;
-                    return error;
-                }
+            if (registrationCache.emails.has(email)) {
+                const error = new Error('You have already registered with this email');
+                error.type = ERROR_TYPES.DUPLICATE_EMAIL;
+                error.registrationId = registrationCache.emails.get(email);
+                return error;
+            }
 
-                if (rowPhone && rowPhone === phone) {
-                    const error = new Error('This phone number is already registered');
-                    error.type = ERROR_TYPES.DUPLICATE_PHONE;
-                    return error;
-                }
+            if (registrationCache.phones.has(phone)) {
+                const error = new Error('This phone number is already registered');
+                error.type = ERROR_TYPES.DUPLICATE_PHONE;
+                error.registrationId = registrationCache.phones.get(phone);
+                return error;
             }
         } catch (error) {
             console.error('Duplicate check error:', error.message);
+            // Keep credential errors typed so they map to the right status code
+            if (error.type) throw error;
             throw new Error('Failed to check registration status');
         }
     }
@@ -189,34 +158,15 @@ const checkDuplicateRegistration = async (sheets, data) => {
     return null;
 };
 
-const validateRequestData = (data) => {
-    const requiredFields = ['email', 'name', 'rollNo', 'course', 'year', 'phone'];
-    const missingFields = requiredFields.filter(field => !data[field]);
-
-    if (missingFields.length > 0) {
-        const error = new Error(`Missing required fields: ${missingFields.join(', ')}`);
-        error.type = ERROR_TYPES.MISSING_FIELDS;
-        error.fields = missingFields;
-        return error;
-    }
-
-    return null;
-};
-
-// Send confirmation email
-const sendConfirmationEmail = async (data) => {
+// Send confirmation email with the registrant's entry pass and manage link
+const sendConfirmationEmail = async (record, manageUrl) => {
     try {
-        const { email, name } = data;
-        const { subject, template } = workshopData.emailNotification;
+        const { email } = record;
         
         console.log(`Sending workshop confirmation email to ${email}`);
         
-        const emailResult = await sendWorkshopConfirmation({
-            email,
-            name,
-            subject,
-            template: template(name)
-        });
+        // Failed sends stay in the outbox and are retried
+        const [emailResult] = await queueConfirmationEmails(record, { manageUrl });
 
         if (emailResult.success) {
             console.log(`Workshop confirmation email sent successfully to ${email} with messageId: ${emailResult.messageId}`);
@@ -236,7 +186,7 @@ const sendConfirmationEmail = async (data) => {
     }
 };
 
-export async function POST(req) {
+const registerForWorkshop = async (req) => {
     // Track request timing for performance monitoring
     const startTime = Date.now();
     const requestId = Math.random().toString(36).substring(2, 15);
@@ -244,15 +194,24 @@ export async function POST(req) {
     try {
         console.log(`[${requestId}] Workshop registration API called`);
         
-        // Get retry count from headers if available
-        const retryCount = parseInt(req.headers.get('x-retry-count') || '0');
-        if (retryCount > 0) {
-            console.log(`[${requestId}] Retry attempt ${retryCount}`);
-        }
-        
         // Validate environment variables first
         validateEnvironmentVars();
 
+        // The registration window is enforced here as well as on the page
+        const closedError = checkRegistrationOpen(workshopData.eventId);
+        if (closedError) {
+            return NextResponse.json(
+                {
+                    error: closedError.message,
+                    type: closedError.type,
+                    eventId: workshopData.eventId,
+                    opensAt: closedError.opensAt,
+                    closesAt: closedError.closesAt
+                },
+                { status: closedError.status }
+            );
+        }
+
         // Parse request body
         let data;
         try {
@@ -265,29 +224,68 @@ export async function POST(req) {
             );
         }
 
-        // Validate required fields
-        const validationError = validateRequestData(data);
-        if (validationError) {
+        // Spam checks run before anything is validated, stored or emailed
+        const botError = (await checkIpRateLimit(req)) || (await checkBotFields(data || {}));
+        if (botError) {
+            console.warn(`[${requestId}] Registration rejected by bot protection (${botError.type})`);
+            // Not kept for the idempotency key, so a resend with a fresh challenge can pass
+            return skipReplay(NextResponse.json(
+                { error: botError.message, type: botError.type },
+                {
+                    status: botError.status,
+                    headers: botError.retryAfterSeconds ? { 'Retry-After': String(botError.retryAfterSeconds) } : undefined
+                }
+            ));
+        }
+
+        // Validate with the same schema as the form
+        const validation = validateRegistration(workshopRegistrationSchema, data);
+        if (!validation.success) {
             return NextResponse.json(
                 {
-                    error: validationError.message,
-                    type: validationError.type,
-                    fields: validationError.fields
+                    error: 'Please fix the highlighted fields',
+                    type: ERROR_TYPES.INVALID_FIELDS,
+                    fieldErrors: validation.fieldErrors
                 },
                 { status: 400 }
             );
         }
+        const verificationFields = {
+            [EMAIL_VERIFICATION_FIELDS.TOKEN]: data[EMAIL_VERIFICATION_FIELDS.TOKEN],
+            [EMAIL_VERIFICATION_FIELDS.CODE]: data[EMAIL_VERIFICATION_FIELDS.CODE]
+        };
+        data = validation.data;
+
+        const emailLimitError = await checkEmailRateLimit(data.email);
+        if (emailLimitError) {
+            return NextResponse.json(
+                { error: emailLimitError.message, type: emailLimitError.type },
+                { status: 429, headers: { 'Retry-After': String(emailLimitError.retryAfterSeconds) } }
+            );
+        }
 
-        // Get sheets instance (cached)
-        const sheets = await getSheets();
+        // When email verification is on, nothing is written until the registrant proves they own the address
+        const verification = await checkEmailVerification(verificationFields, data.email);
+        if (verification.error) {
+            return NextResponse.json(
+                { error: verification.error.message, type: verification.error.type, fieldErrors: verification.error.fieldErrors },
+                { status: verification.error.status }
+            );
+        }
+
+        const storage = getRegistrationStorage();
 
         // Check for duplicates
-        const duplicateError = await checkDuplicateRegistration(sheets, data);
+        const duplicateError = await checkDuplicateRegistration(storage, data);
         if (duplicateError) {
             // Instead of returning an error, create a token and redirect
             if (duplicateError.type === ERROR_TYPES.DUPLICATE_EMAIL || duplicateError.type === ERROR_TYPES.DUPLICATE_PHONE) {
-                // Create a registration token for the existing user
-                const registrationToken = Buffer.from(data.email).toString('base64');
+                // Create a signed registration token for the existing user
+                const registrationToken = await createRegistrationToken({
+                    email: data.email,
+                    registrationId: duplicateError.registrationId,
+                    eventId: workshopData.eventId
+                });
                 
                 console.log(`[${requestId}] User already registered: ${data.email}`);
                 
@@ -310,40 +308,40 @@ export async function POST(req) {
             }
         }
 
-        // Prepare row data and save to spreadsheet
-        const timestamp = new Date().toISOString();
-        const rowData = [
-            timestamp,
-            data.email,
-            data.name,
-            data.rollNo,
-            data.course,
-            data.college || "Shivaji College",
-            data.phone,
-            "Workshop",
-            data.year,
-            data.query || ''
-        ];
-
-        // Save to spreadsheet
-        const sheetResponse = await sheets.spreadsheets.values.append({
-            spreadsheetId: GOOGLE_SHEET_ID_WORKSHOP,
-            range: 'Sheet1!A:J',
-            valueInputOption: 'RAW',
-            insertDataOption: 'INSERT_ROWS',
-            resource: { values: [rowData] },
+        // Save the registration. Once the workshop is full, new registrations go
+        // on the waitlist; the count is taken as it is saved.
+        let placement;
+        const record = await storage.placeRegistration({
+            eventId: workshopData.eventId,
+            email: data.email,
+            name: data.name,
+            rollNo: data.rollNo,
+            course: data.course,
+            // Only institutional emails can register, so everyone is from Shivaji College
+            college: "Shivaji College",
+            phone: data.phone,
+            year: data.year,
+            query: data.query || '',
+            emailVerified: verification.verified
+        }, (registrations) => {
+            placement = getWaitlistPlacement(workshopData.eventId, registrations, {});
+            return { status: placement.waitlisted ? REGISTRATION_RECORD_STATUS.WAITLISTED : REGISTRATION_RECORD_STATUS.REGISTERED };
         });
+        const { id: registrationId, timestamp } = record;
 
         // Update cache
-        registrationCache.add(data.email, data.phone);
+        registrationCache.add(data.email, data.phone, registrationId);
 
-        // Send confirmation email with proper error handling
-        console.log(`[${requestId}] Registration successful, sending confirmation email`);
+        // Send confirmation (or waitlist) email with proper error handling
+        console.log(`[${requestId}] Registration successful${placement.waitlisted ? ` (waitlist #${placement.position})` : ''}, sending email`);
         let emailResult = { success: false, error: 'Email sending not attempted' };
         
         try {
             // Send email and await the result
-            emailResult = await sendConfirmationEmail(data);
+            const manageUrl = await createManageUrl(record, req.nextUrl.origin);
+            emailResult = placement.waitlisted
+                ? await sendWaitlistEmail(record, placement.position, manageUrl)
+                : await sendConfirmationEmail(record, manageUrl);
             
             if (!emailResult.success) {
                 console.warn(`[${requestId}] Email notification failed but registration succeeded:`, emailResult.error);
@@ -360,10 +358,16 @@ export async function POST(req) {
         // Return success response
         const response = {
             success: true,
-            message: "Registration successful",
+            message: placement.waitlisted ? "The workshop is full, you have been added to the waitlist" : "Registration successful",
+            waitlisted: placement.waitlisted,
+            waitlistPosition: placement.position,
             timestamp,
             whatsappLink: workshopData.whatsappGroupLink,
-            registrationToken: Buffer.from(data.email).toString('base64'),
+            registrationToken: await createRegistrationToken({
+                email: data.email,
+                registrationId,
+                eventId: workshopData.eventId
+            }),
             emailSent: emailResult.success
         };
         
@@ -386,7 +390,7 @@ export async function POST(req) {
             statusCode = 503;
         } else if (error.type === ERROR_TYPES.AUTH_FAILED) {
             statusCode = 401;
-        } else if (error.type === ERROR_TYPES.MISSING_FIELDS || error.type === ERROR_TYPES.INVALID_JSON) {
+        } else if (error.type === ERROR_TYPES.INVALID_FIELDS || error.type === ERROR_TYPES.INVALID_JSON) {
             statusCode = 400;
         } else if (error.type === ERROR_TYPES.DUPLICATE_EMAIL || error.type === ERROR_TYPES.DUPLICATE_PHONE) {
             statusCode = 409;
@@ -400,4 +404,9 @@ export async function POST(req) {
             { status: statusCode }
         );
     }
+};
+
+// Retries of the same submission get the first response instead of registering twice
+export async function POST(req) {
+    return withIdempotency(req, 'workshop', () => registerForWorkshop(req), { ignoreFields: Object.values(CHALLENGE_FIELDS) });
 }
\ No newline at end of file
@@ -0,0 +1,216 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import { useRouter } from "next/navigation"
+import { CheckCircle2, AlertTriangle, XCircle, LogOut, Users } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue
+} from "@/components/ui/select"
+import QrScanner from "@/app/_components/AdminComponents/QrScanner"
+import { getAllRegistrationEvents } from "@/app/_utils/registrationEvents"
+
+const ALL_EVENTS = 'all'
+const MAX_RECENT_SCANS = 10
+
+// How each kind of scan result is shown
+const RESULT_STYLES = {
+    success: { icon: CheckCircle2, className: 'bg-green-50 border-green-200 text-green-800', title: 'Checked in' },
+    duplicate: { icon: AlertTriangle, className: 'bg-amber-50 border-amber-200 text-amber-800', title: 'Already checked in' },
+    error: { icon: XCircle, className: 'bg-red-50 border-red-200 text-red-800', title: 'Not checked in' }
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+
+const ScanResult = ({ result }) => {
+    const style = RESULT_STYLES[result.kind]
+    const Icon = style.icon
+
+    return (
+        <div className={`border rounded-xl p-4 ${style.className}`}>
+            <div className="flex items-center gap-2 mb-2">
+                <Icon className="h-6 w-6 shrink-0" />
+                <h2 className="text-lg font-bold">{style.title}</h2>
+            </div>
+            {result.participant?.name && <p className="text-xl font-semibold text-gray-900">{result.participant.name}</p>}
+            {result.event && <p className="text-sm">{result.event.name}</p>}
+            {result.kind === 'duplicate' && (
+                <p className="text-sm mt-1">First checked in at {formatTime(result.checkedInAt)}</p>
+            )}
+            {result.kind === 'error' && <p className="text-sm mt-1">{result.error}</p>}
+            {result.passId && <p className="font-mono text-xs mt-2 opacity-75">{result.passId}</p>}
+
+            {result.team?.length > 0 && (
+                <div className="mt-3 pt-3 border-t border-current/10">
+                    <p className="flex items-center text-sm font-medium mb-1">
+                        <Users className="h-4 w-4 mr-1" /> Team
+                    </p>
+                    <ul className="text-sm space-y-1">
+                        {result.team.map(member => (
+                            <li key={member.passId} className="flex justify-between gap-2">
+                                <span>{member.name}{member.isLead ? ' (lead)' : ''}</span>
+                                <span className={member.checkedIn ? 'text-green-700' : 'text-gray-500'}>
+                                    {member.checkedIn ? 'Checked in' : 'Not yet'}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    )
+}
+
+const CheckinPage = () => {
+    const router = useRouter()
+    const [events] = useState(getAllRegistrationEvents)
+    const [selectedEvent, setSelectedEvent] = useState(ALL_EVENTS)
+    const [manualPassId, setManualPassId] = useState("")
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    const [lastResult, setLastResult] = useState(null)
+    const [recentScans, setRecentScans] = useState([])
+    const [stats, setStats] = useState(null)
+
+    const eventId = selectedEvent === ALL_EVENTS ? undefined : selectedEvent
+
+    const loadStats = useCallback(async () => {
+        try {
+            const query = eventId ? `?eventId=${encodeURIComponent(eventId)}` : ''
+            const response = await fetch(`/api/checkin${query}`)
+            if (response.status === 401) {
+                router.push('/admin/login?next=/checkin')
+                return
+            }
+            if (response.ok) {
+                const result = await response.json()
+                setStats({ checkedIn: result.checkedIn, expected: result.expected })
+            }
+        } catch (error) {
+            console.error('Failed to load attendance:', error)
+        }
+    }, [eventId, router])
+
+    useEffect(() => {
+        loadStats()
+    }, [loadStats])
+
+    const checkIn = useCallback(async (passId) => {
+        if (isSubmitting) return
+
+        setIsSubmitting(true)
+        try {
+            const response = await fetch('/api/checkin', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ passId, eventId })
+            })
+            const result = await response.json()
+
+            if (response.status === 401) {
+                router.push('/admin/login?next=/checkin')
+                return
+            }
+
+            const scan = response.ok
+                ? { ...result, kind: result.duplicate ? 'duplicate' : 'success' }
+                : { ...result, kind: 'error', passId: result.passId || passId }
+
+            setLastResult(scan)
+            setRecentScans(scans => [{ ...scan, scannedAt: Date.now() }, ...scans].slice(0, MAX_RECENT_SCANS))
+            if (navigator.vibrate) navigator.vibrate(scan.kind === 'success' ? 100 : [100, 80, 100])
+            if (scan.kind === 'success') loadStats()
+        } catch (error) {
+            console.error('Check-in error:', error)
+            toast.error('Connection error. Please try again.')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }, [eventId, isSubmitting, loadStats, router])
+
+    const handleManualSubmit = (e) => {
+        e.preventDefault()
+        if (!manualPassId.trim()) return
+        checkIn(manualPassId.trim())
+        setManualPassId("")
+    }
+
+    const handleLogout = async () => {
+        try {
+            await fetch('/api/admin/login', { method: 'DELETE' })
+        } finally {
+            router.push('/admin/login?next=/checkin')
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <header className="bg-white border-b">
+                <div className="max-w-md mx-auto px-4 py-3 flex items-center justify-between">
+                    <div>
+                        <h1 className="text-lg font-bold text-gray-900">Check-in</h1>
+                        {stats && (
+                            <p className="text-xs text-gray-500">{stats.checkedIn} of {stats.expected} participants checked in</p>
+                        )}
+                    </div>
+                    <Button variant="outline" size="sm" onClick={handleLogout}>
+                        <LogOut size={14} className="mr-1" />
+                        Logout
+                    </Button>
+                </div>
+            </header>
+
+            <main className="max-w-md mx-auto px-4 py-4 space-y-4">
+                <Select value={selectedEvent} onValueChange={setSelectedEvent}>
+                    <SelectTrigger className="w-full bg-white">
+                        <SelectValue placeholder="All events" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value={ALL_EVENTS}>All events</SelectItem>
+                        {events.map(event => (
+                            <SelectItem key={event.id} value={event.id}>{event.name}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+
+                <QrScanner onScan={checkIn} paused={isSubmitting} />
+
+                <form onSubmit={handleManualSubmit} className="flex gap-2">
+                    <Input
+                        value={manualPassId}
+                        onChange={(e) => setManualPassId(e.target.value)}
+                        placeholder="Pass ID, e.g. WS-7KQ2-M9XD"
+                        className="bg-white font-mono uppercase"
+                        autoCapitalize="characters"
+                        autoComplete="off"
+                    />
+                    <Button type="submit" disabled={isSubmitting || !manualPassId.trim()}>
+                        Check in
+                    </Button>
+                </form>
+
+                {lastResult && <ScanResult result={lastResult} />}
+
+                {recentScans.length > 1 && (
+                    <div className="bg-white border rounded-xl p-4">
+                        <h2 className="text-sm font-semibold text-gray-700 mb-2">Recent scans</h2>
+                        <ul className="divide-y text-sm">
+                            {recentScans.slice(1).map(scan => (
+                                <li key={scan.scannedAt} className="py-2 flex justify-between gap-2">
+                                    <span className="truncate">{scan.participant?.name || scan.passId}</span>
+                                    <span className="shrink-0 text-gray-500">{RESULT_STYLES[scan.kind].title}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </main>
+        </div>
+    )
+}
+
+export default CheckinPage
@@ -2,10 +2,12 @@
 import Link from "next/link"
 import { useState, useEffect, Suspense, useRef } from "react"
 import { useRouter, useSearchParams } from "next/navigation"
-import { Instagram, Linkedin, Home, Check, Calendar, Clock, MapPin, Users, Award, Info, ArrowLeft, Share2, Download, Mail, AlertTriangle } from "lucide-react"
+import { Instagram, Linkedin, Home, Check, Calendar, Clock, MapPin, Users, Award, Info, ArrowLeft, Share2, Download, Mail, AlertTriangle, CalendarPlus } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { motion, AnimatePresence } from "framer-motion"
-import { getEventById, getWhatsAppGroupLink, formatEventDateTime, FEST_DATES } from "@/app/_data/techelonsEventsData"
+import { getEventById, getWhatsAppGroupLink, formatEventDateTime, getRegistrationWindow, DATE_UTILS } from "@/app/_data/techelonsEventsData"
+import { getTokenErrorMessage } from "@/app/_utils/registrationToken"
+import EntryPass from "@/app/_components/EntryPass"
 import confetti from 'canvas-confetti'
 
 const SuccessIcon = () => (
@@ -92,6 +94,7 @@ const TechelonsRegistrationContent = () => {
     const [shareUrl, setShareUrl] = useState("")
     const [emailSent, setEmailSent] = useState(true)
     const [isValid, setIsValid] = useState(false)
+    const [errorReason, setErrorReason] = useState(null)
     const [shareData, setShareData] = useState(null)
     const [canShare, setCanShare] = useState(false)
     const [showShareSuccess, setShowShareSuccess] = useState(false)
@@ -115,67 +118,52 @@ const TechelonsRegistrationContent = () => {
             setAlreadyRegistered(true)
         }
 
-        if (!token || !eventId) {
+        if (!token) {
+            setErrorReason(searchParams.get('error'))
             setLoading(false)
             setIsValid(false)
             return
         }
 
-        try {
-            // Get event details first
-            const eventDetails = getEventById(eventId);
-            console.log('Event details:', eventDetails ? 'Found' : 'Not found');
-
-            if (!eventDetails) {
-                console.error('Event not found for ID:', eventId);
-                setIsValid(false);
-                setLoading(false);
-                return;
-            }
-
-            // Get WhatsApp link
-            let whatsappGroupLink;
+        // The signature can only be checked on the server, so ask the API to verify the token
+        const verifyToken = async () => {
             try {
-                whatsappGroupLink = getWhatsAppGroupLink(eventId);
-                console.log('WhatsApp link:', whatsappGroupLink ? 'Found' : 'Not found');
-
-                // If no specific link found, use default
-                if (!whatsappGroupLink) {
-                    console.log('Using default WhatsApp link');
-                    whatsappGroupLink = "https://chat.whatsapp.com/techelons-general-group";
+                const response = await fetch(`/api/registrationtoken?token=${encodeURIComponent(token)}`)
+                const result = await response.json()
+
+                if (!result.valid) {
+                    console.log('Token verification failed:', result.reason);
+                    setErrorReason(result.reason)
+                    setIsValid(false)
+                    return
                 }
-            } catch (whatsappError) {
-                console.error('Error getting WhatsApp link:', whatsappError);
-                // Fallback to default link
-                whatsappGroupLink = "https://chat.whatsapp.com/techelons-general-group";
-            }
 
-            // Validate token
-            const decodedToken = atob(token)
-            console.log('Token decoded successfully');
-
-            const emailRegex = /^[a-zA-Z0-9][a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,}|du\.ac\.in|ipu\.ac\.in|ignou\.ac\.in|jnu\.ac\.in|iitd\.ac\.in|nsut\.ac\.in|dtu\.ac\.in|igdtuw\.ac\.in|aud\.ac\.in|jamiahamdard\.edu|bhu\.ac\.in|bvpindia\.com|mait\.ac\.in|ip\.edu|msit\.in|gbpuat\.ac\.in)$/
+                // The signed event ID is authoritative; the query parameter is only a hint
+                const tokenEventId = result.registration.eventId
+                if (eventId && eventId !== tokenEventId) {
+                    console.warn('Event ID in URL does not match the registration token');
+                }
 
-            // Extract email from token (handle both formats)
-            let email = decodedToken;
-            let isTokenValid = false;
+                // Get event details
+                const eventDetails = getEventById(tokenEventId);
+                console.log('Event details:', eventDetails ? 'Found' : 'Not found');
 
-            // If token has the old format (email|timestamp), extract just the email
-            if (decodedToken.includes('|')) {
-                email = decodedToken.split('|')[0];
-            }
+                if (!eventDetails) {
+                    console.error('Event not found for ID:', tokenEventId);
+                    setIsValid(false);
+                    return;
+                }
 
-            // Validate the email
-            isTokenValid = emailRegex.test(email);
+                // The event's WhatsApp group, or the general Techelons group
+                const whatsappGroupLink = getWhatsAppGroupLink(tokenEventId);
 
-            if (isTokenValid) {
                 setIsValid(true)
                 setEventDetails(eventDetails)
                 setWhatsappLink(whatsappGroupLink)
 
                 // Set the share URL for the event
                 const baseUrl = window.location.origin
-                const shareEventUrl = `${baseUrl}/techelonsregistration?preselect=${eventId}`
+                const shareEventUrl = `${baseUrl}/techelonsregistration?preselect=${tokenEventId}`
                 setShareUrl(shareEventUrl)
 
                 // Only trigger confetti if this is a fresh submission (not a page reload)
@@ -183,15 +171,15 @@ const TechelonsRegistrationContent = () => {
                     triggerConfetti()
                     hasTriggeredConfetti.current = true
                 }
-            } else {
+            } catch (error) {
+                console.error('Token validation error:', error)
                 setIsValid(false)
+            } finally {
+                setLoading(false)
             }
-        } catch (error) {
-            console.error('Token validation error:', error)
-            setIsValid(false)
-        } finally {
-            setLoading(false)
         }
+
+        verifyToken()
     }, [searchParams])
 
     const triggerConfetti = () => {
@@ -380,7 +368,7 @@ const TechelonsRegistrationContent = () => {
     const { formattedDate, formattedTime, dayOfWeek } = eventDetails ? formatEventDateTime(eventDetails) : {};
 
     // Get registration deadline
-    const registrationDeadline = FEST_DATES.REGISTRATION_DEADLINE;
+    const registrationDeadline = eventDetails ? DATE_UTILS.formatDateTime(getRegistrationWindow(eventDetails).closesAt) : null;
 
     return (
         <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 px-4 sm:px-6 lg:px-8 py-8">
@@ -498,6 +486,17 @@ const TechelonsRegistrationContent = () => {
                                                 )}
                                             </div>
 
+                                            {formattedTime !== "To be announced" && (
+                                                <a
+                                                    href={`/api/calendar/${encodeURIComponent(eventDetails.id)}`}
+                                                    download
+                                                    className="mt-5 inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+                                                >
+                                                    <CalendarPlus size={16} className="mr-1.5" />
+                                                    Add to calendar
+                                                </a>
+                                            )}
+
                                             {registrationDeadline && (
                                                 <div className="mt-5 pt-4 border-t border-gray-100">
                                                     <p className="text-xs text-gray-500">
@@ -509,6 +508,8 @@ const TechelonsRegistrationContent = () => {
                                     </>
                                 )}
 
+                                <EntryPass token={searchParams.get('token')} variants={itemVariants} />
+
                                 <motion.div variants={itemVariants} className="flex justify-center mb-4">
                                     <motion.button
                                         onClick={() => router.push('/techelons#events')}
@@ -552,14 +553,14 @@ const TechelonsRegistrationContent = () => {
                                     variants={itemVariants}
                                     className="text-2xl sm:text-2xl md:text-3xl font-bold mb-2 sm:mb-3 md:mb-4 text-gray bg-clip-text text-transparent bg-gradient-to-r from-red-500 to-orange-600"
                                 >
-                                    Invalid Access
+                                    {getTokenErrorMessage(errorReason).title}
                                 </motion.h1>
 
                                 <motion.p
                                     variants={itemVariants}
                                     className="text-sm sm:text-base text-gray-600 mb-6 sm:mb-8 px-1"
                                 >
-                                    This confirmation page is only accessible after successful registration. Please register for an event first.
+                                    {getTokenErrorMessage(errorReason).message}
                                 </motion.p>
                             </>
                         )}
@@ -2,10 +2,12 @@
 import Link from "next/link"
 import { useState, useEffect, Suspense } from "react"
 import { useRouter, useSearchParams } from "next/navigation"
-import { Instagram, Linkedin, Home, Check, AlertTriangle } from "lucide-react"
+import { Instagram, Linkedin, Home, Check, AlertTriangle, CalendarPlus } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { motion, AnimatePresence } from "framer-motion"
 import workshopData from "@/app/_data/workshopData"
+import { getTokenErrorMessage } from "@/app/_utils/registrationToken"
+import EntryPass from "@/app/_components/EntryPass"
 import confetti from 'canvas-confetti'
 
 const SuccessIcon = () => (
@@ -58,6 +60,7 @@ const RegistrationContent = () => {
     const [isValid, setIsValid] = useState(false)
     const [isLoading, setIsLoading] = useState(true)
     const [alreadyRegistered, setAlreadyRegistered] = useState(false)
+    const [errorReason, setErrorReason] = useState(null)
     const router = useRouter()
     const searchParams = useSearchParams()
     const [whatsappLink, setWhatsappLink] = useState("")
@@ -75,43 +78,37 @@ const RegistrationContent = () => {
         }
         
         if (!token) {
+            setErrorReason(searchParams.get('error'))
             setIsLoading(false)
             setIsValid(false)
             return
         }
         
-        try {
-            // Validate token
-            const decodedToken = atob(token)
-            console.log('Token decoded successfully');
-            
-            const emailRegex = /^[a-zA-Z0-9][a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,}|du\.ac\.in|ipu\.ac\.in|ignou\.ac\.in|jnu\.ac\.in|iitd\.ac\.in|nsut\.ac\.in|dtu\.ac\.in|igdtuw\.ac\.in|aud\.ac\.in|jamiahamdard\.edu|bhu\.ac\.in|bvpindia\.com|mait\.ac\.in|ip\.edu|msit\.in|gbpuat\.ac\.in)$/
-            
-            // Extract email from token (handle both formats)
-            let email = decodedToken;
-            
-            // If token has the old format (email|timestamp), extract just the email
-            if (decodedToken.includes('|')) {
-                console.log('Legacy token format: email|timestamp');
-                email = decodedToken.split('|')[0];
-            }
-            
-            // Validate the email
-            if (emailRegex.test(email)) {
-                console.log('Email validation passed');
-                setIsValid(true)
-                setWhatsappLink(workshopData.whatsappGroupLink)
-                triggerConfetti()
-            } else {
-                console.log('Email validation failed');
+        // The signature can only be checked on the server, so ask the API to verify the token
+        const verifyToken = async () => {
+            try {
+                const response = await fetch(`/api/registrationtoken?token=${encodeURIComponent(token)}`)
+                const result = await response.json()
+                
+                if (result.valid && result.registration.eventId === workshopData.eventId) {
+                    console.log('Token verification passed');
+                    setIsValid(true)
+                    setWhatsappLink(workshopData.whatsappGroupLink)
+                    triggerConfetti()
+                } else {
+                    console.log('Token verification failed:', result.reason);
+                    setErrorReason(result.reason)
+                    setIsValid(false)
+                }
+            } catch (error) {
+                console.error('Token validation error:', error)
                 setIsValid(false)
+            } finally {
+                setIsLoading(false)
             }
-        } catch (error) {
-            console.error('Token validation error:', error)
-            setIsValid(false)
-        } finally {
-            setIsLoading(false)
         }
+        
+        verifyToken()
     }, [searchParams])
 
     const triggerConfetti = () => {
@@ -254,8 +251,20 @@ const RegistrationContent = () => {
                                             </div>
                                         ))}
                                     </div>
+                                    {workshopData.sessions?.length > 0 && (
+                                        <a
+                                            href={`/api/calendar/${encodeURIComponent(workshopData.eventId)}`}
+                                            download
+                                            className="mt-3 inline-flex items-center text-xs sm:text-sm font-medium text-blue-600 hover:text-blue-700"
+                                        >
+                                            <CalendarPlus size={16} className="mr-1.5" />
+                                            Add to calendar
+                                        </a>
+                                    )}
                                 </motion.div>
 
+                                <EntryPass token={searchParams.get('token')} variants={itemVariants} />
+
                                 <motion.div variants={itemVariants} className="mb-4 sm:mb-5 md:mb-6">
                                     <p className="text-xs sm:text-sm md:text-base text-gray-700 mb-2 sm:mb-3 font-medium">Connect with us</p>
                                     <div className="flex justify-center space-x-4 sm:space-x-6">
@@ -284,14 +293,14 @@ const RegistrationContent = () => {
                                     variants={itemVariants}
                                     className="text-2xl sm:text-2xl md:text-3xl font-bold mb-2 sm:mb-3 md:mb-4 text-gray bg-clip-text text-transparent bg-gradient-to-r from-red-500 to-orange-600"
                                 >
-                                    Invalid Access
+                                    {getTokenErrorMessage(errorReason).title}
                                 </motion.h1>
                                 
                                 <motion.p
                                     variants={itemVariants}
                                     className="text-sm sm:text-base text-gray-600 mb-6 sm:mb-8 px-1"
                                 >
-                                    This confirmation page is only accessible after successful registration. Please register for the workshop first.
+                                    {getTokenErrorMessage(errorReason).message}
                                 </motion.p>
                             </>
                         )}
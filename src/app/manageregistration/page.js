@@ -0,0 +1,335 @@
+"use client"
+import Link from "next/link"
+import { useState, useEffect, useCallback, Suspense } from "react"
+import { useSearchParams } from "next/navigation"
+import { useForm, useFieldArray } from "react-hook-form"
+import { motion } from "framer-motion"
+import { AlertTriangle, Home, Plus, Save, Trash2, UserMinus, Users } from "lucide-react"
+import { toast } from "react-hot-toast"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+
+const YEARS = ["1st Year", "2nd Year", "3rd Year"]
+const EMPTY_MEMBER = { name: "", email: "", phone: "", rollNo: "", college: "" }
+
+const STATUS_BADGES = {
+    registered: { label: "Confirmed", className: "bg-green-100 text-green-800 hover:bg-green-100" },
+    waitlisted: { label: "Waitlisted", className: "bg-amber-100 text-amber-800 hover:bg-amber-100" },
+    cancelled: { label: "Cancelled", className: "bg-red-100 text-red-800 hover:bg-red-100" }
+}
+
+const LINK_ERRORS = {
+    expired: "This link has expired. Please contact the event coordinators to change your registration.",
+    unavailable: "We could not verify your link right now. Please try again later."
+}
+
+const toFormValues = (registration) => ({
+    details: {
+        name: registration.name,
+        phone: registration.phone,
+        rollNo: registration.rollNo,
+        course: registration.course,
+        year: registration.year,
+        college: registration.college,
+        query: registration.query
+    },
+    teamMembers: registration.teamMembers
+})
+
+const Field = ({ label, error, children }) => (
+    <div className="space-y-1">
+        <Label className="text-sm">{label}</Label>
+        {children}
+        {error && <p className="text-xs text-red-600">{error.message}</p>}
+    </div>
+)
+
+const LoadingState = () => (
+    <div className="animate-pulse space-y-4 bg-white rounded-xl p-6 shadow-sm">
+        <div className="h-6 bg-gray-200 rounded w-1/2"></div>
+        <div className="h-4 bg-gray-200 rounded w-1/3"></div>
+        <div className="h-32 bg-gray-100 rounded"></div>
+    </div>
+)
+
+const ErrorState = ({ message }) => (
+    <div className="bg-white rounded-xl p-8 shadow-sm text-center">
+        <div className="w-14 h-14 rounded-full bg-red-50 flex items-center justify-center mx-auto mb-4">
+            <AlertTriangle className="h-7 w-7 text-red-600" />
+        </div>
+        <h1 className="text-xl font-bold text-gray-900 mb-2">Cannot Open Registration</h1>
+        <p className="text-gray-600 mb-6">{message}</p>
+        <Link href="/">
+            <Button variant="outline"><Home className="h-4 w-4 mr-2" />Back to Home</Button>
+        </Link>
+    </div>
+)
+
+const ManageRegistrationContent = () => {
+    const searchParams = useSearchParams()
+    const token = searchParams.get("token")
+    const apiUrl = `/api/manageregistration?token=${encodeURIComponent(token || "")}`
+
+    const [data, setData] = useState(null)
+    const [loadError, setLoadError] = useState(null)
+    const [isSaving, setIsSaving] = useState(false)
+    const [isCancelling, setIsCancelling] = useState(false)
+
+    const { register, control, handleSubmit, reset, setError, setValue, watch, formState: { errors, isDirty } } = useForm({
+        defaultValues: { details: {}, teamMembers: [] }
+    })
+    const { fields, append, remove } = useFieldArray({ control, name: "teamMembers" })
+
+    const load = useCallback(async () => {
+        if (!token) {
+            setLoadError("This page can only be opened from the link in your confirmation email.")
+            return
+        }
+
+        try {
+            const response = await fetch(apiUrl)
+            const result = await response.json()
+            if (!response.ok) {
+                setLoadError(LINK_ERRORS[result.reason] || result.error || "This link is not valid.")
+                return
+            }
+            setData(result)
+            reset(toFormValues(result.registration))
+        } catch (error) {
+            console.error("Failed to load registration:", error)
+            setLoadError("Connection error. Please try again.")
+        }
+    }, [apiUrl, token, reset])
+
+    useEffect(() => {
+        load()
+    }, [load])
+
+    const onSubmit = async (values) => {
+        setIsSaving(true)
+        try {
+            const response = await fetch(apiUrl, {
+                method: "PATCH",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(values)
+            })
+            const result = await response.json()
+
+            if (!response.ok) {
+                // Field errors use the same paths as the form, e.g. "teamMembers.0.email"
+                Object.entries(result.fieldErrors || {}).forEach(([path, message]) => {
+                    const name = path.startsWith("teamMembers.") ? path : `details.${path}`
+                    setError(name, { type: "server", message })
+                })
+                toast.error(result.error || "Failed to save your changes")
+                return
+            }
+
+            setData(current => ({ ...current, registration: result.registration }))
+            reset(toFormValues(result.registration))
+            toast.success(result.emailSent ? "Changes saved. We've emailed you a summary." : "Changes saved")
+        } catch (error) {
+            console.error("Failed to update registration:", error)
+            toast.error("Connection error. Please try again.")
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    const handleCancel = async () => {
+        if (!window.confirm(`Cancel your registration for ${data.event.name}? This cannot be undone.`)) return
+
+        setIsCancelling(true)
+        try {
+            const response = await fetch(apiUrl, { method: "DELETE" })
+            const result = await response.json()
+            if (!response.ok) {
+                toast.error(result.error || "Failed to cancel your registration")
+                return
+            }
+            setData(current => ({ ...current, registration: result.registration }))
+            toast.success("Your registration has been cancelled")
+        } catch (error) {
+            console.error("Failed to cancel registration:", error)
+            toast.error("Connection error. Please try again.")
+        } finally {
+            setIsCancelling(false)
+        }
+    }
+
+    if (loadError) return <ErrorState message={loadError} />
+    if (!data) return <LoadingState />
+
+    const { registration, event, waitlistPosition, canEdit, canCancel, closedMessage } = data
+    const isCancelled = registration.status === "cancelled"
+    const isTeamEvent = event.teamSize.max > 1
+    const teamCount = fields.length + 1
+    const badge = STATUS_BADGES[registration.status] || STATUS_BADGES.registered
+
+    return (
+        <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
+            <div className="bg-white rounded-xl p-6 shadow-sm">
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                    <h1 className="text-2xl font-bold text-gray-900">{event.name}</h1>
+                    <Badge className={badge.className}>
+                        {badge.label}{waitlistPosition ? ` #${waitlistPosition}` : ""}
+                    </Badge>
+                </div>
+                <p className="text-sm text-gray-500">Registered as {registration.email}</p>
+                {isCancelled && (
+                    <p className="text-sm text-gray-600 mt-3">
+                        This registration has been cancelled. You can register again from the event page if there are spots left.
+                    </p>
+                )}
+                {!isCancelled && closedMessage && (
+                    <p className="text-sm text-gray-600 mt-3">{closedMessage}</p>
+                )}
+            </div>
+
+            {!isCancelled && canEdit && (
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                    <div className="bg-white rounded-xl p-6 shadow-sm space-y-4">
+                        <h2 className="text-lg font-semibold text-gray-900">Your Details</h2>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Field label="Full Name" error={errors.details?.name}>
+                                <Input {...register("details.name")} />
+                            </Field>
+                            <Field label="Phone Number" error={errors.details?.phone}>
+                                <Input type="tel" maxLength={10} {...register("details.phone")} />
+                            </Field>
+                            <Field label="Roll Number" error={errors.details?.rollNo}>
+                                <Input {...register("details.rollNo")} />
+                            </Field>
+                            <Field label="Course" error={errors.details?.course}>
+                                <Input {...register("details.course")} />
+                            </Field>
+                            <Field label="Year" error={errors.details?.year}>
+                                <Select
+                                    value={watch("details.year") || undefined}
+                                    onValueChange={(value) => setValue("details.year", value, { shouldDirty: true })}
+                                >
+                                    <SelectTrigger><SelectValue placeholder="Select Year" /></SelectTrigger>
+                                    <SelectContent>
+                                        {YEARS.map(year => <SelectItem key={year} value={year}>{year}</SelectItem>)}
+                                    </SelectContent>
+                                </Select>
+                            </Field>
+                            <Field label="College" error={errors.details?.college}>
+                                <Input {...register("details.college")} />
+                            </Field>
+                        </div>
+                        <Field label="Query (optional)" error={errors.details?.query}>
+                            <Textarea rows={3} {...register("details.query")} />
+                        </Field>
+                    </div>
+
+                    {isTeamEvent && (
+                        <div className="bg-white rounded-xl p-6 shadow-sm space-y-4">
+                            <div className="flex items-center justify-between gap-2">
+                                <h2 className="flex items-center text-lg font-semibold text-gray-900">
+                                    <Users className="h-5 w-5 mr-2 text-indigo-600" />
+                                    Team ({teamCount}/{event.teamSize.max})
+                                </h2>
+                                <Button
+                                    type="button"
+                                    variant="outline"
+                                    size="sm"
+                                    disabled={teamCount >= event.teamSize.max}
+                                    onClick={() => append(EMPTY_MEMBER)}
+                                >
+                                    <Plus className="h-4 w-4 mr-1" />
+                                    Add Member
+                                </Button>
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                Teams need {event.teamSize.min === event.teamSize.max
+                                    ? event.teamSize.min
+                                    : `${event.teamSize.min} to ${event.teamSize.max}`} members including you.
+                                New members get their own entry pass by email.
+                            </p>
+
+                            {fields.map((field, index) => (
+                                <div key={field.id} className="border rounded-lg p-4 space-y-3">
+                                    <div className="flex items-center justify-between">
+                                        <h3 className="font-medium text-gray-800">Team Member {index + 2}</h3>
+                                        <Button
+                                            type="button"
+                                            variant="ghost"
+                                            size="sm"
+                                            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                                            disabled={teamCount <= event.teamSize.min}
+                                            onClick={() => remove(index)}
+                                        >
+                                            <UserMinus className="h-4 w-4 mr-1" />
+                                            Remove
+                                        </Button>
+                                    </div>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                        <Field label="Full Name" error={errors.teamMembers?.[index]?.name}>
+                                            <Input {...register(`teamMembers.${index}.name`)} />
+                                        </Field>
+                                        <Field label="Email" error={errors.teamMembers?.[index]?.email}>
+                                            <Input type="email" {...register(`teamMembers.${index}.email`)} />
+                                        </Field>
+                                        <Field label="Phone Number" error={errors.teamMembers?.[index]?.phone}>
+                                            <Input type="tel" maxLength={10} {...register(`teamMembers.${index}.phone`)} />
+                                        </Field>
+                                        <Field label="Roll Number" error={errors.teamMembers?.[index]?.rollNo}>
+                                            <Input {...register(`teamMembers.${index}.rollNo`)} />
+                                        </Field>
+                                        <Field label="College" error={errors.teamMembers?.[index]?.college}>
+                                            <Input {...register(`teamMembers.${index}.college`)} />
+                                        </Field>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <Button type="submit" className="w-full" disabled={isSaving || !isDirty}>
+                        <Save className="h-4 w-4 mr-2" />
+                        {isSaving ? "Saving..." : "Save Changes"}
+                    </Button>
+                </form>
+            )}
+
+            {!isCancelled && canCancel && (
+                <div className="bg-white rounded-xl p-6 shadow-sm border border-red-100">
+                    <h2 className="text-lg font-semibold text-gray-900 mb-1">Cancel Registration</h2>
+                    <p className="text-sm text-gray-600 mb-4">
+                        {isTeamEvent
+                            ? "This cancels the registration for your whole team and frees your spot for someone else."
+                            : "This frees your spot for someone else."}
+                    </p>
+                    <Button
+                        variant="outline"
+                        className="text-red-600 border-red-200 hover:text-red-700 hover:bg-red-50"
+                        disabled={isCancelling}
+                        onClick={handleCancel}
+                    >
+                        <Trash2 className="h-4 w-4 mr-2" />
+                        {isCancelling ? "Cancelling..." : "Cancel Registration"}
+                    </Button>
+                </div>
+            )}
+        </motion.div>
+    )
+}
+
+const ManageRegistrationPage = () => {
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 px-4 py-10 sm:py-16">
+            <div className="max-w-2xl mx-auto">
+                <Suspense fallback={<LoadingState />}>
+                    <ManageRegistrationContent />
+                </Suspense>
+            </div>
+        </div>
+    )
+}
+
+export default ManageRegistrationPage
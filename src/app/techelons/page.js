@@ -6,6 +6,7 @@ import Head from "next/head";
 import Header from "../_components/Header";
 import Footer from "../_components/Footer";
 import ScrollToTopButton from "../_components/ScrollToTopButton";
+import TechelonsWinners from "../_components/TechelonsComponents/TechelonsWinners";
 
 // Constants
 const SCROLL_THRESHOLD = 300;
@@ -187,6 +188,11 @@ const Techelons = () => {
                             <TechelonsSchedule />
                         </section>
                     </Suspense>
+
+                    {/* Only shown once results are published */}
+                    <section id="winners" aria-label="Techelons Winners">
+                        <TechelonsWinners title="Techelons 2025 Winners" limit={3} />
+                    </section>
                     
                     <ScrollToTopButton visible={showTopButton} onClick={scrollToTop} />
                 </main>
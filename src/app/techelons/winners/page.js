@@ -0,0 +1,41 @@
+import Link from "next/link";
+import { ArrowLeft, Trophy } from "lucide-react";
+import Header from "../../_components/Header";
+import Footer from "../../_components/Footer";
+import TechelonsWinners from "../../_components/TechelonsComponents/TechelonsWinners";
+
+export const metadata = {
+    title: "Techelons 2025 Winners | Websters",
+    description: "Winners of every Techelons 2025 event at Shivaji College, University of Delhi."
+};
+
+const WinnersPage = () => {
+    return (
+        <div className="flex flex-col min-h-screen">
+            <Header />
+
+            <main className="flex-grow py-10 sm:py-16">
+                <div className="max-w-6xl mx-auto px-4 text-center mb-4">
+                    <div className="w-14 h-14 rounded-full bg-amber-50 flex items-center justify-center mx-auto mb-4">
+                        <Trophy className="h-7 w-7 text-amber-500" />
+                    </div>
+                    <h1 className="text-4xl sm:text-5xl md:text-6xl font-black tracking-wide text-gray-900">Techelons 2025 Winners</h1>
+                    <div className="h-1.5 w-20 sm:w-24 bg-gradient-to-r from-amber-400 to-orange-500 mx-auto mt-3 rounded-full"></div>
+                </div>
+
+                <TechelonsWinners emptyMessage="Results will be announced here after the events. Check back soon!" />
+
+                <div className="text-center mt-4">
+                    <Link href="/techelons" className="inline-flex items-center font-medium text-indigo-600 hover:text-indigo-700">
+                        <ArrowLeft className="h-4 w-4 mr-1" />
+                        Back to Techelons
+                    </Link>
+                </div>
+            </main>
+
+            <Footer />
+        </div>
+    );
+};
+
+export default WinnersPage;
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect, useCallback, Suspense } from "react";
+import { useState, useEffect, useCallback, useRef, Suspense } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { useRouter, useSearchParams } from 'next/navigation';
@@ -16,14 +16,31 @@ import {
   TECHELONS_EVENTS, 
   REGISTRATION_ENABLED, 
   REGISTRATION_STATUS, 
+  REGISTRATION_ERROR_TYPES,
   getEffectiveRegistrationStatus 
 } from "@/app/_data/techelonsEventsData";
 import { validateFile, MAX_FILE_SIZE, ACCEPTED_FILE_TYPES } from "@/app/_utils/fileUtils";
+import {
+  personSchema as sharedPersonSchema,
+  techelonsRegistrationSchema,
+  applyFieldErrors
+} from "@/app/_utils/registrationSchemas";
+import { BOT_ERROR_TYPES } from "@/app/_utils/botCheck";
+import BotCheck, { useBotCheck } from "@/app/_components/BotCheck";
+import EmailVerification, { useEmailVerification } from "@/app/_components/EmailVerification";
+import { EMAIL_VERIFICATION_ERROR_TYPES } from "@/app/_utils/emailCode";
 
 // Constants
 // const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 // const ACCEPTED_FILE_TYPES = ["image/jpeg", "image/jpg", "image/png", "application/pdf"];
 
+// How the banner describes an event the server refused to register for
+const REFUSED_EVENT_STATUS = {
+  [REGISTRATION_ERROR_TYPES.EVENT_NOT_FOUND]: 'not found',
+  [REGISTRATION_ERROR_TYPES.REGISTRATION_NOT_OPEN]: REGISTRATION_STATUS.COMING_SOON,
+  [REGISTRATION_ERROR_TYPES.REGISTRATION_CLOSED]: REGISTRATION_STATUS.CLOSED
+};
+
 // Reusable schemas
 const fileSchema = z.any()
     .refine((file) => file && file?.length > 0, "College ID is required")
@@ -33,39 +50,17 @@ const fileSchema = z.any()
         "Only .jpg, .jpeg, .png and .pdf files are accepted"
     );
 
-const nameSchema = z.string().min(2, "Name is required").max(50);
-const emailSchema = z.string().email("Invalid email address");
-const phoneSchema = z.string()
-    .length(10, "Phone number must be exactly 10 digits")
-    .regex(/^[6-9]\d{9}$/, "Please enter a valid Indian mobile number");
-const rollNoSchema = z.string().min(2, "Roll No. is required").max(20);
-const collegeSelectSchema = z.enum(["Shivaji College", "Other"]);
-const otherCollegeSchema = z.string()
-    .min(2, "College name is required")
-    .max(100)
-    .optional()
-    .nullable();
-
-// Person schema (common fields between main registrant and team members)
-const personSchema = z.object({
-    name: nameSchema,
-    email: emailSchema,
-    phone: phoneSchema,
-    rollNo: rollNoSchema,
-    college: collegeSelectSchema,
-    otherCollege: otherCollegeSchema,
+// Person schema: the shared fields plus the college ID upload
+const personSchema = sharedPersonSchema.extend({
     collegeId: fileSchema
 });
 
 // Team member schema (reusing person schema)
 const teamMemberSchema = personSchema;
 
-// Main form schema
-const baseFormSchema = personSchema.extend({
-    event: z.string().min(1, "Event selection is required"),
-    course: z.string().min(2, "Course is required").max(50),
-    year: z.enum(["1st Year", "2nd Year", "3rd Year"]),
-    query: z.string().max(500).optional().nullable(),
+// Main form schema: the rules the API checks, plus the uploads
+const baseFormSchema = techelonsRegistrationSchema.extend({
+    collegeId: fileSchema,
     teamMembers: z.array(teamMemberSchema).optional()
 });
 
@@ -91,6 +86,7 @@ function RegistrationPageContent() {
   const [requiredTeamSize, setRequiredTeamSize] = useState({ min: 1, max: 1 });
   const [invalidPreselectedEvent, setInvalidPreselectedEvent] = useState(null);
   const [showAnimation, setShowAnimation] = useState(false);
+  const botCheck = useBotCheck();
   
   // Check if registration is enabled globally
   useEffect(() => {
@@ -133,7 +129,7 @@ function RegistrationPageContent() {
     return schema;
   }, [selectedEvent]);
 
-  const { register, handleSubmit, setValue, watch, reset, formState: { errors }, unregister } = useForm({
+  const { register, handleSubmit, setValue, setError, watch, reset, formState: { errors }, unregister } = useForm({
     resolver: zodResolver(getFormSchema()),
     defaultValues: {
       event: preselectedEventId || ""
@@ -141,8 +137,21 @@ function RegistrationPageContent() {
     mode: 'onBlur' // Validate on blur for better UX
   });
 
+  // One Idempotency-Key per form attempt. It is kept while the outcome of a
+  // submission is unknown (the connection dropped or the server failed), so
+  // submitting again can't register twice, and renewed once the form changes.
+  const idempotencyKey = useRef(null);
+  useEffect(() => {
+    const subscription = watch(() => {
+      idempotencyKey.current = null;
+    });
+    return () => subscription.unsubscribe();
+  }, [watch]);
+
   const selectedCollege = watch("college");
   const watchedEvent = watch("event");
+  const watchedEmail = watch("email");
+  const emailVerification = useEmailVerification({ email: watchedEmail, eventId: watchedEvent });
 
   // Handle preselection from URL parameter
   useEffect(() => {
@@ -360,7 +369,7 @@ function RegistrationPageContent() {
             formData.append(`teamMember_${index}_collegeId`, member.collegeId[0]);
           }
         });
-      } else {
+      } else if (data[key] !== undefined && data[key] !== null) {
         formData.append(key, data[key]);
       }
     });
@@ -401,6 +410,24 @@ function RegistrationPageContent() {
         }
       }
       
+      if (emailVerification.missingCode) {
+        emailVerification.setError('Enter the code we emailed you to verify your email');
+        toast.error('Please verify your email address', {
+          duration: 3000,
+          icon: '📧'
+        });
+        return;
+      }
+
+      // The proof-of-work challenge is solved in the background while the form is filled in
+      if (!botCheck.ready) {
+        toast.error('Still verifying your browser. Please try again in a moment.', {
+          duration: 3000,
+          icon: '⏳'
+        });
+        return;
+      }
+      
       setIsSubmitting(true);
       
       // Validate files before submission
@@ -413,13 +440,26 @@ function RegistrationPageContent() {
       
       // Prepare form data
       const formData = prepareFormData(data);
+      Object.entries({ ...botCheck.getFields(), ...emailVerification.getFields() })
+        .forEach(([key, value]) => formData.append(key, value));
 
-      // Submit form data
+      // Submit form data. The key lets the server recognise a resent submission.
+      idempotencyKey.current ||= crypto.randomUUID();
       const response = await fetch('/api/techelonsregistration', {
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey.current },
         body: formData,
       });
 
+      // Once the server has answered, the next submission is a new attempt.
+      // Server errors and requests still in progress aren't final, so those keep the key.
+      if (response.status < 500 && response.status !== 409) {
+        idempotencyKey.current = null;
+      }
+
+      // Each challenge is single use, so start solving the next one for a retry
+      botCheck.refresh();
+
       // Dismiss loading toast
       toast.dismiss(loadingToast);
 
@@ -438,6 +478,50 @@ function RegistrationPageContent() {
         }
       }
 
+      // The server has the final say on whether the event is taking registrations
+      if (!response.ok && REFUSED_EVENT_STATUS[result.type]) {
+        setInvalidPreselectedEvent({
+          id: data.event,
+          name: selectedEvent?.name || data.event,
+          status: REFUSED_EVENT_STATUS[result.type],
+          message: result.error
+        });
+        setValue("event", "");
+        setSelectedEvent(null);
+        toast.error(`${result.error}. Please select another event.`, {
+          duration: 5000,
+          icon: '🚫'
+        });
+        return;
+      }
+
+      if (result.type === BOT_ERROR_TYPES.RATE_LIMITED || result.type === BOT_ERROR_TYPES.CHALLENGE_FAILED) {
+        toast.error(result.error, {
+          duration: 5000,
+          icon: '🛡️'
+        });
+        return;
+      }
+
+      if (Object.values(EMAIL_VERIFICATION_ERROR_TYPES).includes(result.type)) {
+        emailVerification.setError(result.error);
+        toast.error(result.error, {
+          duration: 4000,
+          icon: '📧'
+        });
+        return;
+      }
+
+      // Put the server's validation and team errors next to the fields they belong to
+      if (!response.ok && result.fieldErrors) {
+        applyFieldErrors(setError, result.fieldErrors);
+        toast.error(result.error || 'Please fix the highlighted fields', {
+          duration: 4000,
+          icon: '❌'
+        });
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(result.error || 'Registration failed');
       }
@@ -510,7 +594,7 @@ function RegistrationPageContent() {
     } finally {
       setIsSubmitting(false);
     }
-  }, [selectedEvent, validateFiles, prepareFormData, reset, router, REGISTRATION_ENABLED, invalidPreselectedEvent]);
+  }, [selectedEvent, validateFiles, prepareFormData, reset, router, setValue, setError, REGISTRATION_ENABLED, invalidPreselectedEvent, botCheck, emailVerification]);
 
   // Field validation feedback notifications - memoized
   const showFieldErrorToasts = useCallback(() => {
@@ -618,7 +702,9 @@ function RegistrationPageContent() {
                       </div>
                       <div className="ml-3">
                         <p className="text-sm text-amber-700 font-medium">
-                          {invalidPreselectedEvent.status === 'not found' 
+                          {invalidPreselectedEvent.message
+                            ? `${invalidPreselectedEvent.message}.`
+                            : invalidPreselectedEvent.status === 'not found' 
                             ? `The event "${invalidPreselectedEvent.id}" was not found.` 
                             : `Registration for "${invalidPreselectedEvent.name}" is currently ${invalidPreselectedEvent.status}.`}
                         </p>
@@ -723,6 +809,7 @@ function RegistrationPageContent() {
                   {errors.email && (
                     <p className="text-xs sm:text-sm text-red-600">{errors.email.message}</p>
                   )}
+                  <EmailVerification verification={emailVerification} email={watchedEmail} disabled={isSubmitting} />
                 </div>
 
                 <div className="space-y-1 sm:space-y-2">
@@ -1004,6 +1091,8 @@ function RegistrationPageContent() {
                 )}
               </div>
 
+              <BotCheck botCheck={botCheck} />
+
               {/* Submit Button */}
               <Button
                 type="submit"
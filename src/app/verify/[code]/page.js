@@ -0,0 +1,157 @@
+"use client"
+import Link from "next/link"
+import { useState, useEffect } from "react"
+import { useParams } from "next/navigation"
+import { AlertTriangle, BadgeCheck, Calendar, Home, ShieldAlert, ShieldX, Trophy } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import CertificateLookup from "@/app/_components/CertificateLookup"
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+})
+
+const LoadingState = () => (
+    <div className="animate-pulse space-y-4">
+        <div className="w-14 h-14 rounded-full bg-gray-200 mx-auto"></div>
+        <div className="h-6 bg-gray-200 rounded w-1/2 mx-auto"></div>
+        <div className="h-24 bg-gray-100 rounded"></div>
+    </div>
+)
+
+// A code that is not a certificate
+const NotFoundState = ({ code }) => (
+    <div className="text-center">
+        <div className="w-14 h-14 rounded-full bg-red-50 flex items-center justify-center mx-auto mb-4">
+            <ShieldX className="h-7 w-7 text-red-600" />
+        </div>
+        <h1 className="text-xl font-bold text-gray-900 mb-2">Certificate Not Found</h1>
+        <p className="text-gray-600">
+            No certificate has the ID <span className="font-mono font-semibold">{code}</span>. Check it against the one printed on the certificate.
+        </p>
+    </div>
+)
+
+// A code that could not be checked, e.g. the certificates could not be read or too many lookups
+const UnavailableState = ({ message }) => (
+    <div className="text-center">
+        <div className="w-14 h-14 rounded-full bg-amber-50 flex items-center justify-center mx-auto mb-4">
+            <AlertTriangle className="h-7 w-7 text-amber-600" />
+        </div>
+        <h1 className="text-xl font-bold text-gray-900 mb-2">Could Not Check This Certificate</h1>
+        <p className="text-gray-600">{message || 'Please try again in a few minutes.'}</p>
+    </div>
+)
+
+const CertificateDetails = ({ verification }) => {
+    const { certificate, reason } = verification
+    const isValid = verification.status === 'valid'
+    const StatusIcon = isValid ? BadgeCheck : ShieldAlert
+
+    return (
+        <div>
+            <div className="text-center mb-6">
+                <div className={`w-14 h-14 rounded-full flex items-center justify-center mx-auto mb-4 ${isValid ? 'bg-green-50' : 'bg-amber-50'}`}>
+                    <StatusIcon className={`h-7 w-7 ${isValid ? 'text-green-600' : 'text-amber-600'}`} />
+                </div>
+                <h1 className="text-xl font-bold text-gray-900 mb-1">{isValid ? 'Valid Certificate' : 'Certificate Revoked'}</h1>
+                <p className="text-gray-600">
+                    {isValid ? 'This certificate was issued by Websters - Computer Science Society, Shivaji College.' : reason}
+                </p>
+            </div>
+
+            <dl className={`rounded-xl border p-5 space-y-3 ${isValid ? 'border-green-100 bg-green-50/40' : 'border-amber-100 bg-amber-50/40 opacity-80'}`}>
+                <div>
+                    <dt className="text-xs uppercase tracking-wide text-gray-500">{certificate.title} awarded to</dt>
+                    <dd className="text-2xl font-bold text-indigo-600">{certificate.name}</dd>
+                </div>
+                <div>
+                    <dt className="text-xs uppercase tracking-wide text-gray-500">Event</dt>
+                    <dd className="font-semibold text-gray-900 flex flex-wrap items-center gap-2">
+                        {certificate.eventName}
+                        {certificate.position && (
+                            <Badge className="bg-amber-100 text-amber-800 hover:bg-amber-100">
+                                <Trophy className="h-3 w-3 mr-1" />
+                                {certificate.position} position
+                            </Badge>
+                        )}
+                    </dd>
+                    <dd className="text-sm text-gray-600 flex items-center mt-1">
+                        <Calendar className="h-4 w-4 mr-1" />
+                        {certificate.eventDate}
+                    </dd>
+                </div>
+                <div className="flex flex-wrap justify-between gap-2 pt-3 border-t text-sm text-gray-600">
+                    <span>Certificate ID <span className="font-mono font-semibold text-gray-900">{certificate.code}</span></span>
+                    <span>Issued {formatDate(certificate.issuedAt)}</span>
+                </div>
+            </dl>
+        </div>
+    )
+}
+
+const VerifyCertificatePage = () => {
+    const { code } = useParams()
+    const [verification, setVerification] = useState(null)
+    const [lookupError, setLookupError] = useState(null)
+
+    useEffect(() => {
+        let cancelled = false
+        const verify = async () => {
+            setVerification(null)
+            setLookupError(null)
+            try {
+                const response = await fetch(`/api/verify/${encodeURIComponent(code)}`)
+                const result = await response.json()
+                if (cancelled) return
+
+                if (response.ok) {
+                    setVerification(result)
+                } else {
+                    setLookupError({ notFound: response.status === 404, message: result.error })
+                }
+            } catch (error) {
+                console.error('Failed to verify certificate:', error)
+                if (!cancelled) setLookupError({ message: 'Connection error. Please try again.' })
+            }
+        }
+
+        verify()
+        return () => { cancelled = true }
+    }, [code])
+
+    const displayCode = decodeURIComponent(code || '')
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 px-4 py-10 sm:py-16">
+            <div className="max-w-xl mx-auto space-y-6">
+                <div className="bg-white rounded-xl p-6 sm:p-8 shadow-sm">
+                    {lookupError?.notFound ? (
+                        <NotFoundState code={displayCode} />
+                    ) : lookupError ? (
+                        <UnavailableState message={lookupError.message} />
+                    ) : verification ? (
+                        <CertificateDetails verification={verification} />
+                    ) : (
+                        <LoadingState />
+                    )}
+                </div>
+
+                <div className="bg-white rounded-xl p-6 shadow-sm">
+                    <h2 className="text-sm font-semibold text-gray-900 mb-3">Check another certificate</h2>
+                    <CertificateLookup />
+                </div>
+
+                <div className="text-center">
+                    <Link href="/">
+                        <Button variant="outline"><Home className="h-4 w-4 mr-2" />Back to Home</Button>
+                    </Link>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default VerifyCertificatePage
@@ -0,0 +1,26 @@
+import { BadgeCheck } from "lucide-react"
+import CertificateLookup from "@/app/_components/CertificateLookup"
+
+export const metadata = {
+    title: "Verify a Certificate | Websters",
+    description: "Check a certificate issued by Websters - Computer Science Society, Shivaji College."
+}
+
+const VerifyPage = () => {
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 px-4 py-10 sm:py-16">
+            <div className="max-w-xl mx-auto bg-white rounded-xl p-6 sm:p-8 shadow-sm">
+                <div className="w-14 h-14 rounded-full bg-indigo-50 flex items-center justify-center mx-auto mb-4">
+                    <BadgeCheck className="h-7 w-7 text-indigo-600" />
+                </div>
+                <h1 className="text-2xl font-bold text-gray-900 text-center mb-2">Verify a Certificate</h1>
+                <p className="text-gray-600 text-center mb-6">
+                    Enter the certificate ID printed at the bottom of a Websters certificate to check that it is genuine.
+                </p>
+                <CertificateLookup />
+            </div>
+        </div>
+    )
+}
+
+export default VerifyPage
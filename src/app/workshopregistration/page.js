@@ -3,7 +3,6 @@
 import { useState, useCallback, useEffect, useMemo } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { z } from "zod";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
@@ -12,45 +11,12 @@ import { toast, Toaster } from "react-hot-toast";
 import { useRouter } from 'next/navigation';
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import workshopData from "@/app/_data/workshopData";
-
-// Email validation schema
-const emailSchema = z.string()
-    .min(1, "Email is required")
-    .email("Invalid email address")
-    .regex(
-        /^[a-zA-Z0-9][a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,}|du\.ac\.in|ipu\.ac\.in|ignou\.ac\.in|jnu\.ac\.in|iitd\.ac\.in|nsut\.ac\.in|dtu\.ac\.in|igdtuw\.ac\.in|aud\.ac\.in|jamiahamdard\.edu|bhu\.ac\.in|bvpindia\.com|mait\.ac\.in|ip\.edu|msit\.in|gbpuat\.ac\.in)$/,
-        "Please use valid EMail ID"
-    )
-    .refine(
-        (email) => {
-            const localPart = email.split('@')[0].toLowerCase();
-            const invalidPrefixes = new Set([
-                'test', 'example', 'sample', 'demo', 'user', 
-                'admin', 'info', 'mail', 'email', 'no-reply', 
-                'noreply', 'nobody', 'fake', 'xyz'
-            ]);
-            
-            return !invalidPrefixes.has(localPart) && 
-                   !localPart.startsWith('test') && 
-                   !localPart.startsWith('example');
-        },
-        "Please use your official institutional email address"
-    );
-
-const formSchema = z.object({
-    email: emailSchema,
-    name: z.string().min(2, "Name is required"),
-    rollNo: z.string().min(2, "Roll No. is required"),
-    course: z.string().min(2, "Course is required"),
-    year: z.enum(["1st Year", "2nd Year", "3rd Year"], {
-        required_error: "Please select your year",
-    }),
-    phone: z.string()
-        .min(1, "Phone number is required")
-        .length(10, "Phone number must be exactly 10 digits")
-        .regex(/^[6-9]\d{9}$/, "Please enter a valid Indian mobile number"),
-    query: z.string().optional(),
-});
+import { REGISTRATION_ERROR_TYPES } from "@/app/_data/techelonsEventsData";
+import { workshopRegistrationSchema, applyFieldErrors, INVALID_FIELDS } from "@/app/_utils/registrationSchemas";
+import { BOT_ERROR_TYPES } from "@/app/_utils/botCheck";
+import BotCheck, { useBotCheck } from "@/app/_components/BotCheck";
+import EmailVerification, { useEmailVerification } from "@/app/_components/EmailVerification";
+import { EMAIL_VERIFICATION_ERROR_TYPES } from "@/app/_utils/emailCode";
 
 // Form field configuration - memoized to prevent unnecessary re-renders
 const formFields = [
@@ -81,6 +47,7 @@ export default function RegistrationPage() {
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [serverError, setServerError] = useState(null);
     const [isOnline, setIsOnline] = useState(true);
+    const botCheck = useBotCheck();
     
     // Memoize workshop title to prevent unnecessary re-renders
     const workshopTitle = useMemo(() => workshopData.title, []);
@@ -114,19 +81,36 @@ export default function RegistrationPage() {
         handleSubmit,
         setValue,
         reset,
+        setError,
+        watch,
         formState: { errors, isValid, isDirty }
     } = useForm({
-        resolver: zodResolver(formSchema),
+        resolver: zodResolver(workshopRegistrationSchema),
         defaultValues: { query: "" },
         mode: "onChange"
     });
 
+    const watchedEmail = watch("email");
+    const emailVerification = useEmailVerification({ email: watchedEmail, eventId: workshopData.eventId });
+
     // Handle form submission with optimized fetch
     const handleRegistration = useCallback(async (data) => {
         if (isSubmitting || !isOnline) {
             if (!isOnline) toast.error(ERROR_MESSAGES.CONNECTION_ERROR);
             return;
         }
+
+        if (emailVerification.missingCode) {
+            emailVerification.setError("Enter the code we emailed you to verify your email");
+            toast.error("Please verify your email address");
+            return;
+        }
+
+        // The proof-of-work challenge is solved in the background while the form is filled in
+        if (!botCheck.ready) {
+            toast.error("Still verifying your browser. Please try again in a moment.");
+            return;
+        }
         
         setServerError(null);
         setIsSubmitting(true);
@@ -139,9 +123,15 @@ export default function RegistrationPage() {
             const maxRetries = 3;
             let retryCount = 0;
             let success = false;
+
+            // Sent with every retry, so a retry of a request that did reach the server isn't registered twice
+            const idempotencyKey = crypto.randomUUID();
             
             while (retryCount < maxRetries && !success) {
                 try {
+                    // A timed out request may have used up the challenge, so retries solve a new one
+                    const botFields = retryCount === 0 ? botCheck.getFields() : await botCheck.getFreshFields();
+
                     // Increase timeout for each retry attempt
                     const timeout = 8000 + (retryCount * 4000);
                     const controller = new AbortController();
@@ -150,21 +140,21 @@ export default function RegistrationPage() {
                     // Optimize payload size by removing unnecessary whitespace
                     const payload = {
                         ...data,
-                        college: "Shivaji College",
                         email: data.email.trim(),
                         name: data.name.trim(),
                         rollNo: data.rollNo.trim(),
                         course: data.course.trim(),
                         phone: data.phone.trim(),
-                        query: data.query?.trim() || ""
+                        query: data.query?.trim() || "",
+                        ...botFields,
+                        ...emailVerification.getFields()
                     };
                     
-                    // Add retry attempt to headers for server-side logging
                     const response = await fetch('/api/workshopregistration', {
                         method: 'POST',
                         headers: { 
                             'Content-Type': 'application/json',
-                            'X-Retry-Count': retryCount.toString()
+                            'Idempotency-Key': idempotencyKey
                         },
                         body: JSON.stringify(payload),
                         signal: controller.signal,
@@ -175,6 +165,36 @@ export default function RegistrationPage() {
                     clearTimeout(timeoutId);
                     const result = await response.json();
                     
+                    // Registration closed or hasn't opened since the page was loaded
+                    if (result.type === REGISTRATION_ERROR_TYPES.REGISTRATION_CLOSED || result.type === REGISTRATION_ERROR_TYPES.REGISTRATION_NOT_OPEN) {
+                        setServerError(result.error);
+                        toast.error(result.error, { id: toastId });
+                        if (result.type === REGISTRATION_ERROR_TYPES.REGISTRATION_CLOSED) {
+                            setTimeout(() => router.push('/registrationclosed'), 2000);
+                        }
+                        return;
+                    }
+
+                    // Too many attempts, or the browser check didn't pass
+                    if (result.type === BOT_ERROR_TYPES.RATE_LIMITED || result.type === BOT_ERROR_TYPES.CHALLENGE_FAILED) {
+                        setServerError(result.error);
+                        toast.error(result.error, { id: toastId });
+                        return;
+                    }
+
+                    if (Object.values(EMAIL_VERIFICATION_ERROR_TYPES).includes(result.type)) {
+                        emailVerification.setError(result.error);
+                        toast.error(result.error, { id: toastId });
+                        return;
+                    }
+
+                    // Show the server's validation errors on the fields
+                    if (result.type === INVALID_FIELDS) {
+                        applyFieldErrors(setError, result.fieldErrors);
+                        toast.error(result.error, { id: toastId });
+                        return;
+                    }
+
                     if (!response.ok) {
                         let errorMessage = result.error || ERROR_MESSAGES.DEFAULT;
                         
@@ -241,9 +261,11 @@ export default function RegistrationPage() {
             console.error("Registration error:", error);
             toast.error(ERROR_MESSAGES.DEFAULT, { id: toastId });
         } finally {
+            // Each challenge is single use, so start solving the next one for a retry
+            botCheck.refresh();
             setIsSubmitting(false);
         }
-    }, [isSubmitting, isOnline, reset]);
+    }, [isSubmitting, isOnline, reset, setError, router, botCheck, emailVerification]);
 
     return (
         <main className="min-h-screen bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
@@ -285,6 +307,11 @@ export default function RegistrationPage() {
                                 {errors[field.name] && (
                                     <p className="mt-1 text-sm text-red-600" role="alert">{errors[field.name].message}</p>
                                 )}
+                                {field.name === "email" && emailVerification.required && (
+                                    <div className="mt-2">
+                                        <EmailVerification verification={emailVerification} email={watchedEmail} disabled={isSubmitting} />
+                                    </div>
+                                )}
                             </div>
                         ))}
 
@@ -334,6 +361,8 @@ export default function RegistrationPage() {
                             />
                         </div>
 
+                        <BotCheck botCheck={botCheck} />
+
                         <Button
                             type="submit"
                             className="w-full"
@@ -1,17 +1,78 @@
 import { NextResponse } from 'next/server';
+import { verifyRegistrationToken, TOKEN_ERRORS } from '@/app/_utils/registrationToken';
+import { verifyAdminSession, ADMIN_SESSION_COOKIE, SESSION_ROLES, CHECKIN_ROLES } from '@/app/_utils/adminAuth';
+import workshopData from '@/app/_data/workshopData';
 
 // Simple token validation cache to avoid redundant processing
 const tokenCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-export function middleware(request) {
+// Error codes the form submitted pages know how to display
+const DISPLAYABLE_ERRORS = new Set(Object.values(TOKEN_ERRORS));
+
+// A workshop token must only open the workshop page and vice versa
+const isTokenForPage = (pathname, payload) => {
+    const isWorkshopToken = payload.eventId === workshopData.eventId;
+    return pathname === '/formsubmitted/workshop' ? isWorkshopToken : !isWorkshopToken;
+};
+
+// Send the user back to the page without the token so it can explain what went wrong
+const redirectWithError = (request, reason) => {
+    const url = new URL(request.nextUrl.pathname, request.url);
+    url.searchParams.set('error', reason);
+    return NextResponse.redirect(url);
+};
+
+// Admin pages and API routes need an admin session, except the login itself.
+// The check-in page and API also accept volunteer sessions.
+const PUBLIC_ADMIN_PATHS = new Set(['/admin/login', '/api/admin/login']);
+
+const isCheckinPath = (pathname) => pathname.startsWith('/checkin') || pathname.startsWith('/api/checkin');
+
+const handleStaffRequest = async (request) => {
+    const { pathname } = request.nextUrl;
+    if (PUBLIC_ADMIN_PATHS.has(pathname)) {
+        return NextResponse.next();
+    }
+
+    const allowedRoles = isCheckinPath(pathname) ? CHECKIN_ROLES : [SESSION_ROLES.ADMIN];
+    const session = await verifyAdminSession(request.cookies.get(ADMIN_SESSION_COOKIE)?.value);
+    if (session.valid && allowedRoles.includes(session.payload.role)) {
+        return NextResponse.next();
+    }
+
+    if (pathname.startsWith('/api/')) {
+        return session.valid
+            ? NextResponse.json({ error: 'You do not have access to this action', type: 'FORBIDDEN' }, { status: 403 })
+            : NextResponse.json({ error: 'Admin login required', type: 'UNAUTHORIZED' }, { status: 401 });
+    }
+
+    // Logged in volunteers are sent to the page they can use
+    if (session.valid) {
+        return NextResponse.redirect(new URL('/checkin', request.url));
+    }
+
+    const loginUrl = new URL('/admin/login', request.url);
+    loginUrl.searchParams.set('next', pathname);
+    return NextResponse.redirect(loginUrl);
+};
+
+export async function middleware(request) {
+    const { pathname } = request.nextUrl;
+    if (pathname.startsWith('/admin') || pathname.startsWith('/api/admin') || isCheckinPath(pathname)) {
+        return handleStaffRequest(request);
+    }
+
     // Check if the request is for a protected form submission page
     if (request.nextUrl.pathname === '/formsubmitted/workshop' || request.nextUrl.pathname === '/formsubmitted/techelons') {
         // Get the registration token from the URL
         const token = request.nextUrl.searchParams.get('token');
 
-        // If no token is present, redirect to home
+        // If no token is present, allow the error view through, otherwise redirect to home
         if (!token) {
+            if (DISPLAYABLE_ERRORS.has(request.nextUrl.searchParams.get('error'))) {
+                return NextResponse.next();
+            }
             console.warn('Access attempt without token to protected page:', request.nextUrl.pathname);
             return NextResponse.redirect(new URL('/', request.url));
         }
@@ -25,32 +86,24 @@ export function middleware(request) {
         }
 
         try {
-            // Decode the token - this is a simple base64 decode
-            const decodedToken = Buffer.from(token, 'base64').toString();
-            
-            // Simplified email validation regex - still comprehensive but more efficient
-            const emailRegex = /^[a-zA-Z0-9][a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,}|du\.ac\.in|ipu\.ac\.in|ignou\.ac\.in|jnu\.ac\.in|iitd\.ac\.in|nsut\.ac\.in|dtu\.ac\.in|igdtuw\.ac\.in|aud\.ac\.in|jamiahamdard\.edu|bhu\.ac\.in|bvpindia\.com|mait\.ac\.in|ip\.edu|msit\.in|gbpuat\.ac\.in)$/;
-            
-            // Extract email from token (handle both formats)
-            let email = decodedToken;
-            
-            // If token has timestamp format (email|timestamp), extract just the email
-            if (decodedToken.includes('|')) {
-                email = decodedToken.split('|')[0];
+            const result = await verifyRegistrationToken(token);
+
+            if (!result.valid) {
+                console.warn(`Rejected registration token (${result.reason}):`, request.nextUrl.pathname);
+                return redirectWithError(request, result.reason);
             }
-            
-            // Validate the email format
-            if (!emailRegex.test(email)) {
-                console.warn('Invalid token format detected:', request.nextUrl.pathname);
-                return NextResponse.redirect(new URL('/', request.url));
+
+            if (!isTokenForPage(request.nextUrl.pathname, result.payload)) {
+                console.warn('Registration token used on the wrong page:', request.nextUrl.pathname);
+                return redirectWithError(request, TOKEN_ERRORS.MALFORMED);
             }
-            
-            // Cache the valid token
+
+            // Cache the valid token, but never beyond its own expiry
             tokenCache.set(token, {
-                email,
-                expires: now + CACHE_TTL
+                email: result.payload.email,
+                expires: Math.min(now + CACHE_TTL, result.payload.exp)
             });
-            
+
             // Clean up expired cache entries occasionally (1% chance per request)
             if (Math.random() < 0.01) {
                 for (const [key, value] of tokenCache.entries()) {
@@ -59,7 +112,7 @@ export function middleware(request) {
                     }
                 }
             }
-            
+
             return NextResponse.next();
         } catch (error) {
             // If token is invalid, redirect to home
@@ -72,5 +125,12 @@ export function middleware(request) {
 }
 
 export const config = {
-    matcher: ['/formsubmitted/workshop', '/formsubmitted/techelons']
-};
\ No newline at end of file
+    matcher: [
+        '/formsubmitted/workshop',
+        '/formsubmitted/techelons',
+        '/admin/:path*',
+        '/api/admin/:path*',
+        '/checkin/:path*',
+        '/api/checkin/:path*'
+    ]
+};